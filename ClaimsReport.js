@@ -3,15 +3,23 @@ import PDFDocument from 'pdfkit';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, loadLogo } from './utils/branding.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class ProfessionalReportGenerator {
-    constructor(mongoUri, dbName, mongoOptions = {}) {
+    constructor(mongoUri, dbName, mongoOptions = {}, options = {}) {
         this.mongoUri = mongoUri;
         this.dbName = dbName;
         this.mongoOptions = mongoOptions;
+        this.collectionName = options.collectionName || 'extractions_3';
+        // When set, only documents of this analysis run are reported on
+        this.runId = options.runId || null;
+        // White-label branding (utils/branding.js); the logo is fetched once per report
+        this.brand = { ...DEFAULT_BRAND, ...(options.brand || {}) };
+        this.logo = null;
         this.client = null;
     }
 
@@ -40,29 +48,25 @@ class ProfessionalReportGenerator {
 
     async fetchData() {
         try {
-            console.log(`Fetching data from database: ${this.dbName}, collection: extractions_3`);
+            console.log(`Fetching data from database: ${this.dbName}, collection: ${this.collectionName}${this.runId ? `, run: ${this.runId}` : ''}`);
             const db = this.client.db(this.dbName);
-            const collection = db.collection('extractions_3');
+            const collection = db.collection(this.collectionName);
             
             // Check if collection exists
-            const collections = await db.listCollections({ name: 'extractions_3' }).toArray();
+            const collections = await db.listCollections({ name: this.collectionName }).toArray();
             if (collections.length === 0) {
-                console.warn('⚠ Collection "extractions_3" not found in database');
+                console.warn(`⚠ Collection "${this.collectionName}" not found in database`);
                 console.log('Available collections:');
                 const allCollections = await db.listCollections().toArray();
                 allCollections.forEach(col => console.log(`  - ${col.name}`));
                 return [];
             }
             
-            const allData = await collection.find({}).toArray();
+            const allData = await collection.find(this.runId ? { runId: this.runId } : {}).toArray();
             console.log(`✓ Fetched ${allData.length} total documents from collection`);
             
             // Filter out documents without claims_evaluation - ONLY include docs with valid claims
-            const validData = allData.filter(item => 
-                item.ai?.claims_evaluation?.claims_evaluation && 
-                Array.isArray(item.ai.claims_evaluation.claims_evaluation) &&
-                item.ai.claims_evaluation.claims_evaluation.length > 0
-            );
+            const validData = this.selectEvaluatedPages(allData);
             
             console.log(`✓ Filtered to ${validData.length} documents with valid claims_evaluation`);
             console.log(`✗ Completely ignoring ${allData.length - validData.length} documents without claims_evaluation`);
@@ -86,6 +90,41 @@ class ProfessionalReportGenerator {
         }
     }
 
+    // Pages the report covers: those with at least one evaluated claim
+    selectEvaluatedPages(documents) {
+        return documents.filter(item => 
+            item.ai?.claims_evaluation?.claims_evaluation && 
+            Array.isArray(item.ai.claims_evaluation.claims_evaluation) &&
+            item.ai.claims_evaluation.claims_evaluation.length > 0
+        );
+    }
+
+    /**
+     * Headline numbers of the claims analysis (scores are on the -4..4 claim scale).
+     * Shared by the executive summary page and the combined executive report.
+     */
+    analyzeData(data) {
+        const totalPages = data.length;
+        const pagesWithScores = data.filter(item => 
+            item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== undefined &&
+            item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== null
+        );
+        const avgScores = pagesWithScores.map(item => item.ai.claims_evaluation.overall_analysis.average_page_score);
+        const totalClaims = data.reduce((total, item) => {
+            return total + (item.ai?.claims_evaluation?.claims_evaluation?.length || 0);
+        }, 0);
+
+        return {
+            totalPages,
+            totalClaims,
+            overallAvgScore: avgScores.length > 0 ? avgScores.reduce((a, b) => a + b, 0) / avgScores.length : null,
+            highScorePages: avgScores.filter(score => score >= 1).length,
+            mediumScorePages: avgScores.filter(score => score >= 0 && score < 1).length,
+            lowScorePages: avgScores.filter(score => score < 0).length,
+            noScorePages: totalPages - pagesWithScores.length
+        };
+    }
+
     formatDate() {
         return new Date().toLocaleDateString('en-US', {
             year: 'numeric',
@@ -105,10 +144,14 @@ class ProfessionalReportGenerator {
         doc.fontSize(12)
            .fillColor('#7F8C8D')
            .font('Helvetica')
-           .text(`Generated on ${this.formatDate()}`, 50, 80);
+           .text(`${this.brand.name} · Generated on ${this.formatDate()}`, 50, 80);
+
+        if (this.logo) {
+            doc.image(this.logo, 430, 45, { fit: [120, 45], align: 'right' });
+        }
 
         // Header line
-        doc.strokeColor('#3498DB')
+        doc.strokeColor(this.brand.primaryColor)
            .lineWidth(3)
            .moveTo(50, 110)
            .lineTo(550, 110)
@@ -219,19 +262,9 @@ class ProfessionalReportGenerator {
         yPos += 20;
 
         // ONLY count pages with valid claims_evaluation (data is already filtered)
-        const totalPages = data.length;
-        const avgScores = data
-            .filter(item => item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== undefined && 
-                             item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== null)
-            .map(item => item.ai.claims_evaluation.overall_analysis.average_page_score);
-        
-        const overallAvgScore = avgScores.length > 0 
-            ? (avgScores.reduce((a, b) => a + b, 0) / avgScores.length).toFixed(2)
-            : 'N/A';
-
-        const totalClaims = data.reduce((total, item) => {
-            return total + (item.ai?.claims_evaluation?.claims_evaluation?.length || 0);
-        }, 0);
+        const stats = this.analyzeData(data);
+        const { totalPages, totalClaims } = stats;
+        const overallAvgScore = stats.overallAvgScore !== null ? stats.overallAvgScore.toFixed(2) : 'N/A';
 
         // Create summary statistics table
         this.drawTable(doc, yPos, [
@@ -240,7 +273,7 @@ class ProfessionalReportGenerator {
             ['Total Claims Identified', totalClaims.toString()],
             ['Overall Average Score', overallAvgScore],
             ['Analysis Focus', 'LLM Visibility Improvement']
-        ], [200, 150], '#3498DB');
+        ], [200, 150], this.brand.primaryColor);
 
         yPos += 200; // Give proper space after table
 
@@ -253,25 +286,7 @@ class ProfessionalReportGenerator {
         yPos += 30;
 
         // Calculate insights - ONLY from pages that have scores (filtered data only)
-        const pagesWithScores = data.filter(item => 
-            item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== undefined &&
-            item.ai?.claims_evaluation?.overall_analysis?.average_page_score !== null
-        );
-        
-        const highScorePages = pagesWithScores.filter(item => 
-            item.ai.claims_evaluation.overall_analysis.average_page_score >= 1
-        ).length;
-        
-        const mediumScorePages = pagesWithScores.filter(item => {
-            const score = item.ai.claims_evaluation.overall_analysis.average_page_score;
-            return score >= 0 && score < 1;
-        }).length;
-        
-        const lowScorePages = pagesWithScores.filter(item => 
-            item.ai.claims_evaluation.overall_analysis.average_page_score < 0
-        ).length;
-        
-        const noScorePages = totalPages - pagesWithScores.length;
+        const { highScorePages, mediumScorePages, lowScorePages, noScorePages } = stats;
 
         // Key insights in bullet points with exact percentage calculation (based on valid pages only)
         const highPercent = ((highScorePages/totalPages)*100);
@@ -363,7 +378,7 @@ class ProfessionalReportGenerator {
         this.drawTable(doc, yPos, lowPagesData, [50, 60, 360], '#E74C3C', true, 1);
     }
 
-    drawTable(doc, yPos, data, columnWidths, headerColor = '#3498DB', useScoreColoring = false, scoreColumnIndex = -1) {
+    drawTable(doc, yPos, data, columnWidths, headerColor = this.brand.primaryColor, useScoreColoring = false, scoreColumnIndex = -1) {
         const startX = 50;
         const rowHeight = 30; // IMPROVEMENT: Reduced row height for a tighter table
         let currentY = yPos;
@@ -675,6 +690,26 @@ class ProfessionalReportGenerator {
         return yPos + 30;
     }
 
+    // Brand footer on every page; pages are buffered so this runs once the content is laid out
+    addFooters(doc) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Writing inside the bottom margin would otherwise make PDFKit add a page
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.fontSize(8)
+               .font('Helvetica')
+               .fillColor('#95A5A6')
+               .text(`${this.brand.name} · ${this.brand.footerText} · Page ${i - range.start + 1} of ${range.count}`, 50, doc.page.height - 35, {
+                   width: doc.page.width - 100,
+                   align: 'center',
+                   lineBreak: false
+               });
+            doc.page.margins.bottom = bottomMargin;
+        }
+    }
+
     // ✨ FIXED METHOD: Now properly handles both cases
     async generateReport(outputPath = './llm_visibility_report.pdf') {
         console.log('🚀 Starting PDF report generation...');
@@ -682,10 +717,13 @@ class ProfessionalReportGenerator {
         try {
             await this.connect();
             const data = await this.fetchData();
+            this.logo = await loadLogo(this.brand);
 
             const doc = new PDFDocument({
                 size: 'A4',
-                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+                margins: { top: 50, bottom: 50, left: 50, right: 50 },
+                bufferPages: true,
+                info: { Title: 'LLM Visibility Analysis Report', Author: this.brand.name }
             });
 
             // Normalize the output path to prevent double folder creation
@@ -755,6 +793,7 @@ class ProfessionalReportGenerator {
             }
 
             // Finalize the PDF
+            this.addFooters(doc);
             doc.end();
 
             // Wait for the PDF to be written
@@ -783,6 +822,8 @@ class ProfessionalReportGenerator {
                 throw statError;
             }
 
+            await reportStorage.save(normalizedOutputPath);
+
             console.log(`✅ Report generated successfully: ${normalizedOutputPath}`);
             
         } catch (error) {
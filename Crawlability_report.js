@@ -5,6 +5,13 @@ import robotsParser from 'robots-parser';
 import fs from 'fs';
 // Prefer shared HTML->PDF util with Puppeteer then wkhtmltopdf fallback
 import { htmlToPdf } from './utils/htmlToPdf.js';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, escapeHtml } from './utils/branding.js';
+import { checkLlmsTxt, generateLlmsTxt } from './utils/llmsTxt.js';
+import { EXPORT_FILES } from './utils/reportFiles.js';
+import { JS_DEPENDENCY_WEIGHTS } from './utils/renderDiff.js';
+import { checkUserAgentCloaking } from './utils/uaCloaking.js';
+import { AI_CRAWLERS, aiAccessForUrl, metaRobotsByAgent, parseXRobotsTag, summarizeAiAccess, scoreAiAccess } from './utils/aiCrawlers.js';
 import path from 'path';
 
 // ==================== CONFIGURATION ====================
@@ -12,6 +19,13 @@ import path from 'path';
 const MAX_DEPTH = 2; // How deep to crawl from the base URL.
 const MAX_PAGES = 20; // Maximum number of pages to crawl.
 const USER_AGENT = "LLM-Crawlability-Checker/1.0"; // Custom user agent for the bot.
+const MAX_AI_MATRIX_ROWS = 25; // URLs shown in the report's AI crawler access matrix.
+const LLMS_TXT_PREVIEW_LINES = 40; // Lines of the recommended llms.txt printed in the report.
+const JS_DEPENDENCY_HIGH = 30; // JS-dependency % from which a page counts as relying on JavaScript.
+const MAX_JS_RENDERING_ROWS = 25; // Pages listed in the report's JavaScript rendering section.
+const MAX_CLOAKING_PAGES = 5; // Key pages fetched with a browser UA and every AI crawler UA.
+const CLOAKING_DEADLINE_MS = 60000; // Time budget of the whole user-agent comparison.
+const LLMS_TXT_FILENAME = EXPORT_FILES.find(f => f.key === 'llms-txt').filename;
 
 // --- MongoDB Settings (UPDATE THESE) ---
 const MONGO_URI = process.env.MONGODB_URI;
@@ -21,14 +35,15 @@ const COLLECTION_NAME = "extractions_3"; // The name of the collection.
 // ==================== DATABASE CONNECTION ====================
 /**
  * Connects to MongoDB and returns the database and collection objects.
+ * @param {object} [options] - Optional overrides (mongoUri, mongoOptions, dbName, collectionName).
  * @returns {Promise<{client: MongoClient, db: any, collection: any}>}
  */
-async function connectToDb() {
-    const client = new MongoClient(MONGO_URI);
+async function connectToDb(options = {}) {
+    const client = new MongoClient(options.mongoUri || MONGO_URI, options.mongoOptions || {});
     try {
         await client.connect();
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
+        const db = client.db(options.dbName || DB_NAME);
+        const collection = db.collection(options.collectionName || COLLECTION_NAME);
         console.log("✅ Successfully connected to MongoDB.");
         return { client, db, collection };
     } catch (err) {
@@ -56,7 +71,7 @@ function normalizeUrl(u) {
 /**
  * Fetches the HTML content of a URL with a timeout.
  * @param {string} url - The URL to fetch.
- * @returns {Promise<{html: string|null, error: string|null, statusCode: number|null}>}
+ * @returns {Promise<{html: string|null, error: string|null, statusCode: number|null, xRobotsTag: string[]}>}
  */
 async function fetchHTML(url) {
     const controller = new AbortController();
@@ -64,18 +79,20 @@ async function fetchHTML(url) {
     try {
         const res = await fetch(url, { redirect: "follow", signal: controller.signal, headers: { 'User-Agent': USER_AGENT } });
         clearTimeout(timeout);
+        // Kept per header line: a "GPTBot:" prefix only applies within its own line
+        const xRobotsTag = res.headers.raw()['x-robots-tag'] || [];
         if (!res.ok) {
             const error = `HTTP ${res.status} - ${res.statusText}`;
             console.error(`⚠️  Failed to fetch ${url} (Status: ${res.status})`);
-            return { html: null, error, statusCode: res.status };
+            return { html: null, error, statusCode: res.status, xRobotsTag };
         }
         const html = await res.text();
-        return { html, error: null, statusCode: res.status };
+        return { html, error: null, statusCode: res.status, xRobotsTag };
     } catch (err) {
         clearTimeout(timeout);
         const error = err.message;
         console.error(`❌ Fetch error for ${url}:`, error);
-        return { html: null, error, statusCode: null };
+        return { html: null, error, statusCode: null, xRobotsTag: [] };
     }
 }
 
@@ -173,17 +190,21 @@ async function performDiagnostics(baseUrl) {
 /**
  * The main crawling function that explores a website.
  * @param {string} baseUrl - The starting URL for the crawl.
+ * @param {object} [options]
+ * @param {number} [options.maxPages] - Page cap for this crawl (plan limit), defaults to MAX_PAGES.
  * @returns {Promise<object>} - A comprehensive object containing all crawl data.
  */
-async function crawl(baseUrl) {
+async function crawl(baseUrl, { maxPages = MAX_PAGES } = {}) {
     const visited = new Set();
     const toVisit = [{ url: normalizeUrl(baseUrl), depth: 0 }];
     const pages = [];
     const crawlErrors = [];
+    // One row per URL with the access of every AI crawler (AI_CRAWLERS), including robots-blocked URLs
+    const aiAccessRows = [];
 
     console.log("=".repeat(50));
     console.log(`🕷️  Starting crawl for: ${baseUrl}`);
-    console.log(`📊 Max Depth: ${MAX_DEPTH} | Max Pages: ${MAX_PAGES}`);
+    console.log(`📊 Max Depth: ${MAX_DEPTH} | Max Pages: ${maxPages}`);
     console.log("=".repeat(50));
 
     // Perform initial diagnostics
@@ -210,16 +231,17 @@ async function crawl(baseUrl) {
             crawlDate: new Date(),
             userAgent: USER_AGENT,
             maxDepth: MAX_DEPTH,
-            maxPages: MAX_PAGES,
+            maxPages,
             robotsFound,
             diagnostics,
             crawlErrors,
+            aiCrawlerAccess: null,
             crawlSuccess: false,
             crawlFailureReason: "Server not responsive"
         };
     }
 
-    while (toVisit.length > 0 && visited.size < MAX_PAGES) {
+    while (toVisit.length > 0 && visited.size < maxPages) {
         const { url, depth } = toVisit.shift();
 
         if (visited.has(url) || depth > MAX_DEPTH) {
@@ -229,13 +251,16 @@ async function crawl(baseUrl) {
         if (robots && !robots.isAllowed(url, USER_AGENT)) {
             console.log(`🚫 Skipping (blocked by robots.txt): ${url}`);
             crawlErrors.push(`Blocked by robots.txt: ${url}`);
+            if (!aiAccessRows.some(r => r.url === url)) {
+                aiAccessRows.push({ url, fetched: false, bots: aiAccessForUrl(url, { robots }) });
+            }
             continue;
         }
 
         visited.add(url);
-        console.log(`[${visited.size}/${MAX_PAGES}] Crawling (Depth ${depth}): ${url}`);
+        console.log(`[${visited.size}/${maxPages}] Crawling (Depth ${depth}): ${url}`);
 
-        const { html, error } = await fetchHTML(url);
+        const { html, error, xRobotsTag } = await fetchHTML(url);
         if (!html) {
             crawlErrors.push(`Failed to fetch ${url}: ${error}`);
             continue;
@@ -248,6 +273,8 @@ async function crawl(baseUrl) {
         const images = Array.from(doc.querySelectorAll("img"));
         const totalImages = images.length;
         const withAlt = images.filter(img => img.hasAttribute("alt") && img.getAttribute("alt").trim() !== "").length;
+        const aiAccess = aiAccessForUrl(url, { robots, meta: metaRobotsByAgent(doc), headers: parseXRobotsTag(xRobotsTag) });
+        aiAccessRows.push({ url, fetched: true, bots: aiAccess });
         
         pages.push({
             fullUrl: url,
@@ -259,6 +286,8 @@ async function crawl(baseUrl) {
             h2Count: doc.querySelectorAll("h2").length,
             h3Count: doc.querySelectorAll("h3").length,
             noJsContent: doc.querySelectorAll("noscript").length,
+            xRobotsTag,
+            aiAccess,
         });
 
         // Find new internal links to visit
@@ -285,10 +314,11 @@ async function crawl(baseUrl) {
         crawlDate: new Date(),
         userAgent: USER_AGENT,
         maxDepth: MAX_DEPTH,
-        maxPages: MAX_PAGES,
+        maxPages,
         robotsFound,
         diagnostics,
         crawlErrors,
+        aiCrawlerAccess: aiAccessRows.length > 0 ? { bots: summarizeAiAccess(aiAccessRows), urls: aiAccessRows } : null,
         crawlSuccess: pages.length > 0,
         crawlFailureReason: pages.length === 0 ? "No pages could be successfully crawled" : null
     };
@@ -419,6 +449,7 @@ function generateFallbackReport(targetUrl, diagnostics = {}, crawlErrors = []) {
         robotsFound: false,
         diagnostics,
         crawlErrors,
+        aiCrawlerAccess: null,
         crawlSuccess: false,
         crawlFailureReason: "Complete crawl failure",
         fallbackReport: {
@@ -431,6 +462,43 @@ function generateFallbackReport(targetUrl, diagnostics = {}, crawlErrors = []) {
 }
 
 // ==================== HTML REPORT GENERATION ====================
+const UA_FINDING_LABELS = {
+    blocked: 'AI crawlers get error responses that browsers do not',
+    challenge: 'AI crawlers get WAF / bot-protection challenge pages',
+    cloaking: 'AI crawlers are served different content than browsers (cloaking)',
+    different: 'AI crawlers get noticeably different content',
+    redirected: 'AI crawlers are redirected elsewhere',
+    error: 'Requests with AI crawler user agents fail'
+};
+
+/**
+ * Issues, recommendations and score penalty for the user-agent comparison, one issue per kind
+ * of finding; high-severity ones are flagged as such.
+ * @param {object|null} uaComparison - Result of checkUserAgentCloaking (utils/uaCloaking.js).
+ * @returns {{issues: string[], recommendations: string[], penalty: number}}
+ */
+function analyzeUaComparison(uaComparison) {
+    const result = { issues: [], recommendations: [], penalty: 0 };
+    if (!uaComparison || uaComparison.findings.length === 0) return result;
+    for (const [type, label] of Object.entries(UA_FINDING_LABELS)) {
+        const findings = uaComparison.findings.filter(f => f.type === type);
+        if (findings.length === 0) continue;
+        const bots = [...new Set(findings.map(f => f.token))].join(', ');
+        const pageCount = new Set(findings.map(f => f.url)).size;
+        const severity = findings[0].severity === 'high' ? 'HIGH SEVERITY' : 'Medium severity';
+        result.issues.push(`🚨 ${severity} - ${label}: ${bots} on ${pageCount} page(s)`);
+    }
+    const types = new Set(uaComparison.findings.map(f => f.type));
+    if (types.has('blocked') || types.has('challenge')) {
+        result.recommendations.push("Allow verified AI crawlers through your WAF / bot protection (e.g. Cloudflare's bot settings) so they get the same pages as visitors");
+    }
+    if (types.has('cloaking') || types.has('different') || types.has('redirected')) {
+        result.recommendations.push("Serve AI crawlers the same content as browsers; user-agent specific content is treated as cloaking and can get the site dropped from AI answers");
+    }
+    result.penalty = Math.min(30, uaComparison.high * 5) + Math.min(10, uaComparison.medium * 2);
+    return result;
+}
+
 /**
  * Analyzes crawl results to generate a score, summaries, and issues.
  * @param {Array<object>} pages - Array of page data from the crawl.
@@ -438,14 +506,15 @@ function generateFallbackReport(targetUrl, diagnostics = {}, crawlErrors = []) {
  * @returns {object} - An analysis object with score, summary, issues, etc.
  */
 function analyzeResults(pages, crawlData = {}) {
-    const { crawlSuccess, diagnostics = {}, crawlErrors = [], fallbackReport } = crawlData;
+    const { crawlSuccess, diagnostics = {}, crawlErrors = [], fallbackReport, aiCrawlerAccess, llmsTxt, jsRendering, uaComparison } = crawlData;
+    const uaAnalysis = analyzeUaComparison(uaComparison);
     
     if (!crawlSuccess || pages.length === 0) {
-        // Generate analysis for failed crawl
+        // Generate analysis for failed crawl; a site that only blocks bots is worth saying so
         return {
             score: 0,
             summary: [],
-            issues: fallbackReport ? fallbackReport.detectedIssues : ["Complete crawl failure - unable to analyze any pages"],
+            issues: [...uaAnalysis.issues, ...(fallbackReport ? fallbackReport.detectedIssues : ["Complete crawl failure - unable to analyze any pages"])],
             recommendations: fallbackReport ? fallbackReport.genericRecommendations : ["Check server accessibility and configuration"],
             isFallbackReport: true
         };
@@ -501,14 +570,74 @@ function analyzeResults(pages, crawlData = {}) {
         summary.push("All pages have proper H1 heading structure");
     }
 
-    // JavaScript Dependency Analysis
-    const jsHeavyPages = pages.filter(p => (p.noJsContent || 0) > 0).length;
-    if (jsHeavyPages > 0) {
-        issues.push(`JavaScript Dependency: ${jsHeavyPages} page(s) may have content requiring JavaScript`);
-        recommendations.push("Ensure critical content is accessible without JavaScript");
-        score -= 10;
+    // JavaScript Dependency Analysis: raw vs rendered HTML of the analyzed pages.
+    // Crawls stored before that diff existed fall back to counting <noscript> elements.
+    if (jsRendering && jsRendering.pagesCompared > 0) {
+        const heavyPages = jsRendering.pages.filter(p => p.jsDependency >= JS_DEPENDENCY_HIGH).length;
+        if (heavyPages > 0) {
+            issues.push(`JavaScript Dependency: ${heavyPages}/${jsRendering.pagesCompared} page(s) show ${JS_DEPENDENCY_HIGH}%+ of their content only after JavaScript runs (average ${jsRendering.averageDependency}%)`);
+            recommendations.push("Server-render the text, headings, links, meta tags and JSON-LD that only appear after JavaScript runs; most AI crawlers read the raw HTML only");
+            score -= Math.min(15, 5 + heavyPages * 2);
+        } else {
+            summary.push(`Content is available without JavaScript (average JS dependency ${jsRendering.averageDependency}%)`);
+        }
     } else {
-        summary.push("No excessive JavaScript dependency detected");
+        const jsHeavyPages = pages.filter(p => (p.noJsContent || 0) > 0).length;
+        if (jsHeavyPages > 0) {
+            issues.push(`JavaScript Dependency: ${jsHeavyPages} page(s) may have content requiring JavaScript`);
+            recommendations.push("Ensure critical content is accessible without JavaScript");
+            score -= 10;
+        } else {
+            summary.push("No excessive JavaScript dependency detected");
+        }
+    }
+
+    // AI Crawler Access Analysis (crawls stored before the matrix existed have none)
+    if (aiCrawlerAccess && aiCrawlerAccess.bots) {
+        const { penalty, blocked, partial } = scoreAiAccess(aiCrawlerAccess.bots);
+        if (blocked.length > 0) {
+            issues.push(`AI Crawler Access: ${blocked.join(', ')} blocked from every crawled page`);
+            recommendations.push(`Allow ${blocked.join(', ')} in robots.txt and remove bot-specific noindex directives if the site should appear in AI answers`);
+        }
+        if (partial.length > 0) {
+            issues.push(`AI Crawler Access: ${partial.join(', ')} blocked or restricted (noai/nosnippet) on some pages`);
+            recommendations.push("Review the AI crawler access matrix and lift restrictions on pages that should be cited by AI assistants");
+        }
+        if (blocked.length === 0 && partial.length === 0) {
+            summary.push(`All ${AI_CRAWLERS.length} checked AI crawlers can access every crawled page`);
+        }
+        score -= penalty;
+    }
+
+    // llms.txt Analysis (scored on its own, see utils/llmsTxt.js)
+    if (llmsTxt) {
+        const recommendedNote = llmsTxt.recommended ? ` (a recommended ${llmsTxt.recommended.filename} is included with this report)` : '';
+        if (!llmsTxt.found) {
+            issues.push(`llms.txt: ${llmsTxt.issues[0] || 'No llms.txt at the site root'}`);
+            recommendations.push(`Publish an llms.txt at ${llmsTxt.url} that points AI assistants to your key pages${recommendedNote}`);
+            score -= 5;
+        } else if (llmsTxt.score < 70) {
+            issues.push(`llms.txt: scores ${llmsTxt.score}/100 with ${llmsTxt.issues.length} problem(s)`);
+            recommendations.push(`Fix the llms.txt problems listed in the llms.txt section${recommendedNote}`);
+            score -= 5;
+        } else {
+            summary.push(`llms.txt found and well-formed (${llmsTxt.score}/100)`);
+        }
+    }
+
+    // User-Agent Comparison (AI bots vs browsers); high-severity findings lead the issue list
+    if (uaComparison) {
+        if (uaAnalysis.issues.length > 0) {
+            issues.unshift(...uaAnalysis.issues);
+            recommendations.unshift(...uaAnalysis.recommendations);
+            score -= uaAnalysis.penalty;
+        } else {
+            const checked = uaComparison.pages.filter(p => p.browser).length;
+            summary.push(`AI crawler user agents get the same responses as browsers on ${checked} key page(s)`);
+        }
+        if (uaComparison.timedOut) {
+            issues.push(`User-Agent Comparison: time limit reached, some pages or AI crawlers were not checked (the site answered slowly)`);
+        }
     }
 
     // Add crawl errors to issues if any
@@ -529,10 +658,12 @@ function analyzeResults(pages, crawlData = {}) {
 /**
  * Generates the complete HTML report as a string.
  * @param {object} crawlData - The complete data object from the crawl function.
+ * @param {object} [brandOverrides] - Organization branding (utils/branding.js) for the header and footer.
  * @returns {string} - The full HTML page as a string.
  */
-function generateHtmlReport(crawlData) {
-    const { targetUrl, pages, crawlDate, userAgent, maxDepth, maxPages, robotsFound, diagnostics = {}, crawlErrors = [], fallbackReport } = crawlData;
+function generateHtmlReport(crawlData, brandOverrides = null) {
+    const brand = { ...DEFAULT_BRAND, ...(brandOverrides || {}) };
+    const { targetUrl, pages, crawlDate, userAgent, maxDepth, maxPages, robotsFound, diagnostics = {}, crawlErrors = [], fallbackReport, aiCrawlerAccess, llmsTxt, jsRendering, uaComparison } = crawlData;
     const analysis = analyzeResults(pages, crawlData);
 
     const formattedDate = crawlDate.toLocaleDateString('en-US', {
@@ -545,13 +676,19 @@ function generateHtmlReport(crawlData) {
         return url.substring(0, maxLength - 3) + "...";
     };
 
+    // JS dependency per crawled URL, from the page analysis' raw vs rendered diff
+    const urlKey = url => url.replace(/[#?].*$/, '').replace(/\/+$/, '').toLowerCase();
+    const jsDependencyByUrl = new Map((jsRendering?.pages || []).map(p => [urlKey(p.url), p.jsDependency]));
+    const jsDependencyBadge = value => value == null
+        ? '<span class="status-badge">N/A</span>'
+        : `<span class="status-badge ${value >= JS_DEPENDENCY_HIGH ? 'status-no' : value > 0 ? 'status-warn' : 'status-yes'}">${value >= JS_DEPENDENCY_HIGH ? '⚠️' : '✅'} ${value}%</span>`;
+
     // Generate table rows from page data or fallback message
     const tableRows = pages.length > 0 ? pages.map((page, index) => {
         const altPercent = page.totalImages > 0 ? `${Math.round((page.withAlt / page.totalImages) * 100)}%` : "N/A";
         const jsonLdDisplay = page.jsonLd > 0 ? `✅ ${page.jsonLd}` : "❌ 0";
         const h1Display = page.h1Count > 0 ? `✅ ${page.h1Count}` : "❌ 0";
         const robotsDisplay = page.robotsDirectives.length > 0 ? page.robotsDirectives.join(", ") : "None";
-        const noScriptDisplay = page.noJsContent > 0 ? `⚠️ ${page.noJsContent}` : "✅ 0";
 
         return `
             <tr>
@@ -565,7 +702,7 @@ function generateHtmlReport(crawlData) {
                 <td><span class="status-badge ${h1Display.includes('✅') ? 'status-yes' : 'status-no'}">${h1Display}</span></td>
                 <td>${page.h2Count}/${page.h3Count}</td>
                 <td>${robotsDisplay}</td>
-                <td><span class="status-badge ${noScriptDisplay.includes('✅') ? 'status-yes' : 'status-no'}">${noScriptDisplay}</span></td>
+                <td>${jsDependencyBadge(jsDependencyByUrl.get(urlKey(page.fullUrl)))}</td>
             </tr>`;
     }).join('') : `<tr><td colspan="9" style="text-align: center; padding: 20px; color: #dc3545;">❌ No pages could be crawled. See diagnostics section below for details.</td></tr>`;
 
@@ -589,6 +726,154 @@ function generateHtmlReport(crawlData) {
             </ul>
         </div>` : '';
 
+    // AI crawler access: per-bot verdicts, then a URL x bot matrix (first MAX_AI_MATRIX_ROWS URLs)
+    const accessBadge = {
+        allowed: '<span class="status-badge status-yes">✅ Allowed</span>',
+        restricted: '<span class="status-badge status-warn">⚠️ Restricted</span>',
+        blocked: '<span class="status-badge status-no">⛔ Blocked</span>'
+    };
+    const verdictBadge = { ...accessBadge, partial: '<span class="status-badge status-warn">⚠️ Partial</span>' };
+    const aiAccessSection = aiCrawlerAccess && aiCrawlerAccess.bots ? `
+            <div class="table-section" style="margin-bottom: 40px;">
+                <h2>🤖 AI Crawler Access</h2>
+                <p style="margin-bottom: 15px; color: #495057;">Access of each AI crawler according to robots.txt, meta robots tags and X-Robots-Tag headers. Restricted pages may be indexed but opt out of AI use (noai, noimageai, nosnippet).</p>
+                <div class="table-container" style="margin-bottom: 25px;">
+                    <table class="data-table">
+                        <thead><tr><th>Crawler</th><th>Operator</th><th>Verdict</th><th>Allowed</th><th>Restricted</th><th>Blocked</th></tr></thead>
+                        <tbody>${aiCrawlerAccess.bots.map(bot => `
+                            <tr>
+                                <td><strong>${bot.token}</strong></td>
+                                <td>${bot.operator}</td>
+                                <td>${verdictBadge[bot.verdict]}</td>
+                                <td>${bot.allowed}</td>
+                                <td>${bot.restricted}</td>
+                                <td>${bot.blocked}</td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>URL</th>${aiCrawlerAccess.bots.map(bot => `<th>${bot.token}</th>`).join('')}</tr></thead>
+                        <tbody>${aiCrawlerAccess.urls.slice(0, MAX_AI_MATRIX_ROWS).map(row => `
+                            <tr>
+                                <td class="url-cell">${escapeHtml(truncateUrl(row.url))}${row.fetched ? '' : ' <small>(not fetched)</small>'}</td>
+                                ${aiCrawlerAccess.bots.map(({ token }) => {
+                                    const cell = row.bots[token];
+                                    return `<td title="${escapeHtml(cell.reasons.join('; '))}">${accessBadge[cell.access]}</td>`;
+                                }).join('')}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${aiCrawlerAccess.urls.length > MAX_AI_MATRIX_ROWS ? `<p style="margin-top: 10px; color: #6c757d;">Showing ${MAX_AI_MATRIX_ROWS} of ${aiCrawlerAccess.urls.length} URLs.</p>` : ''}
+            </div>` : '';
+
+    // JavaScript rendering: per-page raw vs rendered diff, then what non-JS crawlers miss on the worst pages
+    const renderedOnly = p => [
+        ...(p.headings.samples || []).slice(0, 5).map(h => `<li>H${h.level}: ${escapeHtml(h.text)}</li>`),
+        ...(p.text.samples || []).slice(0, 5).map(t => `<li>Text: ${escapeHtml(t)}</li>`),
+        ...(p.metaTags || []).map(m => `<li>Meta ${escapeHtml(m.name)}: ${escapeHtml(m.raw || '(missing)')} → ${escapeHtml(m.rendered)}</li>`),
+        ...(p.jsonLd.types.length ? [`<li>JSON-LD: ${escapeHtml(p.jsonLd.types.join(', '))}</li>`] : [])
+    ].join('');
+    const jsRenderingSection = jsRendering && jsRendering.pagesCompared > 0 ? `
+            <div class="table-section" style="margin-bottom: 40px;">
+                <h2>⚙️ JavaScript Rendering</h2>
+                <p style="margin-bottom: 15px; color: #495057;">Most AI crawlers do not run JavaScript. Each page was fetched raw and rendered in a browser; the JS dependency is the share of rendered content (text ${Math.round(JS_DEPENDENCY_WEIGHTS.text * 100)}%, headings ${Math.round(JS_DEPENDENCY_WEIGHTS.headings * 100)}%, links, meta tags and JSON-LD ${Math.round(JS_DEPENDENCY_WEIGHTS.links * 100)}% each) missing from the raw HTML. Average: <strong>${jsRendering.averageDependency}%</strong> over ${jsRendering.pagesCompared} page(s)${jsRendering.notCompared ? `; ${jsRendering.notCompared} page(s) could not be compared` : ''}.</p>
+                <div class="table-container" style="margin-bottom: 25px;">
+                    <table class="data-table">
+                        <thead><tr><th>URL</th><th>JS Dependency</th><th>Words (Raw/Rendered)</th><th>Headings Only Rendered</th><th>Links Only Rendered</th><th>Meta Tags Changed</th><th>JSON-LD Only Rendered</th></tr></thead>
+                        <tbody>${jsRendering.pages.slice(0, MAX_JS_RENDERING_ROWS).map(p => `
+                            <tr>
+                                <td class="url-cell">${escapeHtml(truncateUrl(p.url))}</td>
+                                <td>${jsDependencyBadge(p.jsDependency)}</td>
+                                <td>${p.text.rawWords}/${p.text.renderedWords}</td>
+                                <td>${p.headings.renderedOnly}/${p.headings.rendered}</td>
+                                <td>${p.links.renderedOnly}/${p.links.rendered}</td>
+                                <td>${p.metaTags.length}</td>
+                                <td>${p.jsonLd.renderedOnly}/${p.jsonLd.rendered}</td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${jsRendering.pages.filter(p => p.jsDependency > 0).slice(0, 3).map(p => `
+                <div class="analysis-card issues" style="margin-bottom: 20px;">
+                    <h3>🙈 Only after JavaScript: ${escapeHtml(truncateUrl(p.url, 70))} (${p.jsDependency}%)</h3>
+                    <ul class="analysis-list">${renderedOnly(p) || '<li>Only links differ.</li>'}</ul>
+                </div>`).join('')}
+            </div>` : '';
+
+    // llms.txt: check result, then the start of the recommended file
+    // User-agent comparison: findings first, then a page x bot table of what each bot got
+    const severityBadge = {
+        high: '<span class="status-badge status-no">High</span>',
+        medium: '<span class="status-badge status-warn">Medium</span>'
+    };
+    const uaVerdictBadge = {
+        same: '<span class="status-badge status-yes">✅ Same</span>',
+        different: '<span class="status-badge status-warn">⚠️ Different</span>',
+        redirected: '<span class="status-badge status-warn">↪️ Redirected</span>',
+        error: '<span class="status-badge status-warn">⚠️ Failed</span>',
+        blocked: '<span class="status-badge status-no">⛔ Blocked</span>',
+        challenge: '<span class="status-badge status-no">🧱 Challenge</span>',
+        cloaking: '<span class="status-badge status-no">🎭 Cloaking</span>',
+        inconclusive: '<span class="status-badge">— n/a</span>'
+    };
+    const uaCell = bot => {
+        const facts = bot.status == null ? (bot.error || 'not checked') : `HTTP ${bot.status}${bot.similarity != null ? ` · ${Math.round(bot.similarity * 100)}% text` : ''}`;
+        return `<td title="${escapeHtml(bot.detail || '')}">${uaVerdictBadge[bot.verdict]}<br><small>${escapeHtml(facts)}</small></td>`;
+    };
+    const uaComparisonSection = uaComparison && uaComparison.pages.length > 0 ? `
+            <div class="table-section" style="margin-bottom: 40px;">
+                <h2>🕵️ AI Bot vs Browser Responses</h2>
+                <p style="margin-bottom: 15px; color: #495057;">Key pages were fetched with a regular browser user agent and with the user agent of each AI crawler (${uaComparison.bots.join(', ')}); status codes, response size and main-text similarity were compared. Pages whose text changes between two browser visits get a wider margin before being flagged.${uaComparison.timedOut ? ' The comparison stopped at its time limit; pages and crawlers it did not reach are marked n/a.' : ''}</p>
+                ${uaComparison.findings.length > 0 ? `
+                <div class="analysis-card issues" style="margin-bottom: 25px;">
+                    <h3>🚨 ${uaComparison.high} high / ${uaComparison.medium} medium severity finding(s)</h3>
+                    <ul class="analysis-list">${uaComparison.findings.map(f => `<li>${severityBadge[f.severity]} <strong>${f.token}</strong> · ${escapeHtml(truncateUrl(f.url, 60))}: ${escapeHtml(f.detail)}</li>`).join('')}</ul>
+                </div>` : `
+                <div class="analysis-card" style="margin-bottom: 25px;">
+                    <h3>✅ AI crawlers get the same responses as browsers</h3>
+                </div>`}
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>URL</th><th>Browser</th>${uaComparison.bots.map(token => `<th>${token}</th>`).join('')}</tr></thead>
+                        <tbody>${uaComparison.pages.map(p => `
+                            <tr>
+                                <td class="url-cell">${escapeHtml(truncateUrl(p.url))}</td>
+                                <td>${!p.browser ? '— not checked' : p.browser.status == null ? `❌ ${escapeHtml(p.browser.error || 'no response')}` : `HTTP ${p.browser.status}${p.browser.challenge ? ` (${escapeHtml(p.browser.challenge)} challenge)` : ''}<br><small>${Math.round(p.browser.length / 1024)} KB</small>`}</td>
+                                ${p.bots.map(uaCell).join('')}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>` : '';
+
+    const recommendedLines = llmsTxt?.recommended ? llmsTxt.recommended.content.split('\n') : [];
+    const llmsTxtSection = llmsTxt ? `
+            <div class="table-section" style="margin-bottom: 40px;">
+                <h2>📄 llms.txt</h2>
+                <div class="analysis-grid">
+                    <div class="analysis-card${llmsTxt.found ? '' : ' issues'}">
+                        <h3>${llmsTxt.found ? `✅ Found · ${llmsTxt.score}/100` : '❌ Not Found'}</h3>
+                        <ul class="analysis-list">
+                            <li>llms.txt: ${escapeHtml(llmsTxt.url)} ${llmsTxt.found ? '✅' : `❌ ${escapeHtml(llmsTxt.error || '')}`}</li>
+                            <li>llms-full.txt: ${llmsTxt.full.found ? '✅ Found' : '❌ Not found'}</li>
+                            ${llmsTxt.validation ? `<li>Sections: ${llmsTxt.validation.sections.length} · Links: ${llmsTxt.validation.links.length} (${llmsTxt.brokenLinks.length} of ${llmsTxt.checkedLinks} checked broken)</li>` : ''}
+                        </ul>
+                    </div>
+                    <div class="analysis-card issues">
+                        <h3>⚠️ Findings</h3>
+                        <ul class="analysis-list">${llmsTxt.issues.map(issue => `<li>⚠️ ${escapeHtml(issue)}</li>`).join('') || '<li>No problems found.</li>'}</ul>
+                    </div>
+                </div>
+                ${llmsTxt.recommended ? `
+                <div class="analysis-card recs">
+                    <h3>💡 Recommended llms.txt · ${llmsTxt.recommended.linkCount} link(s), delivered as ${escapeHtml(llmsTxt.recommended.filename)}</h3>
+                    <pre class="llms-preview">${escapeHtml(recommendedLines.slice(0, LLMS_TXT_PREVIEW_LINES).join('\n'))}${recommendedLines.length > LLMS_TXT_PREVIEW_LINES ? '\n…' : ''}</pre>
+                </div>` : ''}
+            </div>` : '';
+
     // Generate fallback information section if this is a fallback report
     const fallbackSection = fallbackReport ? `
         <div class="analysis-card" style="margin-top: 30px; border-left-color: #dc3545;">
@@ -626,9 +911,10 @@ function generateHtmlReport(crawlData) {
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f4f4f4; }
         .container { max-width: 1200px; margin: 20px auto; background: white; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1a237e 0%, #3f51b5 100%); color: white; padding: 40px 30px; text-align: center; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.accentColor} 100%); color: white; padding: 40px 30px; text-align: center; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
         .header h1 { font-size: 2.5em; margin-bottom: 10px; }
         .header p { font-size: 1.2em; opacity: 0.9; }
+        .header .brand-logo { max-height: 60px; max-width: 220px; margin-bottom: 15px; }
         .report-meta { background: #f8f9fa; padding: 20px 30px; border-bottom: 1px solid #e9ecef; display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 15px; }
         .meta-item { display: flex; align-items: center; gap: 10px; }
         .meta-label { font-weight: 600; color: #495057; }
@@ -650,7 +936,7 @@ function generateHtmlReport(crawlData) {
         .table-section h2 { color: #1a237e; margin-bottom: 20px; font-size: 1.8em; border-bottom: 3px solid #e9ecef; padding-bottom: 10px; }
         .table-container { border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); overflow: hidden; }
         .data-table { width: 100%; border-collapse: collapse; background: white; font-size: 0.9em; }
-        .data-table th { background: linear-gradient(135deg, #1a237e 0%, #3f51b5 100%); color: white; padding: 15px 12px; text-align: left; font-weight: 600; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .data-table th { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.accentColor} 100%); color: white; padding: 15px 12px; text-align: left; font-weight: 600; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
         .data-table td { padding: 12px; border-bottom: 1px solid #e9ecef; }
         .data-table tr:nth-child(even) { background: #f8f9fa; }
         .url-cell { max-width: 250px; word-break: break-all; }
@@ -659,6 +945,8 @@ function generateHtmlReport(crawlData) {
         .status-badge { display: inline-flex; align-items: center; gap: 5px; white-space: nowrap; padding: 4px 8px; border-radius: 4px; font-size: 0.8em; font-weight: 600; }
         .status-yes { background: #d4edda; color: #155724; }
         .status-no { background: #f8d7da; color: #721c24; }
+        .status-warn { background: #fff3cd; color: #856404; }
+        .llms-preview { background: #fff; border: 1px solid #e9ecef; border-radius: 8px; padding: 15px; font-size: 0.8em; white-space: pre-wrap; word-break: break-word; }
         .footer { background: #f8f9fa; padding: 20px 30px; text-align: center; color: #6c757d; border-top: 1px solid #e9ecef; }
         .failure-notice { background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 15px; border-radius: 8px; margin-bottom: 30px; text-align: center; }
         @media (max-width: 992px) { .analysis-grid { grid-template-columns: 1fr; } }
@@ -667,6 +955,7 @@ function generateHtmlReport(crawlData) {
 <body>
     <div class="container">
         <div class="header">
+            ${brand.logoUrl ? `<img class="brand-logo" src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}">` : ''}
             <h1>🕷️ Crawlability Analysis Report</h1>
             <p>Professional SEO Technical Audit</p>
         </div>
@@ -710,13 +999,21 @@ function generateHtmlReport(crawlData) {
                 ${fallbackSection}
             </div>
             
+            ${aiAccessSection}
+
+            ${uaComparisonSection}
+
+            ${llmsTxtSection}
+
+            ${jsRenderingSection}
+
             <div class="table-section">
                 <h2>📊 Detailed Page Analysis</h2>
                 <div class="table-container">
                     <table class="data-table">
                         <thead>
                             <tr>
-                                <th>#</th><th>URL</th><th>Images (Alt/Total)</th><th>Alt %</th><th>JSON-LD</th><th>H1</th><th>H2/H3</th><th>Meta Robots</th><th>NoScript</th>
+                                <th>#</th><th>URL</th><th>Images (Alt/Total)</th><th>Alt %</th><th>JSON-LD</th><th>H1</th><th>H2/H3</th><th>Meta Robots</th><th>JS Dependency</th>
                             </tr>
                         </thead>
                         <tbody>${tableRows}</tbody>
@@ -726,7 +1023,7 @@ function generateHtmlReport(crawlData) {
         </div>
         
         <div class="footer">
-            <p>Generated by Dynamic Crawlability Analysis Tool</p>
+            <p>${escapeHtml(brand.name)} · ${escapeHtml(brand.footerText)}</p>
         </div>
     </div>
 </body>
@@ -742,6 +1039,7 @@ async function generatePdfReport(htmlContent, fullPdfPath) {
     try {
         const resolvedPath = path.resolve(fullPdfPath);
         await htmlToPdf(htmlContent, resolvedPath);
+        await reportStorage.save(resolvedPath);
         console.log(`📄 PDF report generated: ${resolvedPath}`);
     } catch (error) {
         console.error(`❌ Failed to generate PDF report:`, error);
@@ -818,14 +1116,98 @@ async function main() {
     }
 }
 
+/**
+ * Checks the site's /llms.txt and /llms-full.txt and writes a recommended llms.txt, built from
+ * the run's page summaries and classifications, next to the PDF.
+ * @param {string} targetUrl - The crawled site.
+ * @param {object} collection - The run's working collection.
+ * @param {string|null} runId - Analysis run whose page documents feed the recommendation.
+ * @param {string} reportDir - Directory the recommended file is written to.
+ * @returns {Promise<object|null>} The check result with `recommended` ({ filename, linkCount, content } or null).
+ */
+async function assessLlmsTxt(targetUrl, collection, runId, reportDir) {
+    try {
+        const llmsTxt = await checkLlmsTxt(targetUrl);
+        console.log(`📄 llms.txt: ${llmsTxt.found ? `found (score ${llmsTxt.score}/100)` : 'not found'}`);
+
+        const docs = await collection
+            .find({ ...(runId ? { runId } : {}), type: { $ne: 'crawlability_report' }, url: { $exists: true } })
+            .project({ url: 1, metaTags: 1, 'ai.page_summary': 1, 'ai.classification': 1, 'ai.scoring.page_importance': 1 })
+            .toArray();
+        const { content, linkCount } = generateLlmsTxt(targetUrl, docs);
+        llmsTxt.recommended = null;
+        if (linkCount > 0) {
+            const filePath = path.join(reportDir, LLMS_TXT_FILENAME);
+            await fs.promises.mkdir(reportDir, { recursive: true });
+            await fs.promises.writeFile(filePath, content);
+            await reportStorage.save(filePath);
+            llmsTxt.recommended = { filename: LLMS_TXT_FILENAME, linkCount, content };
+            console.log(`📝 Recommended llms.txt written with ${linkCount} link(s): ${filePath}`);
+        } else {
+            console.log("ℹ️  No page summaries available, skipping the recommended llms.txt");
+        }
+        return llmsTxt;
+    } catch (error) {
+        console.error("⚠️  llms.txt check failed:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Collects the raw vs rendered HTML diffs WebsiteAnalyzer stored on the run's page documents.
+ * @param {object} collection - The run's working collection.
+ * @param {string|null} runId - Analysis run whose page documents are read.
+ * @returns {Promise<object|null>} { pagesCompared, notCompared, averageDependency, pages } (worst first), or null without diffs.
+ */
+async function loadJsRendering(collection, runId) {
+    try {
+        const docs = await collection
+            .find({ ...(runId ? { runId } : {}), type: { $ne: 'crawlability_report' }, url: { $exists: true }, renderDiff: { $ne: null } })
+            .project({ url: 1, renderDiff: 1 })
+            .toArray();
+        const pages = docs
+            .filter(d => d.renderDiff.compared)
+            .map(d => ({ url: d.url, ...d.renderDiff }))
+            .sort((a, b) => b.jsDependency - a.jsDependency);
+        if (pages.length === 0) return null;
+        const averageDependency = Math.round(pages.reduce((sum, p) => sum + p.jsDependency, 0) / pages.length);
+        console.log(`⚙️  JS dependency: ${averageDependency}% on average over ${pages.length} rendered page(s)`);
+        return { pagesCompared: pages.length, notCompared: docs.length - pages.length, averageDependency, pages };
+    } catch (error) {
+        console.error("⚠️  Could not load the JavaScript rendering diffs:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetches the key pages (target first, then the first crawled pages) as a browser and as each
+ * AI crawler, to catch bot-specific blocking, WAF challenges and cloaking.
+ * @param {string} targetUrl - The crawled site.
+ * @param {Array<object>} pages - Crawled pages (`fullUrl`).
+ * @returns {Promise<object|null>} The comparison from checkUserAgentCloaking, or null if it failed.
+ */
+async function compareUserAgents(targetUrl, pages = []) {
+    try {
+        const urls = [...new Set([normalizeUrl(targetUrl), ...pages.map(p => p.fullUrl)])].slice(0, MAX_CLOAKING_PAGES);
+        const uaComparison = await checkUserAgentCloaking(urls, { deadlineMs: CLOAKING_DEADLINE_MS });
+        console.log(`🕵️  User-agent comparison: ${uaComparison.high} high / ${uaComparison.medium} medium finding(s) over ${urls.length} page(s)`);
+        return uaComparison;
+    } catch (error) {
+        console.error("⚠️  User-agent comparison failed:", error.message);
+        return null;
+    }
+}
+
 // Exportable main function for external use
 /**
  * Crawls a website, saves the data, generates a PDF report, and returns the file path.
  * @param {string} targetUrl The full URL of the website to crawl (e.g., 'https://example.com').
  * @param {string} pdfFilename The desired filename for the output PDF (e.g., 'report.pdf').
+ * @param {object} [options] - DB overrides plus `runId`, which tags the stored crawl result
+ *   so it stays attached to the analysis run that produced it, and `brand` for white-labelling.
  * @returns {Promise<string|null>} The full path to the generated PDF file, or null if failed.
  */
-export async function generateCrawlabilityPdfReport(targetUrl, pdfFilename) {
+export async function generateCrawlabilityPdfReport(targetUrl, pdfFilename, options = {}) {
     if (!targetUrl || !pdfFilename) {
         console.error("❌ Both targetUrl and pdfFilename must be provided.");
         return null;
@@ -833,28 +1215,35 @@ export async function generateCrawlabilityPdfReport(targetUrl, pdfFilename) {
 
     let dbClient;
     try {
-        const { client, collection } = await connectToDb();
+        const { client, collection } = await connectToDb(options);
         dbClient = client;
 
         let crawlResult;
         try {
-            crawlResult = await crawl(targetUrl);
+            crawlResult = await crawl(targetUrl, { maxPages: options.maxPages || MAX_PAGES });
         } catch (error) {
             console.error("❌ Crawl failed, generating fallback report:", error);
             crawlResult = generateFallbackReport(targetUrl, {}, [`Crawl error: ${error.message}`]);
         }
 
         if (crawlResult) {
-            await collection.insertOne(crawlResult);
+            crawlResult.jsRendering = await loadJsRendering(collection, options.runId || null);
+            crawlResult.llmsTxt = await assessLlmsTxt(targetUrl, collection, options.runId || null, path.dirname(pdfFilename));
+            crawlResult.uaComparison = await compareUserAgents(targetUrl, crawlResult.pages);
+            await collection.insertOne({
+                ...crawlResult,
+                type: 'crawlability_report',
+                ...(options.runId ? { runId: options.runId } : {})
+            });
 
-            const htmlReport = generateHtmlReport(crawlResult);
+            const htmlReport = generateHtmlReport(crawlResult, options.brand);
             await generatePdfReport(htmlReport, pdfFilename);
 
             return path.resolve(pdfFilename);
         } else {
             // Last resort fallback
             const fallbackData = generateFallbackReport(targetUrl, {}, ["Unable to perform crawl analysis"]);
-            const htmlReport = generateHtmlReport(fallbackData);
+            const htmlReport = generateHtmlReport(fallbackData, options.brand);
             await generatePdfReport(htmlReport, pdfFilename);
             
             return path.resolve(pdfFilename);
@@ -865,7 +1254,7 @@ export async function generateCrawlabilityPdfReport(targetUrl, pdfFilename) {
         // Try to generate a minimal fallback report even on system errors
         try {
             const fallbackData = generateFallbackReport(targetUrl, {}, [`System error: ${error.message}`]);
-            const htmlReport = generateHtmlReport(fallbackData);
+            const htmlReport = generateHtmlReport(fallbackData, options.brand);
             await generatePdfReport(htmlReport, pdfFilename);
             
             return path.resolve(pdfFilename);
@@ -897,4 +1286,6 @@ export async function generateCrawlabilityPdfFromMock(crawlData, pdfFilename) {
 }
 
 // Export the PDF function for direct use if needed
-export { generatePdfReport };
\ No newline at end of file
+export { generatePdfReport };
+// Scoring of a stored crawl result, reused by the executive report
+export { analyzeResults as analyzeData };
\ No newline at end of file
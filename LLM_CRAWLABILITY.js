@@ -5,6 +5,7 @@
 import fetch from "node-fetch";
 import { JSDOM } from "jsdom";
 import robotsParser from "robots-parser";
+import { AI_CRAWLERS, aiAccessForUrl, metaRobotsByAgent, parseXRobotsTag, summarizeAiAccess, scoreAiAccess } from "./utils/aiCrawlers.js";
 
 // ==================== CONFIG ====================
 const DEFAULT_MAX_DEPTH = 1;
@@ -38,7 +39,7 @@ function truncateUrl(url, maxLength = 60) {
   return domain + path.substring(0, availableSpace) + "...";
 }
 
-// Fetch HTML with timeout
+// Fetch HTML with timeout, plus the X-Robots-Tag header lines
 async function fetchHTML(url) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 10000);
@@ -46,11 +47,11 @@ async function fetchHTML(url) {
     const res = await fetch(url, { redirect: "follow", signal: controller.signal });
     clearTimeout(timeout);
     if (!res.ok) throw new Error(`Failed to fetch ${url}`);
-    return await res.text();
+    return { html: await res.text(), xRobotsTag: res.headers.raw()["x-robots-tag"] || [] };
   } catch (err) {
     clearTimeout(timeout);
     console.error(`Fetch error for ${url}:`, err.message);
-    return null;
+    return { html: null, xRobotsTag: [] };
   }
 }
 
@@ -88,6 +89,7 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
   const visited = new Set();
   const toVisit = [{ url: normalizeUrl(targetUrl), depth: 0 }];
   const pages = [];
+  const aiAccessRows = [];
 
   if (verbose) {
     console.log("🕷️  CRAWLABILITY CHECKER");
@@ -121,13 +123,16 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
 
     if (robots && !robots.isAllowed(url, USER_AGENT)) {
       if (verbose) console.log(`🚫 Skipping (blocked by robots.txt): ${truncateUrl(url)}`);
+      if (!aiAccessRows.some(r => r.url === url)) {
+        aiAccessRows.push({ url, fetched: false, bots: aiAccessForUrl(url, { robots }) });
+      }
       continue;
     }
 
     visited.add(url);
     if (verbose) console.log(`🔍 Crawling [${visited.size.toString().padStart(2)}/${maxPages}]: ${truncateUrl(url)}`);
 
-    const html = await fetchHTML(url);
+    const { html, xRobotsTag } = await fetchHTML(url);
     if (!html) continue;
 
     const dom = new JSDOM(html);
@@ -143,6 +148,8 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
     const h2Count = doc.querySelectorAll("h2").length;
     const h3Count = doc.querySelectorAll("h3").length;
     const noJsContent = doc.querySelectorAll("noscript").length;
+    const aiAccess = aiAccessForUrl(url, { robots, meta: metaRobotsByAgent(doc), headers: parseXRobotsTag(xRobotsTag) });
+    aiAccessRows.push({ url, fetched: true, bots: aiAccess });
 
     pages.push({
       url: url,
@@ -155,7 +162,8 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
       h1Count,
       h2Count,
       h3Count,
-      noJsContent
+      noJsContent,
+      aiAccess
     });
 
     // Extract internal links for deeper crawling
@@ -172,12 +180,16 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
     links.forEach(l => toVisit.push({ url: l, depth: depth + 1 }));
   }
 
+  // Per-bot access across every URL seen, including those robots.txt kept us from fetching
+  const aiCrawlerAccess = { bots: summarizeAiAccess(aiAccessRows), urls: aiAccessRows };
+
   // Calculate analysis scores and metrics
-  const analysis = calculateAnalysisScores(pages, verbose);
+  const analysis = calculateAnalysisScores(pages, verbose, aiCrawlerAccess);
 
   return {
     targetUrl,
     robotsInfo,
+    aiCrawlerAccess,
     pagesAnalyzed: pages.length,
     pages: pages.map(page => ({
       url: page.url,
@@ -197,7 +209,8 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
           h3: page.h3Count
         },
         robotsDirectives: page.robotsDirectives,
-        noScriptElements: page.noJsContent
+        noScriptElements: page.noJsContent,
+        aiAccess: page.aiAccess
       }
     })),
     analysis
@@ -206,7 +219,7 @@ export async function analyzeCrawlability(targetUrl, options = {}) {
 
 // ==================== ANALYSIS SCORING ====================
 
-function calculateAnalysisScores(pages, verbose = false) {
+function calculateAnalysisScores(pages, verbose = false, aiCrawlerAccess = null) {
   let score = 100;
   const issues = [];
   const recommendations = [];
@@ -277,6 +290,25 @@ function calculateAnalysisScores(pages, verbose = false) {
     console.log("✅ JAVASCRIPT: No major JS-only content detected");
   }
 
+  // AI crawler access (robots.txt, meta robots and X-Robots-Tag per bot)
+  const aiAccessScore = aiCrawlerAccess ? scoreAiAccess(aiCrawlerAccess.bots) : { penalty: 0, blocked: [], partial: [] };
+  if (aiAccessScore.blocked.length > 0) {
+    issues.push(`AI crawlers blocked on every page: ${aiAccessScore.blocked.join(", ")}`);
+    recommendations.push(`Allow ${aiAccessScore.blocked.join(", ")} in robots.txt if you want to appear in their AI answers`);
+  }
+  if (aiAccessScore.partial.length > 0) {
+    issues.push(`AI crawlers blocked or restricted on some pages: ${aiAccessScore.partial.join(", ")}`);
+    recommendations.push("Lift noindex/noai restrictions on pages that AI assistants should cite");
+  }
+  score -= aiAccessScore.penalty;
+  if (verbose) {
+    if (aiAccessScore.blocked.length || aiAccessScore.partial.length) {
+      console.log(`⚠️  AI CRAWLERS: blocked ${aiAccessScore.blocked.join(", ") || "none"} | partial ${aiAccessScore.partial.join(", ") || "none"}`);
+    } else {
+      console.log(`✅ AI CRAWLERS: All ${AI_CRAWLERS.length} checked bots allowed`);
+    }
+  }
+
   const rating = score >= 90 ? "Excellent" : score >= 70 ? "Good" : "Needs Work";
   
   if (verbose) {
@@ -296,7 +328,9 @@ function calculateAnalysisScores(pages, verbose = false) {
       pageWithStructuredData: pagesWithSchema,
       pageMissingH1: pagesMissingH1,
       pageWithJSScript: jsHeavyPages,
-      pageWithMetaRobots: blockedPages.length
+      pageWithMetaRobots: blockedPages.length,
+      aiCrawlersBlocked: aiAccessScore.blocked,
+      aiCrawlersPartial: aiAccessScore.partial
     }
   };
 }
@@ -0,0 +1,215 @@
+import { MongoClient } from 'mongodb';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { reportStorage } from './utils/reportStorage.js';
+import { EXPORT_FILES } from './utils/reportFiles.js';
+
+// Bump on any breaking change to the export layout (see docs/analysis-export.md)
+export const EXPORT_SCHEMA_VERSION = '1.5.0';
+export const EXPORT_JSON_FILENAME = EXPORT_FILES.find(f => f.key === 'json').filename;
+export const EXPORT_CSV_FILENAME = EXPORT_FILES.find(f => f.key === 'csv').filename;
+
+const CSV_COLUMNS = [
+  'url',
+  'status',
+  'extraction_mode',
+  'page_type',
+  'faq_needed',
+  'overall_score',
+  'meta_tags_score',
+  'structured_data_score',
+  'page_importance_score',
+  'title',
+  'meta_description',
+  'jsonld_types',
+  'claims_count',
+  'claims_average_score',
+  'faq_questions',
+  'page_summary',
+  'js_dependency'
+];
+
+/**
+ * Builds the machine-readable export of one analysis run from its working documents:
+ * a versioned JSON file with everything we know per page, and a flat per-page CSV.
+ */
+class AnalysisExportGenerator {
+  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3', mongoOptions = {}, options = {}) {
+    this.mongoUri = mongoUri;
+    this.dbName = dbName;
+    this.collectionName = collectionName;
+    this.mongoOptions = mongoOptions;
+    // Export only this run's documents
+    this.runId = options.runId || null;
+    this.client = null;
+  }
+
+  async connect() {
+    this.client = new MongoClient(this.mongoUri, this.mongoOptions);
+    await this.client.connect();
+    this.collection = this.client.db(this.dbName).collection(this.collectionName);
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+
+  async fetchData() {
+    const scope = this.runId ? { runId: this.runId } : {};
+    const pages = await this.collection
+      .find({ ...scope, type: { $ne: 'crawlability_report' }, url: { $exists: true } })
+      .project({ jinaContent: 0 })
+      .sort({ processedAt: 1 })
+      .toArray();
+    const crawlability = await this.collection.findOne(
+      { ...scope, type: 'crawlability_report' },
+      { sort: { crawlDate: -1 } }
+    );
+    const sitemap = await this.collection.findOne({ ...scope, type: 'sitemap_report' }, { sort: { checkedAt: -1 } });
+    return { pages, crawlability, sitemap };
+  }
+
+  toPage(doc) {
+    const ai = doc.ai || {};
+    return {
+      url: doc.url,
+      status: doc.status || null,
+      extractionMode: doc.extractionMode || null,
+      processedAt: doc.processedAt || null,
+      error: doc.error || null,
+      metaTags: doc.metaTags || {},
+      jsonLd: doc.jsonLd || [],
+      links: doc.actualLinks || [],
+      renderDiff: doc.renderDiff || null,
+      ai: {
+        page_summary: ai.page_summary ?? null,
+        meta_tags: ai.meta_tags ?? null,
+        structured_data: ai.structured_data ?? null,
+        scoring: ai.scoring ?? null,
+        classification: ai.classification ?? null
+      },
+      claims: ai.key_claims_analysis?.key_claims || [],
+      evaluations: ai.claims_evaluation
+        ? {
+          claims_evaluation: ai.claims_evaluation.claims_evaluation || [],
+          overall_analysis: ai.claims_evaluation.overall_analysis || {}
+        }
+        : null,
+      faqJsonLd: ai.faq_schema?.faq_jsonld ?? null
+    };
+  }
+
+  summarizeCrawlability(doc) {
+    if (!doc) return null;
+    const { _id, runId, type, pages, ...rest } = doc;
+    return { ...rest, pagesCrawled: Array.isArray(pages) ? pages.length : 0 };
+  }
+
+  buildExport({ pages, crawlability, sitemap = null }, meta = {}) {
+    const exportedPages = pages.map(doc => this.toPage(doc));
+    const scores = exportedPages
+      .map(p => p.ai.scoring?.overall_score)
+      .filter(s => typeof s === 'number' && !Number.isNaN(s));
+    const countStatus = status => exportedPages.filter(p => p.status === status).length;
+
+    return {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      run: {
+        taskId: this.runId,
+        url: meta.url || null,
+        startedAt: meta.startedAt || null,
+        stepOutcomes: meta.stepOutcomes || {}
+      },
+      summary: {
+        pagesTotal: exportedPages.length,
+        pagesDone: countStatus('done'),
+        pagesPartial: countStatus('partial'),
+        pagesBroken: countStatus('broken'),
+        pagesScored: scores.length,
+        averageOverallScore: scores.length
+          ? parseFloat((scores.reduce((sum, s) => sum + s, 0) / scores.length).toFixed(3))
+          : null,
+        faqNeededPages: exportedPages.filter(p => p.ai.classification?.faq_needed).length,
+        totalClaims: exportedPages.reduce((sum, p) => sum + p.claims.length, 0)
+      },
+      crawlability: this.summarizeCrawlability(crawlability),
+      sitemap: sitemap ? (({ _id, runId, type, ...rest }) => rest)(sitemap) : null,
+      pages: exportedPages
+    };
+  }
+
+  toCsv(exportDoc) {
+    const rows = exportDoc.pages.map(page => {
+      const scoring = page.ai.scoring || {};
+      const jsonLdTypes = new Set();
+      for (const block of page.jsonLd || []) {
+        const items = Array.isArray(block) ? block : (block?.['@graph'] || [block]);
+        for (const item of items) {
+          const type = item?.['@type'];
+          (Array.isArray(type) ? type : [type]).filter(Boolean).forEach(t => jsonLdTypes.add(t));
+        }
+      }
+      const faqEntities = page.faqJsonLd?.mainEntity || [];
+      return {
+        url: page.url,
+        status: page.status,
+        extraction_mode: page.extractionMode,
+        page_type: page.ai.classification?.page_type,
+        faq_needed: page.ai.classification?.faq_needed,
+        overall_score: scoring.overall_score,
+        meta_tags_score: scoring.meta_tags?.score,
+        structured_data_score: scoring.structured_data?.score,
+        page_importance_score: scoring.page_importance?.score,
+        title: page.metaTags?.title,
+        meta_description: page.metaTags?.description,
+        jsonld_types: Array.from(jsonLdTypes).join('; '),
+        claims_count: page.claims.length,
+        claims_average_score: page.evaluations?.overall_analysis?.average_page_score,
+        faq_questions: Array.isArray(faqEntities) ? faqEntities.length : 0,
+        page_summary: page.ai.page_summary,
+        js_dependency: page.renderDiff?.compared ? page.renderDiff.jsDependency : null
+      };
+    });
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write `analysis_export.json` and `analysis_pages.csv` into the report directory and
+   * hand both to report storage next to the PDFs.
+   */
+  async generateExport(reportDir, meta = {}) {
+    try {
+      await this.connect();
+      const data = await this.fetchData();
+      if (!data.pages.length) throw new Error('No documents found for this analysis run');
+
+      const exportDoc = this.buildExport(data, meta);
+      const jsonPath = path.join(reportDir, EXPORT_JSON_FILENAME);
+      const csvPath = path.join(reportDir, EXPORT_CSV_FILENAME);
+      await fs.mkdir(reportDir, { recursive: true });
+      await fs.writeFile(jsonPath, JSON.stringify(exportDoc, null, 2));
+      await fs.writeFile(csvPath, this.toCsv(exportDoc));
+      await reportStorage.save(jsonPath);
+      await reportStorage.save(csvPath);
+
+      console.log(`✅ Data export written: ${exportDoc.pages.length} pages (schema ${EXPORT_SCHEMA_VERSION})`);
+      return { path: jsonPath, csvPath, pageCount: exportDoc.pages.length, schemaVersion: EXPORT_SCHEMA_VERSION };
+    } finally {
+      await this.disconnect();
+    }
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default AnalysisExportGenerator;
@@ -2,6 +2,7 @@ import { MongoClient } from 'mongodb';
 import OpenAI from 'openai';
 import { z } from 'zod';
 import 'dotenv/config';
+import { openaiRateBudget } from './utils/openaiRateBudget.js';
 
 // CONFIG
 const MONGO_URI = process.env.MONGODB_URI;
@@ -107,12 +108,24 @@ class RISKCLAIMSAnalyzer {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
+  // The analyzer instance is shared, so the run scope is passed per call
+  runScope(filter, runId) {
+    return runId ? { ...filter, runId } : filter;
+  }
+
   // MONGO OPERATIONS
   async connect() {
-    if (this.client) return;
-    this.client = new MongoClient(this.mongoUri, this.mongoOptions);
-    await this.client.connect();
-    this.collection = this.client.db(this.dbName).collection(this.collectionName);
+    if (this.collection) return;
+    // Shared by concurrent queue workers: every caller waits on the same connection attempt
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const client = new MongoClient(this.mongoUri, this.mongoOptions);
+        await client.connect();
+        this.client = client;
+        this.collection = client.db(this.dbName).collection(this.collectionName);
+      })().finally(() => { this.connecting = null; });
+    }
+    await this.connecting;
   }
 
   async disconnect() {
@@ -123,11 +136,11 @@ class RISKCLAIMSAnalyzer {
     }
   }
 
-  async getPages(baseUrl) {
+  async getPages(baseUrl, runId = null) {
     await this.connect();
     
     const domain = this.extractDomain(baseUrl);
-    let query = {
+    let query = this.runScope({
       url: { $regex: this.escapeRegex(domain), $options: 'i' },
       status: 'done',
       'ai.classification.faq_needed': true,
@@ -135,7 +148,7 @@ class RISKCLAIMSAnalyzer {
         { jinaContent: { $exists: true, $ne: null, $ne: '' } },
         { 'ai.page_summary': { $exists: true, $ne: null, $ne: '' } }
       ]
-    };
+    }, runId);
 
     const docs = await this.collection.find(query).project({
       url: 1,
@@ -168,6 +181,7 @@ class RISKCLAIMSAnalyzer {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         await this.rateLimiter.waitIfNeeded();
+        await openaiRateBudget.acquire('riskClaims');
         
         const fullPrompt = `${prompt}
 
@@ -348,7 +362,7 @@ ${claimsText}`;
   }
 
   // STORAGE with better error handling
-  async store(result, task) {
+  async store(result, task, runId = null) {
     await this.connect();
     
     if (!result.url) {
@@ -357,7 +371,7 @@ ${claimsText}`;
     
     const update = {
       updateOne: {
-        filter: { url: { $regex: `^${this.escapeRegex(this.normalizeUrl(result.url))}$`, $options: 'i' } },
+        filter: this.runScope({ url: { $regex: `^${this.escapeRegex(this.normalizeUrl(result.url))}$`, $options: 'i' } }, runId),
         update: { $set: this.getUpdateObject(result, task) }
       }
     };
@@ -404,8 +418,8 @@ ${claimsText}`;
   }
 
   // INDIVIDUAL TASK METHODS with better error handling
-  async extractClaims(baseUrl) {
-    const pages = await this.getPages(baseUrl);
+  async extractClaims(baseUrl, runId = null) {
+    const pages = await this.getPages(baseUrl, runId);
     const claimsPages = pages.filter(p => !p.processed.claimsExtracted && (p.jinaContent || p.summary));
     
     console.log(`📝 Extracting claims for ${claimsPages.length} pages...`);
@@ -422,7 +436,7 @@ ${claimsText}`;
           result.url = page.url;
         }
 
-        await this.store(result, 'claims');
+        await this.store(result, 'claims', runId);
         results.push(result);
         
         // Small delay between requests
@@ -436,8 +450,8 @@ ${claimsText}`;
     return results;
   }
 
-  async generateFAQs(baseUrl) {
-    const pages = await this.getPages(baseUrl);
+  async generateFAQs(baseUrl, runId = null) {
+    const pages = await this.getPages(baseUrl, runId);
     const faqPages = pages.filter(p => !p.processed.faqGenerated && p.claims.length > 0);
     
     console.log(`❓ Generating FAQs for ${faqPages.length} pages...`);
@@ -452,7 +466,7 @@ ${claimsText}`;
           result.url = page.url;
         }
 
-        await this.store(result, 'faq');
+        await this.store(result, 'faq', runId);
         results.push(result);
         
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -465,8 +479,8 @@ ${claimsText}`;
     return results;
   }
 
-  async evaluateClaims(baseUrl) {
-    const pages = await this.getPages(baseUrl);
+  async evaluateClaims(baseUrl, runId = null) {
+    const pages = await this.getPages(baseUrl, runId);
     const evaluatePages = pages.filter(p => !p.processed.evaluated && p.claims.length > 0);
     
     console.log(`📊 Evaluating claims for ${evaluatePages.length} pages...`);
@@ -481,7 +495,7 @@ ${claimsText}`;
           result.url = page.url;
         }
 
-        await this.store(result, 'evaluate');
+        await this.store(result, 'evaluate', runId);
         results.push(result);
         
         console.log(`  ✅ Evaluated ${result.claims_evaluation.length} claims, avg score: ${result.overall_analysis.average_page_score}`);
@@ -497,18 +511,18 @@ ${claimsText}`;
   }
 
   // COMPLETE ANALYSIS
-  async analyzeComplete(baseUrl) {
-    console.log(`🔄 Starting complete analysis for: ${baseUrl}`);
+  async analyzeComplete(baseUrl, { runId = null } = {}) {
+    console.log(`🔄 Starting complete analysis for: ${baseUrl}${runId ? ` (run ${runId})` : ''}`);
     
     try {
       console.log('\n📝 STEP 1: Extracting claims...');
-      const claimsResults = await this.extractClaims(baseUrl);
+      const claimsResults = await this.extractClaims(baseUrl, runId);
 
       console.log('\n❓ STEP 2: Generating FAQs...');
-      const faqResults = await this.generateFAQs(baseUrl);
+      const faqResults = await this.generateFAQs(baseUrl, runId);
 
       console.log('\n📊 STEP 3: Evaluating claims...');
-      const evaluationResults = await this.evaluateClaims(baseUrl);
+      const evaluationResults = await this.evaluateClaims(baseUrl, runId);
 
       console.log('\n🎉 Complete analysis finished!');
 
@@ -549,8 +563,8 @@ ${claimsText}`;
   }
 
   // GET ANALYSIS RESULTS
-  async getResults(baseUrl) {
-    const pages = await this.getPages(baseUrl);
+  async getResults(baseUrl, runId = null) {
+    const pages = await this.getPages(baseUrl, runId);
     return pages.map(page => ({
       url: page.url,
       claims: page.claims,
@@ -560,13 +574,13 @@ ${claimsText}`;
   }
 
   // DEBUG METHOD - Check what's actually in the database
-  async debugDatabase(baseUrl) {
+  async debugDatabase(baseUrl, runId = null) {
     await this.connect();
     
     const domain = this.extractDomain(baseUrl);
-    const docs = await this.collection.find({
+    const docs = await this.collection.find(this.runScope({
       url: { $regex: this.escapeRegex(domain), $options: 'i' }
-    }).toArray();
+    }, runId)).toArray();
     
     console.log(`\n🔍 DEBUG: Found ${docs.length} documents for domain: ${domain}`);
     
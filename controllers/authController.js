@@ -3,6 +3,7 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { OAuth2Client } from 'google-auth-library';
 import User from '../models/User.js';
+import { getBalances } from '../utils/credits.js';
 import { sendVerificationEmail, sendPasswordResetEmail } from '../email.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
@@ -163,7 +164,15 @@ export async function googleAuth(req, res) {
   }
 }
 
-export async function me(req, res) { res.json({ user: req.user }); }
+export async function me(req, res) {
+  try {
+    const credits = await getBalances(req.user.id);
+    res.json({ user: { ...req.user, credits } });
+  } catch (err) {
+    console.error('Credit balance lookup failed:', err.message);
+    res.json({ user: { ...req.user, credits: null } });
+  }
+}
 
 // Middleware factory for role protection (usage: app.get('/admin', requireRole('admin'), handler))
 export function requireRole(role) {
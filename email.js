@@ -3,6 +3,8 @@ import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, escapeHtml } from './utils/branding.js';
 dotenv.config();
 
 export const SMTP_HOST = process.env.SMTP_HOST || 'smtp.gmail.com';
@@ -24,6 +26,7 @@ const transporter = nodemailer.createTransport({
 
 export async function sendScanResultsEmail({ to, score, recommendations, pdfPath }) {
   const subject = `Your AI Visibility Score & Next Steps from BePrompted.io`;
+
   const html = `
     <div style="font-family: Arial, sans-serif; color: #222;">
       <h2>Hi there,</h2>
@@ -69,27 +72,53 @@ async function sendMailWithFallback(mailOptions) {
   return transporter.sendMail(mailOptions);
 }
 
+// What the customer loses when a pipeline step fails (used for partial results)
+const MISSING_SECTION_NOTES = {
+  geo: 'GEO meta tag & structured data analysis could not be completed, so optimized tag and schema suggestions may be missing from the Meta Tags and Structured Data reports.',
+  scoring: 'AI scoring & page classification could not be completed, so the overall AI Findability score and page importance rankings are unavailable.',
+  riskClaims: 'Claims & FAQ analysis could not be completed, so the Content Analysis and FAQ Schema reports may be missing or incomplete.',
+  professionalReport: 'The Professional Content Analysis report could not be generated.',
+  crawlabilityReport: 'The Crawlability & Technical report could not be generated.',
+  faqReport: 'The FAQ Schema report could not be generated.',
+  structuredDataReport: 'The Structured Data report could not be generated.',
+  geoReport: 'The Meta Tags & GEO report could not be generated.',
+  scoreHistory: 'Scores of this run could not be saved to your history, so it will not appear in future comparisons.',
+  executiveReport: 'The combined Executive Summary report could not be generated; the individual reports are still attached.',
+  dataExport: 'The machine-readable data export (JSON/CSV) could not be generated.'
+};
+
 // Enhanced email function for full analysis results (paid service)
-export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysisResults }) {
-  const subject = `Your Complete AI GEO Visibility Report is Ready! - BePrompted.io`;
+// `brand` (utils/branding.js) white-labels the email for the organization the analysis ran for
+export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysisResults, brand = DEFAULT_BRAND }) {
+  brand = { ...DEFAULT_BRAND, ...(brand || {}) };
+  const brandName = escapeHtml(brand.name);
+  const stepOutcomes = analysisResults?.stepOutcomes || {};
+  const missingSections = Object.keys(MISSING_SECTION_NOTES).filter(step => stepOutcomes[step]?.status === 'failed');
+  const isPartial = missingSections.length > 0;
+  const subject = isPartial
+    ? `Your AI GEO Visibility Report is Ready (some sections unavailable) - ${brand.name}`
+    : `Your Complete AI GEO Visibility Report is Ready! - ${brand.name}`;
   
   // Extract key metrics from analysis results
   const finalScore = analysisResults?.steps?.scoring?.overallScore;
   const hasValidScore = finalScore && finalScore !== 'N/A' && !isNaN(finalScore);
   const websiteAnalysis = analysisResults?.steps?.website?.success ? '✅ Complete' : '❌ Failed';
   const geoAnalysis = analysisResults?.steps?.geo?.overallSuccess ? '✅ Complete' : '❌ Failed';
+  const scoringAnalysis = stepOutcomes.scoring?.status === 'failed' ? '❌ Failed' : '✅ Complete';
   
   // Get generated reports and collect PDF attachments
   const reports = [];
   const attachments = [];
 
-  // Helper: push attachment only if the file exists
-  const safePushAttachment = (filename, filePath) => {
+  // Helper: push attachment only if the file exists (locally, or in the report storage backend)
+  const safePushAttachment = async (filename, filePath, contentType = 'application/pdf') => {
     if (!filePath) return;
     try {
       const fullPath = path.resolve(filePath);
       if (fs.existsSync(fullPath)) {
         attachments.push({ filename, path: fullPath });
+      } else if (await reportStorage.exists(fullPath)) {
+        attachments.push({ filename, content: await reportStorage.read(fullPath), contentType });
       } else {
         console.warn(`⚠️ Attachment missing, skipping: ${filename} at ${fullPath}`);
       }
@@ -98,30 +127,42 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
     }
   };
   
+  if (analysisResults?.steps?.executiveReport?.success) {
+    reports.push(`⭐ Executive Summary Report (all findings in one document)`);
+  await safePushAttachment('executive_report.pdf', analysisResults.steps.executiveReport.path);
+  }
   if (analysisResults?.steps?.professionalReport?.success) {
     reports.push(`📄 Professional Content Analysis Report`);
-  safePushAttachment('WebsiteContent_report.pdf', analysisResults.steps.professionalReport.path);
+  await safePushAttachment('WebsiteContent_report.pdf', analysisResults.steps.professionalReport.path);
   }
   if (analysisResults?.steps?.crawlabilityReport?.success) {
     reports.push(`🔍 Crawlability & Technical Report`);
-  safePushAttachment('llm_Crawlability_Report.pdf', analysisResults.steps.crawlabilityReport.path);
+  await safePushAttachment('llm_Crawlability_Report.pdf', analysisResults.steps.crawlabilityReport.path);
+    // Written next to the crawlability PDF when the run had page summaries to build it from
+    const llmsTxtPath = path.join(path.dirname(analysisResults.steps.crawlabilityReport.path), 'llms.txt');
+    const attachedBefore = attachments.length;
+    await safePushAttachment('llms.txt', llmsTxtPath, 'text/plain');
+    if (attachments.length > attachedBefore) reports.push(`🤖 Recommended llms.txt for your site`);
   }
   if (analysisResults?.steps?.geoReport?.success) {
     reports.push(`🏷️ Meta Tags & GEO Report`);
-  safePushAttachment('metaTags_analysis.pdf', analysisResults.steps.geoReport.path);
+  await safePushAttachment('metaTags_analysis.pdf', analysisResults.steps.geoReport.path);
   }
   if (analysisResults?.steps?.structuredDataReport?.success) {
     reports.push(`📊 Structured Data Report`);
-  safePushAttachment('structuredDataAudit_report.pdf', analysisResults.steps.structuredDataReport.path);
+  await safePushAttachment('structuredDataAudit_report.pdf', analysisResults.steps.structuredDataReport.path);
   }
   if (analysisResults?.steps?.faqReport?.success) {
     reports.push(`❓ FAQ Schema Report`);
-  safePushAttachment('faq_jsonld_report.pdf', analysisResults.steps.faqReport.path);
+  await safePushAttachment('faq_jsonld_report.pdf', analysisResults.steps.faqReport.path);
   }
 
+  const pdfCount = attachments.filter(a => a.filename.endsWith('.pdf')).length;
+
   const html = `
     <div style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
-      <div style="background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: white; padding: 2rem; border-radius: 10px 10px 0 0;">
+      <div style="background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.accentColor} 100%); color: white; padding: 2rem; border-radius: 10px 10px 0 0;">
+        ${brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${brandName}" style="max-height: 48px; max-width: 200px; margin-bottom: 1rem;">` : ''}
         <h1 style="margin: 0; font-size: 1.5rem;">🎉 Your AI GEO Visibility Report is Ready!</h1>
         <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Complete analysis for: ${url}</p>
       </div>
@@ -130,8 +171,8 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
         <h2 style="color: #1e293b; margin-top: 0;">Analysis Summary</h2>
         
         ${hasValidScore ? `
-        <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1.5rem; border-left: 4px solid #6366f1;">
-          <h3 style="margin: 0 0 1rem 0; color: #6366f1;">📊 Overall AI Findability Score</h3>
+        <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1.5rem; border-left: 4px solid ${brand.primaryColor};">
+          <h3 style="margin: 0 0 1rem 0; color: ${brand.primaryColor};">📊 Overall AI Findability Score</h3>
           <p style="font-size: 2rem; font-weight: bold; color: #1e293b; margin: 0;">${finalScore}/100</p>
         </div>
         ` : ''}
@@ -141,9 +182,19 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
           <ul style="list-style: none; padding: 0; margin: 0;">
             <li style="padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0;">Website Structure Analysis: ${websiteAnalysis}</li>
             <li style="padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0;">GEO Schema Analysis: ${geoAnalysis}</li>
-            <li style="padding: 0.5rem 0;">AI Scoring & Recommendations: ✅ Complete</li>
+            <li style="padding: 0.5rem 0;">AI Scoring & Recommendations: ${scoringAnalysis}</li>
+          </ul>
+        </div>
+
+        ${isPartial ? `
+        <div style="background: #fffbeb; padding: 1.5rem; border-radius: 8px; margin-bottom: 1.5rem; border-left: 4px solid #f59e0b;">
+          <h3 style="margin: 0 0 1rem 0; color: #92400e;">⚠️ Some Sections Are Missing</h3>
+          <p style="margin: 0 0 0.8rem 0; color: #78350f;">We delivered everything that completed successfully. The following parts of your analysis could not be produced this time:</p>
+          <ul style="margin: 0; padding-left: 1rem; color: #78350f;">
+            ${missingSections.map(step => `<li style="margin-bottom: 0.5rem;">${MISSING_SECTION_NOTES[step]}</li>`).join('')}
           </ul>
         </div>
+        ` : ''}
 
         <div style="background: white; padding: 1.5rem; border-radius: 8px; margin-bottom: 1.5rem;">
           <h3 style="margin: 0 0 1rem 0; color: #1e293b;">📄 Generated Reports</h3>
@@ -152,8 +203,8 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
               ${reports.map(report => `<li style="margin-bottom: 0.5rem;">${report}</li>`).join('')}
             </ul>
             <p style="color: #64748b; font-size: 0.9rem; margin-top: 1rem;">
-              <strong>Note:</strong> ${attachments.length > 0 ? 
-                `All ${attachments.length} reports are attached as PDF files to this email.` : 
+              <strong>Note:</strong> ${pdfCount > 0 ? 
+                `${isPartial ? `The ${pdfCount} report${pdfCount === 1 ? "" : "s"} we could generate ${pdfCount === 1 ? "is" : "are"}` : `All ${pdfCount} reports are`} attached as PDF files to this email.` : 
                 'Reports are being prepared and will be delivered shortly.'}
             </p>
           ` : `
@@ -173,7 +224,7 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
 
         <div style="text-align: center; margin-top: 2rem;">
           <p style="color: #64748b; font-size: 0.9rem;">
-            Questions? Reply to this email or contact us at support@beprompted.io
+            Questions? Reply to this email${brand.supportEmail ? ` or contact us at ${escapeHtml(brand.supportEmail)}` : ''}
           </p>
           <p style="color: #64748b; font-size: 0.8rem; margin-top: 1.5rem;">
             This analysis was completed on ${new Date().toLocaleDateString()} for ${url}
@@ -185,15 +236,16 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
         <div style="text-align: center;">
           <p style="margin: 0; font-size: 0.9rem; color: #64748b;">
             Best regards,<br>
-            <strong style="color: #6366f1;">The BePrompted.io Team</strong>
+            <strong style="color: ${brand.primaryColor};">The ${brandName} Team</strong>
           </p>
+          <p style="margin: 0.75rem 0 0 0; font-size: 0.8rem; color: #94a3b8;">${escapeHtml(brand.footerText)}</p>
         </div>
       </div>
     </div>
   `;
 
   const mailOptions = {
-    from: `BePrompted.io Reports <${process.env.SMTP_USER}>`,
+    from: { name: `${brand.senderName} Reports`, address: process.env.SMTP_USER },
     to,
     subject,
     html,
@@ -224,9 +276,98 @@ export async function sendFullAnalysisEmail({ to, url, reportDirectory, analysis
   }
 }
 
+// Headline scores compared in the regression digest: [label, pick from the comparison, unit]
+const DIGEST_SCORES = [
+  ['Overall GEO score', c => c.overallScore, 'points'],
+  ['AI visibility', c => c.components.aiVisibility, 'points'],
+  ['Crawlability', c => c.crawlabilityScore, 'points'],
+  ['Content credibility', c => c.components.content, 'points'],
+  ['Average meta tags score', c => c.averages.metaTags, 'percent'],
+  ['Average structured data score', c => c.averages.structuredData, 'percent']
+];
+
+function formatDigestChange(change, unit) {
+  const value = unit === 'percent' ? Math.round(change * 100) : Math.round(change);
+  return `${value > 0 ? '+' : ''}${value}${unit === 'percent' ? ' pts' : ''}`;
+}
+
+// Scheduled re-audit digest: what got worse (and better) since the previous run of the site
+export async function sendRegressionDigestEmail({ to, url, frequency, nextRunAt, comparison, brand = DEFAULT_BRAND }) {
+  brand = { ...DEFAULT_BRAND, ...(brand || {}) };
+  const scoreRows = DIGEST_SCORES
+    .map(([label, pick, unit]) => ({ label, unit, ...pick(comparison) }))
+    .filter(row => row.change !== null);
+  const regressions = scoreRows.filter(row => row.change < 0);
+  const declinedPages = comparison.pages.declined;
+  const hasRegressions = regressions.length > 0 || declinedPages.length > 0;
+  const previousDate = new Date(comparison.from.createdAt).toLocaleDateString();
+
+  const subject = hasRegressions
+    ? `⚠️ AI visibility regressions detected for ${comparison.domain} - ${brand.name}`
+    : `✅ No regressions for ${comparison.domain} in your ${frequency} audit - ${brand.name}`;
+
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+      <div style="background: ${hasRegressions ? '#b91c1c' : '#047857'}; color: white; padding: 2rem; border-radius: 10px 10px 0 0;">
+        ${brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}" style="max-height: 48px; max-width: 200px; margin-bottom: 1rem;">` : ''}
+        <h1 style="margin: 0; font-size: 1.4rem;">${hasRegressions ? '⚠️ Some scores went down' : '✅ No regressions found'}</h1>
+        <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Your ${frequency} re-audit of ${url} compared with ${previousDate}</p>
+      </div>
+
+      <div style="background: #f8fafc; padding: 2rem; border-radius: 0 0 10px 10px;">
+        <table style="width: 100%; border-collapse: collapse; background: white; border-radius: 8px; margin-bottom: 1.5rem;">
+          <tr style="background: #e2e8f0;"><th style="text-align: left; padding: 0.6rem;">Score</th><th style="padding: 0.6rem;">Change</th></tr>
+          ${scoreRows.map(row => `
+          <tr>
+            <td style="padding: 0.6rem; border-bottom: 1px solid #e2e8f0;">${row.label}</td>
+            <td style="padding: 0.6rem; border-bottom: 1px solid #e2e8f0; text-align: center; font-weight: bold; color: ${row.change < 0 ? '#dc2626' : row.change > 0 ? '#059669' : '#64748b'};">${formatDigestChange(row.change, row.unit)}</td>
+          </tr>`).join('')}
+        </table>
+
+        ${declinedPages.length ? `
+        <div style="background: #fef2f2; padding: 1.5rem; border-radius: 8px; margin-bottom: 1.5rem; border-left: 4px solid #dc2626;">
+          <h3 style="margin: 0 0 1rem 0; color: #991b1b;">📉 Pages that lost AI visibility (${comparison.pages.declinedCount})</h3>
+          <ul style="margin: 0; padding-left: 1rem; color: #7f1d1d;">
+            ${declinedPages.slice(0, 10).map(p => `<li style="margin-bottom: 0.5rem;">${p.url}: ${Math.round(p.from * 100)}% → ${Math.round(p.to * 100)}%</li>`).join('')}
+          </ul>
+        </div>
+        ` : ''}
+
+        ${comparison.pages.improvedCount ? `
+        <p style="color: #047857;">📈 ${comparison.pages.improvedCount} page${comparison.pages.improvedCount === 1 ? '' : 's'} improved since the last audit.</p>
+        ` : ''}
+        ${comparison.pages.removed.length ? `
+        <p style="color: #92400e;">🔍 ${comparison.pages.removed.length} page${comparison.pages.removed.length === 1 ? ' was' : 's were'} no longer found by the crawler.</p>
+        ` : ''}
+
+        <p style="color: #64748b; font-size: 0.9rem;">The full reports of this run, including a "What Changed" section, arrive in a separate email.</p>
+        ${nextRunAt ? `<p style="color: #64748b; font-size: 0.85rem;">Next scheduled audit: ${new Date(nextRunAt).toLocaleDateString()}</p>` : ''}
+
+        <hr style="border: none; border-top: 1px solid #e2e8f0; margin: 2rem 0;">
+        <p style="margin: 0; font-size: 0.9rem; color: #64748b; text-align: center;">
+          Best regards,<br>
+          <strong style="color: ${brand.primaryColor};">The ${escapeHtml(brand.name)} Team</strong>
+        </p>
+        <p style="margin: 0.75rem 0 0 0; font-size: 0.8rem; color: #94a3b8; text-align: center;">${escapeHtml(brand.footerText)}</p>
+      </div>
+    </div>
+  `;
+
+  try {
+    const info = await sendMailWithFallback({ from: { name: `${brand.senderName} Monitoring`, address: process.env.SMTP_USER }, to, subject, html });
+    console.log(`📧 Regression digest sent to ${to}: ${info.messageId}`);
+    return info;
+  } catch (err) {
+    console.error(`❌ Failed to send regression digest to ${to}:`, err.message);
+    throw err;
+  }
+}
+
 // --- Auth related emails ---
 export async function sendVerificationEmail(to, token) {
   const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
   const html = `
     <div style="font-family: Arial,sans-serif;">
       <h2>Verify your email</h2>
@@ -240,6 +381,7 @@ export async function sendVerificationEmail(to, token) {
 
 export async function sendPasswordResetEmail(to, token) {
   const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
   const html = `
     <div style="font-family: Arial,sans-serif;">
       <h2>Password Reset Request</h2>
@@ -251,6 +393,19 @@ export async function sendPasswordResetEmail(to, token) {
   return sendMailWithFallback({ from: SMTP_USER, to, subject: 'Password Reset', html });
 }
 
+export async function sendOrganizationInviteEmail({ to, organizationName, role, invitedBy, token }) {
+  const acceptLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+
+  const html = `
+    <div style="font-family: Arial,sans-serif;">
+      <h2>You're invited to ${escapeHtml(organizationName)}</h2>
+      <p>${invitedBy ? `${escapeHtml(invitedBy)} invited you` : 'You have been invited'} to join <strong>${escapeHtml(organizationName)}</strong> on BePrompted.io as ${role === 'editor' ? 'an editor' : 'a viewer'}.</p>
+      <p><a href="${acceptLink}" style="background:#6366f1;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">Accept Invitation</a></p>
+      <p style="font-size:12px;color:#666;">Sign in or create an account with this email address to accept. The invitation expires in 7 days.</p>
+    </div>`;
+  return sendMailWithFallback({ from: SMTP_USER, to, subject: `Join ${organizationName} on BePrompted.io`, html });
+}
+
 // --- Diagnostics & Test Helpers ---
 export async function smtpVerify() {
   return new Promise((resolve) => {
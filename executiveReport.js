@@ -0,0 +1,418 @@
+import { MongoClient } from 'mongodb';
+import { htmlToPdf } from './utils/htmlToPdf.js';
+import { reportStorage } from './utils/reportStorage.js';
+import { REPORT_FILES } from './utils/reportFiles.js';
+import { DEFAULT_BRAND, escapeHtml } from './utils/branding.js';
+import ProfessionalReportGenerator from './ClaimsReport.js';
+import FAQJsonLdReportGenerator from './faqLd_generator.js';
+import StructuredDataReportGenerator from './structuredData_report.js';
+import { GEOReportGenerator } from './metaTags_report.js';
+import { analyzeData as analyzeCrawlData } from './Crawlability_report.js';
+
+export const EXECUTIVE_REPORT_FILENAME = REPORT_FILES.find(r => r.key === 'executive').filename;
+
+// How much each pillar contributes to the overall GEO score (re-normalised when one is missing)
+const SCORE_WEIGHTS = { aiVisibility: 0.4, crawlability: 0.3, content: 0.3 };
+
+const MAX_TABLE_ROWS = 25;
+
+function gradeFor(score) {
+  if (score === null || score === undefined) return { label: 'Not rated', color: '#6b7280' };
+  if (score >= 80) return { label: 'Excellent', color: '#10b981' };
+  if (score >= 60) return { label: 'Good', color: '#22c55e' };
+  if (score >= 40) return { label: 'Fair', color: '#f59e0b' };
+  return { label: 'Needs work', color: '#ef4444' };
+}
+
+/**
+ * One branded PDF for a whole analysis run: cover, table of contents, executive summary
+ * with a single overall GEO score, then one chapter per individual report. Chapter figures
+ * come from each generator's own `analyzeData`, so they always match the detailed PDFs.
+ */
+class ExecutiveReportGenerator {
+  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3', mongoOptions = {}, options = {}) {
+    this.mongoUri = mongoUri;
+    this.dbName = dbName;
+    this.collectionName = collectionName;
+    this.mongoOptions = mongoOptions;
+    this.runId = options.runId || null;
+    this.siteUrl = options.url || null;
+    this.brand = { ...DEFAULT_BRAND, ...(options.brand || {}) };
+    // Diff against the previous run of the same domain (utils/scoreHistory.js), null on a first audit
+    this.comparison = options.comparison || null;
+    this.client = null;
+  }
+
+  async fetchData() {
+    this.client = new MongoClient(this.mongoUri, this.mongoOptions);
+    try {
+      await this.client.connect();
+      const collection = this.client.db(this.dbName).collection(this.collectionName);
+      const scope = this.runId ? { runId: this.runId } : {};
+      const pages = await collection
+        .find({ ...scope, type: { $ne: 'crawlability_report' }, url: { $exists: true } })
+        .project({ jinaContent: 0 })
+        .toArray();
+      const crawl = await collection.findOne({ ...scope, type: 'crawlability_report' }, { sort: { crawlDate: -1 } });
+      const sitemap = await collection.findOne({ ...scope, type: 'sitemap_report' }, { sort: { checkedAt: -1 } });
+      return { pages, crawl, sitemap };
+    } finally {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+
+  // Run every generator's analyzeData over the same run documents
+  analyze({ pages, crawl, sitemap = null }) {
+    const generatorArgs = [this.mongoUri, this.dbName, this.collectionName, this.mongoOptions, { runId: this.runId }];
+    const claimsGenerator = new ProfessionalReportGenerator(this.mongoUri, this.dbName, this.mongoOptions, { runId: this.runId, collectionName: this.collectionName });
+    const faqGenerator = new FAQJsonLdReportGenerator(...generatorArgs);
+    const structuredGenerator = new StructuredDataReportGenerator(...generatorArgs);
+    const metaGenerator = new GEOReportGenerator(...generatorArgs);
+
+    const donePages = pages.filter(p => p.status === 'done' || p.status === 'partial');
+    const claimsPages = claimsGenerator.selectEvaluatedPages(pages);
+    const faqPages = pages.filter(p => p.ai?.classification?.faq_needed && p.ai?.faq_schema?.faq_jsonld);
+
+    return {
+      pages,
+      donePages,
+      claimsPages,
+      claims: claimsPages.length ? claimsGenerator.analyzeData(claimsPages) : null,
+      crawl: crawl ? analyzeCrawlData(crawl.pages || [], crawl) : null,
+      crawlData: crawl,
+      sitemap,
+      faq: faqGenerator.analyzeData(faqPages),
+      structuredData: donePages.length ? structuredGenerator.analyzeData(donePages) : null,
+      metaTags: donePages.length ? metaGenerator.analyzeData(donePages) : null
+    };
+  }
+
+  /**
+   * Overall GEO score (0-100): AI visibility (mean per-page AI score), crawlability score and
+   * content credibility (mean claim score mapped from -4..4 to 0..100), weighted by SCORE_WEIGHTS.
+   */
+  computeOverallScore(analysis) {
+    const aiScores = analysis.pages
+      .map(p => p.ai?.scoring?.overall_score)
+      .filter(s => typeof s === 'number' && !Number.isNaN(s));
+    const components = {
+      aiVisibility: aiScores.length ? Math.round((aiScores.reduce((a, b) => a + b, 0) / aiScores.length) * 100) : null,
+      crawlability: analysis.crawl && !analysis.crawl.isFallbackReport ? analysis.crawl.score : null,
+      content: analysis.claims?.overallAvgScore !== null && analysis.claims?.overallAvgScore !== undefined
+        ? Math.round(Math.min(100, Math.max(0, (analysis.claims.overallAvgScore + 4) * 12.5)))
+        : null
+    };
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [key, weight] of Object.entries(SCORE_WEIGHTS)) {
+      if (components[key] === null) continue;
+      weighted += components[key] * weight;
+      totalWeight += weight;
+    }
+    return { overall: totalWeight ? Math.round(weighted / totalWeight) : null, components };
+  }
+
+  topFindings(analysis) {
+    const findings = [];
+    if (analysis.crawl?.issues?.length) findings.push(...analysis.crawl.issues.slice(0, 3));
+    if (analysis.metaTags?.needsOptimizationPages.length) {
+      findings.push(`${analysis.metaTags.needsOptimizationPages.length} of ${analysis.metaTags.totalPages} pages need meta tag optimization`);
+    }
+    if (analysis.structuredData?.needsOptimizationPages.length) {
+      findings.push(`${analysis.structuredData.needsOptimizationPages.length} of ${analysis.structuredData.totalPages} pages need structured data improvements`);
+    }
+    if (analysis.claims?.lowScorePages) {
+      findings.push(`${analysis.claims.lowScorePages} page(s) make claims that AI assistants are unlikely to trust or cite`);
+    }
+    if (analysis.faq.pagesWithFaq) {
+      findings.push(`${analysis.faq.pagesWithFaq} page(s) would benefit from FAQ schema (${analysis.faq.totalQuestions} ready-to-use questions generated)`);
+    }
+    return findings;
+  }
+
+  lowestScoringPages(analysis, limit = 5) {
+    return analysis.pages
+      .filter(p => typeof p.ai?.scoring?.overall_score === 'number')
+      .sort((a, b) => a.ai.scoring.overall_score - b.ai.scoring.overall_score)
+      .slice(0, limit);
+  }
+
+  chapters(analysis) {
+    return [
+      { id: 'content', title: 'Content & Claims Analysis', available: !!analysis.claims, render: () => this.renderClaimsChapter(analysis) },
+      { id: 'crawlability', title: 'Crawlability & Technical Health', available: !!analysis.crawl, render: () => this.renderCrawlChapter(analysis) },
+      { id: 'sitemap', title: 'Sitemap Health', available: !!analysis.sitemap, render: () => this.renderSitemapChapter(analysis) },
+      { id: 'meta-tags', title: 'Meta Tags & GEO', available: !!analysis.metaTags, render: () => this.renderOptimizationChapter(analysis.metaTags, 'meta_tags', 'metaTags') },
+      { id: 'structured-data', title: 'Structured Data', available: !!analysis.structuredData, render: () => this.renderOptimizationChapter(analysis.structuredData, 'structured_data', 'structuredData') },
+      { id: 'faq', title: 'FAQ Schema Opportunities', available: true, render: () => this.renderFaqChapter(analysis) }
+    ];
+  }
+
+  renderMetric(label, value) {
+    return `<div class="metric"><div class="metric-value">${escapeHtml(value)}</div><div class="metric-label">${escapeHtml(label)}</div></div>`;
+  }
+
+  renderClaimsChapter({ claims, claimsPages }) {
+    const rows = claimsPages
+      .map(p => ({ url: p.url, claims: p.ai.claims_evaluation.claims_evaluation.length, score: p.ai.claims_evaluation.overall_analysis?.average_page_score }))
+      .sort((a, b) => (a.score ?? 99) - (b.score ?? 99))
+      .slice(0, MAX_TABLE_ROWS);
+    return `
+      <div class="metrics">
+        ${this.renderMetric('Pages analyzed', claims.totalPages)}
+        ${this.renderMetric('Claims evaluated', claims.totalClaims)}
+        ${this.renderMetric('Average claim score (-4 to 4)', claims.overallAvgScore !== null ? claims.overallAvgScore.toFixed(2) : 'N/A')}
+      </div>
+      <ul class="bullets">
+        <li>${claims.highScorePages} page(s) with high visibility scores (≥1)</li>
+        <li>${claims.mediumScorePages} page(s) with moderate scores (0 to &lt;1)</li>
+        <li>${claims.lowScorePages} page(s) needing immediate attention (&lt;0)</li>
+      </ul>
+      <table><thead><tr><th>Page</th><th>Claims</th><th>Avg. score</th></tr></thead><tbody>
+        ${rows.map(r => `<tr><td class="url">${escapeHtml(r.url)}</td><td>${r.claims}</td><td>${r.score !== undefined && r.score !== null ? Number(r.score).toFixed(2) : 'N/A'}</td></tr>`).join('')}
+      </tbody></table>`;
+  }
+
+  renderCrawlChapter({ crawl, crawlData }) {
+    return `
+      <div class="metrics">
+        ${this.renderMetric('Crawlability score', `${crawl.score}/100`)}
+        ${this.renderMetric('Pages crawled', (crawlData.pages || []).length)}
+        ${this.renderMetric('robots.txt', crawlData.robotsFound ? 'Found' : 'Not found')}
+      </div>
+      ${crawl.issues.length ? `<h3>Issues</h3><ul class="bullets">${crawl.issues.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : ''}
+      ${crawl.summary.length ? `<h3>What is working</h3><ul class="bullets good">${crawl.summary.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>` : ''}
+      ${crawl.recommendations.length ? `<h3>Recommendations</h3><ol class="bullets">${crawl.recommendations.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ol>` : ''}`;
+  }
+
+  renderSitemapChapter({ sitemap }) {
+    if (!sitemap.found) {
+      return `<ul class="bullets">${sitemap.issues.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>
+        <p>An XML sitemap referenced from robots.txt tells AI crawlers which pages matter and when they changed.</p>`;
+    }
+    const problems = [
+      ...sitemap.nonOkUrls.map(p => ({ url: p.url, problem: p.status ? `HTTP ${p.status}${p.location ? ` → ${p.location}` : ''}` : (p.error || 'No response') })),
+      ...sitemap.missingImportantPages.map(url => ({ url, problem: 'Linked from the home page, not in the sitemap' })),
+      ...sitemap.staleUrls.sample.map(s => ({ url: s.url, problem: `Last modified ${new Date(s.lastmod).toLocaleDateString('en-US')}` }))
+    ].slice(0, MAX_TABLE_ROWS);
+    return `
+      <div class="metrics">
+        ${this.renderMetric('URLs listed', `${sitemap.totalUrls}${sitemap.truncated ? '+' : ''}`)}
+        ${this.renderMetric('Checked URLs not OK', `${sitemap.nonOkUrls.length} of ${sitemap.checkedUrls}`)}
+        ${this.renderMetric('Stale URLs', sitemap.staleUrls.count)}
+        ${this.renderMetric('Missing important pages', sitemap.missingImportantPages.length)}
+      </div>
+      ${sitemap.issues.length ? `<h3>Issues</h3><ul class="bullets">${sitemap.issues.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : '<p>The sitemap is complete and up to date.</p>'}
+      ${problems.length ? `<table><thead><tr><th>URL</th><th>Problem</th></tr></thead><tbody>
+        ${problems.map(p => `<tr><td class="url">${escapeHtml(p.url)}</td><td>${escapeHtml(p.problem)}</td></tr>`).join('')}
+      </tbody></table>` : ''}`;
+  }
+
+  // Meta tags and structured data share the same analyzeData shape
+  renderOptimizationChapter(stats, aiKey, averageKey) {
+    const rows = stats.needsOptimizationPages
+      .map(p => ({ url: p.url, score: p.ai?.scoring?.[aiKey]?.score }))
+      .sort((a, b) => (a.score ?? 1) - (b.score ?? 1))
+      .slice(0, MAX_TABLE_ROWS);
+    return `
+      <div class="metrics">
+        ${this.renderMetric('Pages analyzed', stats.totalPages)}
+        ${this.renderMetric('Need optimization', `${stats.needsOptimizationPages.length} (${stats.optimizationRate}%)`)}
+        ${this.renderMetric('Average AI score', `${stats.averageScores[averageKey]}%`)}
+      </div>
+      ${rows.length
+        ? `<h3>Pages to optimize first</h3><table><thead><tr><th>Page</th><th>AI score</th></tr></thead><tbody>
+            ${rows.map(r => `<tr><td class="url">${escapeHtml(r.url)}</td><td>${typeof r.score === 'number' ? `${Math.round(r.score * 100)}%` : 'N/A'}</td></tr>`).join('')}
+          </tbody></table>`
+        : '<p>All analyzed pages are already well optimized.</p>'}`;
+  }
+
+  renderFaqChapter({ faq }) {
+    if (!faq.pagesWithFaq) return '<p>No pages were identified as needing FAQ schema.</p>';
+    return `
+      <div class="metrics">
+        ${this.renderMetric('Pages needing FAQ schema', faq.pagesWithFaq)}
+        ${this.renderMetric('Questions generated', faq.totalQuestions)}
+      </div>
+      ${faq.pages.slice(0, MAX_TABLE_ROWS).map(p => `
+        <div class="faq-page">
+          <div class="url">${escapeHtml(p.url)}</div>
+          <ul class="bullets">${p.questions.slice(0, 5).map(q => `<li>${escapeHtml(q)}</li>`).join('')}</ul>
+        </div>`).join('')}`;
+  }
+
+  renderChange(change, { percent = false, digits = 0 } = {}) {
+    if (!change || change.from === null || change.to === null) return 'N/A';
+    const scale = percent ? 100 : 1;
+    const value = change.change * scale;
+    const rounded = Number(value.toFixed(digits));
+    const color = rounded > 0 ? '#10b981' : rounded < 0 ? '#ef4444' : '#6b7280';
+    const arrow = rounded > 0 ? '▲' : rounded < 0 ? '▼' : '■';
+    return `<span style="color: ${color}; font-weight: bold;">${arrow} ${rounded > 0 ? '+' : ''}${rounded.toFixed(digits)}${percent ? ' pts' : ''}</span>`;
+  }
+
+  renderWhatChanged(comparison) {
+    const previousDate = new Date(comparison.from.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const value = (change, percent) => {
+      if (!change || change.to === null) return 'N/A';
+      return percent ? `${Math.round(change.to * 100)}%` : change.to.toFixed(change.to % 1 ? 2 : 0);
+    };
+    const previous = (change, percent) => {
+      if (!change || change.from === null) return 'N/A';
+      return percent ? `${Math.round(change.from * 100)}%` : change.from.toFixed(change.from % 1 ? 2 : 0);
+    };
+    const row = (label, change, options = {}) => `
+      <tr><td>${label}</td><td>${previous(change, options.percent)}</td><td>${value(change, options.percent)}</td><td>${this.renderChange(change, options)}</td></tr>`;
+    const pageRows = pages => pages.slice(0, 10).map(p => `
+      <tr><td class="url">${escapeHtml(p.url)}</td><td>${Math.round(p.from * 100)}%</td><td>${Math.round(p.to * 100)}%</td><td>${this.renderChange(p, { percent: true })}</td></tr>`).join('');
+    const { pages } = comparison;
+
+    return `
+      <p>Compared with your previous audit of <strong>${escapeHtml(comparison.domain)}</strong> on ${previousDate}.</p>
+      <table><thead><tr><th>Score</th><th>Previous</th><th>Now</th><th>Change</th></tr></thead><tbody>
+        ${row('Overall GEO score', comparison.overallScore)}
+        ${row('AI visibility', comparison.components.aiVisibility)}
+        ${row('Crawlability', comparison.crawlabilityScore)}
+        ${row('Content credibility', comparison.components.content)}
+        ${row('Average meta tags score', comparison.averages.metaTags, { percent: true })}
+        ${row('Average structured data score', comparison.averages.structuredData, { percent: true })}
+        ${row('Average claim score (-4 to 4)', comparison.averages.claims, { digits: 2 })}
+      </tbody></table>
+      <div class="metrics">
+        ${this.renderMetric('Pages improved', pages.improvedCount)}
+        ${this.renderMetric('Pages declined', pages.declinedCount)}
+        ${this.renderMetric('New pages', pages.added.length)}
+        ${this.renderMetric('Pages no longer found', pages.removed.length)}
+      </div>
+      ${pages.improved.length ? `<h3>Biggest improvements</h3><table><thead><tr><th>Page</th><th>Before</th><th>Now</th><th>Change</th></tr></thead><tbody>${pageRows(pages.improved)}</tbody></table>` : ''}
+      ${pages.declined.length ? `<h3>Biggest declines</h3><table><thead><tr><th>Page</th><th>Before</th><th>Now</th><th>Change</th></tr></thead><tbody>${pageRows(pages.declined)}</tbody></table>` : ''}`;
+  }
+
+  generateHTML(analysis) {
+    const { overall, components } = this.computeOverallScore(analysis);
+    const grade = gradeFor(overall);
+    const chapters = this.chapters(analysis).filter(c => c.available);
+    const findings = this.topFindings(analysis);
+    const weakest = this.lowestScoringPages(analysis);
+    const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    const { name, primaryColor, accentColor, footerText, logoUrl } = this.brand;
+
+    const componentRow = (label, value, weight) => `
+      <tr><td>${label}</td><td>${value === null ? 'Not available' : `${value}/100`}</td><td>${Math.round(weight * 100)}%</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(name)} Executive Report</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #1f2937; font-size: 11pt; line-height: 1.5; }
+  .page { page-break-after: always; padding: 8mm 0; }
+  .page:last-child { page-break-after: auto; }
+  .cover { text-align: center; padding-top: 45mm; }
+  .cover .brand { font-size: 14pt; letter-spacing: 2px; text-transform: uppercase; color: ${primaryColor}; font-weight: bold; }
+  .cover img.logo { max-height: 60px; margin-bottom: 10mm; }
+  .cover h1 { font-size: 30pt; margin: 10mm 0 4mm; color: #111827; }
+  .cover .site { font-size: 14pt; color: #4b5563; word-break: break-all; }
+  .score-ring { width: 150px; height: 150px; border-radius: 50%; margin: 15mm auto 5mm; border: 12px solid ${grade.color};
+    display: flex; flex-direction: column; align-items: center; justify-content: center; }
+  .score-ring .value { font-size: 40pt; font-weight: bold; color: ${grade.color}; line-height: 1; }
+  .score-ring .label { font-size: 9pt; color: #6b7280; }
+  .grade { font-size: 14pt; font-weight: bold; color: ${grade.color}; }
+  .cover .date { margin-top: 25mm; color: #6b7280; }
+  h2 { font-size: 20pt; color: ${primaryColor}; border-bottom: 3px solid ${accentColor}; padding-bottom: 3mm; margin-bottom: 6mm; }
+  h3 { font-size: 13pt; margin: 6mm 0 3mm; color: #111827; }
+  .chapter-number { display: block; font-size: 10pt; color: ${accentColor}; text-transform: uppercase; letter-spacing: 1px; }
+  .toc a { color: #1f2937; text-decoration: none; }
+  .toc li { list-style: none; padding: 3mm 0; border-bottom: 1px dotted #d1d5db; font-size: 12pt; }
+  .metrics { display: flex; gap: 4mm; margin: 4mm 0 6mm; }
+  .metric { flex: 1; background: #f3f4f6; border-left: 4px solid ${primaryColor}; padding: 4mm; }
+  .metric-value { font-size: 16pt; font-weight: bold; color: #111827; }
+  .metric-label { font-size: 9pt; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; margin-top: 3mm; font-size: 9.5pt; }
+  th { background: ${primaryColor}; color: white; text-align: left; padding: 2mm 3mm; }
+  td { padding: 2mm 3mm; border-bottom: 1px solid #e5e7eb; }
+  td.url, div.url { word-break: break-all; }
+  .bullets { margin: 2mm 0 2mm 6mm; }
+  .bullets li { margin-bottom: 1.5mm; }
+  .bullets.good li::marker { color: #10b981; }
+  .faq-page { margin-bottom: 4mm; }
+  .faq-page .url { font-weight: bold; }
+  .footer-note { margin-top: 10mm; font-size: 9pt; color: #9ca3af; text-align: center; }
+</style>
+</head>
+<body>
+  <section class="page cover">
+    ${logoUrl ? `<img class="logo" src="${escapeHtml(logoUrl)}" alt="${escapeHtml(name)}">` : ''}
+    <div class="brand">${escapeHtml(name)}</div>
+    <h1>AI Visibility Executive Report</h1>
+    <div class="site">${escapeHtml(this.siteUrl || '')}</div>
+    <div class="score-ring"><div class="value">${overall ?? '–'}</div><div class="label">GEO SCORE</div></div>
+    <div class="grade">${grade.label}</div>
+    <div class="date">${date}</div>
+  </section>
+
+  <section class="page">
+    <h2>Contents</h2>
+    <ol class="toc">
+      <li><a href="#executive-summary">Executive Summary</a></li>
+      ${this.comparison ? '<li><a href="#what-changed">What Changed Since Your Last Audit</a></li>' : ''}
+      ${chapters.map((c, i) => `<li><a href="#${c.id}">Chapter ${i + 1} — ${escapeHtml(c.title)}</a></li>`).join('')}
+    </ol>
+  </section>
+
+  <section class="page" id="executive-summary">
+    <h2>Executive Summary</h2>
+    <div class="metrics">
+      ${this.renderMetric('Overall GEO score', overall === null ? 'N/A' : `${overall}/100`)}
+      ${this.renderMetric('Pages analyzed', analysis.pages.length)}
+      ${this.renderMetric('Rating', grade.label)}
+    </div>
+    <h3>How the score is built</h3>
+    <table><thead><tr><th>Pillar</th><th>Score</th><th>Weight</th></tr></thead><tbody>
+      ${componentRow('AI visibility (meta tags, structured data, page importance)', components.aiVisibility, SCORE_WEIGHTS.aiVisibility)}
+      ${componentRow('Crawlability & technical health', components.crawlability, SCORE_WEIGHTS.crawlability)}
+      ${componentRow('Content credibility (claims)', components.content, SCORE_WEIGHTS.content)}
+    </tbody></table>
+    ${findings.length ? `<h3>Key findings</h3><ul class="bullets">${findings.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>` : ''}
+    ${weakest.length ? `<h3>Lowest scoring pages</h3><table><thead><tr><th>Page</th><th>AI score</th></tr></thead><tbody>
+      ${weakest.map(p => `<tr><td class="url">${escapeHtml(p.url)}</td><td>${Math.round(p.ai.scoring.overall_score * 100)}%</td></tr>`).join('')}
+    </tbody></table>` : ''}
+  </section>
+
+  ${this.comparison ? `
+  <section class="page" id="what-changed">
+    <h2>What Changed Since Your Last Audit</h2>
+    ${this.renderWhatChanged(this.comparison)}
+  </section>` : ''}
+
+  ${chapters.map((c, i) => `
+  <section class="page" id="${c.id}">
+    <h2><span class="chapter-number">Chapter ${i + 1}</span>${escapeHtml(c.title)}</h2>
+    ${c.render()}
+  </section>`).join('')}
+
+  <div class="footer-note">${escapeHtml(name)} · ${escapeHtml(footerText)} · ${date}</div>
+</body>
+</html>`;
+  }
+
+  async generatePDFReport(outputPath) {
+    if (!outputPath) throw new Error('An output path for the executive report must be provided.');
+    console.log('📊 Collecting run data for the executive report...');
+    const data = await this.fetchData();
+    if (!data.pages.length) throw new Error('No documents found for this analysis run');
+
+    const analysis = this.analyze(data);
+    const html = this.generateHTML(analysis);
+    console.log('🎨 Converting executive report to PDF...');
+    await htmlToPdf(html, outputPath);
+    await reportStorage.save(outputPath);
+    console.log(`✅ Executive report generated: ${outputPath}`);
+    return { path: outputPath, overallScore: this.computeOverallScore(analysis).overall };
+  }
+}
+
+export default ExecutiveReportGenerator;
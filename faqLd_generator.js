@@ -1,13 +1,20 @@
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import { MongoClient } from 'mongodb';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, loadLogo } from './utils/branding.js';
 
 export default class FAQJsonLdReportGenerator {
-  constructor(mongoUri, dbName, collectionName, mongoOptions = {}) {
+  constructor(mongoUri, dbName, collectionName, mongoOptions = {}, options = {}) {
     this.mongoUri = mongoUri;
     this.dbName = dbName;
     this.collectionName = collectionName;
     this.mongoOptions = mongoOptions;
+    // Limit the report to one analysis run's documents
+    this.runId = options.runId || null;
+    // Organization branding (utils/branding.js)
+    this.brand = { ...DEFAULT_BRAND, ...(options.brand || {}) };
+    this.logo = null;
     this.client = null;
   }
 
@@ -38,6 +45,7 @@ export default class FAQJsonLdReportGenerator {
         'ai.classification.faq_needed': true,
         'ai.faq_schema.faq_jsonld': { $exists: true, $ne: null }
       };
+      if (this.runId) query.runId = this.runId;
 
       const projection = {
         url: 1,
@@ -54,6 +62,23 @@ export default class FAQJsonLdReportGenerator {
     }
   }
 
+  // Per-page question counts of the generated FAQ schemas (used by the executive report)
+  analyzeData(faqData) {
+    const pages = faqData.map(doc => {
+      const questions = doc.ai?.faq_schema?.faq_jsonld?.mainEntity || [];
+      return {
+        url: doc.url,
+        questionCount: Array.isArray(questions) ? questions.length : 0,
+        questions: Array.isArray(questions) ? questions.map(q => q?.name).filter(Boolean) : []
+      };
+    });
+    return {
+      pagesWithFaq: pages.length,
+      totalQuestions: pages.reduce((sum, p) => sum + p.questionCount, 0),
+      pages
+    };
+  }
+
   formatJsonForPDF(jsonObj, doc, startY, maxWidth = 400) {
     const jsonStr = JSON.stringify(jsonObj, null, 2);
     const lines = jsonStr.split('\n');
@@ -145,7 +170,10 @@ export default class FAQJsonLdReportGenerator {
     const centerX = pageWidth / 2;
 
     // Header gradient background
-    doc.rect(0, 0, pageWidth, 180).fillAndStroke('#2563eb', '#1e40af');
+    doc.rect(0, 0, pageWidth, 180).fillAndStroke(this.brand.primaryColor, this.brand.accentColor);
+    if (this.logo) {
+      doc.image(this.logo, 40, 20, { fit: [90, 36] });
+    }
 
     // Title
     doc.fontSize(32).font('Helvetica-Bold').fillColor('#ffffff');
@@ -166,7 +194,7 @@ export default class FAQJsonLdReportGenerator {
       day: 'numeric'
     });
     doc.fontSize(12).fillColor('#cbd5e1');
-    const dateText = `Generated on ${currentDate}`;
+    const dateText = `Prepared by ${this.brand.name} · ${currentDate}`;
     const dateWidth = doc.widthOfString(dateText);
     doc.text(dateText, centerX - dateWidth / 2, 130);
 
@@ -174,7 +202,7 @@ export default class FAQJsonLdReportGenerator {
     doc.fillColor('#000000');
 
     // Section header with accent bar
-    doc.rect(50, 220, 4, 30).fill('#2563eb');
+    doc.rect(50, 220, 4, 30).fill(this.brand.primaryColor);
     doc.fontSize(20).font('Helvetica-Bold').fillColor('#1e293b');
     doc.text('Why FAQ JSON-LD Schema Matters for GEO', 65, 225);
 
@@ -211,7 +239,7 @@ export default class FAQJsonLdReportGenerator {
     let currentY = 275;
     benefits.forEach((benefit, index) => {
       // Number circle
-      doc.circle(60, currentY + 8, 10).fillAndStroke('#2563eb', '#1e40af');
+      doc.circle(60, currentY + 8, 10).fillAndStroke(this.brand.primaryColor, this.brand.accentColor);
       doc.fontSize(10).font('Helvetica-Bold').fillColor('#ffffff');
       doc.text(`${index + 1}`, 56, currentY + 4);
 
@@ -268,11 +296,21 @@ export default class FAQJsonLdReportGenerator {
     });
   }
 
+  // Wait until PDFKit has flushed the file, then hand it to the report storage backend
+  async finishAndStore(stream, outputPath) {
+    await new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    await reportStorage.save(outputPath);
+  }
+
   async generatePDFReport(outputPath) {
     try {
       await this.connect();
       
       const faqData = await this.fetchFAQData();
+      this.logo = await loadLogo(this.brand);
       
       // Create output directory if it doesn't exist
       const outputDir = outputPath.substring(0, outputPath.lastIndexOf('/'));
@@ -284,13 +322,15 @@ export default class FAQJsonLdReportGenerator {
         console.log('⚠️ No FAQ JSON-LD data found');
         // Create a simple report indicating no data
         const doc = new PDFDocument();
-        doc.pipe(fs.createWriteStream(outputPath));
+        const stream = fs.createWriteStream(outputPath);
+        doc.pipe(stream);
         
         doc.fontSize(20).font('Helvetica-Bold');
         doc.text('FAQ JSON-LD Schema Report', 50, 50);
         doc.fontSize(12).font('Helvetica');
         doc.text('No FAQ JSON-LD data found in the database.', 50, 100);
         doc.end();
+        await this.finishAndStore(stream, outputPath);
         
         await this.disconnect();
         return;
@@ -301,13 +341,14 @@ export default class FAQJsonLdReportGenerator {
         margin: 50,
         info: {
           Title: 'FAQ JSON-LD Schema Report',
-          Author: 'SEO Analysis Tool',
+          Author: this.brand.name,
           Subject: 'FAQ Structured Data for GEO',
           Keywords: 'FAQ, JSON-LD, SEO, GEO, Structured Data'
         }
       });
 
-      doc.pipe(fs.createWriteStream(outputPath));
+      const stream = fs.createWriteStream(outputPath);
+      doc.pipe(stream);
 
       // Generate intro page
       this.generateIntroPage(doc);
@@ -323,10 +364,11 @@ export default class FAQJsonLdReportGenerator {
       
       // Footer
       doc.fontSize(10).font('Helvetica-Oblique').fillColor('#6b7280');
-      const footerText = `Report generated on ${new Date().toLocaleString()} | FAQ JSON-LD Schema Analysis`;
+      const footerText = `Report generated on ${new Date().toLocaleString()} | ${this.brand.name} · ${this.brand.footerText}`;
       doc.text(footerText, 50, doc.page.height - 40, { width: pageWidth - 100, align: 'center' });
 
       doc.end();
+      await this.finishAndStore(stream, outputPath);
 
       console.log(`✅ FAQ JSON-LD report generated successfully: ${outputPath}`);
       
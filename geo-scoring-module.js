@@ -1,6 +1,7 @@
 import { MongoClient } from 'mongodb';
 import OpenAI from 'openai'; // Change 1: Import OpenAI
 import { z } from 'zod';
+import { openaiRateBudget } from './utils/openaiRateBudget.js';
 
 // ===== ZOD SCHEMAS (No changes) =====
 const ComponentScoreSchema = z.object({
@@ -382,6 +383,7 @@ async function rateContentWithOpenAI(openai, prompt) { // Changed function name
 
   while (retries--) {
     try {
+      await openaiRateBudget.acquire('scoring');
       const completion = await openai.chat.completions.create({
         model: 'gpt-4o-mini',
         messages: [
@@ -413,6 +415,7 @@ async function rateContentWithOpenAI(openai, prompt) { // Changed function name
 
 async function getImportanceRankings(openai, prompt) { // Changed signature
   try {
+    await openaiRateBudget.acquire('scoring');
     const completion = await openai.chat.completions.create({
       model: 'gpt-4o-mini',
       messages: [
@@ -448,6 +451,7 @@ async function getPageClassifications(openai, prompt) { // Changed signature
 
   while (retries--) {
     try {
+      await openaiRateBudget.acquire('scoring');
       const completion = await openai.chat.completions.create({
         model: 'gpt-4o-mini',
         messages: [
@@ -530,8 +534,10 @@ export async function scoreAllDocsWithAI(config) {
     mongoOptions = {},
     dbName,
     collectionName,
-    openaiApiKey // Change 2: Expect openaiApiKey
+    openaiApiKey, // Change 2: Expect openaiApiKey
+    runId = null // Scope reads/writes to a single analysis run
   } = config;
+  const runScope = (filter) => (runId ? { ...filter, runId } : filter);
 
   // Change 3: Initialize OpenAI client
   const openai = new OpenAI({ apiKey: openaiApiKey });
@@ -547,7 +553,7 @@ export async function scoreAllDocsWithAI(config) {
 
     // Document fetching and processing logic remains the same
     const docs = await collection
-      .find({
+      .find(runScope({
         'metaTags': { $exists: true },
         $or: [
           { 'ai.page_summary': { $exists: true, $ne: null, $not: /Title: Page Not Found/ } },
@@ -555,7 +561,7 @@ export async function scoreAllDocsWithAI(config) {
         ],
         'jsonLd': { $exists: true },
         status: 'done'
-      })
+      }))
       .project({ 
         url: 1, 
         metaTags: 1, 
@@ -678,7 +684,7 @@ export async function scoreAllDocsWithAI(config) {
 
         // Inside the for loop of scoreAllDocsWithAI, replace the updateOne call
         await collection.updateOne(
-          { url: { $regex: `^${normalizedUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' } },
+          runScope({ url: { $regex: `^${normalizedUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' } }),
           {
             $set: {
               'ai.page_summary': pageSummary,
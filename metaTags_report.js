@@ -1,16 +1,23 @@
 import { MongoClient } from 'mongodb';
 import { htmlToPdf } from './utils/htmlToPdf.js';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, escapeHtml } from './utils/branding.js';
 
 class GEOReportGenerator {
-  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3') {
+  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3', mongoOptions = {}, options = {}) {
     this.mongoUri = mongoUri;
     this.dbName = dbName;
     this.collectionName = collectionName;
+    this.mongoOptions = mongoOptions;
+    // Limit the report to one analysis run's documents
+    this.runId = options.runId || null;
+    // Organization branding (utils/branding.js)
+    this.brand = { ...DEFAULT_BRAND, ...(options.brand || {}) };
   }
 
   async connectToMongo() {
     console.log('🔌 Connecting to MongoDB...');
-    this.client = new MongoClient(this.mongoUri);
+    this.client = new MongoClient(this.mongoUri, this.mongoOptions);
     await this.client.connect();
     console.log('✅ Connected to MongoDB successfully');
     this.db = this.client.db(this.dbName);
@@ -27,7 +34,9 @@ class GEOReportGenerator {
   async fetchGEOData() {
     await this.connectToMongo();
     console.log('📊 Fetching documents from MongoDB...');
-    const documents = await this.collection.find({}).toArray();
+    // Pages only: the run's crawlability and sitemap reports share the collection
+    const scope = this.runId ? { runId: this.runId } : {};
+    const documents = await this.collection.find({ ...scope, type: { $ne: 'crawlability_report' }, url: { $exists: true } }).toArray();
     await this.disconnectFromMongo();
     console.log(`📄 Found ${documents.length} documents`);
     
@@ -161,13 +170,19 @@ class GEOReportGenerator {
             text-align: center;
             margin-bottom: 30px;
             padding-bottom: 20px;
-            border-bottom: 3px solid #2c3e50;
+            border-bottom: 3px solid ${this.brand.primaryColor};
+        }
+        
+        .header .brand-logo {
+            max-height: 50px;
+            max-width: 200px;
+            margin-bottom: 12px;
         }
         
         .header h1 {
             font-size: 24pt;
             font-weight: bold;
-            color: #2c3e50;
+            color: ${this.brand.primaryColor};
             margin-bottom: 8px;
         }
         
@@ -186,7 +201,7 @@ class GEOReportGenerator {
             text-align: center;
             margin-bottom: 25px;
             padding-bottom: 15px;
-            border-bottom: 2px solid #3498db;
+            border-bottom: 2px solid ${this.brand.accentColor};
         }
         
         .page-header h1 {
@@ -420,7 +435,7 @@ class GEOReportGenerator {
         }
 
         .meta-table th {
-            background: #34495e !important;
+            background: ${this.brand.primaryColor} !important;
             color: white !important;
             font-weight: bold;
             text-align: center;
@@ -530,7 +545,7 @@ class GEOReportGenerator {
             }
             
             .meta-table th {
-                background: #34495e !important;
+                background: ${this.brand.primaryColor} !important;
                 color: white !important;
             }
             
@@ -560,6 +575,7 @@ class GEOReportGenerator {
     <!-- Page 1: Executive Summary -->
     <div class="page">
         <div class="header">
+            ${this.brand.logoUrl ? `<img class="brand-logo" src="${escapeHtml(this.brand.logoUrl)}" alt="${escapeHtml(this.brand.name)}">` : ''}
             <h1>GEO Audit Report</h1>
             <div class="subtitle">Website Analysis & Optimization Report</div>
             <div class="date">Generated on ${currentDate}</div>
@@ -596,6 +612,7 @@ class GEOReportGenerator {
             </div>
         </div>
         
+        <div class="footer">${escapeHtml(this.brand.name)} · ${escapeHtml(this.brand.footerText)}</div>
     </div>
     
     ${this.generateIndividualPagesHTML(sortedDocuments, totalPages)}
@@ -834,6 +851,7 @@ async generatePDFReport(outputPath) { // MODIFICATION 1: Removed default value
       // Generate PDF using Puppeteer
             console.log('🎨 Converting HTML to PDF...');
             await htmlToPdf(htmlContent, outputPath);
+            await reportStorage.save(outputPath);
             console.log(`✅ PDF report generated successfully: ${outputPath}`);
             return outputPath;
       
@@ -846,7 +864,7 @@ async generatePDFReport(outputPath) { // MODIFICATION 1: Removed default value
 }
 
 // Usage example:
-async function generateReport_1(reportPath) { 
+async function generateReport_1(reportPath, options = {}) { 
   console.log('🚀 Starting GEO report generation...');
   
   // ADDITION: Validate the incoming path
@@ -855,8 +873,14 @@ async function generateReport_1(reportPath) {
     return; // Exit if no path is given
   }
 
-  const mongoUri = process.env.MONGODB_URI; // Replace with your MongoDB URI
-  const generator = new GEOReportGenerator(mongoUri);
+  const mongoUri = options.mongoUri || process.env.MONGODB_URI; // Replace with your MongoDB URI
+  const generator = new GEOReportGenerator(
+    mongoUri,
+    options.dbName,
+    options.collectionName,
+    options.mongoOptions,
+    { runId: options.runId, brand: options.brand }
+  );
   
   try {
     console.log(`📊 Generating PDF report at: ${reportPath}`);
@@ -867,13 +891,15 @@ async function generateReport_1(reportPath) {
   } catch (error) {
     console.error('❌ Failed to generate report:', error);
     console.error('Stack trace:', error.stack);
+    // Let the caller record the step as failed instead of reporting a PDF that doesn't exist
+    throw error;
   }
 }
 
 
 
 // Export for use in other modules
-export { generateReport_1 };
+export { generateReport_1, GEOReportGenerator };
 
 // Uncomment to run directly
 //generateReport_1();
\ No newline at end of file
@@ -0,0 +1,60 @@
+import User from '../models/User.js';
+import { authRequired } from './auth.js';
+import { extractApiKey, findActiveKey, admitRequest, meterRequest } from '../utils/apiKeys.js';
+
+/**
+ * Authenticate an API key for `scope`, enforce its rate limit and monthly quota, and meter the
+ * request. Sets req.user (the key's owner, same shape as authRequired) and req.apiKey.
+ * Requests without a key pass through untouched, so the route's own auth still applies.
+ */
+export function apiKeyAuth(scope) {
+  return async (req, res, next) => {
+    const key = extractApiKey(req);
+    if (!key) return next();
+    try {
+      const apiKey = await findActiveKey(key);
+      if (!apiKey) return res.status(401).json({ error: 'Invalid or revoked API key' });
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `This API key does not have the '${scope}' scope` });
+      }
+      const user = await User.findById(apiKey.user).select('email verified role');
+      if (!user) return res.status(401).json({ error: 'User not found' });
+
+      const admission = await admitRequest(apiKey);
+      res.set({
+        'X-RateLimit-Limit': String(admission.limit),
+        'X-RateLimit-Remaining': String(admission.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(admission.resetAt.getTime() / 1000))
+      });
+      if (!admission.allowed) {
+        await meterRequest(apiKey, scope, { rejected: true });
+        res.set('Retry-After', String(Math.max(1, Math.ceil((admission.resetAt.getTime() - Date.now()) / 1000))));
+        return res.status(429).json({
+          error: admission.reason === 'quota'
+            ? `Monthly quota of ${apiKey.monthlyQuota} requests reached for this API key`
+            : `Rate limit of ${apiKey.rateLimitPerMinute} requests per minute exceeded`
+        });
+      }
+      await meterRequest(apiKey, scope);
+
+      req.user = { id: user._id.toString(), email: user.email, verified: user.verified, role: user.role };
+      req.apiKey = { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes };
+      next();
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to check API key' });
+    }
+  };
+}
+
+// An API key with `scope`, or else a signed-in user (JWT)
+export function apiKeyOrLogin(scope) {
+  return [apiKeyAuth(scope), (req, res, next) => (req.apiKey ? next() : authRequired(req, res, next))];
+}
+
+// Like apiKeyOrLogin, but anonymous requests (no key, no Bearer token) pass through without req.user
+export function apiKeyOrOptionalLogin(scope) {
+  return [apiKeyAuth(scope), (req, res, next) => {
+    if (req.apiKey || !(req.get('authorization') || '').startsWith('Bearer ')) return next();
+    return authRequired(req, res, next);
+  }];
+}
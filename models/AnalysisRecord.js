@@ -5,11 +5,35 @@ const analysisRecordSchema = new mongoose.Schema({
   email: { type: String, index: true },
   url: { type: String, required: true },
   taskId: { type: String, index: true },
-  status: { type: String, enum: ['queued','processing','completed','failed'], default: 'queued' },
+  // Set when the run was enqueued by a recurring audit (models/AuditSchedule.js)
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'AuditSchedule', index: true, default: null },
+  // Set when the run belongs to an organization: every member sees it (models/Organization.js)
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true, default: null },
+  // Checkout Session id when the run fulfils a paid order (models/Order.js)
+  order: { type: String, index: true, default: null },
+  // Catalog plan and the limits it was enqueued with (utils/pricingCatalog.js); null = no limits
+  plan: { type: String, default: null },
+  limits: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: { type: String, enum: ['queued','processing','completed','partial','failed'], default: 'queued' },
   emailStatus: { type: String, enum: ['pending','sending','sent','failed'], default: 'pending' },
   reportDirectory: { type: String },
   emailError: { type: String },
   failureReason: { type: String },
+  // Durable queue bookkeeping (see AnalysisQueue in server.js)
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  nextRunAt: { type: Date, default: Date.now },
+  leaseOwner: { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+  heartbeatAt: { type: Date, default: null },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  // Completed pipeline steps of this run: { <step>: { completedAt, result } }
+  checkpoints: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Outcome of every step of the last attempt: { <step>: { status, error?, durationMs? } }
+  stepOutcomes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Latest progress snapshot (throttled copy of utils/analysisProgress.js) so any instance can stream it
+  progress: { type: mongoose.Schema.Types.Mixed, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -18,6 +42,9 @@ analysisRecordSchema.index({ email: 1, createdAt: -1 });
 analysisRecordSchema.index({ taskId: 1 });
 // Efficient pagination per user
 analysisRecordSchema.index({ user: 1, createdAt: -1 });
+// Queue polling: next runnable job, and expired leases
+analysisRecordSchema.index({ status: 1, nextRunAt: 1, createdAt: 1 });
+analysisRecordSchema.index({ status: 1, leaseExpiresAt: 1 });
 
 analysisRecordSchema.pre('save', function(next){
   this.updatedAt = new Date();
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Programmatic access for a user's own tooling. Only the SHA-256 of the key is stored; the
+// key itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  keyHash: { type: String, required: true, unique: true },
+  // First characters of the key, so the owner can tell keys apart
+  prefix: { type: String, required: true },
+  // Endpoints the key may call (utils/apiKeys.js API_KEY_SCOPES)
+  scopes: [{ type: String, enum: ['quick-scan', 'analyze', 'read'] }],
+  rateLimitPerMinute: { type: Number, required: true },
+  // Requests per calendar month (UTC); null = no quota
+  monthlyQuota: { type: Number, default: null },
+  status: { type: String, enum: ['active', 'revoked'], default: 'active', index: true },
+  // Fixed-window counters, updated atomically so every instance enforces the same limits
+  rateWindow: {
+    start: { type: Date, default: null },
+    count: { type: Number, default: 0 }
+  },
+  quotaWindow: {
+    month: { type: String, default: null }, // YYYY-MM
+    count: { type: Number, default: 0 }
+  },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+apiKeySchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('ApiKey', apiKeySchema);
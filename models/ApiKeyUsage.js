@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Daily usage meter of one API key, per scope
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+  requests: { type: Number, default: 0 },
+  counts: {
+    'quick-scan': { type: Number, default: 0 },
+    analyze: { type: Number, default: 0 },
+    read: { type: Number, default: 0 }
+  },
+  // Requests turned away by the rate limit or the monthly quota
+  rejected: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+apiKeyUsageSchema.index({ apiKey: 1, day: -1 }, { unique: true });
+
+export default mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A recurring re-audit of one site, enqueued by utils/auditScheduler.js whenever nextRunAt passes
+const auditScheduleSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, required: true },
+  // Where the reports and the regression digest are sent
+  email: { type: String, required: true },
+  url: { type: String, required: true },
+  frequency: { type: String, enum: ['weekly', 'monthly'], required: true },
+  status: { type: String, enum: ['active', 'paused', 'cancelled'], default: 'active' },
+  nextRunAt: { type: Date, required: true },
+  lastRunAt: { type: Date, default: null },
+  lastTaskId: { type: String, default: null },
+  runCount: { type: Number, default: 0 },
+  pausedAt: { type: Date, default: null },
+  // 'user' when paused from the API, 'subscription' when the monitoring subscription lapsed
+  pauseReason: { type: String, enum: ['user', 'subscription', null], default: null },
+  cancelledAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Scheduler polling: active schedules that are due
+auditScheduleSchema.index({ status: 1, nextRunAt: 1 });
+auditScheduleSchema.index({ user: 1, createdAt: -1 });
+
+auditScheduleSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('AuditSchedule', auditScheduleSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Append-only ledger behind User.credits. Every balance change is one entry.
+const creditTransactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Catalog plan the credits are for (utils/pricingCatalog.js)
+  plan: { type: String, required: true },
+  type: { type: String, enum: ['purchase', 'consume', 'refund', 'grant', 'revoke'], required: true },
+  // Signed change of the balance: positive for purchase/refund/grant, negative for consume/revoke
+  amount: { type: Number, required: true },
+  balanceAfter: { type: Number },
+  taskId: { type: String, default: null },
+  // Checkout Session id of the order that bought the credits
+  order: { type: String, default: null },
+  reason: { type: String },
+  // Admin who granted/revoked
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+// Idempotency: one purchase per order, one consume and one refund per analysis run
+creditTransactionSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { order: { $type: 'string' } } });
+creditTransactionSchema.index({ taskId: 1, type: 1 }, { unique: true, partialFilterExpression: { taskId: { $type: 'string' } } });
+
+export default mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Invoice history as reported by the invoice.* webhooks (one document per Stripe invoice)
+const invoiceSchema = new mongoose.Schema({
+  stripeInvoiceId: { type: String, required: true, unique: true },
+  stripeCustomerId: { type: String, required: true, index: true },
+  stripeSubscriptionId: { type: String, index: true, default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
+  number: { type: String },
+  // draft, open, paid, uncollectible, void
+  status: { type: String },
+  currency: { type: String },
+  amountDue: { type: Number },
+  amountPaid: { type: Number },
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+  hostedInvoiceUrl: { type: String },
+  invoicePdf: { type: String },
+  paidAt: { type: Date, default: null },
+  lastPaymentError: { type: String, default: null },
+  lastEventAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+invoiceSchema.index({ user: 1, createdAt: -1 });
+
+invoiceSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Invoice', invoiceSchema);
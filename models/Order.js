@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// One Stripe Checkout purchase (analysis credits, usually with a first site to analyze).
+// The session id makes fulfilment idempotent.
+const orderSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, required: false },
+  email: { type: String, required: true, index: true },
+  // Site to analyze right away; empty when the order only buys credits
+  url: { type: String, default: null },
+  // Catalog plan id (utils/pricingCatalog.js); decides the limits of the analysis
+  plan: { type: String, default: null },
+  amount: { type: Number },
+  currency: { type: String },
+  quantity: { type: Number, default: 1 },
+  // Promo code applied at checkout (models/PromoCode.js); amount is after the discount
+  promoCode: { type: String, default: null },
+  discountAmount: { type: Number, default: 0 },
+  // pending: checkout opened, paid: payment confirmed, fulfilling: enqueue in progress,
+  // fulfilled: analysis enqueued (taskId set), expired: checkout abandoned
+  status: { type: String, enum: ['pending', 'paid', 'fulfilling', 'fulfilled', 'expired', 'failed'], default: 'pending' },
+  paymentStatus: { type: String },
+  paymentIntent: { type: String },
+  taskId: { type: String, index: true, default: null },
+  paidAt: { type: Date },
+  fulfilledAt: { type: Date },
+  failureReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+orderSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Order', orderSchema);
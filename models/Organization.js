@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A team (usually an agency) whose members share analyses. Roles: owner manages the team,
+// editor runs and shares analyses, viewer only reads them.
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['owner', 'editor', 'viewer'], required: true },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  members: { type: [memberSchema], default: [] },
+  // White-label branding of the organization's reports and emails (utils/branding.js); unset = house style
+  branding: {
+    companyName: { type: String, default: null },
+    logoUrl: { type: String, default: null },
+    primaryColor: { type: String, default: null },
+    accentColor: { type: String, default: null },
+    footerText: { type: String, default: null },
+    senderName: { type: String, default: null },
+    supportEmail: { type: String, default: null }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+organizationSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Organization', organizationSchema);
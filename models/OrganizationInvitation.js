@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Invitation to join an organization, accepted by the account with the invited email
+const organizationInvitationSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  role: { type: String, enum: ['editor', 'viewer'], required: true },
+  // Only the hash is stored; the token itself is in the emailed link
+  tokenHash: { type: String, required: true, unique: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: ['pending', 'accepted', 'revoked'], default: 'pending', index: true },
+  expiresAt: { type: Date, required: true },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  acceptedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+organizationInvitationSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('OrganizationInvitation', organizationInvitationSchema);
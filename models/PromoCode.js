@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Marketing promotion code applied at checkout. Usage is counted here (not in Stripe) so the
+// limit holds across plans and the code can be paused or edited from the admin.
+const promoCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  // Exactly one of the two: percent off, or a fixed amount in the smallest currency unit
+  percentOff: { type: Number, min: 1, max: 100, default: null },
+  amountOff: { type: Number, min: 1, default: null },
+  currency: { type: String, default: 'usd' },
+  // Catalog plan ids the code applies to; empty = every plan
+  plans: { type: [String], default: [] },
+  // null = unlimited
+  maxRedemptions: { type: Number, min: 1, default: null },
+  // Checkouts holding the code (reserved) plus paid ones; expired checkouts give theirs back
+  redemptionCount: { type: Number, default: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  active: { type: Boolean, default: true, index: true },
+  // Stripe coupon mirroring the discount, created on first use; cleared when the discount changes
+  stripeCouponId: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+promoCodeSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One use of a promo code by a checkout
+const promoRedemptionSchema = new mongoose.Schema({
+  promo: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', required: true, index: true },
+  code: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
+  email: { type: String },
+  plan: { type: String },
+  // Checkout Session id, set once the session exists
+  order: { type: String, index: true, default: null },
+  // reserved: checkout open, redeemed: paid, released: checkout expired/failed (use given back)
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved', index: true },
+  discountAmount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+promoRedemptionSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('PromoRedemption', promoRedemptionSchema);
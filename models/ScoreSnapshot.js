@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Scores of one finished analysis run, kept per domain so later runs can be compared against it
+const pageScoreSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  overallScore: { type: Number, default: null },
+  metaTagsScore: { type: Number, default: null },
+  structuredDataScore: { type: Number, default: null },
+  claimsScore: { type: Number, default: null }
+}, { _id: false });
+
+const scoreSnapshotSchema = new mongoose.Schema({
+  taskId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, required: false },
+  email: { type: String, index: true },
+  url: { type: String, required: true },
+  // Hostname without "www.", the key runs of the same site are grouped by
+  domain: { type: String, required: true, index: true },
+  overallScore: { type: Number, default: null },
+  components: {
+    aiVisibility: { type: Number, default: null },
+    crawlability: { type: Number, default: null },
+    content: { type: Number, default: null }
+  },
+  crawlabilityScore: { type: Number, default: null },
+  averages: {
+    pageScore: { type: Number, default: null },
+    metaTags: { type: Number, default: null },
+    structuredData: { type: Number, default: null },
+    claims: { type: Number, default: null }
+  },
+  pages: { type: [pageScoreSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+scoreSnapshotSchema.index({ domain: 1, user: 1, createdAt: -1 });
+scoreSnapshotSchema.index({ domain: 1, email: 1, createdAt: -1 });
+
+scoreSnapshotSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('ScoreSnapshot', scoreSnapshotSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Local mirror of a Stripe subscription, kept current by the customer.subscription.* and
+// invoice.* webhooks. Stripe stays the source of truth; this answers "is this user subscribed?"
+const subscriptionSchema = new mongoose.Schema({
+  stripeSubscriptionId: { type: String, required: true, unique: true },
+  stripeCustomerId: { type: String, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
+  email: { type: String, index: true },
+  // Catalog plan id (utils/pricingCatalog.js)
+  plan: { type: String, default: null },
+  // Stripe's status: trialing, active, past_due, unpaid, canceled, incomplete, incomplete_expired, paused
+  status: { type: String, required: true, index: true },
+  currentPeriodStart: { type: Date },
+  currentPeriodEnd: { type: Date },
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  canceledAt: { type: Date, default: null },
+  endedAt: { type: Date, default: null },
+  latestInvoice: { type: String, default: null },
+  lastPaymentError: { type: String, default: null },
+  // Stripe `created` of the last event applied, so an older redelivery cannot overwrite a newer state
+  lastEventAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+subscriptionSchema.pre('save', function(next){
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Subscription', subscriptionSchema);
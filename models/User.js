@@ -11,7 +11,14 @@ const userSchema = new mongoose.Schema({
   resetExpires: { type: Date },
   provider: { type: String, default: 'local' },
   googleId: { type: String, index: true },
-  role: { type: String, enum: ['user','admin'], default: 'user', index: true }
+  role: { type: String, enum: ['user','admin'], default: 'user', index: true },
+  // Stripe customer behind subscriptions, invoices and the billing portal (utils/subscriptions.js)
+  stripeCustomerId: { type: String, index: true, default: null },
+  // Analyses left per catalog plan id; every change goes through utils/credits.js and its ledger
+  credits: { type: Map, of: Number, default: {} },
+  // A quick scan unlocks one free full audit (utils/promotions.js)
+  lastQuickScanAt: { type: Date, default: null },
+  trialUsedAt: { type: Date, default: null }
 });
 
 userSchema.index({ email: 1 }, { unique: true });
@@ -7,6 +7,7 @@ import { z } from 'zod';
 import dotenv from 'dotenv';
 import path from 'path';
 import puppeteer from 'puppeteer-core';
+import { openaiRateBudget } from './utils/openaiRateBudget.js';
 
 const require = createRequire(import.meta.url);
 const cheerio = require('cheerio');
@@ -343,6 +344,7 @@ createTechnicalAnalysisFromMetaTags(metaTags) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         await this.rateLimiter.waitIfNeeded();
+        await openaiRateBudget.acquire('quickScan');
         const completion = await this.openai.chat.completions.create({
           model: "gpt-4o-mini",
           response_format: { type: "json_object" },
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import PDFDocument from 'pdfkit';
 import { createWriteStream } from 'fs';
+import { reportStorage } from './utils/reportStorage.js';
 
 const HIGHER_IS_BETTER_METRICS = [
   'avgAltTextCoverage',
@@ -60,6 +61,7 @@ const generateReport = async (final, options = {}) => {
     
     // Generate PDF report, passing the directory and optional custom file name
     const pdfResult = await generatePDFReport(processedData, reportsDir, fileName);
+    await reportStorage.save(pdfResult.filePath);
     
     return {
       ...pdfResult,
@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { authRequired } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/admin.js';
+import { findPlan } from '../utils/pricingCatalog.js';
+import { getBalances, grantCredits, revokeCredits, listTransactions, InsufficientCreditsError } from '../utils/credits.js';
+
+const router = Router();
+
+// Shared validation of the grant/revoke body; answers 400 itself and returns null when invalid
+function readAdjustment(req, res) {
+  const { plan, amount, reason } = req.body || {};
+  if (!findPlan(plan)) {
+    res.status(400).json({ error: `Unknown plan '${plan}'` });
+    return null;
+  }
+  const n = Number(amount);
+  if (!Number.isInteger(n) || n < 1) {
+    res.status(400).json({ error: 'amount must be a positive integer' });
+    return null;
+  }
+  return { plan, amount: n, reason: reason ? String(reason).slice(0, 500) : null };
+}
+
+async function loadUser(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  const user = await User.findById(req.params.id).select('email name').lean();
+  if (!user) res.status(404).json({ error: 'User not found' });
+  return user;
+}
+
+// Balances plus the most recent ledger entries of one user
+router.get('/users/:id/credits', authRequired, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+    const [credits, transactions] = await Promise.all([
+      getBalances(user._id),
+      listTransactions(user._id, limit)
+    ]);
+    res.json({ success: true, user: { id: user._id, email: user.email }, credits, transactions });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/users/:id/credits/grant', authRequired, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    const adjustment = readAdjustment(req, res);
+    if (!adjustment) return;
+    const tx = await grantCredits(user._id, adjustment.plan, adjustment.amount, { actor: req.user.id, reason: adjustment.reason });
+    if (!tx) return res.status(404).json({ error: 'User not found' });
+    console.log(`💳 ${req.user.email} granted ${adjustment.amount} '${adjustment.plan}' credit(s) to ${user.email}`);
+    res.json({ success: true, transaction: tx, credits: await getBalances(user._id) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Revoking more than the user holds is refused rather than clamped
+router.post('/users/:id/credits/revoke', authRequired, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    const adjustment = readAdjustment(req, res);
+    if (!adjustment) return;
+    const tx = await revokeCredits(user._id, adjustment.plan, adjustment.amount, { actor: req.user.id, reason: adjustment.reason });
+    console.log(`💳 ${req.user.email} revoked ${adjustment.amount} '${adjustment.plan}' credit(s) from ${user.email}`);
+    res.json({ success: true, transaction: tx, credits: await getBalances(user._id) });
+  } catch (e) {
+    if (e instanceof InsufficientCreditsError) {
+      return res.status(409).json({ error: e.message, credits: e.balances });
+    }
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import { authRequired } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/admin.js';
+import { PLANS } from '../utils/pricingCatalog.js';
+import { normalizeCode } from '../utils/promotions.js';
+
+const router = Router();
+const PLAN_IDS = PLANS.map(p => p.id);
+
+function optionalDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${field} must be a date`);
+  return date;
+}
+
+function optionalPositiveInt(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${field} must be a positive integer`);
+  return n;
+}
+
+/**
+ * Whitelisted, validated fields of a create/update body. Fields left out of an update stay
+ * as they are; `null` clears the optional ones.
+ */
+function readPromoFields(body, existing = null) {
+  const fields = {};
+  if (body.code !== undefined) {
+    fields.code = normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(fields.code)) throw new Error('code must be 3-40 letters, digits, _ or -');
+  }
+  if (body.description !== undefined) fields.description = String(body.description || '').slice(0, 300);
+  if (body.percentOff !== undefined) {
+    fields.percentOff = optionalPositiveInt(body.percentOff, 'percentOff');
+    if (fields.percentOff > 100) throw new Error('percentOff must be at most 100');
+  }
+  if (body.amountOff !== undefined) fields.amountOff = optionalPositiveInt(body.amountOff, 'amountOff');
+  if (body.currency !== undefined) fields.currency = String(body.currency || 'usd').toLowerCase();
+  if (body.plans !== undefined) {
+    const plans = Array.isArray(body.plans) ? body.plans : [];
+    const unknown = plans.filter(p => !PLAN_IDS.includes(p));
+    if (unknown.length) throw new Error(`Unknown plan(s): ${unknown.join(', ')}`);
+    fields.plans = plans;
+  }
+  if (body.maxRedemptions !== undefined) fields.maxRedemptions = optionalPositiveInt(body.maxRedemptions, 'maxRedemptions');
+  if (body.startsAt !== undefined) fields.startsAt = optionalDate(body.startsAt, 'startsAt');
+  if (body.expiresAt !== undefined) fields.expiresAt = optionalDate(body.expiresAt, 'expiresAt');
+  if (body.active !== undefined) fields.active = !!body.active;
+
+  const percentOff = fields.percentOff !== undefined ? fields.percentOff : existing?.percentOff;
+  const amountOff = fields.amountOff !== undefined ? fields.amountOff : existing?.amountOff;
+  if (!percentOff === !amountOff) throw new Error('Set exactly one of percentOff or amountOff');
+  return fields;
+}
+
+function toAdminPromo(promo) {
+  const remaining = promo.maxRedemptions ? Math.max(promo.maxRedemptions - promo.redemptionCount, 0) : null;
+  return { ...promo, remaining, expired: !!(promo.expiresAt && promo.expiresAt <= new Date()) };
+}
+
+router.get('/promo-codes', authRequired, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === '1') filter.active = true;
+    if (req.query.active === '0') filter.active = false;
+    const promos = await PromoCode.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, promoCodes: promos.map(toAdminPromo) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// One code with its redemptions
+router.get('/promo-codes/:id', authRequired, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const promo = await PromoCode.findById(req.params.id).lean();
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    const redemptions = await PromoRedemption.find({ promo: promo._id }).sort({ createdAt: -1 }).limit(200).lean();
+    res.json({ success: true, promoCode: toAdminPromo(promo), redemptions });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/promo-codes', authRequired, requireAdmin, async (req, res) => {
+  let fields;
+  try {
+    fields = readPromoFields(req.body || {});
+    if (!fields.code) throw new Error('code is required');
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    const promo = await PromoCode.create({ ...fields, createdBy: req.user.id });
+    res.status(201).json({ success: true, promoCode: toAdminPromo(promo.toObject()) });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: 'Code exists' });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/promo-codes/:id', authRequired, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    let fields;
+    try {
+      fields = readPromoFields(req.body || {}, promo);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    // Used codes keep their name: it is on past orders and Stripe coupons
+    if (fields.code && fields.code !== promo.code && promo.redemptionCount > 0) {
+      return res.status(409).json({ error: 'A used code cannot be renamed; create a new one instead' });
+    }
+    const discountChanged = ['percentOff', 'amountOff', 'currency'].some(f => fields[f] !== undefined && fields[f] !== promo[f]);
+    promo.set(fields);
+    if (discountChanged) promo.stripeCouponId = null;
+    await promo.save();
+    res.json({ success: true, promoCode: toAdminPromo(promo.toObject()) });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: 'Code exists' });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Unused codes are deleted; used ones are only deactivated so their redemptions keep a reference
+router.delete('/promo-codes/:id', authRequired, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) return res.status(404).json({ error: 'Not found' });
+    if (await PromoRedemption.exists({ promo: promo._id })) {
+      promo.active = false;
+      await promo.save();
+      return res.json({ success: true, deactivated: true });
+    }
+    await promo.deleteOne();
+    res.json({ success: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,18 @@
 import express from 'express';
 import fetch from 'node-fetch';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { stripe } from '../utils/stripe.js';
+import { fulfillCheckoutSession, isSessionPaid } from '../utils/orderFulfillment.js';
+import { findPlan } from '../utils/pricingCatalog.js';
+import { getBalances, pickPlan, consumeCredit, attachTask, refundCredit, InsufficientCreditsError } from '../utils/credits.js';
+import { recordQuickScan } from '../utils/promotions.js';
+import { membershipsOf, roleAtLeast, roleForRecord } from '../utils/organizations.js';
+import { apiKeyAuth, apiKeyOrLogin, apiKeyOrOptionalLogin } from '../middleware/apiKey.js';
+
+// Anonymous status lookups by email only cover the runs of the last day, like the old in-memory list
+const PUBLIC_STATUS_WINDOW_MS = 24 * 60 * 60 * 1000;
+const PUBLIC_STATUS_LIMIT = 20;
 
 // Helper: normalize URL (prefer https). Returns {candidateUrls, input}
 function buildCandidateUrls(input) {
@@ -61,10 +73,14 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
   }
 
   // Queue status endpoint
-  router.get('/queue-status', (req, res) => {
+  router.get('/queue-status', async (req, res) => {
     if (analysisQueue) {
-      const queueStatus = analysisQueue.getStatus();
-      res.json(queueStatus);
+      try {
+        const queueStatus = await analysisQueue.getStatus();
+        res.json(queueStatus);
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
     } else {
       res.json({ error: 'Queue not available' });
     }
@@ -87,10 +103,10 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
     });
   });
 
-  // Quick scan endpoint
-  router.post('/quick-scan', async (req, res) => {
+  // Quick scan endpoint. With an API key the results go to the key owner unless `email` is given.
+  router.post('/quick-scan', apiKeyAuth('quick-scan'), async (req, res) => {
     const { email: bodyEmail, url } = req.body || {};
-    const email = extractEmail(req, bodyEmail);
+    const email = req.apiKey ? (bodyEmail || req.user.email) : extractEmail(req, bodyEmail);
     if (!email || !url) {
       return res.status(400).json({ success: false, error: 'Email and URL are required' });
     }
@@ -98,6 +114,7 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
     try {
       if (ultimateAnalyzer) {
         const result = await ultimateAnalyzer.runQuickScan(url, email);
+        if (result.success) await recordQuickScan(email).catch(e => console.warn('⚠️ Could not record quick scan:', e.message));
         res.json(result);
       } else {
         res.status(500).json({
@@ -144,14 +161,81 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
     });
   });
 
-  // Full analysis endpoint (with queue)
-  router.post('/analyze', async (req, res) => {
-    const { email: bodyEmail, url } = req.body || {};
-    const email = extractEmail(req, bodyEmail);
-    if (!email || !url) {
-      return res.status(400).json({ success: false, error: 'Email and URL are required' });
+  // Full analysis endpoint (with queue). Paid either by a Checkout Session or by one of the
+  // signed-in user's analysis credits (utils/credits.js). An API key spends its owner's credits.
+  router.post('/analyze', async (req, res, next) => {
+    const { sessionId } = req.body || {};
+    if (!sessionId) return next();
+
+    // Coming back from Checkout: the order decides what runs, and the webhook may already have queued it
+    try {
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      if (!isSessionPaid(session)) {
+        return res.status(402).json({ success: false, error: 'Payment not completed for this session' });
+      }
+      const order = await fulfillCheckoutSession(session, analysisQueue);
+      return res.json({
+        success: true,
+        message: order.taskId
+          ? 'Analysis queued successfully'
+          : (!order.url && order.status === 'fulfilled' ? 'Credits added to your account' : 'Order is being fulfilled'),
+        email: order.email,
+        url: order.url,
+        taskId: order.taskId,
+        orderStatus: order.status,
+        status: order.taskId ? await analysisQueue.getTaskStatus(order.taskId) : null
+      });
+    } catch (error) {
+      console.error(`Order fulfilment error for session ${sessionId}:`, error.message);
+      const notFound = error.type === 'StripeInvalidRequestError';
+      return res.status(notFound ? 404 : 500).json({
+        success: false,
+        error: notFound ? 'Unknown checkout session' : 'Failed to queue analysis for this order',
+        details: error.message
+      });
+    }
+  }, apiKeyOrLogin('analyze'), async (req, res) => {
+    const { url, plan: requestedPlan, organization } = req.body || {};
+    // Reports go to the account that pays for them
+    const email = req.user.email;
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
+    if (requestedPlan && !findPlan(requestedPlan)) {
+      return res.status(400).json({ success: false, error: `Unknown plan '${requestedPlan}'` });
+    }
+    // Running an analysis for an organization takes the editor role there
+    if (organization && req.user.role !== 'admin') {
+      const role = mongoose.isValidObjectId(organization) ? (await membershipsOf(req.user.id))[organization] : null;
+      if (!role) return res.status(404).json({ success: false, error: 'Organization not found' });
+      if (!roleAtLeast(role, 'editor')) {
+        return res.status(403).json({ success: false, error: 'Viewers cannot run analyses for this organization' });
+      }
     }
 
+    // Admins run analyses without spending credits
+    const isAdmin = req.user.role === 'admin';
+    let plan = requestedPlan || null;
+    let consumed = null;
+    if (!isAdmin) {
+      try {
+        plan = pickPlan(await getBalances(req.user.id), requestedPlan);
+        if (!plan) throw new InsufficientCreditsError(null, {});
+        consumed = await consumeCredit(req.user.id, plan);
+      } catch (error) {
+        if (!(error instanceof InsufficientCreditsError)) {
+          return res.status(500).json({ success: false, error: 'Failed to check analysis credits', details: error.message });
+        }
+        return res.status(402).json({
+          success: false,
+          error: `${error.message}. Purchase an analysis to continue.`,
+          plan: error.plan,
+          credits: error.balances
+        });
+      }
+    }
+
+    let queued = false;
     try {
       if (analysisQueue) {
         // For payment success flow, return immediate response and queue in background
@@ -165,9 +249,15 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
         };
         
         // Add task to queue in background
-        const { duplicate, taskId } = await analysisQueue.addTask(email, url, dummyRes);
+        const { duplicate, taskId } = await analysisQueue.addTask(email, url, dummyRes, { user: req.user.id, plan, organization: organization || null });
         if (duplicate) {
-          return; // addTask already responded in duplicate case
+          if (consumed) await refundCredit(consumed, 'Duplicate analysis request');
+          return res.status(409).json({ success: false, error: 'This analysis is already queued', taskId });
+        }
+        queued = true;
+        // The run is queued and keeps its credit; a missing taskId only costs the automatic refund on failure
+        if (consumed) {
+          await attachTask(consumed, taskId).catch(e => console.error(`❌ Could not attach credit ${consumed._id} to task ${taskId}:`, e.message));
         }
         // Return immediate success response with taskId
         res.json({
@@ -176,10 +266,13 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
           email,
           url,
           taskId,
-          status: analysisQueue.getTaskStatus(taskId)
+          plan,
+          creditsRemaining: consumed ? consumed.balanceAfter : null,
+          status: await analysisQueue.getTaskStatus(taskId)
         });
         
       } else {
+        if (consumed) await refundCredit(consumed, 'Analysis queue not available');
         res.status(500).json({
           success: false,
           error: 'Analysis queue not available'
@@ -187,6 +280,7 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
       }
     } catch (error) {
       console.error('Analysis queue error:', error);
+      if (consumed && !queued) await refundCredit(consumed, 'Analysis could not be queued').catch(e => console.error('❌ Credit refund failed:', e.message));
       if (!res.headersSent) {
         res.status(500).json({
           success: false,
@@ -197,21 +291,138 @@ export default function createAnalysisRoutes(analysisQueue, ultimateAnalyzer) {
     }
   });
 
-  // Get status for a specific taskId
-  router.get('/analysis-status/:taskId', (req, res) => {
+  // Get status for a specific taskId. Signed-in users and API keys only see analyses they have
+  // access to, with full details; anonymous callers get the public status only.
+  router.get('/analysis-status/:taskId', apiKeyOrOptionalLogin('read'), async (req, res) => {
+    if (!analysisQueue) return res.status(500).json({ error: 'Queue not available' });
+    try {
+      let status = await analysisQueue.getTaskStatus(req.params.taskId);
+      if (!status) return res.status(404).json({ error: 'Task not found' });
+      if (req.user && !roleForRecord(status, req.user, await membershipsOf(req.user.id))) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      if (!req.user) status = analysisQueue.toPublicStatus(status);
+      status.queuePosition = status.status === 'queued' ? await analysisQueue.getQueuePosition(status.taskId) : 0;
+      status.eta = await analysisQueue.estimateEta(status, status.queuePosition);
+      res.json({ success: true, status });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Live progress for a task as Server-Sent Events.
+  // Events: `status` (status, queue position, ETA), `progress` (step-level updates) and a
+  // final `done` once the task reaches completed/partial/failed, after which the stream closes.
+  router.get('/analysis-progress/:taskId', async (req, res) => {
     if (!analysisQueue) return res.status(500).json({ error: 'Queue not available' });
-    const status = analysisQueue.getTaskStatus(req.params.taskId);
-    if (!status) return res.status(404).json({ error: 'Task not found' });
-    res.json({ success: true, status });
+    const { taskId } = req.params;
+    const terminal = ['completed', 'partial', 'failed'];
+
+    let snapshot;
+    try {
+      snapshot = await analysisQueue.getProgressSnapshot(taskId);
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    if (!snapshot) return res.status(404).json({ error: 'Task not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable proxy buffering (nginx) so events arrive as they happen
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let lastStatusKey = null;
+    let lastProgressAt = 0;
+    const send = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const statusPayload = (s) => ({
+      taskId: s.taskId,
+      status: s.status,
+      emailStatus: s.emailStatus,
+      queuePosition: s.queuePosition,
+      attempts: s.attempts,
+      eta: s.eta,
+      failureReason: s.failureReason
+    });
+
+    const publish = (s) => {
+      const key = `${s.status}:${s.emailStatus}:${s.queuePosition}:${s.attempts}`;
+      if (key !== lastStatusKey) {
+        lastStatusKey = key;
+        send('status', statusPayload(s));
+      }
+      // Progress persisted by a worker on another instance
+      if (s.progress && s.progress.at > lastProgressAt) {
+        lastProgressAt = s.progress.at;
+        send('progress', { ...s.progress, eta: s.eta });
+      }
+      if (terminal.includes(s.status)) {
+        send('done', { ...statusPayload(s), stepOutcomes: s.stepOutcomes });
+        cleanup();
+        res.end();
+      }
+    };
+
+    // Step updates from a task running in this process arrive immediately
+    const unsubscribe = analysisQueue.subscribeProgress(taskId, async (progress) => {
+      if (progress.at <= lastProgressAt) return;
+      lastProgressAt = progress.at;
+      let eta = null;
+      try {
+        eta = await analysisQueue.estimateEta({ status: 'processing', progress, startedAt: snapshot.startedAt }, 0);
+      } catch { /* ETA is best effort */ }
+      send('progress', { ...progress, eta });
+    });
+
+    // Status, queue position and remote progress are re-read periodically; comments keep proxies from idling out
+    const poll = setInterval(async () => {
+      try {
+        const latest = await analysisQueue.getProgressSnapshot(taskId);
+        if (closed) return;
+        if (latest) publish(snapshot = latest);
+        else res.write(': ping\n\n');
+      } catch (e) {
+        if (!closed) res.write(`: poll failed (${e.message})\n\n`);
+      }
+    }, Math.max(1000, parseInt(process.env.SSE_POLL_MS || '3000', 10)));
+
+    function cleanup() {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      unsubscribe();
+    }
+    req.on('close', cleanup);
+
+    res.write('retry: 5000\n\n');
+    publish(snapshot);
   });
 
-  // Get statuses for all tasks for a given email (query param)
-  router.get('/analysis-status', (req, res) => {
-    const { email } = req.query;
+  // Statuses of the analyses of an email. Signed in (or with an API key) it is the caller's own
+  // history, in full; anonymous callers only get the public status of the last day's runs.
+  router.get('/analysis-status', apiKeyOrOptionalLogin('read'), async (req, res) => {
+    const email = req.query.email || req.user?.email || null;
     if (!email) return res.status(400).json({ error: 'Email query param required' });
+    if (req.user && email !== req.user.email && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'You can only list your own analyses' });
+    }
     if (!analysisQueue) return res.status(500).json({ error: 'Queue not available' });
-    const statuses = analysisQueue.getStatusesForEmail(email);
-    res.json({ success: true, tasks: statuses });
+    try {
+      const statuses = req.user
+        ? await analysisQueue.getStatusesForEmail(email)
+        : (await analysisQueue.getStatusesForEmail(email, { since: new Date(Date.now() - PUBLIC_STATUS_WINDOW_MS), limit: PUBLIC_STATUS_LIMIT }))
+          .map(status => analysisQueue.toPublicStatus(status));
+      res.json({ success: true, tasks: statuses });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
   });
 
   return router;
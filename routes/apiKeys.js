@@ -0,0 +1,67 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { authRequired } from '../middleware/auth.js';
+import { createApiKey, revokeApiKey, usageFor, toPublicApiKey, ApiKeyError, API_KEY_SCOPES } from '../utils/apiKeys.js';
+
+const router = Router();
+
+// Keys are managed with the browser login only: an API key cannot mint or revoke keys
+router.get('/api-keys', authRequired, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, scopes: API_KEY_SCOPES, apiKeys: keys.map(toPublicApiKey) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// The key itself is only in this response
+router.post('/api-keys', authRequired, async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.user.id, req.body || {});
+    res.status(201).json({ success: true, key, apiKey: toPublicApiKey(apiKey) });
+  } catch (e) {
+    if (e instanceof ApiKeyError) return res.status(400).json({ error: e.message });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/api-keys/:id', authRequired, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+    const apiKey = await revokeApiKey(req.user.id, req.params.id);
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    res.json({ success: true, apiKey: toPublicApiKey(apiKey) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Daily request counts per scope (?days=, default 30, max 90)
+router.get('/api-keys/:id/usage', authRequired, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id }).lean();
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+    const usage = await usageFor(apiKey._id, days);
+    const totals = { requests: 0, rejected: 0, counts: Object.fromEntries(API_KEY_SCOPES.map(s => [s, 0])) };
+    for (const day of usage) {
+      totals.requests += day.requests || 0;
+      totals.rejected += day.rejected || 0;
+      for (const scope of API_KEY_SCOPES) totals.counts[scope] += day.counts?.[scope] || 0;
+    }
+    res.json({
+      success: true,
+      apiKey: toPublicApiKey(apiKey),
+      days,
+      totals,
+      usage: usage.map(d => ({ day: d.day, requests: d.requests, rejected: d.rejected, counts: d.counts }))
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { authRequired } from '../middleware/auth.js';
+import { stripe } from '../utils/stripe.js';
+import { findPlan } from '../utils/pricingCatalog.js';
+import { ensureStripeCustomer, listSubscriptions, listInvoices } from '../utils/subscriptions.js';
+
+const router = Router();
+
+function toPublicSubscription(sub) {
+  const plan = findPlan(sub.plan);
+  return {
+    id: sub.stripeSubscriptionId,
+    plan: sub.plan,
+    planName: plan?.name || null,
+    status: sub.status,
+    currentPeriodStart: sub.currentPeriodStart || null,
+    currentPeriodEnd: sub.currentPeriodEnd || null,
+    cancelAtPeriodEnd: sub.cancelAtPeriodEnd,
+    canceledAt: sub.canceledAt,
+    endedAt: sub.endedAt,
+    lastPaymentError: sub.lastPaymentError,
+    createdAt: sub.createdAt
+  };
+}
+
+function toPublicInvoice(inv) {
+  return {
+    id: inv.stripeInvoiceId,
+    number: inv.number,
+    status: inv.status,
+    currency: inv.currency,
+    amountDue: inv.amountDue,
+    amountPaid: inv.amountPaid,
+    periodStart: inv.periodStart,
+    periodEnd: inv.periodEnd,
+    hostedInvoiceUrl: inv.hostedInvoiceUrl,
+    invoicePdf: inv.invoicePdf,
+    paidAt: inv.paidAt,
+    createdAt: inv.createdAt
+  };
+}
+
+router.get('/billing/subscriptions', authRequired, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.user.id);
+    res.json({ success: true, subscriptions: subscriptions.map(toPublicSubscription) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Invoice history from the invoice.* webhooks; no call to Stripe needed
+router.get('/billing/invoices', authRequired, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '24', 10) || 24, 100);
+    const invoices = await listInvoices(req.user.id, limit);
+    res.json({ success: true, invoices: invoices.map(toPublicInvoice) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Stripe customer portal (cancel, change card, download invoices). Returns to the account page.
+router.post('/billing/portal', authRequired, async (req, res) => {
+  try {
+    const customer = await ensureStripeCustomer(req.user.id);
+    const origin = process.env.FRONTEND_URL || req.headers.origin || 'http://localhost:3000';
+    const session = await stripe.billingPortal.sessions.create({
+      customer,
+      return_url: `${origin}/account`
+    });
+    res.json({ success: true, url: session.url });
+  } catch (e) {
+    console.error('Billing portal error:', e.message);
+    res.status(500).json({ success: false, error: 'Could not open the billing portal' });
+  }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import ScoreSnapshot from '../models/ScoreSnapshot.js';
+import { authRequired } from '../middleware/auth.js';
+import { domainKey, ownerFilter, diffSnapshots, findPreviousSnapshot } from '../utils/scoreHistory.js';
+
+const router = Router();
+
+function trendPoint(snapshot) {
+  return {
+    taskId: snapshot.taskId,
+    url: snapshot.url,
+    createdAt: snapshot.createdAt,
+    overallScore: snapshot.overallScore,
+    components: snapshot.components,
+    crawlabilityScore: snapshot.crawlabilityScore,
+    averages: snapshot.averages,
+    pagesAnalyzed: snapshot.pages?.length || 0
+  };
+}
+
+// Score trend of one site across the user's runs, oldest first
+router.get('/score-history', authRequired, async (req, res) => {
+  try {
+    if (!req.query.url) return res.status(400).json({ error: 'url is required' });
+    const domain = domainKey(req.query.url);
+    let limit = parseInt(req.query.limit || '50', 10);
+    if (!(limit > 0)) limit = 50;
+    limit = Math.min(limit, 200);
+
+    const snapshots = await ScoreSnapshot.find({ ...ownerFilter(req.user), domain })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    const history = snapshots.reverse().map(trendPoint);
+    const first = history[0];
+    const last = history[history.length - 1];
+    res.json({
+      success: true,
+      domain,
+      runs: history.length,
+      change: history.length > 1 && first.overallScore !== null && last.overallScore !== null
+        ? last.overallScore - first.overallScore
+        : null,
+      history
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Diff two runs of the same site; without `from`, the run before `to` is used
+router.get('/score-history/compare', authRequired, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!to) return res.status(400).json({ error: 'to (taskId) is required' });
+    const owner = ownerFilter(req.user);
+    const target = await ScoreSnapshot.findOne({ ...owner, taskId: to }).lean();
+    if (!target) return res.status(404).json({ error: 'No score history for this analysis' });
+
+    const base = from
+      ? await ScoreSnapshot.findOne({ ...owner, taskId: from }).lean()
+      : await findPreviousSnapshot(target);
+    if (!base) {
+      return res.status(404).json({ error: from ? 'No score history for this analysis' : 'No earlier run of this site to compare with' });
+    }
+    if (base.domain !== target.domain) {
+      return res.status(400).json({ error: `Runs belong to different sites (${base.domain} vs ${target.domain})` });
+    }
+    res.json({ success: true, comparison: diffSnapshots(base, target) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
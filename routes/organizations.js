@@ -0,0 +1,278 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import User from '../models/User.js';
+import { authRequired } from '../middleware/auth.js';
+import { memberRole, roleAtLeast, ORG_ROLES } from '../utils/organizations.js';
+import { sanitizeBranding, brandFrom } from '../utils/branding.js';
+import { sendOrganizationInviteEmail } from '../email.js';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_MEMBERS = parseInt(process.env.MAX_ORGANIZATION_MEMBERS || '50', 10);
+
+const router = Router();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicOrg(org, userId) {
+  return {
+    id: org._id,
+    name: org.name,
+    role: memberRole(org, userId),
+    memberCount: org.members.length,
+    createdAt: org.createdAt
+  };
+}
+
+function toPublicInvitation(inv) {
+  return {
+    id: inv._id,
+    email: inv.email,
+    role: inv.role,
+    status: inv.status,
+    expired: inv.status === 'pending' && inv.expiresAt <= new Date(),
+    expiresAt: inv.expiresAt,
+    createdAt: inv.createdAt
+  };
+}
+
+// Loads the organization and checks the caller's role in it; answers 404/403 itself
+async function loadOrg(req, res, minRole = 'viewer') {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  const org = await Organization.findById(req.params.id);
+  const role = memberRole(org, req.user.id);
+  if (!org || !role) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  if (!roleAtLeast(role, minRole)) {
+    res.status(403).json({ error: `Requires the ${minRole} role` });
+    return null;
+  }
+  return org;
+}
+
+function ownerCount(org) {
+  return org.members.filter(m => m.role === 'owner').length;
+}
+
+router.get('/organizations', authRequired, async (req, res) => {
+  try {
+    const orgs = await Organization.find({ 'members.user': req.user.id }).sort({ createdAt: 1 }).lean();
+    res.json({ success: true, organizations: orgs.map(o => toPublicOrg(o, req.user.id)) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// The creator becomes the first owner
+router.post('/organizations', authRequired, async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim().slice(0, 120);
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const org = await Organization.create({
+      name,
+      createdBy: req.user.id,
+      members: [{ user: req.user.id, role: 'owner' }]
+    });
+    res.status(201).json({ success: true, organization: toPublicOrg(org, req.user.id) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Members (with emails) for everyone in the organization; pending invitations for owners
+router.get('/organizations/:id', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res);
+    if (!org) return;
+    const users = await User.find({ _id: { $in: org.members.map(m => m.user) } }).select('email').lean();
+    const emails = Object.fromEntries(users.map(u => [u._id.toString(), u.email]));
+    const isOwner = memberRole(org, req.user.id) === 'owner';
+    const invitations = isOwner
+      ? await OrganizationInvitation.find({ organization: org._id, status: 'pending' }).sort({ createdAt: -1 }).lean()
+      : [];
+    res.json({
+      success: true,
+      organization: toPublicOrg(org, req.user.id),
+      members: org.members.map(m => ({ user: m.user, email: emails[m.user.toString()] || null, role: m.role, joinedAt: m.joinedAt })),
+      invitations: invitations.map(toPublicInvitation),
+      branding: org.branding || {},
+      brand: brandFrom(org.branding)
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/organizations/:id', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res, 'owner');
+    if (!org) return;
+    const name = String(req.body?.name || '').trim().slice(0, 120);
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    org.name = name;
+    await org.save();
+    res.json({ success: true, organization: toPublicOrg(org, req.user.id) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// White-label branding for the organization's reports and emails. Only the fields sent change;
+// null or '' resets one to the house style.
+router.put('/organizations/:id/branding', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res, 'owner');
+    if (!org) return;
+    let fields;
+    try {
+      fields = sanitizeBranding(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    for (const [key, value] of Object.entries(fields)) org.set(`branding.${key}`, value);
+    await org.save();
+    res.json({ success: true, branding: org.branding, brand: brandFrom(org.branding) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Invite by email. A new invitation for the same address replaces the pending one.
+router.post('/organizations/:id/invitations', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res, 'owner');
+    if (!org) return;
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const role = req.body?.role || 'viewer';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'A valid email is required' });
+    if (!['editor', 'viewer'].includes(role)) return res.status(400).json({ error: 'role must be editor or viewer' });
+    if (org.members.length >= MAX_MEMBERS) {
+      return res.status(409).json({ error: `An organization can have at most ${MAX_MEMBERS} members` });
+    }
+    const existingUser = await User.findOne({ email }).select('_id').lean();
+    if (existingUser && memberRole(org, existingUser._id)) {
+      return res.status(409).json({ error: 'Already a member' });
+    }
+
+    await OrganizationInvitation.updateMany(
+      { organization: org._id, email, status: 'pending' },
+      { $set: { status: 'revoked', updatedAt: new Date() } }
+    );
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await OrganizationInvitation.create({
+      organization: org._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+    try {
+      await sendOrganizationInviteEmail({ to: email, organizationName: org.name, role, invitedBy: req.user.email, token });
+    } catch (e) {
+      console.warn(`Failed to send invitation email to ${email}:`, e.message);
+    }
+    res.status(201).json({ success: true, invitation: toPublicInvitation(invitation) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/organizations/:id/invitations/:invitationId', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res, 'owner');
+    if (!org) return;
+    if (!mongoose.isValidObjectId(req.params.invitationId)) return res.status(404).json({ error: 'Invitation not found' });
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, organization: org._id, status: 'pending' },
+      { $set: { status: 'revoked', updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+    res.json({ success: true, invitation: toPublicInvitation(invitation) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Accept with the emailed token; only the account registered under the invited email can
+router.post('/organizations/invitations/accept', authRequired, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ error: 'Token required' });
+    const invitation = await OrganizationInvitation.findOne({ tokenHash: hashToken(String(token)) });
+    if (!invitation || invitation.status !== 'pending' || invitation.expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    // Atomic: a concurrent accept (or an existing membership) cannot add the user twice
+    const org = await Organization.findOneAndUpdate(
+      { _id: invitation.organization, 'members.user': { $ne: req.user.id } },
+      { $push: { members: { user: req.user.id, role: invitation.role, joinedAt: new Date() } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    invitation.status = 'accepted';
+    invitation.acceptedBy = req.user.id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    const current = org || await Organization.findById(invitation.organization);
+    if (!current) return res.status(404).json({ error: 'Organization not found' });
+    res.json({ success: true, organization: toPublicOrg(current, req.user.id) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.put('/organizations/:id/members/:userId', authRequired, async (req, res) => {
+  try {
+    const org = await loadOrg(req, res, 'owner');
+    if (!org) return;
+    const { role } = req.body || {};
+    if (!ORG_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+    const member = org.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(org) === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+    member.role = role;
+    await org.save();
+    res.json({ success: true, member: { user: member.user, role: member.role, joinedAt: member.joinedAt } });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Owners remove anyone; every member may remove themselves (leave).
+// The organization keeps the analyses its former members ran for it.
+router.delete('/organizations/:id/members/:userId', authRequired, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const org = await loadOrg(req, res, leaving ? 'viewer' : 'owner');
+    if (!org) return;
+    const member = org.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === 'owner' && ownerCount(org) === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+    org.members = org.members.filter(m => m !== member);
+    await org.save();
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -1,70 +1,300 @@
 import express from 'express';
-import Stripe from 'stripe';
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { stripe } from '../utils/stripe.js';
+import { fulfillCheckoutSession } from '../utils/orderFulfillment.js';
+import { PLANS, findPlan, checkoutLineItem, publicPlan } from '../utils/pricingCatalog.js';
+import { getBalances, listTransactions, grantCredits, consumeCredit, attachTask, refundCredit } from '../utils/credits.js';
+import {
+  TRIAL_PLAN_ID, PromoCodeError, findUsablePromo, discountFor, reservePromo, attachPromoOrder,
+  releasePromo, redeemPromo, stripeCouponFor, trialEligibility, claimTrial
+} from '../utils/promotions.js';
+import { ensureStripeCustomer, linkCheckoutCustomer, handleBillingEvent } from '../utils/subscriptions.js';
+import { authRequired } from '../middleware/auth.js';
 
-const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const MAX_CREDITS_PER_ORDER = 20;
 
-// Create checkout session for payment
-router.post('/create-checkout-session', async (req, res) => {
-  if (!req.body || typeof req.body !== 'object') {
-    return res.status(400).json({ error: 'Missing payment data.' });
+// Optional login: the buyer's user id travels in the session metadata when they are signed in
+function optionalUserId(req) {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) return null;
+  try {
+    const decoded = jwt.verify(auth.slice(7), process.env.JWT_SECRET || 'dev_secret');
+    return decoded.id || decoded.userId || null;
+  } catch {
+    return null;
+  }
+}
+
+export default function createPaymentRoutes(analysisQueue) {
+  const router = express.Router();
+
+  // The free audit: one trial credit, spent right away on `url` when one is given.
+  // The report always goes to the signed-in account's own address.
+  async function startTrial(res, userId, requestedEmail, url) {
+    const user = await User.findById(userId).select('email').lean();
+    if (!user) return res.status(401).json({ error: 'Sign in to claim the free audit.' });
+    const { email } = user;
+    if (requestedEmail && requestedEmail.trim().toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({ error: 'The free audit is sent to your account email; the email in the request does not match it.' });
+    }
+    if (!(await claimTrial(userId))) {
+      const { reason } = await trialEligibility(userId);
+      return res.status(403).json({ error: reason || 'Not eligible for the free audit' });
+    }
+    await grantCredits(userId, TRIAL_PLAN_ID, 1, { reason: 'Free full audit after quick scan' });
+    let taskId = null;
+    if (url) {
+      const consumed = await consumeCredit(userId, TRIAL_PLAN_ID);
+      try {
+        ({ taskId } = await analysisQueue.addTask(email, url, null, { user: userId, plan: TRIAL_PLAN_ID }));
+      } catch (e) {
+        await refundCredit(consumed, 'Analysis could not be queued');
+        throw e;
+      }
+      await attachTask(consumed, taskId);
+    }
+    console.log(`🎁 Free audit claimed by ${email}${taskId ? `: analysis ${taskId} queued for ${url}` : ''}`);
+    return res.json({ success: true, trial: true, plan: TRIAL_PLAN_ID, taskId, credits: await getBalances(userId) });
   }
+
+  // Catalog for the pricing page
+  router.get('/pricing', (req, res) => {
+    res.json({ success: true, plans: PLANS.map(publicPlan) });
+  });
+
+  // Create checkout session for payment
+  router.post('/create-checkout-session', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ error: 'Missing payment data.' });
+    }
   
-  const { quantity, amount, name, email, url } = req.body;
+    // Price and limits come from the catalog; any amount/name in the body is ignored.
+    // `quantity` buys that many analysis credits of a one-off plan; `url` spends the first one.
+    // `promoCode` discounts the checkout; `trial: true` claims the free audit without Stripe.
+    const { plan: planId, email, url, promoCode, trial } = req.body;
   
-  if (!quantity || !amount || !email || !url) {
-    return res.status(400).json({ error: 'Missing required fields.' });
-  }
+    if (!planId || !email) {
+      return res.status(400).json({ error: 'Missing required fields.' });
+    }
+    const plan = findPlan(planId);
+    if (!plan) {
+      return res.status(400).json({ error: `Unknown plan '${planId}'`, plans: PLANS.map(p => p.id) });
+    }
+    const quantity = plan.mode === 'payment' ? parseInt(req.body.quantity || '1', 10) : 1;
+    if (!(quantity >= 1 && quantity <= MAX_CREDITS_PER_ORDER)) {
+      return res.status(400).json({ error: `quantity must be between 1 and ${MAX_CREDITS_PER_ORDER}` });
+    }
   
-  try {
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      mode: 'payment',
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: name || 'AI GEO Visibility Report',
-          },
-          unit_amount: amount,
-        },
-        quantity: quantity,
-      }],
-      success_url: `${req.headers.origin}/success?session_id={CHECKOUT_SESSION_ID}&email=${encodeURIComponent(email)}&url=${encodeURIComponent(url)}`,
-      cancel_url: `${req.headers.origin}/cancel`,
-    });
-    
-    res.json({ url: session.url });
-  } catch (err) {
-    console.error('Stripe error:', err);
-    res.status(500).json({ error: 'Payment initiation failed.' });
-  }
-});
+    const userId = optionalUserId(req);
+    if (trial) {
+      if (!userId) return res.status(401).json({ error: 'Sign in to claim the free audit.' });
+      if (plan.id !== TRIAL_PLAN_ID) return res.status(400).json({ error: `The free audit is only available for '${TRIAL_PLAN_ID}'` });
+      try {
+        return await startTrial(res, userId, email, url);
+      } catch (err) {
+        console.error('Free audit error:', err.message);
+        return res.status(500).json({ error: 'Could not start the free audit.' });
+      }
+    }
+    // Subscriptions are managed from the account (portal, invoices), so they need one
+    if (plan.mode === 'subscription' && !userId) {
+      return res.status(401).json({ error: 'Sign in to subscribe.' });
+    }
+    // Credits without a site to analyze need an account to land on
+    if (!url && !userId) {
+      return res.status(400).json({ error: 'Missing required fields.' });
+    }
+    const subtotal = plan.unitAmount * quantity;
+    let redemption = null;
+    let coupon = null;
+    try {
+      if (promoCode) {
+        const promo = await findUsablePromo(promoCode, plan);
+        redemption = await reservePromo(promo, { user: userId, email, plan: plan.id, discountAmount: discountFor(promo, subtotal) });
+        coupon = await stripeCouponFor(promo);
+      }
 
-// Verify payment status (optional webhook endpoint)
-router.post('/webhook', async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+      // The webhook fulfils the order from these, even if the buyer never returns to the site
+      const metadata = {
+        email, plan: plan.id, quantity: String(quantity),
+        ...(url ? { url } : {}), ...(userId ? { userId } : {}), ...(redemption ? { promoCode: redemption.code } : {})
+      };
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        mode: plan.mode,
+        line_items: [checkoutLineItem(plan, quantity)],
+        success_url: `${req.headers.origin}/success?session_id={CHECKOUT_SESSION_ID}&email=${encodeURIComponent(email)}${url ? `&url=${encodeURIComponent(url)}` : ''}`,
+        cancel_url: `${req.headers.origin}/cancel`,
+        metadata,
+        ...(coupon ? { discounts: [{ coupon }] } : {}),
+        // Subscriptions bill the user's own Stripe customer and carry the plan on every later event
+        ...(plan.mode === 'subscription'
+          ? { customer: await ensureStripeCustomer(userId), subscription_data: { metadata: { userId, plan: plan.id } } }
+          : {})
+      });
 
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.log(`Webhook signature verification failed.`, err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
+      await Order.create({
+        sessionId: session.id,
+        user: userId || undefined,
+        email,
+        url: url || null,
+        plan: plan.id,
+        amount: subtotal - (redemption?.discountAmount || 0),
+        currency: plan.currency,
+        quantity,
+        promoCode: redemption?.code || null,
+        discountAmount: redemption?.discountAmount || 0
+      }).catch(e => console.warn(`⚠️ Could not record order for session ${session.id}:`, e.message));
+      if (redemption) await attachPromoOrder(redemption, session.id);
 
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      console.log('Payment succeeded:', session.id);
-      // You can add logic here to trigger report generation
-      break;
-    default:
-      console.log(`Unhandled event type ${event.type}`);
-  }
+      res.json({ url: session.url, sessionId: session.id });
+    } catch (err) {
+      // The checkout never opened: give the held promo use back
+      if (redemption) await releasePromo({ redemptionId: redemption._id }).catch(e => console.warn('⚠️ Could not release promo code:', e.message));
+      if (err instanceof PromoCodeError) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('Stripe error:', err);
+      res.status(500).json({ error: 'Payment initiation failed.' });
+    }
+  });
+
+  // Preview a promo code on the pricing page; nothing is reserved until checkout
+  router.post('/promo-codes/validate', async (req, res) => {
+    const { code, plan: planId } = req.body || {};
+    const plan = findPlan(planId);
+    if (!code || !plan) return res.status(400).json({ error: 'code and a valid plan are required' });
+    try {
+      const promo = await findUsablePromo(code, plan);
+      const quantity = plan.mode === 'payment' ? Math.min(Math.max(parseInt(req.body.quantity || '1', 10) || 1, 1), MAX_CREDITS_PER_ORDER) : 1;
+      const subtotal = plan.unitAmount * quantity;
+      const discountAmount = discountFor(promo, subtotal);
+      res.json({
+        success: true,
+        code: promo.code,
+        description: promo.description || null,
+        percentOff: promo.percentOff,
+        amountOff: promo.amountOff,
+        subtotal,
+        discountAmount,
+        total: subtotal - discountAmount,
+        currency: plan.currency
+      });
+    } catch (e) {
+      if (e instanceof PromoCodeError) return res.status(400).json({ success: false, error: e.message });
+      res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.get('/free-audit', authRequired, async (req, res) => {
+    try {
+      res.json({ success: true, ...(await trialEligibility(req.user.id)) });
+    } catch (e) {
+      res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  // Stripe webhook. Needs the raw request body for signature verification (see server.js).
+  router.post('/webhook', async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      console.log(`Webhook signature verification failed.`, err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      switch (event.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded': {
+          if (event.data.object.mode === 'subscription') await linkCheckoutCustomer(event.data.object);
+          const order = await fulfillCheckoutSession(event.data.object, analysisQueue);
+          if (order.status !== 'pending') await redeemPromo(event.data.object.id);
+          console.log(`💳 ${event.type} for ${event.data.object.id}: order ${order.status}${order.taskId ? ` (task ${order.taskId})` : ''}`);
+          break;
+        }
+        case 'checkout.session.async_payment_failed':
+          await releasePromo({ order: event.data.object.id });
+          await Order.updateOne(
+            { sessionId: event.data.object.id, status: { $in: ['pending', 'paid'] }, taskId: null },
+            { $set: { status: 'failed', paymentStatus: event.data.object.payment_status, failureReason: 'Payment failed', updatedAt: new Date() } }
+          );
+          console.log(`❌ Payment failed for checkout session ${event.data.object.id}`);
+          break;
+        case 'checkout.session.expired':
+          await releasePromo({ order: event.data.object.id });
+          await Order.updateOne(
+            { sessionId: event.data.object.id, status: 'pending' },
+            { $set: { status: 'expired', updatedAt: new Date() } }
+          );
+          break;
+        default:
+          // customer.subscription.* and invoice.*
+          if (!(await handleBillingEvent(event))) console.log(`Unhandled event type ${event.type}`);
+      }
+    } catch (err) {
+      // A non-2xx answer makes Stripe redeliver the event; fulfilment is idempotent per session
+      console.error(`❌ Webhook ${event.type} (${event.id}) failed:`, err.message);
+      return res.status(500).json({ error: 'Webhook handling failed' });
+    }
+
+    res.json({ received: true });
+  });
+
+  // Order status for the checkout success page (the session id acts as the lookup key)
+  router.get('/orders/:sessionId', async (req, res) => {
+    try {
+      const order = await Order.findOne({ sessionId: req.params.sessionId }).lean();
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+      res.json({
+        success: true,
+        order: {
+          sessionId: order.sessionId,
+          status: order.status,
+          plan: order.plan || null,
+          url: order.url,
+          email: order.email,
+          taskId: order.taskId,
+          paidAt: order.paidAt || null,
+          fulfilledAt: order.fulfilledAt || null,
+          createdAt: order.createdAt
+        },
+        analysis: order.taskId ? await analysisQueue.getTaskStatus(order.taskId) : null
+      });
+    } catch (e) {
+      res.status(500).json({ success: false, error: e.message });
+    }
+  });
 
-  res.json({ received: true });
-});
+  // The signed-in user's analysis credits and their recent ledger entries
+  router.get('/my-credits', authRequired, async (req, res) => {
+    try {
+      const [credits, transactions] = await Promise.all([
+        getBalances(req.user.id),
+        listTransactions(req.user.id, 50)
+      ]);
+      res.json({
+        success: true,
+        credits,
+        transactions: transactions.map(tx => ({
+          type: tx.type,
+          plan: tx.plan,
+          amount: tx.amount,
+          balanceAfter: tx.balanceAfter,
+          taskId: tx.taskId || null,
+          reason: tx.reason || null,
+          createdAt: tx.createdAt
+        }))
+      });
+    } catch (e) {
+      res.status(500).json({ success: false, error: e.message });
+    }
+  });
 
-export default router;
+  return router;
+}
@@ -0,0 +1,177 @@
+import { Router } from 'express';
+import jwt from 'jsonwebtoken';
+import path from 'path';
+import AnalysisRecord from '../models/AnalysisRecord.js';
+import { authRequired } from '../middleware/auth.js';
+import { REPORT_FILES, EXPORT_FILES, findReportFile } from '../utils/reportFiles.js';
+import { reportStorage } from '../utils/reportStorage.js';
+import { membershipsOf, roleForRecord, roleAtLeast } from '../utils/organizations.js';
+
+// Share links are JWTs of their own purpose; a separate secret lets them be revoked wholesale
+const SHARE_SECRET = process.env.REPORT_SHARE_SECRET || process.env.JWT_SECRET || 'dev_secret';
+const SHARE_DEFAULT_HOURS = 72;
+const SHARE_MAX_HOURS = 24 * 30;
+
+const router = Router();
+
+async function fileInfo(reportDirectory, report) {
+  if (!reportDirectory) return null;
+  const fullPath = path.resolve(reportDirectory, report.filename);
+  try {
+    const stat = await reportStorage.stat(fullPath);
+    return stat ? { fullPath, ...stat } : null;
+  } catch (e) {
+    console.warn(`⚠️ Report storage lookup failed for ${fullPath}:`, e.message);
+    return null;
+  }
+}
+
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Same access rule as /my-analyses: the user's own analyses and those of their organizations.
+// `minRole` is the organization role the action needs (viewers read, editors share).
+async function loadOwnedRecord(req, res, minRole = 'viewer') {
+  const record = await AnalysisRecord.findOne({ taskId: req.params.taskId }).lean();
+  const role = record ? roleForRecord(record, req.user, await membershipsOf(req.user.id)) : null;
+  if (!role) {
+    res.status(404).json({ error: 'Analysis not found' });
+    return null;
+  }
+  if (!roleAtLeast(role, minRole)) {
+    res.status(403).json({ error: `Requires the ${minRole} role in this organization` });
+    return null;
+  }
+  return record;
+}
+
+async function sendReport(res, record, report, disposition = 'attachment') {
+  const info = await fileInfo(record.reportDirectory, report);
+  if (!info) return res.status(404).json({ error: 'Report not available' });
+  const stream = await reportStorage.createReadStream(info.fullPath);
+  res.set('Content-Type', report.contentType || 'application/pdf');
+  res.set('Content-Length', String(info.size));
+  res.set('Content-Disposition', `${disposition}; filename="${report.filename}"`);
+  stream.on('error', (e) => {
+    console.error(`❌ Streaming ${info.fullPath} failed:`, e.message);
+    res.destroy(e);
+  });
+  stream.pipe(res);
+}
+
+// List the PDFs of an analysis and whether each one is in report storage
+router.get('/my-analyses/:taskId/reports', authRequired, async (req, res) => {
+  try {
+    const record = await loadOwnedRecord(req, res);
+    if (!record) return;
+    const base = publicBaseUrl(req);
+    const reports = await Promise.all(REPORT_FILES.map(async report => {
+      const info = await fileInfo(record.reportDirectory, report);
+      return {
+        key: report.key,
+        title: report.title,
+        filename: report.filename,
+        available: !!info,
+        size: info?.size || null,
+        generatedAt: info?.modifiedAt || null,
+        downloadUrl: info ? `${base}/my-analyses/${record.taskId}/reports/${report.key}` : null
+      };
+    }));
+    const exports = await Promise.all(EXPORT_FILES.map(async file => {
+      const info = await fileInfo(record.reportDirectory, file);
+      return {
+        format: file.key,
+        filename: file.filename,
+        available: !!info,
+        size: info?.size || null,
+        downloadUrl: info ? `${base}/my-analyses/${record.taskId}/export?format=${file.key}` : null
+      };
+    }));
+    res.json({ success: true, taskId: record.taskId, url: record.url, status: record.status, reports, exports });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/my-analyses/:taskId/reports/:report', authRequired, async (req, res) => {
+  try {
+    const report = findReportFile(req.params.report);
+    if (!report) return res.status(404).json({ error: 'Unknown report' });
+    const record = await loadOwnedRecord(req, res);
+    if (!record) return;
+    await sendReport(res, record, report, req.query.inline === '1' ? 'inline' : 'attachment');
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Versioned JSON (default) or per-page CSV export of the run (schema in docs/analysis-export.md),
+// or the recommended llms.txt
+router.get('/my-analyses/:taskId/export', authRequired, async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toString().toLowerCase();
+    const file = EXPORT_FILES.find(f => f.key === format);
+    if (!file) return res.status(400).json({ error: `Unsupported format '${format}' (use ${EXPORT_FILES.map(f => f.key).join(', ')})` });
+    const record = await loadOwnedRecord(req, res);
+    if (!record) return;
+    await sendReport(res, record, file, 'attachment');
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Create an expiring link that downloads one report without logging in
+router.post('/my-analyses/:taskId/reports/:report/share', authRequired, async (req, res) => {
+  try {
+    const report = findReportFile(req.params.report);
+    if (!report) return res.status(404).json({ error: 'Unknown report' });
+    const record = await loadOwnedRecord(req, res, 'editor');
+    if (!record) return;
+    if (!(await fileInfo(record.reportDirectory, report))) {
+      return res.status(404).json({ error: 'Report not available' });
+    }
+
+    let hours = Number(req.body?.expiresInHours ?? SHARE_DEFAULT_HOURS);
+    if (!Number.isFinite(hours) || hours <= 0) hours = SHARE_DEFAULT_HOURS;
+    hours = Math.min(hours, SHARE_MAX_HOURS);
+
+    const token = jwt.sign(
+      { purpose: 'report-share', taskId: record.taskId, report: report.key, sharedBy: req.user.id },
+      SHARE_SECRET,
+      { expiresIn: Math.round(hours * 3600) }
+    );
+    const expiresAt = new Date(Date.now() + Math.round(hours * 3600) * 1000);
+    res.json({
+      success: true,
+      report: report.key,
+      url: `${publicBaseUrl(req)}/shared-reports/${token}`,
+      expiresAt
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Public download through a signed share link
+router.get('/shared-reports/:token', async (req, res) => {
+  let payload;
+  try {
+    payload = jwt.verify(req.params.token, SHARE_SECRET);
+  } catch (e) {
+    const expired = e.name === 'TokenExpiredError';
+    return res.status(expired ? 410 : 401).json({ error: expired ? 'Share link expired' : 'Invalid share link' });
+  }
+  if (payload.purpose !== 'report-share') return res.status(401).json({ error: 'Invalid share link' });
+
+  try {
+    const report = findReportFile(payload.report);
+    const record = await AnalysisRecord.findOne({ taskId: payload.taskId }).lean();
+    if (!report || !record) return res.status(404).json({ error: 'Report not available' });
+    await sendReport(res, record, report, 'inline');
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import AuditSchedule from '../models/AuditSchedule.js';
+import { authRequired } from '../middleware/auth.js';
+import { SCHEDULE_FREQUENCIES, nextOccurrence, nextRunAfter, canSchedule } from '../utils/auditScheduler.js';
+import { domainKey } from '../utils/scoreHistory.js';
+
+const MAX_ACTIVE_SCHEDULES = parseInt(process.env.MAX_SCHEDULES_PER_USER || '20', 10);
+
+const SUBSCRIPTION_REQUIRED = 'Scheduled audits need an active monitoring subscription';
+
+const router = Router();
+
+function toPublic(schedule) {
+  return {
+    id: schedule._id,
+    url: schedule.url,
+    email: schedule.email,
+    frequency: schedule.frequency,
+    status: schedule.status,
+    nextRunAt: schedule.status === 'active' ? schedule.nextRunAt : null,
+    lastRunAt: schedule.lastRunAt,
+    lastTaskId: schedule.lastTaskId,
+    runCount: schedule.runCount,
+    pausedAt: schedule.pausedAt,
+    pauseReason: schedule.pauseReason || null,
+    cancelledAt: schedule.cancelledAt,
+    createdAt: schedule.createdAt
+  };
+}
+
+function normalizeScheduleUrl(input) {
+  const raw = String(input || '').trim();
+  if (!raw) return null;
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    return `${parsed.protocol}//${parsed.hostname}${parsed.pathname}`.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+async function loadOwnedSchedule(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  const schedule = await AuditSchedule.findById(req.params.id);
+  if (!schedule || (req.user.role !== 'admin' && schedule.user.toString() !== req.user.id)) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return schedule;
+}
+
+router.get('/schedules', authRequired, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.includeCancelled !== '1') filter.status = { $ne: 'cancelled' };
+    const schedules = await AuditSchedule.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, schedules: schedules.map(toPublic) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Create a weekly/monthly re-audit; the first run is one period from now unless startAt says otherwise
+router.post('/schedules', authRequired, async (req, res) => {
+  try {
+    const { url: rawUrl, frequency, startAt } = req.body || {};
+    const url = normalizeScheduleUrl(rawUrl);
+    if (!url) return res.status(400).json({ error: 'A valid url is required' });
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ error: `frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}` });
+    }
+    if (!(await canSchedule(req.user.id))) return res.status(402).json({ error: SUBSCRIPTION_REQUIRED });
+    let nextRunAt = nextOccurrence(new Date(), frequency);
+    if (startAt) {
+      nextRunAt = new Date(startAt);
+      if (Number.isNaN(nextRunAt.getTime())) return res.status(400).json({ error: 'startAt must be a date' });
+      if (nextRunAt < new Date()) nextRunAt = new Date();
+    }
+
+    const open = await AuditSchedule.find({ user: req.user.id, status: { $ne: 'cancelled' } }).select('url').lean();
+    if (open.length >= MAX_ACTIVE_SCHEDULES) {
+      return res.status(409).json({ error: `You can have at most ${MAX_ACTIVE_SCHEDULES} scheduled audits` });
+    }
+    if (open.some(s => domainKey(s.url) === domainKey(url))) {
+      return res.status(409).json({ error: 'This site already has a scheduled audit' });
+    }
+
+    const schedule = await AuditSchedule.create({
+      user: req.user.id,
+      email: req.user.email,
+      url,
+      frequency,
+      nextRunAt
+    });
+    res.status(201).json({ success: true, schedule: toPublic(schedule) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/schedules/:id/pause', authRequired, async (req, res) => {
+  try {
+    const schedule = await loadOwnedSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status !== 'active') return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+    schedule.status = 'paused';
+    schedule.pausedAt = new Date();
+    schedule.pauseReason = 'user';
+    await schedule.save();
+    res.json({ success: true, schedule: toPublic(schedule) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Resuming never replays the runs missed while paused
+router.post('/schedules/:id/resume', authRequired, async (req, res) => {
+  try {
+    const schedule = await loadOwnedSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status !== 'paused') return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+    if (!(await canSchedule(schedule.user))) return res.status(402).json({ error: SUBSCRIPTION_REQUIRED });
+    const now = new Date();
+    if (schedule.nextRunAt <= now) schedule.nextRunAt = nextRunAfter(schedule.nextRunAt, schedule.frequency, now);
+    schedule.status = 'active';
+    schedule.pausedAt = null;
+    schedule.pauseReason = null;
+    await schedule.save();
+    res.json({ success: true, schedule: toPublic(schedule) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Cancelling is final; the schedule is kept so past runs still point at it
+router.post('/schedules/:id/cancel', authRequired, async (req, res) => {
+  try {
+    const schedule = await loadOwnedSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status === 'cancelled') return res.status(409).json({ error: 'Schedule is already cancelled' });
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = new Date();
+    await schedule.save();
+    res.json({ success: true, schedule: toPublic(schedule) });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import OpenAI from "openai"; // Change 1: Import OpenAI
 import dotenv from "dotenv";
 import { MongoClient } from "mongodb";
 import { jsonrepair } from "jsonrepair";
+import { openaiRateBudget } from "./utils/openaiRateBudget.js";
 
 dotenv.config();
 
@@ -16,6 +17,10 @@ export class GeoAnalyzer {
       openaiApiKey: options.openaiApiKey || process.env.OPENAI_API_KEY,
       dbName: options.dbName || 'webdata',
       collectionName: options.collectionName || 'extractions_3',
+      // Only read/write documents of this analysis run (null = legacy, unscoped)
+      runId: options.runId || null,
+      // Optional progress callback: ({ stage, message, current, total, url }) => void
+      onProgress: options.onProgress || null,
       baseSleepMs: options.baseSleepMs || 1000,
       maxRetries: options.maxRetries || 3,
       // Renamed for generic use
@@ -79,6 +84,8 @@ export class GeoAnalyzer {
       return this.enforceApiRateLimit();
     }
     this.apiCallTimestamps.push(now);
+    // ...and the budget shared with every other analyzer/worker in this process
+    await openaiRateBudget.acquire('geo');
   }
 
   // --- Prompt Builders (No changes needed here) ---
@@ -281,16 +288,20 @@ ${pageUrl}
     }
   }
 
-  // --- Data Retrieval Methods (No changes needed) ---
+  // --- Data Retrieval Methods ---
+  runScope(filter = {}) {
+    return this.config.runId ? { ...filter, runId: this.config.runId } : filter;
+  }
+
   async getEligiblePages(baseUrl) {
     const urlPrefix = baseUrl.replace(/\/$/, "");
     const urlRegex = new RegExp(`^${urlPrefix}(/.*)?$`, "i");
 
-    return await this.collection.find({
+    return await this.collection.find(this.runScope({
       url: { $regex: urlRegex },
       status: "done",
       jinaContent: { $not: /Title: Page Not Found/ }
-    }).toArray();
+    })).toArray();
   }
 
   async updatePageAnalysis(url, analysisType, data) {
@@ -300,11 +311,20 @@ ${pageUrl}
     };
 
     return await this.collection.updateOne(
-      { url, status: "done" },
+      this.runScope({ url, status: "done" }),
       { $set: updateData }
     );
   }
 
+  reportProgress(event) {
+    if (!this.config.onProgress) return;
+    try {
+      this.config.onProgress(event);
+    } catch (err) {
+      console.warn('⚠️ Progress callback failed:', err.message);
+    }
+  }
+
   // --- Core Analysis Methods ---
   async analyzeMetaTags(baseUrl, options = {}) {
     console.debug(`🔍 Starting meta tags analysis for: ${baseUrl}`);
@@ -317,6 +337,13 @@ ${pageUrl}
     for (let i = 0; i < eligiblePages.length; i++) {
       const { url, jinaContent, metaTags } = eligiblePages[i];
       console.debug(`\n--- [${i + 1}/${eligiblePages.length}] Analyzing meta tags: ${url}`);
+      this.reportProgress({
+        stage: 'metaTags',
+        message: `Meta tag analysis for ${url} (${i + 1} of ${eligiblePages.length})`,
+        current: i,
+        total: eligiblePages.length,
+        url
+      });
 
       const promptText = this.buildMetaTagsPrompt(
         jinaContent || "",
@@ -341,7 +368,7 @@ ${pageUrl}
         });
 
         await this.collection.updateOne(
-          { url, status: "done" },
+          this.runScope({ url, status: "done" }),
           { $set: { "ai.page_summary": page_summary } }
         );
 
@@ -384,6 +411,13 @@ ${pageUrl}
     for (let i = 0; i < eligiblePages.length; i++) {
       const { url, jinaContent, jsonLd } = eligiblePages[i];
       console.debug(`\n--- [${i + 1}/${eligiblePages.length}] Analyzing structured data: ${url}`);
+      this.reportProgress({
+        stage: 'structuredData',
+        message: `Structured data analysis for ${url} (${i + 1} of ${eligiblePages.length})`,
+        current: i,
+        total: eligiblePages.length,
+        url
+      });
 
       const promptText = this.buildStructuredDataPrompt(
         jinaContent || "",
@@ -492,7 +526,7 @@ ${pageUrl}
       filter["ai"] = { $exists: true };
     }
 
-    return await this.collection.find(filter).toArray();
+    return await this.collection.find(this.runScope(filter)).toArray();
   }
 
   async getPageSummaries(baseUrl) {
@@ -500,11 +534,11 @@ ${pageUrl}
     const urlRegex = new RegExp(`^${urlPrefix}(/.*)?$`, "i");
 
     return await this.collection.find(
-      {
+      this.runScope({
         url: { $regex: urlRegex },
         status: "done",
         "ai.page_summary": { $exists: true }
-      },
+      }),
       {
         projection: { url: 1, "ai.page_summary": 1 }
       }
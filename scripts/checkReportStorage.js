@@ -0,0 +1,53 @@
+import path from 'path';
+import { promises as fsp } from 'fs';
+import dotenv from 'dotenv';
+import { createReportStorage } from '../utils/reportStorage.js';
+
+// Round trip against the configured report storage (REPORT_STORAGE and S3_* from .env):
+// save a file, stat and read it back, then remove its run directory and make sure it is gone.
+// Against a local MinIO:
+//   docker run -p 9000:9000 -e MINIO_ROOT_USER=minio -e MINIO_ROOT_PASSWORD=minio123 minio/minio server /data
+//   (create the bucket in the console or with `mc mb`), then
+//   REPORT_STORAGE=s3 S3_ENDPOINT=http://127.0.0.1:9000 S3_FORCE_PATH_STYLE=1 S3_BUCKET=reports \
+//   S3_ACCESS_KEY_ID=minio S3_SECRET_ACCESS_KEY=minio123 npm run check:storage
+
+dotenv.config();
+
+const storage = createReportStorage();
+const runDir = path.join(storage.baseDir, `_storage_check_${Date.now()}`);
+const filePath = path.join(runDir, 'check report.txt');
+const content = `Report storage check ${new Date().toISOString()}\n`;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function run() {
+  console.log(`🔎 Checking '${storage.driver}' report storage${storage.bucket ? ` (bucket ${storage.bucket} at ${storage.endpoint})` : ''}`);
+  await fsp.mkdir(runDir, { recursive: true });
+  await fsp.writeFile(filePath, content);
+
+  const saved = await storage.save(filePath);
+  console.log(`✅ save: ${saved.key} (${saved.size} bytes)`);
+
+  const stat = await storage.stat(filePath);
+  assert(stat && stat.size === Buffer.byteLength(content), `stat returned ${JSON.stringify(stat)}`);
+  console.log('✅ stat');
+
+  await storage.releaseLocalCopies(runDir);
+  const read = (await storage.read(filePath)).toString('utf8');
+  assert(read === content, 'read returned different content');
+  console.log('✅ read');
+
+  await storage.removeDirectory(runDir);
+  assert(!(await storage.exists(filePath)), 'report still exists after removeDirectory');
+  console.log('✅ removeDirectory');
+}
+
+run()
+  .then(() => console.log('🎉 Report storage works'))
+  .catch(async e => {
+    console.error('❌ Report storage check failed:', e.message);
+    await storage.removeDirectory(runDir).catch(() => {});
+    process.exitCode = 1;
+  });
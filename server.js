@@ -14,18 +14,39 @@ import { generateCrawlabilityPdfReport } from './Crawlability_report.js';
 import { StandaloneAnalyzer } from './quick_scan.js';
 import dotenv from 'dotenv';
 import FAQJsonLdReportGenerator from './faqLd_generator.js';
+import AnalysisExportGenerator from './analysisExport.js';
+import ExecutiveReportGenerator, { EXECUTIVE_REPORT_FILENAME } from './executiveReport.js';
+import { recordSnapshot, snapshotFromAnalysis, findPreviousSnapshot, compareWithPrevious } from './utils/scoreHistory.js';
+import { AuditScheduler } from './utils/auditScheduler.js';
+import { planLimits } from './utils/pricingCatalog.js';
+import { refundRun } from './utils/credits.js';
+import { membershipsOf, analysisAccessFilter, roleForRecord } from './utils/organizations.js';
+import { REPORT_FILES } from './utils/reportFiles.js';
+import { DEFAULT_BRAND, brandForOrganization } from './utils/branding.js';
 import { promises as fs } from 'fs';
 import crypto from 'crypto';
+import os from 'os';
 
 // Import route modules
-import paymentRoutes from './routes/payment.js';
+import createPaymentRoutes from './routes/payment.js';
 import createAnalysisRoutes from './routes/analysis.js';
 import authRoutes from './routes/auth.js';
 import adminContentRoutes from './routes/adminContent.js';
+import adminCreditRoutes from './routes/adminCredits.js';
+import adminPromoRoutes from './routes/adminPromos.js';
 import publicContentRoutes from './routes/contentPublic.js';
 import contactMessageRoutes from './routes/contactMessages.js';
+import reportRoutes from './routes/reports.js';
+import historyRoutes from './routes/history.js';
+import scheduleRoutes from './routes/schedules.js';
+import billingRoutes from './routes/billing.js';
+import organizationRoutes from './routes/organizations.js';
+import apiKeyRoutes from './routes/apiKeys.js';
 import { diagnosticTest } from './email.js';
 import AnalysisRecord from './models/AnalysisRecord.js';
+import { openaiRateBudget } from './utils/openaiRateBudget.js';
+import { analysisProgress } from './utils/analysisProgress.js';
+import { reportStorage } from './utils/reportStorage.js';
 
 dotenv.config();
 
@@ -33,6 +54,8 @@ const app = express();
 
 // Base reports directory (can be overridden in environment)
 const REPORTS_BASE = process.env.REPORTS_DIR || './reports';
+// Non-critical analysis steps whose data every report and export is built from
+const ANALYSIS_STEPS = ['geo', 'scoring', 'riskClaims'];
 
 // Ensure base reports directory exists at startup (handles permission issues early)
 async function ensureReportsBaseDir() {
@@ -55,10 +78,10 @@ app.use(cors({
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   credentials: true
 }));
+// Stripe signs the exact bytes it sent, so the webhook must see the raw body (express.json skips it then)
+app.use('/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
-// Use payment routes immediately
-app.use('/', paymentRoutes);
 // We'll mount /auth after a successful mongoose connection; provide temporary 503 handler
 app.use('/auth', (req, res, next) => {
   if (!mongoose.connection || mongoose.connection.readyState !== 1) {
@@ -70,8 +93,9 @@ app.use('/auth', (req, res, next) => {
 const CONFIG = {
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    maxCalls: 40,
-    windowMs: 10000
+    // Shared by all queue workers (see utils/openaiRateBudget.js)
+    maxCalls: parseInt(process.env.OPENAI_MAX_CALLS || '40', 10),
+    windowMs: parseInt(process.env.OPENAI_WINDOW_MS || '10000', 10)
   },
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017',
@@ -123,8 +147,25 @@ const CONFIG = {
         retryReads: true
       };
     }
+  },
+  queue: {
+    leaseMs: parseInt(process.env.QUEUE_LEASE_MS || '120000', 10),
+    heartbeatMs: parseInt(process.env.QUEUE_HEARTBEAT_MS || '30000', 10),
+    pollMs: parseInt(process.env.QUEUE_POLL_MS || '5000', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    // Number of analyses this process runs in parallel
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '1', 10),
+    // ETA fallback until a few analyses have finished on this deployment
+    defaultRunMs: parseInt(process.env.QUEUE_DEFAULT_RUN_MS || '1200000', 10),
+    // Minimum gap between progress writes to AnalysisRecord for the same task
+    progressPersistMs: parseInt(process.env.QUEUE_PROGRESS_PERSIST_MS || '3000', 10)
+  },
+  scheduler: {
+    // How often due recurring audits are looked for
+    pollMs: parseInt(process.env.SCHEDULER_POLL_MS || '60000', 10)
   }
 };
+openaiRateBudget.configure(CONFIG.openai);
 
 // --- MONGOOSE CONNECTION (for User auth models) ---
 let mongooseReady = false;
@@ -193,11 +234,13 @@ app.post('/admin/analysis/:id/rerun', async (req, res) => {
     if (!record) return res.status(404).json({ error: 'Record not found' });
     if (!record.email || !record.url) return res.status(400).json({ error: 'Record missing email or url' });
 
-    const rerunResult = await analysisQueue.rerunExisting(record);
+    // Resumes from the first incomplete step; pass { fresh: true } (or ?fresh=1) to start over
+    const fresh = req.body?.fresh === true || req.query.fresh === '1';
+    const rerunResult = await analysisQueue.rerunExisting(record, { fresh });
     if (!rerunResult.accepted) {
       return res.status(409).json({ error: rerunResult.reason || 'Task already queued or processing' });
     }
-    res.json({ success: true, message: 'Analysis re-queued in-place', taskId: record.taskId });
+    res.json({ success: true, message: 'Analysis re-queued in-place', taskId: record.taskId, fresh, resumeFrom: rerunResult.resumeFrom });
   } catch (e) {
     console.error('Rerun analysis (in-place) error:', e);
     res.status(500).json({ error: 'Server error' });
@@ -229,398 +272,708 @@ app.get('/debug/email', async (req, res) => {
 });
 
 
+// Thrown when a write for a task no longer matches this worker's lease: the lease expired
+// and another worker took the task over, so this worker must stop touching it
+class LeaseLostError extends Error {
+  constructor(taskId) {
+    super(`Lease on task ${taskId} was lost to another worker`);
+    this.name = 'LeaseLostError';
+    this.taskId = taskId;
+  }
+}
+
+/**
+ * Durable analysis queue backed by the AnalysisRecord collection.
+ *
+ * Every record doubles as a job: workers claim the oldest runnable record with an
+ * atomic findOneAndUpdate, hold it under a lease that is renewed by a heartbeat and
+ * release it when the task reaches a terminal state. A record left in `processing`
+ * by a crashed process is picked up again once its lease expires (and immediately on
+ * boot when it carries no live lease), so nothing has to be reconciled by hand.
+ */
 class AnalysisQueue {
-  constructor() {
-    this.queue = [];
-    this.isProcessing = false;
-    this.currentTask = null;
-    this.processedUrls = new Set(); 
-    this.queueLock = false;
-    // In-memory status tracking map keyed by taskId
-    this.taskStatuses = new Map();
+  constructor(options = {}) {
+    this.leaseMs = options.leaseMs || 120000;
+    this.heartbeatMs = options.heartbeatMs || 30000;
+    this.pollMs = options.pollMs || 5000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    // Unique per process so a restarted server never mistakes an old lease for its own
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    // taskId -> task for everything this process is currently working on
+    this.activeTasks = new Map();
+    this.filling = false;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.recovered = false;
+    this.stopping = false;
+    // HTTP responses waiting on a task enqueued by this process (optional)
+    this.responders = new Map();
+
+    // Progress of local tasks is mirrored onto the record so SSE clients on any instance see it
+    this.defaultRunMs = options.defaultRunMs || 20 * 60 * 1000;
+    this.progressPersistMs = options.progressPersistMs || 3000;
+    this.progressPersisted = new Map();
+    this.runTimeCache = null;
+    analysisProgress.on('progress', snapshot => this.persistProgress(snapshot));
   }
 
   /**
-   * Re-queue an existing analysis record without creating a new DB record.
-   * Resets status/emailStatus and enqueues a fresh task using the same taskId.
-   * @param {Document} record Mongoose AnalysisRecord document
-   * @returns {Promise<{accepted:boolean, reason?:string}>}
+   * Start polling the database for runnable jobs. Safe to call more than once.
+   * Recovery of orphaned `processing` records runs on the first tick that sees a live
+   * Mongoose connection.
    */
-  async rerunExisting(record) {
-    const taskId = record.taskId;
-    // Prevent duplicate queueing if already in progress or queued
-    if (this.currentTask?.taskId === taskId) {
-      return { accepted: false, reason: 'Task currently processing' };
-    }
-    if (this.queue.some(t => t.taskId === taskId)) {
-      return { accepted: false, reason: 'Task already queued' };
-    }
+  start() {
+    if (this.pollTimer) return;
+    this.stopping = false;
+    console.log(`🛰️ Analysis queue worker ${this.workerId} started (${this.concurrency} slot(s), poll ${this.pollMs}ms, lease ${this.leaseMs}ms)`);
+    const tick = async () => {
+      if (this.stopping || mongoose.connection.readyState !== 1) return;
+      try {
+        if (!this.recovered) {
+          await this.recoverStaleTasks();
+          this.recovered = true;
+        }
+        if (this.hasFreeSlot) await this.processQueue();
+      } catch (e) {
+        console.warn('⚠️ Queue poll failed:', e.message);
+      }
+    };
+    this.pollTimer = setInterval(tick, this.pollMs);
+    setImmediate(tick);
+  }
 
-    // Reset persistent record fields (retain createdAt for chronology)
-    try {
-      await AnalysisRecord.updateOne({ _id: record._id }, {
+  get isProcessing() {
+    return this.activeTasks.size > 0;
+  }
+
+  get hasFreeSlot() {
+    return this.activeTasks.size < this.concurrency;
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Requeue records stuck in `processing` whose lease has lapsed (or that predate leases).
+   * Records that already used up their attempts are marked failed instead.
+   * @returns {Promise<{requeued:number, failed:number, fixed:number}>}
+   */
+  async recoverStaleTasks() {
+    const now = new Date();
+    const staleFilter = {
+      status: 'processing',
+      $or: [
+        { leaseExpiresAt: null },
+        { leaseExpiresAt: { $lt: now } }
+      ]
+    };
+    const exhausted = await this.failExhaustedTasks(staleFilter, now);
+    const requeued = await AnalysisRecord.updateMany(
+      staleFilter,
+      {
         $set: {
           status: 'queued',
           emailStatus: 'pending',
-          emailError: null,
-          failureReason: null,
-          reportDirectory: null,
-          updatedAt: new Date()
+          nextRunAt: now,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          updatedAt: now
         }
-      });
-    } catch (e) {
-      console.warn(`⚠️ Failed to update existing record for rerun ${taskId}:`, e.message);
-      return { accepted: false, reason: 'DB update failed' };
+      }
+    );
+    // Data fix: email sent implies the analysis finished
+    const fixed = await AnalysisRecord.updateMany(
+      { emailStatus: 'sent', status: { $nin: ['completed', 'partial'] } },
+      { $set: { status: 'completed' } }
+    );
+    if (requeued.modifiedCount || exhausted || fixed.modifiedCount) {
+      console.log(`🔁 Queue recovery: ${requeued.modifiedCount} requeued, ${exhausted} failed (attempts exhausted), ${fixed.modifiedCount} marked completed`);
     }
+    return { requeued: requeued.modifiedCount, failed: exhausted, fixed: fixed.modifiedCount };
+  }
 
-    // Refresh in-memory status map entry
-    const existingMem = this.taskStatuses.get(taskId) || {
-      taskId,
-      email: record.email,
-      url: record.url,
-      createdAt: record.createdAt ? record.createdAt.getTime() : Date.now()
-    };
-    this.taskStatuses.set(taskId, {
-      ...existingMem,
+  /**
+   * Mark the stale `processing` records matching `staleFilter` that already used up their
+   * attempts as failed, and refund their credits. Such a task keeps crashing its worker,
+   * so it is not claimed again.
+   * @returns {Promise<number>} How many records were failed
+   */
+  async failExhaustedTasks(staleFilter, now = new Date()) {
+    const exhaustedFilter = { ...staleFilter, $expr: { $gte: [ { $ifNull: ['$attempts', 0] }, { $ifNull: ['$maxAttempts', this.maxAttempts] } ] } };
+    // Collected first so the credits of these runs can be refunded once they are marked failed
+    const exhaustedIds = (await AnalysisRecord.find(exhaustedFilter).select('taskId').lean()).map(r => r.taskId);
+    if (!exhaustedIds.length) return 0;
+    const exhausted = await AnalysisRecord.updateMany(
+      { ...exhaustedFilter, taskId: { $in: exhaustedIds } },
+      {
+        $set: {
+          status: 'failed',
+          failureReason: 'Worker stopped while processing (attempts exhausted)',
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          finishedAt: now,
+          updatedAt: now
+        }
+      }
+    );
+    for (const taskId of exhaustedIds) {
+      await this.refundFailedRun(taskId, 'Worker stopped while processing (attempts exhausted)');
+    }
+    return exhausted.modifiedCount;
+  }
+
+  /**
+   * Re-queue an existing analysis record without creating a new DB record.
+   * Resets status/emailStatus and makes the same taskId runnable again. Step checkpoints
+   * are kept (the run resumes from its first incomplete step) unless `fresh` is set.
+   * @param {Document} record Mongoose AnalysisRecord document
+   * @param {{fresh?:boolean}} [options]
+   * @returns {Promise<{accepted:boolean, reason?:string, resumeFrom?:string[]}>}
+   */
+  async rerunExisting(record, { fresh = false } = {}) {
+    const taskId = record.taskId;
+    const now = new Date();
+    // Prevent duplicate queueing if already in progress (live lease) or queued
+    if (record.status === 'queued') {
+      return { accepted: false, reason: 'Task already queued' };
+    }
+    if (record.status === 'processing' && record.leaseExpiresAt && record.leaseExpiresAt > now) {
+      return { accepted: false, reason: 'Task currently processing' };
+    }
+
+    // Reset persistent record fields (retain createdAt for chronology)
+    const resetFields = {
       status: 'queued',
       emailStatus: 'pending',
       emailError: null,
-      reportDirectory: null,
-      updatedAt: Date.now()
-    });
-
-    // Build task object (no HTTP res for admin-triggered rerun; background)
-    const task = {
-      taskId,
-      email: record.email,
-      url: record.url,
-      res: null,
-      queuedAt: Date.now(),
-      retryCount: 0
+      failureReason: null,
+      attempts: 0,
+      nextRunAt: now,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      heartbeatAt: null,
+      finishedAt: null,
+      progress: null,
+      updatedAt: now
     };
-
-    // Enqueue safely
-    while (this.queueLock) {
-      await this.sleep(50);
+    let checkpoints = record.checkpoints || {};
+    if (fresh) {
+      resetFields.reportDirectory = null;
+      resetFields.checkpoints = {};
+      checkpoints = {};
+    } else if (ANALYSIS_STEPS.some(step => record.stepOutcomes?.[step]?.status === 'failed')) {
+      // Reports built while an analysis step had failed are rebuilt once that step succeeds
+      checkpoints = Object.fromEntries(Object.entries(checkpoints).filter(([step]) => step === 'website' || ANALYSIS_STEPS.includes(step)));
+      resetFields.checkpoints = checkpoints;
+    }
+    try {
+      const result = await AnalysisRecord.updateOne(
+        { _id: record._id, status: record.status },
+        { $set: resetFields }
+      );
+      if (!result.modifiedCount) {
+        return { accepted: false, reason: 'Record changed concurrently; try again' };
+      }
+    } catch (e) {
+      console.warn(`⚠️ Failed to update existing record for rerun ${taskId}:`, e.message);
+      return { accepted: false, reason: 'DB update failed' };
     }
-    this.queueLock = true;
-    this.queue.push(task);
-    this.queueLock = false;
 
-    console.log(`♻️ Rerun queued in-place for task ${taskId} (email: ${record.email}, url: ${record.url})`);
-    this.logQueueStatus();
-    if (!this.isProcessing) setImmediate(() => this.processQueue());
-    return { accepted: true };
+    const resumeFrom = Object.keys(checkpoints);
+    console.log(`♻️ Rerun queued in-place for task ${taskId} (email: ${record.email}, url: ${record.url})${resumeFrom.length ? ` - resuming past: ${resumeFrom.join(', ')}` : ' - from scratch'}`);
+    this.kick();
+    return { accepted: true, resumeFrom };
   }
 
-  async addTask(email, url, res) {
+  async addTask(email, url, res, options = {}) {
     const normalizedUrl = this.normalizeUrl(url);
     const taskId = this.generateTaskId(email, normalizedUrl);
     // With unique taskIds per request we allow same email+URL to enqueue multiple analyses.
     // (A rare collision would still be caught here.)
-    const existing = this.taskStatuses.get(taskId);
-    if (existing) {
+    if (await AnalysisRecord.exists({ taskId })) {
       console.log(`⚠️ Unexpected taskId collision for ${normalizedUrl} by ${email}. Forcing uniqueness.`);
-      return this.addTask(email, `${normalizedUrl}?r=${Date.now()}`, res); // recurse with slight URL variation
+      return this.addTask(email, `${normalizedUrl}?r=${Date.now()}`, res, options); // recurse with slight URL variation
     }
 
-    const task = {
-      taskId,
+    let userId = options.user || null;
+    if (!userId) {
+      try {
+        const userDoc = await mongoose.model('User').findOne({ email }).select('_id');
+        if (userDoc) userId = userDoc._id;
+      } catch {}
+    }
+
+    // The record IS the job: without it nothing would ever pick the task up
+    await AnalysisRecord.create({
+      user: userId || undefined,
       email,
       url: normalizedUrl,
-      res,
-      queuedAt: Date.now(),
-      retryCount: 0
+      taskId,
+      schedule: options.schedule || null,
+      order: options.order || null,
+      organization: options.organization || null,
+      plan: options.plan || null,
+      // Snapshot, so later catalog changes never alter a run that was already paid for
+      limits: planLimits(options.plan),
+      status: 'queued',
+      emailStatus: 'pending',
+      maxAttempts: this.maxAttempts,
+      nextRunAt: new Date()
+    });
+    if (res) this.responders.set(taskId, res);
+
+    const position = await this.getQueuePosition(taskId);
+    console.log(`📥 Task ${taskId} added to queue. Position: ${position}`);
+    this.kick();
+    return { duplicate: false, taskId };
+  }
+
+  /**
+   * Persist a status patch for a task. Returns a promise; callers on the hot path
+   * await it so the record always reflects the latest transition.
+   * Only writes while this worker holds the lease; throws LeaseLostError otherwise.
+   */
+  async updateStatus(taskId, patch) {
+    patch = { ...patch };
+    // Auto-upgrade status to completed if email sent (unless the caller already chose completed/partial)
+    if (patch.emailStatus === 'sent' && !patch.status) {
+      patch.status = 'completed';
+    }
+    const $set = { ...patch, updatedAt: new Date() };
+    if (['completed', 'partial', 'failed'].includes(patch.status)) {
+      $set.finishedAt = new Date();
+      $set.leaseOwner = null;
+      $set.leaseExpiresAt = null;
+    }
+    const persist = async (attempt = 1) => {
+      try {
+        return await AnalysisRecord.updateOne({ taskId, leaseOwner: this.workerId }, { $set });
+      } catch (err) {
+        if (attempt < 3) {
+          await this.sleep(attempt * 200);
+          return persist(attempt + 1);
+        }
+        console.warn(`⚠️ Persist status failed after retries for ${taskId}:`, err.message);
+        return null;
+      }
     };
+    const result = await persist();
+    if (result && !result.matchedCount) throw new LeaseLostError(taskId);
+  }
 
-    // We'll look up user id *before* creating in-memory entry so we can retain it for possible upsert reconstruction later
-    let userIdForMemory = null;
-    try {
-      const userDocCheck = await mongoose.model('User').findOne({ email }).select('_id');
-      if (userDocCheck) userIdForMemory = userDocCheck._id.toString();
-    } catch {}
+  toStatus(rec) {
+    if (!rec) return null;
+    return {
+      taskId: rec.taskId,
+      email: rec.email,
+      url: rec.url,
+      user: rec.user ? rec.user.toString() : null,
+      organization: rec.organization ? rec.organization.toString() : null,
+      status: rec.status,
+      emailStatus: rec.emailStatus || 'pending',
+      reportDirectory: rec.reportDirectory || null,
+      emailError: rec.emailError || null,
+      failureReason: rec.failureReason || null,
+      attempts: rec.attempts || 0,
+      completedSteps: Object.keys(rec.checkpoints || {}),
+      stepOutcomes: rec.stepOutcomes || {},
+      progress: rec.progress || null,
+      startedAt: rec.startedAt ? new Date(rec.startedAt).getTime() : null,
+      createdAt: rec.createdAt ? new Date(rec.createdAt).getTime() : null,
+      updatedAt: rec.updatedAt ? new Date(rec.updatedAt).getTime() : null
+    };
+  }
 
-    // Initialize status entry (include user id if known for reliable upserts)
-    this.taskStatuses.set(taskId, {
-      taskId,
-      email,
-      url: normalizedUrl,
-      user: userIdForMemory,
-      createdAt: Date.now(),
-      status: 'queued', // queued | processing | completed | failed
-      emailStatus: 'pending', // pending | sending | sent | failed
-      reportDirectory: null,
-      updatedAt: Date.now()
+  // What an anonymous caller may see of a task: no report location, failure details or step outcomes
+  toPublicStatus(status) {
+    if (!status) return null;
+    const { taskId, url, status: state, emailStatus, progress, createdAt, updatedAt } = status;
+    return { taskId, url, status: state, emailStatus, progress, createdAt, updatedAt };
+  }
+
+  async getTaskStatus(taskId) {
+    const rec = await AnalysisRecord.findOne({ taskId }).lean();
+    return this.toStatus(rec);
+  }
+
+  // Runs of an email, newest first; `since` limits them to runs created after that date
+  async getStatusesForEmail(email, { since = null, limit = 100 } = {}) {
+    const recs = await AnalysisRecord.find({ email, ...(since ? { createdAt: { $gte: since } } : {}) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return recs.map(r => this.toStatus(r));
+  }
+
+  async getQueuePosition(taskId) {
+    const rec = await AnalysisRecord.findOne({ taskId }).select('status nextRunAt createdAt').lean();
+    if (!rec || rec.status !== 'queued') return 0;
+    const ahead = await AnalysisRecord.countDocuments({
+      status: 'queued',
+      $or: [
+        { nextRunAt: { $lt: rec.nextRunAt } },
+        { nextRunAt: rec.nextRunAt, createdAt: { $lt: rec.createdAt } }
+      ]
     });
+    return ahead + 1;
+  }
 
-    // Persist record (always create a record; if user unknown, skip user ref)
-    try {
-      const userDoc = await mongoose.model('User').findOne({ email }).select('_id');
-      await AnalysisRecord.create({ user: userDoc?._id, email, url: normalizedUrl, taskId, status: 'queued', emailStatus: 'pending' });
-    } catch (persistErr) {
-      console.warn('⚠️ Failed to persist AnalysisRecord:', persistErr.message);
-    }
+  // Throttled write of a local task's latest progress; stage changes are always written
+  persistProgress(snapshot) {
+    if (!this.activeTasks.has(snapshot.taskId)) return;
+    const last = this.progressPersisted.get(snapshot.taskId);
+    if (last && last.stage === snapshot.stage && snapshot.at - last.at < this.progressPersistMs) return;
+    this.progressPersisted.set(snapshot.taskId, snapshot);
+    AnalysisRecord.updateOne({ taskId: snapshot.taskId, leaseOwner: this.workerId }, { $set: { progress: snapshot } })
+      .catch(e => console.warn(`⚠️ Persist progress failed for ${snapshot.taskId}:`, e.message));
+  }
+
+  // Average wall time of recent successful runs, cached for a minute
+  async getAverageRunMs() {
+    if (this.runTimeCache && Date.now() - this.runTimeCache.at < 60000) return this.runTimeCache.value;
+    const recent = await AnalysisRecord.find({
+      status: { $in: ['completed', 'partial'] },
+      startedAt: { $ne: null },
+      finishedAt: { $ne: null }
+    }).sort({ finishedAt: -1 }).limit(20).select('startedAt finishedAt').lean();
+    const durations = recent
+      .map(r => new Date(r.finishedAt).getTime() - new Date(r.startedAt).getTime())
+      .filter(ms => ms > 0);
+    const value = durations.length
+      ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+      : this.defaultRunMs;
+    this.runTimeCache = { at: Date.now(), value };
+    return value;
+  }
 
-    while (this.queueLock) {
-      await this.sleep(100);
+  /**
+   * Estimate when a task will finish. Running tasks extrapolate from their progress
+   * percentage; queued tasks wait for the runs ahead of them to drain through the slots.
+   */
+  async estimateEta(status, queuePosition = 0) {
+    if (!status || !['queued', 'processing'].includes(status.status)) return null;
+    const avgRunMs = await this.getAverageRunMs();
+    let remainingMs;
+    if (status.status === 'processing') {
+      const startedAt = status.startedAt || status.updatedAt || Date.now();
+      const elapsed = Math.max(0, Date.now() - startedAt);
+      const percent = status.progress?.percent || 0;
+      remainingMs = percent >= 5
+        ? Math.round(elapsed / (percent / 100)) - elapsed
+        : avgRunMs - elapsed;
+      remainingMs = Math.max(0, remainingMs);
+    } else {
+      const waves = Math.ceil(Math.max(1, queuePosition) / this.concurrency);
+      remainingMs = waves * avgRunMs;
     }
-    this.queueLock = true;
-    this.queue.push(task);
-    this.queueLock = false;
+    return { remainingMs, finishAt: Date.now() + remainingMs, averageRunMs: avgRunMs };
+  }
 
-    console.log(`📥 Task ${taskId} added to queue. Position: ${this.queue.length}`);
-    this.logQueueStatus();
-    if (!this.isProcessing) setImmediate(() => this.processQueue());
-    return { duplicate: false, taskId };
+  /**
+   * Everything a progress stream needs in one object: status, queue position, the freshest
+   * progress snapshot (in-memory when this process runs the task) and the ETA.
+   */
+  async getProgressSnapshot(taskId) {
+    const rec = await AnalysisRecord.findOne({ taskId }).lean();
+    const status = this.toStatus(rec);
+    if (!status) return null;
+    const local = analysisProgress.get(taskId);
+    if (local && (!status.progress || local.at >= status.progress.at)) status.progress = local;
+    status.queuePosition = status.status === 'queued' ? await this.getQueuePosition(taskId) : 0;
+    status.eta = await this.estimateEta(status, status.queuePosition);
+    return status;
   }
 
-  updateStatus(taskId, patch) {
-    const current = this.taskStatuses.get(taskId);
-    if (!current) return;
-    // Auto-upgrade status to completed if email sent but status not explicitly provided or still processing
-    if (patch.emailStatus === 'sent' && (!patch.status || current.status !== 'completed')) {
-      patch.status = 'completed';
-    }
-    const next = { ...current, ...patch, updatedAt: Date.now() };
-    this.taskStatuses.set(taskId, next);
-    // Persist delta asynchronously
-    (async () => {
-      try {
-        const persist = async (attempt=1) => {
-          try {
-            // Ensure required fields for upsert path
-            const baseOnInsert = {
-              taskId,
-              email: current.email,
-              url: current.url,
-              createdAt: current.createdAt ? new Date(current.createdAt) : new Date(),
-            };
-            if (current.user) baseOnInsert.user = current.user;
-            await AnalysisRecord.updateOne(
-              { taskId },
-              {
-                $set: {
-                  status: next.status,
-                  emailStatus: next.emailStatus,
-                  reportDirectory: next.reportDirectory || current.reportDirectory || null,
-                  emailError: next.emailError || null,
-                  updatedAt: new Date()
-                },
-                $setOnInsert: baseOnInsert
-              },
-              { upsert: true }
-            );
-          } catch (err) {
-            if (attempt < 3) {
-              const delay = attempt * 200;
-              await new Promise(r=>setTimeout(r, delay));
-              return persist(attempt+1);
-            }
-            console.warn(`⚠️ Persist status failed after retries for ${taskId}:`, err.message);
+  subscribeProgress(taskId, listener) {
+    return analysisProgress.subscribe(taskId, listener);
+  }
+
+  // Wake the worker without waiting for the next poll tick
+  kick() {
+    if (this.hasFreeSlot && !this.stopping) setImmediate(() => this.processQueue().catch(e => console.warn('⚠️ Queue processing failed:', e.message)));
+  }
+
+  /**
+   * Atomically claim the next runnable job: a queued record whose nextRunAt has passed,
+   * or a processing record whose lease expired (its worker died) and that has attempts left.
+   */
+  async claimNext() {
+    const now = new Date();
+    return AnalysisRecord.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', $or: [ { nextRunAt: { $lte: now } }, { nextRunAt: null } ] },
+          {
+            status: 'processing',
+            leaseExpiresAt: { $lt: now },
+            $expr: { $lt: [ { $ifNull: ['$attempts', 0] }, { $ifNull: ['$maxAttempts', this.maxAttempts] } ] }
           }
-        };
-        await persist();
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs),
+          heartbeatAt: now,
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextRunAt: 1, createdAt: 1 }, new: true }
+    ).lean();
+  }
+
+  // One timer renews the leases of every task this process holds
+  ensureHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(async () => {
+      const taskIds = Array.from(this.activeTasks.keys());
+      if (!taskIds.length) return;
+      try {
+        const now = new Date();
+        const result = await AnalysisRecord.updateMany(
+          { taskId: { $in: taskIds }, leaseOwner: this.workerId, status: 'processing' },
+          { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + this.leaseMs) } }
+        );
+        if (result.matchedCount < taskIds.length) {
+          console.warn(`⚠️ Lost lease on ${taskIds.length - result.matchedCount} task(s) (another worker or an admin took them over)`);
+        }
       } catch (e) {
-        // Ignore persistence issues (in-memory status still works)
+        console.warn('⚠️ Heartbeat failed:', e.message);
       }
-    })();
+    }, this.heartbeatMs);
   }
 
-  getTaskStatus(taskId) {
-    return this.taskStatuses.get(taskId) || null;
+  stopHeartbeat() {
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
   }
 
-  getStatusesForEmail(email) {
-    return Array.from(this.taskStatuses.values()).filter(s => s.email === email).sort((a,b)=>b.createdAt - a.createdAt);
+  /**
+   * Hand the current lease back so the job is resumed immediately on the next boot
+   * (used on shutdown/crash instead of waiting for the lease to lapse).
+   */
+  async releaseActiveLeases() {
+    this.stopHeartbeat();
+    try {
+      const result = await AnalysisRecord.updateMany(
+        { leaseOwner: this.workerId, status: 'processing' },
+        { $set: { status: 'queued', emailStatus: 'pending', nextRunAt: new Date(), leaseOwner: null, leaseExpiresAt: null, updatedAt: new Date() } }
+      );
+      if (result.modifiedCount) console.log(`↩️ Released ${result.modifiedCount} active lease(s) back to the queue`);
+    } catch (e) {
+      console.warn('⚠️ Failed to release active leases:', e.message);
+    }
   }
 
+  // Claim jobs until every slot is busy; each claimed task runs in the background
   async processQueue() {
-    // Double-check lock pattern to prevent race conditions
-    if (this.isProcessing) {
-      console.log('⚠️ Queue processing already in progress. Skipping.');
-      return;
-    }
-
-    this.isProcessing = true;
-    console.log('▶️ Queue processor started.');
+    if (this.filling) return;
+    if (mongoose.connection.readyState !== 1) return;
 
+    this.filling = true;
     try {
-      while (this.queue.length > 0) {
-        // Thread-safe task retrieval
-        while (this.queueLock) {
-          await this.sleep(100);
-        }
-        
-        this.queueLock = true;
-        const task = this.queue.shift();
-        this.queueLock = false;
-
-        if (!task) continue;
+      // Expired leases out of attempts are never claimed again; settle them as failed
+      await this.failExhaustedTasks({ status: 'processing', leaseExpiresAt: { $lt: new Date() } });
+      while (!this.stopping && this.hasFreeSlot) {
+        const record = await this.claimNext();
+        if (!record) break;
+
+        const task = {
+          taskId: record.taskId,
+          email: record.email,
+          url: record.url,
+          user: record.user ? record.user.toString() : null,
+          organization: record.organization ? record.organization.toString() : null,
+          schedule: record.schedule || null,
+          limits: record.limits || null,
+          res: this.responders.get(record.taskId) || null,
+          queuedAt: new Date(record.createdAt).getTime(),
+          attempt: record.attempts,
+          maxAttempts: record.maxAttempts || this.maxAttempts,
+          // Checkpoint writes are fenced by the lease like every other write of the task
+          leaseOwner: this.workerId,
+          // Resume point for runUltimateAnalysis
+          checkpoints: record.checkpoints || {},
+          reportDirectory: record.reportDirectory || null,
+          // Generate timestamp when work actually starts (not when queued)
+          processingStartedAt: Date.now()
+        };
+        this.activeTasks.set(task.taskId, task);
+        this.ensureHeartbeat();
+        analysisProgress.report(task.taskId, { stage: 'website', message: `Analysis started (attempt ${task.attempt}/${task.maxAttempts})`, url: task.url });
 
-  this.currentTask = task;
-  this.updateStatus(task.taskId, { status: 'processing' });
-        
-        // Generate timestamp when work actually starts (not when queued)
-        task.processingStartedAt = Date.now();
-        
-        console.log(`\n🔬 Processing task: ${task.taskId}`);
+        console.log(`\n🔬 Processing task: ${task.taskId} (slot ${this.activeTasks.size}/${this.concurrency})`);
         console.log(`   URL: ${task.url}`);
         console.log(`   Email: ${task.email}`);
+        console.log(`   Attempt: ${task.attempt}/${task.maxAttempts}`);
         console.log(`   Queued for: ${Date.now() - task.queuedAt}ms`);
-        console.log(`   Queue remaining: ${this.queue.length}`);
 
-        try {
-          await this.processTask(task);
-        } catch (error) {
-          await this.handleTaskError(task, error);
-        } finally {
-          this.currentTask = null;
-          // Always clean database after each task to prevent contamination
-          await this.cleanupAfterTask(task);
-        }
+        this.runTask(task);
       }
     } finally {
-      this.isProcessing = false;
-      console.log('✅ Queue processor stopped. All tasks completed.');
+      this.filling = false;
+    }
+  }
+
+  async runTask(task) {
+    try {
+      await this.processTask(task);
+    } catch (error) {
+      await this.handleTaskError(task, error).catch(e => console.error(`💥 Error handling failure of ${task.taskId}:`, e.message));
+    } finally {
+      this.activeTasks.delete(task.taskId);
+      this.progressPersisted.delete(task.taskId);
+      analysisProgress.clear(task.taskId);
+      if (!this.activeTasks.size) this.stopHeartbeat();
+      // A slot just freed up
+      this.kick();
     }
   }
 
   async processTask(task) {
     const startTime = Date.now();
-    
-    try {
-  const result = await ultimateAnalyzer.runUltimateAnalysis(task.url, task.email, task);
-      
-      // Send email notification after successful analysis
-      if (result && result.success) {
-        try {
-          console.log(`📧 Sending analysis results email to ${task.email}...`);
-          console.log(`   Report directory: ${result.reportDirectory}`);
-          
-          // Mark email sending started
-          this.updateStatus(task.taskId, { emailStatus: 'sending' });
-          await sendFullAnalysisEmail({
-            to: task.email,
-            url: task.url,
-            reportDirectory: result.reportDirectory,
-            analysisResults: result
-          });
-          console.log(`✅ Analysis results email sent successfully to ${task.email}`);
-          this.updateStatus(task.taskId, { emailStatus: 'sent', reportDirectory: result.reportDirectory });
-        } catch (emailError) {
-          console.error(`❌ Failed to send analysis email to ${task.email}:`, emailError.message);
-          console.error(`   Email error details:`, {
-            errorCode: emailError.code,
-            errorResponse: emailError.response,
-            commandUsed: emailError.command
-          });
-          // Don't fail the entire task if email fails - analysis was successful
-          this.updateStatus(task.taskId, { emailStatus: 'failed', emailError: emailError.message, reportDirectory: result.reportDirectory });
-        }
-      } else {
-        console.warn(`⚠️ Skipping email send - analysis was not successful for ${task.email}`);
-        if (result?.error) {
-          console.warn(`   Analysis error: ${result.error}`);
-        }
-        // If analysis failed overall
-        if (!result?.success) {
-          this.updateStatus(task.taskId, { status: 'failed' });
-        }
-      }
-      
-      if (task.res) {
-        if (!task.res.headersSent) {
-          // Add processing time to response
-          result.processingTimeMs = Date.now() - startTime;
-          result.taskId = task.taskId;
-          try {
-            task.res.json(result);
-          } catch (respErr) {
-            console.warn(`⚠️ Failed to send success response for task ${task.taskId}:`, respErr.message);
-          }
-        } else {
-          console.log(`ℹ️ Response already sent for task ${task.taskId} (success path).`);
-        }
-      } else {
-        console.log(`🛰️ Task ${task.taskId} is background (no HTTP response to send).`);
-      }
-      
-      console.log(`✅ Task ${task.taskId} completed successfully in ${Date.now() - startTime}ms`);
-      if (result?.success) {
-        this.updateStatus(task.taskId, { status: 'completed' });
+
+    const result = await ultimateAnalyzer.runUltimateAnalysis(task.url, task.email, task);
+    const stepOutcomes = result?.stepOutcomes || {};
+
+    if (!result?.success) {
+      await this.updateStatus(task.taskId, { stepOutcomes });
+      // Surface to handleTaskError so retryable failures go back on the queue
+      const err = new Error(result?.error || 'Analysis failed');
+      err.analysisResult = result;
+      throw err;
+    }
+
+    // A step that failed for a transient reason is worth another attempt before settling for
+    // partial results; checkpoints make the retry skip everything that already succeeded.
+    if (result.partial && task.attempt < task.maxAttempts) {
+      const transient = result.failedSteps.find(step => this.isRetryableError(new Error(stepOutcomes[step]?.error || '')));
+      if (transient) {
+        await this.updateStatus(task.taskId, { stepOutcomes });
+        throw new Error(`Step '${transient}' failed: ${stepOutcomes[transient].error}`);
       }
-      
-    } catch (error) {
-      console.error(`💥 Task ${task.taskId} failed:`, error.message);
-      
-  if (task.res) {
-        if (!task.res.headersSent) {
-          try {
-            task.res.status(500).json({
-              success: false,
-              error: 'Analysis failed due to server error',
-              taskId: task.taskId,
-              processingTimeMs: Date.now() - startTime
-            });
-          } catch (respErr) {
-            console.warn(`⚠️ Failed to send error response for task ${task.taskId}:`, respErr.message);
-          }
-        } else {
-          console.log(`ℹ️ Response already sent for task ${task.taskId} (error path).`);
-        }
-      } else {
-        console.log(`🛰️ Task ${task.taskId} failed in background (no HTTP response to send).`);
+    }
+    // Terminal status for this run: everything succeeded, or some sections are missing
+    const finalStatus = result.partial ? 'partial' : 'completed';
+    const finished = analysisProgress.report(task.taskId, { stage: 'finished', message: 'Reports ready - sending email' });
+    await this.updateStatus(task.taskId, { stepOutcomes, progress: finished });
+
+    // Send email notification after successful analysis
+    try {
+      console.log(`📧 Sending analysis results email to ${task.email}...`);
+      console.log(`   Report directory: ${result.reportDirectory}`);
+
+      // Mark email sending started
+      await this.updateStatus(task.taskId, { emailStatus: 'sending', reportDirectory: result.reportDirectory });
+      await sendFullAnalysisEmail({
+        to: task.email,
+        url: task.url,
+        reportDirectory: result.reportDirectory,
+        analysisResults: result,
+        brand: result.brand
+      });
+      console.log(`✅ Analysis results email sent successfully to ${task.email}`);
+      await this.updateStatus(task.taskId, { status: finalStatus, emailStatus: 'sent', reportDirectory: result.reportDirectory });
+    } catch (emailError) {
+      if (emailError instanceof LeaseLostError) throw emailError;
+      console.error(`❌ Failed to send analysis email to ${task.email}:`, emailError.message);
+      console.error(`   Email error details:`, {
+        errorCode: emailError.code,
+        errorResponse: emailError.response,
+        commandUsed: emailError.command
+      });
+      // Don't fail the entire task if email fails - analysis was successful
+      await this.updateStatus(task.taskId, { status: finalStatus, emailStatus: 'failed', emailError: emailError.message, reportDirectory: result.reportDirectory });
+    }
+    // Scheduled re-audits also get a digest of what regressed since the previous run
+    if (task.schedule) {
+      try {
+        await auditScheduler.sendDigest(task.taskId);
+      } catch (digestError) {
+        console.error(`❌ Regression digest for ${task.taskId} failed:`, digestError.message);
       }
-  this.updateStatus(task.taskId, { status: 'failed' });
     }
+
+    // Delivered: with a remote storage backend the local working copies are no longer needed
+    await reportStorage.releaseLocalCopies(result.reportDirectory);
+
+    this.respond(task, () => {
+      result.processingTimeMs = Date.now() - startTime;
+      result.taskId = task.taskId;
+      task.res.json(result);
+    });
+
+    console.log(`${result.partial ? '🟡' : '✅'} Task ${task.taskId} finished as ${finalStatus} in ${Date.now() - startTime}ms`);
   }
 
   async handleTaskError(task, error) {
-    console.error(`💥 Critical error in task ${task.taskId}:`, error);
-    
-    // Implement retry logic for recoverable errors
-    if (task.retryCount < 2 && this.isRetryableError(error)) {
-      task.retryCount++;
-      console.log(`🔄 Retrying task ${task.taskId} (attempt ${task.retryCount + 1}/3)`);
-      
-      // Add back to queue with delay
-      setTimeout(() => {
-        this.queueLock = true;
-        this.queue.unshift(task); // Add to front for priority
-        this.queueLock = false;
-      }, 5000 * task.retryCount); // Exponential backoff
-      
+    // The task belongs to another worker now: its status, retries and refund are not ours to touch
+    if (error instanceof LeaseLostError) {
+      console.warn(`⚠️ ${error.message}; stopped processing it here`);
+      this.responders.delete(task.taskId);
+      return;
+    }
+    console.error(`💥 Task ${task.taskId} failed:`, error.message);
+
+    // Retry recoverable errors by putting the record back on the queue with a delay
+    if (task.attempt < task.maxAttempts && this.isRetryableError(error)) {
+      const delayMs = 5000 * task.attempt; // Linear backoff
+      console.log(`🔄 Retrying task ${task.taskId} in ${delayMs}ms (attempt ${task.attempt + 1}/${task.maxAttempts})`);
+      await this.updateStatus(task.taskId, {
+        status: 'queued',
+        failureReason: error.message,
+        nextRunAt: new Date(Date.now() + delayMs),
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        progress: null
+      });
       return;
     }
 
     // Final failure
-    if (task.res) {
-      if (!task.res.headersSent) {
-        try {
-          task.res.status(500).json({
-            success: false,
-            error: 'Analysis failed after retries',
-            taskId: task.taskId
-          });
-        } catch (respErr) {
-          console.warn(`⚠️ Failed to send final failure response for task ${task.taskId}:`, respErr.message);
-        }
-      } else {
-        console.log(`ℹ️ Response already sent earlier for task ${task.taskId} (final failure).`);
-      }
-    } else {
-      console.log(`🛰️ Task ${task.taskId} reached final failure in background (no HTTP response).`);
+    this.respond(task, () => {
+      task.res.status(500).json({
+        success: false,
+        error: 'Analysis failed after retries',
+        taskId: task.taskId
+      });
+    });
+    await this.updateStatus(task.taskId, { status: 'failed', failureReason: error.message });
+    await this.refundFailedRun(task.taskId, error.message);
+  }
+
+  // A run that failed for good gives back the analysis credit it consumed, if any
+  async refundFailedRun(taskId, reason) {
+    try {
+      await refundRun(taskId, reason);
+    } catch (e) {
+      console.error(`❌ Could not refund credit for failed run ${taskId}:`, e.message);
     }
-  this.updateStatus(task.taskId, { status: 'failed' });
   }
 
-  async cleanupAfterTask(task) {
-    console.log(`🧼 Cleaning up after task: ${task.taskId}`);
+  // Deliver the final outcome to a waiting HTTP response, if this process holds one
+  respond(task, send) {
+    this.responders.delete(task.taskId);
+    if (!task.res) {
+      console.log(`🛰️ Task ${task.taskId} is background (no HTTP response to send).`);
+      return;
+    }
+    if (task.res.headersSent) {
+      console.log(`ℹ️ Response already sent for task ${task.taskId}.`);
+      return;
+    }
     try {
-  await clearWorkingCollection();
-  console.log('✅ Working collection cleaned successfully');
-    } catch (error) {
-      console.error('❌ Database cleanup failed:', error.message);
+      send();
+    } catch (respErr) {
+      console.warn(`⚠️ Failed to send response for task ${task.taskId}:`, respErr.message);
     }
   }
 
@@ -651,58 +1004,61 @@ class AnalysisQueue {
       'ENOTFOUND',
       'ECONNRESET'
     ];
-    
-    return retryableErrors.some(keyword => 
-      error.message.toLowerCase().includes(keyword)
-    );
-  }
 
-  logQueueStatus() {
-    const queueSummary = this.queue.map(task => ({
-      taskId: task.taskId,
-      url: task.url,
-      email: task.email,
-      retries: task.retryCount
-    }));
-    
-    console.log('📋 Current Queue Status:', JSON.stringify(queueSummary, null, 2));
-    
-    if (this.currentTask) {
-      console.log('🔄 Currently Processing:', {
-        taskId: this.currentTask.taskId,
-        url: this.currentTask.url,
-        email: this.currentTask.email
-      });
-    }
+    return retryableErrors.some(keyword =>
+      error.message.toLowerCase().includes(keyword.toLowerCase())
+    );
   }
 
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Get queue status for monitoring
-  getStatus() {
+  // Get queue status for monitoring (in-flight tasks of every worker, not just this one)
+  async getStatus() {
+    const queued = await AnalysisRecord.find({ status: 'queued' })
+      .sort({ nextRunAt: 1, createdAt: 1 })
+      .limit(50)
+      .select('taskId url email attempts createdAt nextRunAt')
+      .lean();
+    const queueLength = await AnalysisRecord.countDocuments({ status: 'queued' });
+    const processing = await AnalysisRecord.find({ status: 'processing' })
+      .sort({ startedAt: 1 })
+      .select('taskId url email attempts startedAt leaseOwner leaseExpiresAt heartbeatAt')
+      .lean();
     return {
-      queueLength: this.queue.length,
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      queueLength,
       isProcessing: this.isProcessing,
-      currentTask: this.currentTask ? {
-        taskId: this.currentTask.taskId,
-        url: this.currentTask.url,
-        email: this.currentTask.email
-      } : null,
-      queueItems: this.queue.map(task => ({
-        taskId: task.taskId,
-        url: task.url,
-        email: task.email,
-        retries: task.retryCount,
-        waitTime: Date.now() - task.queuedAt
-      }))
+      activeCount: this.activeTasks.size,
+      inFlight: processing.map(rec => ({
+        taskId: rec.taskId,
+        url: rec.url,
+        email: rec.email,
+        attempt: rec.attempts || 0,
+        worker: rec.leaseOwner,
+        local: this.activeTasks.has(rec.taskId),
+        runningMs: rec.startedAt ? Date.now() - new Date(rec.startedAt).getTime() : null,
+        leaseExpiresAt: rec.leaseExpiresAt,
+        heartbeatAt: rec.heartbeatAt
+      })),
+      queueItems: queued.map(rec => ({
+        taskId: rec.taskId,
+        url: rec.url,
+        email: rec.email,
+        retries: Math.max(0, (rec.attempts || 0)),
+        waitTime: Date.now() - new Date(rec.createdAt).getTime(),
+        nextRunAt: rec.nextRunAt
+      })),
+      openaiBudget: openaiRateBudget.getStats()
     };
   }
 }
 
-// Initialize the robust queue system
-const analysisQueue = new AnalysisQueue();
+// Initialize the durable queue system (started once the server is listening)
+const analysisQueue = new AnalysisQueue(CONFIG.queue);
+const auditScheduler = new AuditScheduler(analysisQueue, CONFIG.scheduler);
 
 // --- END QUEUE SYSTEM ---
 
@@ -782,11 +1138,65 @@ class UltimateAnalyzer {
     }
   }
 
-  async runRiskClaimsAnalysis(url) {
+  async runRiskClaimsAnalysis(url, runId = null) {
     if (!this.riskClaimsAnalyzer) {
       throw new Error('RISKCLAIMSAnalyzer not initialized - check OPENAI_API_KEY');
     }
-    return await this.riskClaimsAnalyzer.analyzeComplete(url);
+    return await this.riskClaimsAnalyzer.analyzeComplete(url, { runId });
+  }
+
+  /**
+   * Run a pipeline step unless this run already has a checkpoint for it.
+   * Only results accepted by `isDone` are checkpointed; `toCheckpoint` trims what is stored.
+   * Report checkpoints are ignored when their file is gone from report storage so the PDF gets rebuilt.
+   * Never throws: a crashing step is returned as `{ success:false, error }` and its outcome
+   * (completed / resumed / failed) is recorded in `outcomes[step]`.
+   * A step built while one of its `requires` steps had failed is not checkpointed, so a retry
+   * or rerun that fixes the upstream step rebuilds it from complete data.
+   */
+  async runCheckpointedStep(checkpoints, outcomes, step, run, { isDone = r => !!r?.success, toCheckpoint = r => r, requires = [] } = {}) {
+    const saved = checkpoints.get(step);
+    if (saved) {
+      const missingFile = saved.result?.path ? !(await reportStorage.exists(saved.result.path).catch(() => false)) : false;
+      if (!missingFile) {
+        console.log(`⏭️ Step '${step}' already completed at ${new Date(saved.completedAt).toISOString()} - resuming past it`);
+        outcomes[step] = { status: 'resumed', completedAt: saved.completedAt };
+        return saved.result;
+      }
+      console.log(`🔁 Step '${step}' was checkpointed but ${saved.result.path} is missing - running it again`);
+    }
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await run();
+    } catch (e) {
+      result = { success: false, error: e.message };
+    }
+    if (isDone(result)) {
+      const missingInputs = requires.filter(s => outcomes[s]?.status === 'failed');
+      if (missingInputs.length) {
+        console.log(`ℹ️ Step '${step}' built without ${missingInputs.join(', ')} - not checkpointed`);
+      } else {
+        await checkpoints.save(step, toCheckpoint(result));
+      }
+      outcomes[step] = { status: 'completed', durationMs: Date.now() - startTime };
+    } else {
+      const error = result?.error || result?.message || 'Step did not complete';
+      outcomes[step] = { status: 'failed', error, durationMs: Date.now() - startTime };
+      console.warn(`⚠️ Step '${step}' failed: ${error}`);
+    }
+    return result;
+  }
+
+  // A report step the plan does not include is recorded as skipped rather than run
+  async runReportStep(limits, checkpoints, outcomes, step, run) {
+    const report = REPORT_FILES.find(r => r.step === step);
+    if (report && Array.isArray(limits.reports) && !limits.reports.includes(report.key)) {
+      console.log(`⏭️ Skipping '${step}': not included in plan '${limits.plan}'`);
+      outcomes[step] = { status: 'skipped', reason: 'not_in_plan' };
+      return { success: false, skipped: true };
+    }
+    return this.runCheckpointedStep(checkpoints, outcomes, step, run, { requires: ANALYSIS_STEPS });
   }
 
   async runUltimateAnalysis(url, email, task = null) {
@@ -799,135 +1209,229 @@ class UltimateAnalyzer {
     };
 
     let reportDir = null;
+    // Every working document of this analysis is tagged with the taskId, so parallel and
+    // historical runs never mix in the shared collection
+    const runId = task?.taskId || null;
+    results.runId = runId;
+    const checkpoints = createCheckpointStore(runId, task?.checkpoints, task?.leaseOwner);
+    const reportSteps = ['professionalReport', 'crawlabilityReport', 'faqReport', 'structuredDataReport', 'geoReport'];
+    // Plan limits snapshotted on the record (utils/pricingCatalog.js); none = everything, uncapped
+    const limits = task?.limits || {};
+    results.limits = limits;
+    // White-label branding of the organization the analysis was run for (utils/branding.js)
+    const brand = await brandForOrganization(task?.organization).catch(e => {
+      console.warn(`⚠️ Could not load organization branding, using the default: ${e.message}`);
+      return { ...DEFAULT_BRAND };
+    });
+    results.brand = brand;
+    results.resumedFrom = checkpoints.completedSteps();
+    // Per-step outcome: completed | resumed | failed (+ error). Only the website crawl is
+    // critical; any other failure leaves the run `partial` instead of failing it.
+    const outcomes = {};
+    results.stepOutcomes = outcomes;
+    // Live progress for SSE subscribers (see utils/analysisProgress.js); a no-op without a taskId
+    const progress = analysisProgress.forTask(runId);
+    const reportFinished = (step) => {
+      const done = reportSteps.indexOf(step) + 1;
+      progress({
+        stage: 'reports',
+        message: `Report ${done} of ${reportSteps.length} ${results.steps[step]?.success ? 'generated' : results.steps[step]?.skipped ? 'skipped' : 'failed'}`,
+        current: done,
+        total: reportSteps.length
+      });
+    };
 
     try {
-      // Create directory with timestamp from when processing actually starts
-      const hostname = new URL(url).hostname.replace(/\./g, '_');
-      
-      // Use processing start time for timestamp (not queue time)
-      const processingStartTime = task?.processingStartedAt || Date.now();
-      const timestamp = new Date(processingStartTime).toISOString().replace(/[:.]/g, '-').slice(0, 19);
-      
-      const emailDir = email.replace(/[@.]/g, '_');
-      
-      // Keep your original path structure, only add unique suffix if collision detected
-  let baseReportDir = `${REPORTS_BASE}/${emailDir}/${hostname}_${timestamp}`;
-      reportDir = baseReportDir;
-      
-      // Check if directory already exists and add minimal unique suffix if needed
-      try {
-        await fs.access(reportDir);
-        // Directory exists, add minimal unique suffix
-        const uniqueId = crypto.randomBytes(2).toString('hex'); // Smaller ID
-        reportDir = `${baseReportDir}_${uniqueId}`;
-        console.log(`⚠️ Directory collision detected, using: ${reportDir}`);
-      } catch {
-        // Directory doesn't exist, use original name
-        console.log(`📁 Using original directory name: ${reportDir}`);
+      if (results.resumedFrom.length) {
+        console.log(`♻️ Resuming run ${runId}; completed steps: ${results.resumedFrom.join(', ')}`);
+      } else if (runId) {
+        // A fresh attempt starts from a clean slate for its own run only
+        await clearRunData(runId);
+      }
+
+      if (task?.reportDirectory && results.resumedFrom.length) {
+        // Keep writing into the directory the earlier attempt already produced reports in
+        reportDir = task.reportDirectory;
+        console.log(`📁 Reusing report directory from previous attempt: ${reportDir}`);
+      } else {
+        // Create directory with timestamp from when processing actually starts
+        const hostname = new URL(url).hostname.replace(/\./g, '_');
+
+        // Use processing start time for timestamp (not queue time)
+        const processingStartTime = task?.processingStartedAt || Date.now();
+        const timestamp = new Date(processingStartTime).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+        const emailDir = email.replace(/[@.]/g, '_');
+
+        // Keep your original path structure, only add unique suffix if collision detected
+        let baseReportDir = `${REPORTS_BASE}/${emailDir}/${hostname}_${timestamp}`;
+        reportDir = baseReportDir;
+
+        // Check if directory already exists and add minimal unique suffix if needed
+        try {
+          await fs.access(reportDir);
+          // Directory exists, add minimal unique suffix
+          const uniqueId = crypto.randomBytes(2).toString('hex'); // Smaller ID
+          reportDir = `${baseReportDir}_${uniqueId}`;
+          console.log(`⚠️ Directory collision detected, using: ${reportDir}`);
+        } catch {
+          // Directory doesn't exist, use original name
+          console.log(`📁 Using original directory name: ${reportDir}`);
+        }
       }
       results.reportDirectory = reportDir;
 
       await fs.mkdir(reportDir, { recursive: true });
-      console.log(`📁 Created unique report directory: ${reportDir}`);
+      await checkpoints.setReportDirectory(reportDir);
+      console.log(`📁 Report directory ready: ${reportDir}`);
 
       // --- 📊 ANALYSIS BLOCK ---
       console.log('🌐 Step 1: Website Structure Analysis...');
-      const websiteResult = await analyzeWebsite(url, { 
-        minDelayMs: 5000, 
+      const websiteResult = await this.runCheckpointedStep(checkpoints, outcomes, 'website', () => analyzeWebsite(url, {
+        minDelayMs: 5000,
         maxIterations: 5,
         mongoUri: CONFIG.mongodb.uri,
         mongoOptions: CONFIG.mongodb.options,
         dbName: CONFIG.mongodb.dbName,
-        collectionName: CONFIG.mongodb.collectionName
-      });
+        collectionName: CONFIG.mongodb.collectionName,
+        runId,
+        maxPages: limits.maxPages,
+        onProgress: progress
+      }));
       results.steps.website = websiteResult;
       if (!websiteResult.success) throw new Error(`Website analysis failed: ${websiteResult.error}`);
 
       console.log('🎯 Step 2: GEO Schemas Analysis...');
-      const geoResult = await analyzeWebsiteGeo(url, {
-        verbose: false, 
-        baseSleepMs: 3000, 
+      const geoResult = await this.runCheckpointedStep(checkpoints, outcomes, 'geo', () => analyzeWebsiteGeo(url, {
+        verbose: false,
+        baseSleepMs: 3000,
         mongoUri: CONFIG.mongodb.uri,
         mongoOptions: CONFIG.mongodb.options,
-        openaiApiKey: CONFIG.openai.apiKey, 
+        openaiApiKey: CONFIG.openai.apiKey,
         dbName: CONFIG.mongodb.dbName,
-        collectionName: CONFIG.mongodb.collectionName
-      });
+        collectionName: CONFIG.mongodb.collectionName,
+        runId,
+        onProgress: progress
+      }), { isDone: r => !!r?.overallSuccess });
       results.steps.geo = geoResult;
-      if (!geoResult.overallSuccess) throw new Error(`GEO analysis failed: ${geoResult.error}`);
 
       console.log('⚡ Step 3: GEO Scoring...');
+      progress({ stage: 'scoring', message: 'Scoring pages with AI' });
       const scoringConfig = {
-        mongoUri: CONFIG.mongodb.uri, 
+        mongoUri: CONFIG.mongodb.uri,
         mongoOptions: CONFIG.mongodb.options,
         dbName: CONFIG.mongodb.dbName,
-        collectionName: CONFIG.mongodb.collectionName, 
-        openaiApiKey: CONFIG.openai.apiKey
+        collectionName: CONFIG.mongodb.collectionName,
+        openaiApiKey: CONFIG.openai.apiKey,
+        runId
       };
-      if (!scoringConfig.openaiApiKey) throw new Error('OPENAI_API_KEY is required for GEO scoring');
-      const scoringResult = await scoreAllDocsWithAI(scoringConfig);
+      const scoringResult = await this.runCheckpointedStep(checkpoints, outcomes, 'scoring', async () => {
+        if (!scoringConfig.openaiApiKey) throw new Error('OPENAI_API_KEY is required for GEO scoring');
+        return scoreAllDocsWithAI(scoringConfig);
+      });
       results.steps.scoring = scoringResult;
-      if (!scoringResult.success) throw new Error(`GEO scoring failed: ${scoringResult.message}`);
 
       console.log('🔍 Step 4: Risk & Claims Analysis...');
-      const riskClaimsResult = await this.runRiskClaimsAnalysis(url);
+      progress({ stage: 'riskClaims', message: 'Analyzing claims and generating FAQs' });
+      const riskClaimsResult = await this.runCheckpointedStep(
+        checkpoints,
+        outcomes,
+        'riskClaims',
+        () => this.runRiskClaimsAnalysis(url, runId),
+        // Per-page outputs already live on the run's documents; keep only the summary
+        { isDone: r => !!r?.summary, toCheckpoint: r => ({ summary: r.summary }) }
+      );
       results.steps.riskClaims = riskClaimsResult;
 
       // --- 📄 REPORTING BLOCK ---
+      const failedAnalyses = ANALYSIS_STEPS.filter(step => outcomes[step]?.status === 'failed');
+      if (failedAnalyses.length) {
+        console.warn(`\n⚠️ Continuing with partial data - failed analysis steps: ${failedAnalyses.join(', ')}`);
+      }
       console.log('\n✅ All analyses complete. Now generating reports...');
       console.log('ℹ️ Note: Each report generation is independent - failures won\'t stop other reports');
 
       // Generate reports sequentially to avoid race conditions and resource conflicts
       console.log('\n🔄 Starting sequential report generation for stability...');
-      
+      progress({ stage: 'reports', message: `Generating ${reportSteps.length} reports`, current: 0, total: reportSteps.length });
+
       // Professional Content Report (Claims-based)
-      results.steps.professionalReport = await this.generateProfessionalReport(reportDir);
-      
+      results.steps.professionalReport = await this.runReportStep(limits, checkpoints, outcomes, 'professionalReport', () => this.generateProfessionalReport(reportDir, runId, brand));
+      reportFinished('professionalReport');
+
       // Crawlability Report (Independent)
-      results.steps.crawlabilityReport = await this.generateCrawlabilityReport(url, reportDir);
-      
+      results.steps.crawlabilityReport = await this.runReportStep(limits, checkpoints, outcomes, 'crawlabilityReport', () => this.generateCrawlabilityReport(url, reportDir, runId, limits.maxPages, brand));
+      reportFinished('crawlabilityReport');
+
       // FAQ JSON-LD Report (Independent)
-      results.steps.faqReport = await this.generateFAQReport(reportDir);
-      
-      // Structured Data Report (Independent) 
-      results.steps.structuredDataReport = await this.generateStructuredDataReport(reportDir);
-      
+      results.steps.faqReport = await this.runReportStep(limits, checkpoints, outcomes, 'faqReport', () => this.generateFAQReport(reportDir, runId, brand));
+      reportFinished('faqReport');
+
+      // Structured Data Report (Independent)
+      results.steps.structuredDataReport = await this.runReportStep(limits, checkpoints, outcomes, 'structuredDataReport', () => this.generateStructuredDataReport(reportDir, runId, brand));
+      reportFinished('structuredDataReport');
+
       // Meta Tags (GEO) Report (Independent)
-      results.steps.geoReport = await this.generateGeoReport(reportDir);
+      results.steps.geoReport = await this.runReportStep(limits, checkpoints, outcomes, 'geoReport', () => this.generateGeoReport(reportDir, runId, brand));
+      reportFinished('geoReport');
+
+      // Keep this run's scores per domain so later runs can show what changed
+      results.steps.scoreHistory = await this.runCheckpointedStep(checkpoints, outcomes, 'scoreHistory', () => this.recordScoreHistory(url, runId, task), { requires: ANALYSIS_STEPS });
+
+      // Combined executive PDF, built from the same run data as the five reports above
+      progress({ stage: 'reports', message: 'Building executive report', current: reportSteps.length, total: reportSteps.length });
+      results.steps.executiveReport = await this.runReportStep(limits, checkpoints, outcomes, 'executiveReport', () => this.generateExecutiveReport(reportDir, runId, url, brand));
+
+      // Machine-readable export of the run, stored next to the PDFs
+      progress({ stage: 'reports', message: 'Exporting analysis data', current: reportSteps.length, total: reportSteps.length });
+      results.steps.dataExport = await this.runCheckpointedStep(checkpoints, outcomes, 'dataExport', () => this.generateDataExport(reportDir, runId, {
+        url,
+        startedAt: new Date(task?.processingStartedAt || Date.now()).toISOString(),
+        stepOutcomes: outcomes
+      }), { requires: ANALYSIS_STEPS });
 
       // Count successful reports
-      const reportSteps = ['professionalReport', 'crawlabilityReport', 'faqReport', 'structuredDataReport', 'geoReport'];
       const successfulReports = reportSteps.filter(step => results.steps[step]?.success).length;
-      const totalReports = reportSteps.length;
-      
+      const totalReports = reportSteps.filter(step => !results.steps[step]?.skipped).length;
+
       console.log(`\n📊 Report Generation Summary:`);
       console.log(`   ✅ Successful: ${successfulReports}/${totalReports} reports`);
       console.log(`   📁 All reports saved to: ${reportDir}`);
-      
+
       // Log individual report status
       reportSteps.forEach(stepName => {
         const stepResult = results.steps[stepName];
-        if (stepResult) {
+        if (stepResult && !stepResult.skipped) {
           const status = stepResult.success ? '✅' : '❌';
           const message = stepResult.success ? stepResult.path : stepResult.error;
           console.log(`   ${status} ${stepName}: ${message}`);
         }
       });
 
+      results.failedSteps = Object.keys(outcomes).filter(step => outcomes[step].status === 'failed');
+      results.partial = results.failedSteps.length > 0;
       results.success = true;
       results.endTime = new Date().toISOString();
-      console.log(`\n🎉 Ultimate analysis and reporting completed successfully! Reports saved in: ${reportDir}`);
-      
+      if (results.partial) {
+        console.log(`\n🟡 Analysis finished with missing sections (${results.failedSteps.join(', ')}). Reports saved in: ${reportDir}`);
+      } else {
+        console.log(`\n🎉 Ultimate analysis and reporting completed successfully! Reports saved in: ${reportDir}`);
+      }
+
     } catch (error) {
+      // Another worker owns the run now (and its report directory); leave everything to it
+      if (error instanceof LeaseLostError) throw error;
       results.error = error.message;
       results.endTime = new Date().toISOString();
       console.error('💥 Ultimate analysis CRASHED during execution:', error.message);
-      
-      // Clean up failed directory if it was created
-      if (reportDir) {
+
+      // Clean up the directory unless it already holds checkpointed reports a retry will reuse
+      const hasReports = reportSteps.some(step => checkpoints.get(step));
+      if (reportDir && !hasReports) {
         try {
-          // Use fs.rm instead of deprecated fs.rmdir
-          await fs.rm(reportDir, { recursive: true, force: true });
+          // Local working copies and, with a remote backend, whatever was already uploaded for the run
+          await reportStorage.removeDirectory(reportDir);
+          await checkpoints.setReportDirectory(null);
           console.log(`🧹 Cleaned up failed report directory: ${reportDir}`);
         } catch (cleanupError) {
           console.warn('⚠️ Failed to cleanup report directory:', cleanupError.message);
@@ -939,11 +1443,15 @@ class UltimateAnalyzer {
   }
 
   // Individual report generation methods - each is independent and non-blocking
-  async generateProfessionalReport(reportDir) {
+  async generateProfessionalReport(reportDir, runId = null, brand = null) {
     console.log('\n📄 Step 5: Generating Professional Content Report...');
     const startTime = Date.now();
     try {
-      const generator = new ProfessionalReportGenerator(CONFIG.mongodb.uri, CONFIG.mongodb.dbName, CONFIG.mongodb.options);
+      const generator = new ProfessionalReportGenerator(CONFIG.mongodb.uri, CONFIG.mongodb.dbName, CONFIG.mongodb.options, {
+        collectionName: CONFIG.mongodb.collectionName,
+        runId,
+        brand
+      });
       const reportPath = `${reportDir}/WebsiteContent_report.pdf`;
       await generator.generateReport(reportPath);
       console.log(`✅ Professional report completed in ${Date.now() - startTime}ms`);
@@ -955,14 +1463,22 @@ class UltimateAnalyzer {
     }
   }
 
-  async generateCrawlabilityReport(url, reportDir) {
+  async generateCrawlabilityReport(url, reportDir, runId = null, maxPages = null, brand = null) {
     console.log('\n📄 Step 6: Generating Crawlability Report...');
     const startTime = Date.now();
     try {
       const pdfFilename = `${reportDir}/llm_Crawlability_Report.pdf`;
       console.log(`   📊 Starting crawl analysis for: ${url}`);
       
-      const crawlResult = await generateCrawlabilityPdfReport(url, pdfFilename);
+      const crawlResult = await generateCrawlabilityPdfReport(url, pdfFilename, {
+        mongoUri: CONFIG.mongodb.uri,
+        mongoOptions: CONFIG.mongodb.options,
+        dbName: CONFIG.mongodb.dbName,
+        collectionName: CONFIG.mongodb.collectionName,
+        runId,
+        maxPages,
+        brand
+      });
       
       if (crawlResult) {
         console.log(`✅ Crawlability report completed in ${Date.now() - startTime}ms`);
@@ -977,7 +1493,7 @@ class UltimateAnalyzer {
     }
   }
 
-  async generateFAQReport(reportDir) {
+  async generateFAQReport(reportDir, runId = null, brand = null) {
     console.log('\n📄 Step 7: Generating FAQ JSON-LD Report...');
     const startTime = Date.now();
     try {
@@ -985,7 +1501,8 @@ class UltimateAnalyzer {
         CONFIG.mongodb.uri,
         CONFIG.mongodb.dbName,
         CONFIG.mongodb.collectionName,
-        CONFIG.mongodb.options
+        CONFIG.mongodb.options,
+        { runId, brand }
       );
       const faqPath = `${reportDir}/faq_jsonld_report.pdf`;
       console.log(`   📊 Analyzing FAQ data from collection: ${CONFIG.mongodb.collectionName}`);
@@ -999,11 +1516,11 @@ class UltimateAnalyzer {
     }
   }
 
-  async generateStructuredDataReport(reportDir) {
+  async generateStructuredDataReport(reportDir, runId = null, brand = null) {
     console.log('\n📄 Step 8: Generating Structured Data Report...');
     const startTime = Date.now();
     try {
-      const generator = new StructuredDataReportGenerator(CONFIG.mongodb.uri, CONFIG.mongodb.dbName, CONFIG.mongodb.collectionName, CONFIG.mongodb.options);
+      const generator = new StructuredDataReportGenerator(CONFIG.mongodb.uri, CONFIG.mongodb.dbName, CONFIG.mongodb.collectionName, CONFIG.mongodb.options, { runId, brand });
       const sdPath = `${reportDir}/structuredDataAudit_report.pdf`;
       console.log(`   📊 Analyzing structured data from collection: ${CONFIG.mongodb.collectionName}`);
       
@@ -1016,14 +1533,21 @@ class UltimateAnalyzer {
     }
   }
 
-  async generateGeoReport(reportDir) {
+  async generateGeoReport(reportDir, runId = null, brand = null) {
     console.log('\n📄 Step 9: Generating Meta Tags (GEO) Report...');
     const startTime = Date.now();
     try {
       const geoReportPath = `${reportDir}/metaTags_analysis.pdf`;
       console.log(`   📊 Analyzing meta tags and GEO data from collection: ${CONFIG.mongodb.collectionName}`);
       
-      await generateReport_1(geoReportPath);
+      await generateReport_1(geoReportPath, {
+        mongoUri: CONFIG.mongodb.uri,
+        mongoOptions: CONFIG.mongodb.options,
+        dbName: CONFIG.mongodb.dbName,
+        collectionName: CONFIG.mongodb.collectionName,
+        runId,
+        brand
+      });
       console.log(`✅ Meta Tags (GEO) report completed in ${Date.now() - startTime}ms`);
       return { success: true, path: geoReportPath, duration: Date.now() - startTime };
     } catch (e) {
@@ -1031,18 +1555,112 @@ class UltimateAnalyzer {
       return { success: false, error: e.message, duration: Date.now() - startTime };
     }
   }
+
+  async recordScoreHistory(url, runId = null, task = null) {
+    console.log('\n📈 Step 10: Recording score history...');
+    const startTime = Date.now();
+    try {
+      if (!runId) throw new Error('Score history needs a task id');
+      const generator = new ExecutiveReportGenerator(
+        CONFIG.mongodb.uri,
+        CONFIG.mongodb.dbName,
+        CONFIG.mongodb.collectionName,
+        CONFIG.mongodb.options,
+        { runId, url }
+      );
+      const data = await generator.fetchData();
+      if (!data.pages.length) throw new Error('No documents found for this analysis run');
+      const analysis = generator.analyze(data);
+      const snapshot = await recordSnapshot({
+        taskId: runId,
+        url,
+        user: task?.user || null,
+        email: task?.email || null,
+        scores: snapshotFromAnalysis(analysis, generator.computeOverallScore(analysis))
+      });
+      const previous = await findPreviousSnapshot(snapshot);
+      console.log(`✅ Score history recorded for ${snapshot.domain} (overall ${snapshot.overallScore ?? 'n/a'}${previous ? `, previous ${previous.overallScore ?? 'n/a'}` : ', first audit'})`);
+      return {
+        success: true,
+        domain: snapshot.domain,
+        overallScore: snapshot.overallScore,
+        previousTaskId: previous?.taskId || null,
+        duration: Date.now() - startTime
+      };
+    } catch (e) {
+      console.error(`❌ Score history failed after ${Date.now() - startTime}ms:`, e.message);
+      return { success: false, error: e.message, duration: Date.now() - startTime };
+    }
+  }
+
+  async generateExecutiveReport(reportDir, runId = null, url = null, brand = null) {
+    console.log('\n📄 Step 11: Generating Executive Summary Report...');
+    const startTime = Date.now();
+    try {
+      // A missing history only drops the "what changed" section
+      const comparison = runId ? await compareWithPrevious(runId).catch(e => {
+        console.warn(`⚠️ Could not compare with the previous run: ${e.message}`);
+        return null;
+      }) : null;
+      const generator = new ExecutiveReportGenerator(
+        CONFIG.mongodb.uri,
+        CONFIG.mongodb.dbName,
+        CONFIG.mongodb.collectionName,
+        CONFIG.mongodb.options,
+        { runId, url, comparison, brand }
+      );
+      const executivePath = `${reportDir}/${EXECUTIVE_REPORT_FILENAME}`;
+      const result = await generator.generatePDFReport(executivePath);
+      console.log(`✅ Executive report completed in ${Date.now() - startTime}ms (overall GEO score: ${result.overallScore ?? 'n/a'})`);
+      return { success: true, path: executivePath, overallScore: result.overallScore, duration: Date.now() - startTime };
+    } catch (e) {
+      console.error(`❌ Executive report failed after ${Date.now() - startTime}ms:`, e.message);
+      return { success: false, error: e.message, duration: Date.now() - startTime };
+    }
+  }
+
+  async generateDataExport(reportDir, runId = null, meta = {}) {
+    console.log('\n📦 Step 12: Exporting analysis data (JSON + CSV)...');
+    const startTime = Date.now();
+    try {
+      const exporter = new AnalysisExportGenerator(
+        CONFIG.mongodb.uri,
+        CONFIG.mongodb.dbName,
+        CONFIG.mongodb.collectionName,
+        CONFIG.mongodb.options,
+        { runId }
+      );
+      const result = await exporter.generateExport(reportDir, meta);
+      console.log(`✅ Data export completed in ${Date.now() - startTime}ms`);
+      return { success: true, ...result, duration: Date.now() - startTime };
+    } catch (e) {
+      console.error(`❌ Data export failed after ${Date.now() - startTime}ms:`, e.message);
+      return { success: false, error: e.message, duration: Date.now() - startTime };
+    }
+  }
 }
 
 const ultimateAnalyzer = new UltimateAnalyzer();
 
 // Now that we have the dependencies, create and use analysis routes
+// Payment routes fulfil paid orders by enqueueing into the analysis queue
+app.use('/', createPaymentRoutes(analysisQueue));
 const analysisRoutes = createAnalysisRoutes(analysisQueue, ultimateAnalyzer);
 app.use('/', analysisRoutes);
 app.use('/admin', adminContentRoutes);
+app.use('/admin', adminCreditRoutes);
+app.use('/admin', adminPromoRoutes);
 app.use('/content', publicContentRoutes);
 app.use('/', contactMessageRoutes);
-
-// Reconcile endpoint: rebuild in-memory statuses from DB (e.g., after restart)
+app.use('/', reportRoutes);
+app.use('/', historyRoutes);
+app.use('/', scheduleRoutes);
+app.use('/', billingRoutes);
+app.use('/', organizationRoutes);
+app.use('/', apiKeyRoutes);
+
+// Reconcile endpoint: kept for compatibility. The queue recovers orphaned tasks on its own
+// (on boot and whenever a lease expires); this just forces a recovery pass now.
 app.post('/reconcile-analyses', async (req, res) => {
   try {
     const authHeader = req.headers.authorization || '';
@@ -1051,29 +1669,9 @@ app.post('/reconcile-analyses', async (req, res) => {
     if (!token || token !== (process.env.RECONCILE_TOKEN || '')) {
       return res.status(403).json({ error: 'Forbidden' });
     }
-    const cutoffMs = Date.now() - (1000 * 60 * 60 * 24 * 7); // 7 days lookback
-    const recent = await AnalysisRecord.find({ createdAt: { $gte: new Date(cutoffMs) } }).lean();
-    let restored = 0;
-    for (const rec of recent) {
-      // Only restore if not terminal OR recently updated (<24h) for visibility
-      const terminal = ['completed','failed'].includes(rec.status);
-      const ageMs = Date.now() - new Date(rec.updatedAt).getTime();
-      if (!analysisQueue.taskStatuses.has(rec.taskId) && (!terminal || ageMs < 24*3600*1000)) {
-        analysisQueue.taskStatuses.set(rec.taskId, {
-          taskId: rec.taskId,
-            email: rec.email,
-            url: rec.url,
-            createdAt: new Date(rec.createdAt).getTime(),
-            status: rec.status,
-            emailStatus: rec.emailStatus || 'pending',
-            reportDirectory: rec.reportDirectory,
-            emailError: rec.emailError,
-            updatedAt: new Date(rec.updatedAt).getTime()
-        });
-        restored++;
-      }
-    }
-    res.json({ success: true, restored, totalConsidered: recent.length });
+    const recovery = await analysisQueue.recoverStaleTasks();
+    analysisQueue.kick();
+    res.json({ success: true, ...recovery });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -1117,8 +1715,17 @@ app.get('/my-analyses', async (req, res) => {
     if (pageSize < 1) pageSize = 20;
     if (pageSize > 100) pageSize = 100; // hard cap
     
-    // Query: records for this userId OR (fallback) email match
-    const filter = resolvedUserId ? { $or: [ { user: resolvedUserId }, { $and: [ { email: userEmail }, { user: { $exists: false } } ] } ] } : { email: userEmail };
+    // Query: the user's own records (by userId, or email fallback) plus those of their organizations.
+    // ?organization=<id> narrows the list to one organization the user belongs to.
+    const viewer = { id: resolvedUserId ? String(resolvedUserId) : null, email: userEmail, role: payload.role || 'user' };
+    const memberships = await membershipsOf(resolvedUserId);
+    const organization = req.query.organization || null;
+    if (organization && !memberships[organization] && viewer.role !== 'admin') {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    const filter = resolvedUserId || organization
+      ? analysisAccessFilter(viewer, memberships, { organization })
+      : { email: userEmail };
     const total = await AnalysisRecord.countDocuments(filter);
     const totalPages = Math.ceil(total / pageSize) || 1;
     const skip = (page - 1) * pageSize;
@@ -1139,6 +1746,12 @@ app.get('/my-analyses', async (req, res) => {
       emailStatus: r.emailStatus,
       emailError: r.emailError,
       failureReason: r.failureReason,
+      stepOutcomes: r.stepOutcomes || {},
+      organization: r.organization || null,
+      // What the caller may do with it: owner/editor run and share, viewer reads
+      role: roleForRecord(r, viewer, memberships),
+      // PDFs are listed/downloaded via /my-analyses/:taskId/reports
+      hasReports: !!r.reportDirectory,
       createdAt: r.createdAt,
       updatedAt: r.updatedAt
     }));
@@ -1157,50 +1770,70 @@ app.get('/my-analyses', async (req, res) => {
   }
 });
 
-async function deleteDatabase() {
+/**
+ * Per-run step checkpoints, persisted on the AnalysisRecord (`checkpoints.<step>`), so a
+ * retried, recovered or re-run task resumes from its first incomplete step.
+ */
+function createCheckpointStore(taskId, initial = {}, leaseOwner = null) {
+  const completed = { ...(initial || {}) };
+  const persist = async ($set, $unset) => {
+    if (!taskId) return;
+    let result;
+    try {
+      result = await AnalysisRecord.updateOne(
+        { taskId, ...(leaseOwner ? { leaseOwner } : {}) },
+        { $set: { ...$set, updatedAt: new Date() }, ...($unset ? { $unset } : {}) }
+      );
+    } catch (e) {
+      console.warn(`⚠️ Failed to persist checkpoint for ${taskId}:`, e.message);
+      return;
+    }
+    if (leaseOwner && !result.matchedCount) throw new LeaseLostError(taskId);
+  };
+  return {
+    get: step => completed[step] || null,
+    completedSteps: () => Object.keys(completed),
+    async save(step, result) {
+      const entry = { completedAt: new Date(), result };
+      completed[step] = entry;
+      await persist({ [`checkpoints.${step}`]: entry });
+    },
+    async setReportDirectory(reportDirectory) {
+      await persist({ reportDirectory });
+    }
+  };
+}
+
+// Working documents are scoped by runId (= taskId) and kept as history; only the documents
+// of a single run are ever removed (when that run starts over).
+async function clearRunData(runId) {
+  if (!runId) return;
+  const client = new MongoClient(CONFIG.mongodb.uri, CONFIG.mongodb.options);
   try {
-    console.log('🔌 Attempting MongoDB connection for cleanup...');
-    const client = new MongoClient(CONFIG.mongodb.uri, CONFIG.mongodb.options);
-    
-    // Test connection first
     await client.connect();
-    console.log('✅ MongoDB connection successful for cleanup');
-    
-    const db = client.db(CONFIG.mongodb.dbName);
-    await db.dropDatabase();
-    console.log(`🧹 Database '${CONFIG.mongodb.dbName}' deleted successfully for fresh start.`);
-    
-    await client.close();
-    console.log('✅ MongoDB connection closed after cleanup');
-  } catch (err) {
-    console.error(`❌ Failed to delete database: ${err.message}`);
-    if (err.message.includes('ECONNREFUSED')) {
-      console.error('   💡 MongoDB server is not running or not accessible');
-    } else if (err.message.includes('authentication')) {
-      console.error('   💡 Check MongoDB username/password in connection string');
-    } else if (err.message.includes('tls') || err.message.includes('ssl')) {
-      console.error('   💡 TLS/SSL connection issue - check connection string and certificates');
+    const result = await client.db(CONFIG.mongodb.dbName)
+      .collection(CONFIG.mongodb.collectionName)
+      .deleteMany({ runId });
+    if (result.deletedCount) {
+      console.log(`🧹 Removed ${result.deletedCount} leftover documents of run ${runId}`);
     }
+  } finally {
+    await client.close();
   }
 }
 
-// New: only clear the working extraction collection instead of dropping entire DB
-async function clearWorkingCollection() {
+async function ensureWorkingCollectionIndexes() {
+  const client = new MongoClient(CONFIG.mongodb.uri, CONFIG.mongodb.options);
   try {
-    const client = new MongoClient(CONFIG.mongodb.uri, CONFIG.mongodb.options);
     await client.connect();
-    const db = client.db(CONFIG.mongodb.dbName);
-    const collectionName = CONFIG.mongodb.collectionName;
-    const collections = await db.listCollections({ name: collectionName }).toArray();
-    if (collections.length) {
-      await db.collection(collectionName).deleteMany({});
-      console.log(`🧹 Cleared collection '${collectionName}' (kept DB + other collections).`);
-    } else {
-      console.log(`ℹ️ Collection '${collectionName}' does not exist yet; nothing to clear.`);
-    }
-    await client.close();
+    const collection = client.db(CONFIG.mongodb.dbName).collection(CONFIG.mongodb.collectionName);
+    await collection.createIndex({ runId: 1, url: 1 });
+    await collection.createIndex({ runId: 1, status: 1 });
+    console.log(`📇 Indexes ready on '${CONFIG.mongodb.collectionName}' (runId)`);
   } catch (err) {
-    console.error('❌ Failed to clear working collection:', err.message);
+    console.warn('⚠️ Failed to ensure working collection indexes:', err.message);
+  } finally {
+    await client.close();
   }
 }
 
@@ -1212,15 +1845,19 @@ async function gracefulShutdown() {
   const maxWaitTime = 120000; // 2 minutes
   const startTime = Date.now();
   
+  // Stop claiming new jobs; queued work stays in MongoDB for the next boot
+  auditScheduler.stop();
+  analysisQueue.stop();
+
   while (analysisQueue.isProcessing && (Date.now() - startTime) < maxWaitTime) {
-    console.log('⏳ Waiting for current analysis to complete...');
+    console.log(`⏳ Waiting for ${analysisQueue.activeTasks.size} running analysis task(s) to complete...`);
     await new Promise(resolve => setTimeout(resolve, 5000));
   }
   
   if (analysisQueue.isProcessing) {
     console.log('⚠️ Force stopping - analysis taking too long');
-    // Clean database to prevent stale data
-    await deleteDatabase();
+    // Hand the task back to the queue so it resumes on the next boot
+    await analysisQueue.releaseActiveLeases();
   }
   
   // Cleanup analyzers
@@ -1237,13 +1874,13 @@ process.on('SIGQUIT', gracefulShutdown); // Quit signal
 // Handle uncaught exceptions gracefully
 process.on('uncaughtException', async (error) => {
   console.error('💥 Uncaught Exception:', error);
-  try { await clearWorkingCollection(); } catch {}
+  try { await analysisQueue.releaseActiveLeases(); } catch {}
   process.exit(1);
 });
 
 process.on('unhandledRejection', async (reason, promise) => {
   console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-  try { await clearWorkingCollection(); } catch {}
+  try { await analysisQueue.releaseActiveLeases(); } catch {}
   process.exit(1);
 });
 
@@ -1275,39 +1912,10 @@ app.listen(PORT, () => {
   console.log(`   - GET /queue-status - Check current queue status`);
   console.log(`   - GET /health - Server health and configuration check`);
 
-  // Auto reconcile recent analyses into in-memory map (last 72h)
-  (async () => {
-    try {
-      const windowMs = 72 * 3600 * 1000; // 72h
-      const since = new Date(Date.now() - windowMs);
-      const recent = await AnalysisRecord.find({ createdAt: { $gte: since } }).lean();
-      let restored = 0;
-      for (const rec of recent) {
-        if (!analysisQueue.taskStatuses.has(rec.taskId)) {
-          analysisQueue.taskStatuses.set(rec.taskId, {
-            taskId: rec.taskId,
-            email: rec.email,
-            url: rec.url,
-            createdAt: new Date(rec.createdAt).getTime(),
-            status: rec.status,
-            emailStatus: rec.emailStatus || 'pending',
-            reportDirectory: rec.reportDirectory,
-            emailError: rec.emailError,
-            updatedAt: new Date(rec.updatedAt).getTime()
-          });
-          restored++;
-        }
-      }
-      console.log(`🔁 Reconciled ${restored}/${recent.length} recent analyses into memory.`);
-      // Data fix: ensure all records with email sent but non-completed status are updated
-      const fixResult = await AnalysisRecord.updateMany({ emailStatus: 'sent', status: { $ne: 'completed' } }, { $set: { status: 'completed' } });
-      if (fixResult.modifiedCount) {
-        console.log(`🛠️ Fixed ${fixResult.modifiedCount} records with emailStatus=sent but status!=completed`);
-      }
-    } catch (e) {
-      console.warn('⚠️ Auto reconciliation failed:', e.message);
-    }
-  })();
+  // Start the durable queue worker: recovers orphaned tasks and resumes queued ones
+  ensureWorkingCollectionIndexes();
+  analysisQueue.start();
+  auditScheduler.start();
 });
 });
 
@@ -1,12 +1,18 @@
 import { MongoClient } from 'mongodb';
 import { htmlToPdf } from './utils/htmlToPdf.js';
+import { reportStorage } from './utils/reportStorage.js';
+import { DEFAULT_BRAND, escapeHtml } from './utils/branding.js';
 
 class StructuredDataReportGenerator {
-  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3', mongoOptions = {}) {
+  constructor(mongoUri, dbName = 'webdata', collectionName = 'extractions_3', mongoOptions = {}, options = {}) {
     this.mongoUri = mongoUri;
     this.dbName = dbName;
     this.collectionName = collectionName;
     this.mongoOptions = mongoOptions;
+    // Limit the report to one analysis run's documents
+    this.runId = options.runId || null;
+    // Organization branding (utils/branding.js)
+    this.brand = { ...DEFAULT_BRAND, ...(options.brand || {}) };
   }
 
   async connectToMongo() {
@@ -28,7 +34,9 @@ class StructuredDataReportGenerator {
   async fetchStructuredData() {
     await this.connectToMongo();
     console.log('📊 Fetching documents from MongoDB...');
-    const documents = await this.collection.find({}).toArray();
+    // Pages only: the run's crawlability and sitemap reports share the collection
+    const scope = this.runId ? { runId: this.runId } : {};
+    const documents = await this.collection.find({ ...scope, type: { $ne: 'crawlability_report' }, url: { $exists: true } }).toArray();
     await this.disconnectFromMongo();
     console.log(`📄 Found ${documents.length} documents`);
     
@@ -161,7 +169,13 @@ class StructuredDataReportGenerator {
             text-align: center;
             margin-bottom: 30px;
             padding-bottom: 20px;
-            border-bottom: 3px solid #2c3e50;
+            border-bottom: 3px solid ${this.brand.primaryColor};
+        }
+        
+        .header .brand-logo {
+            max-height: 50px;
+            max-width: 200px;
+            margin-bottom: 12px;
         }
         
         .header h1 {
@@ -183,7 +197,7 @@ class StructuredDataReportGenerator {
         }
         
         .executive-summary {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            background: linear-gradient(135deg, ${this.brand.primaryColor} 0%, ${this.brand.accentColor} 100%);
             color: white;
             padding: 25px;
             border-radius: 8px;
@@ -273,7 +287,7 @@ class StructuredDataReportGenerator {
             font-size: 18pt;
             margin-bottom: 20px;
             color: #2c3e50;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            background: linear-gradient(135deg, ${this.brand.primaryColor} 0%, ${this.brand.accentColor} 100%);
             color: white;
             padding: 15px 20px;
             border-radius: 8px;
@@ -527,6 +541,7 @@ class StructuredDataReportGenerator {
     <!-- Page 1: Executive Summary -->
     <div class="page">
         <div class="header">
+            ${this.brand.logoUrl ? `<img class="brand-logo" src="${escapeHtml(this.brand.logoUrl)}" alt="${escapeHtml(this.brand.name)}">` : ''}
             <h1>Structured Data Audit Report</h1>
             <div class="subtitle">Website Schema Analysis</div>
             <div class="date">Generated on ${currentDate}</div>
@@ -564,7 +579,7 @@ class StructuredDataReportGenerator {
         </div>
         
         <div class="footer">
-            <p>Report generated by Generative Engine Optimizer | Page 1 of ${totalPages}</p>
+            <p>${escapeHtml(this.brand.name)} · ${escapeHtml(this.brand.footerText)} | Page 1 of ${totalPages}</p>
         </div>
     </div>
     
@@ -589,7 +604,7 @@ class StructuredDataReportGenerator {
         </div>
         
         <div class="footer">
-            <p>Report generated by Generative Engine Optimizer | Page ${pageNumber} of ${totalPages}</p>
+            <p>${escapeHtml(this.brand.name)} · ${escapeHtml(this.brand.footerText)} | Page ${pageNumber} of ${totalPages}</p>
         </div>
     </div>`;
       
@@ -765,6 +780,7 @@ class StructuredDataReportGenerator {
   // Generate PDF with Puppeteer or fallback to wkhtmltopdf
   console.log('🎨 Converting HTML to PDF...');
   await htmlToPdf(htmlContent, outputPath);
+  await reportStorage.save(outputPath);
   console.log(`✅ PDF report generated successfully: ${outputPath}`);
   return outputPath;
       
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import robotsParser from 'robots-parser';
+import { AI_CRAWLERS, parseXRobotsTag, aiAccessForUrl, summarizeAiAccess, scoreAiAccess } from '../utils/aiCrawlers.js';
+
+const URL_ = 'https://example.com/pricing';
+
+function robots(txt) {
+  return robotsParser('https://example.com/robots.txt', txt);
+}
+
+test('parseXRobotsTag splits global and bot-specific directives', () => {
+  const parsed = parseXRobotsTag(['noarchive', 'GPTBot: noindex, nofollow', 'max-snippet: 50, ClaudeBot: noai']);
+  assert.deepEqual(parsed, {
+    '*': ['noarchive', 'max-snippet: 50'],
+    gptbot: ['noindex', 'nofollow'],
+    claudebot: ['noai']
+  });
+});
+
+test('parseXRobotsTag accepts a single value or nothing', () => {
+  assert.deepEqual(parseXRobotsTag('NoIndex'), { '*': ['noindex'] });
+  assert.deepEqual(parseXRobotsTag(null), {});
+});
+
+test('aiAccessForUrl allows every bot without robots.txt or directives', () => {
+  const bots = aiAccessForUrl(URL_);
+  assert.deepEqual(Object.keys(bots), AI_CRAWLERS.map(b => b.token));
+  assert.ok(Object.values(bots).every(b => b.access === 'allowed' && !b.reasons.length));
+});
+
+test('aiAccessForUrl blocks bots disallowed in robots.txt', () => {
+  const bots = aiAccessForUrl(URL_, { robots: robots('User-agent: GPTBot\nDisallow: /\n\nUser-agent: *\nAllow: /\n') });
+  assert.deepEqual(bots.GPTBot, { access: 'blocked', reasons: ['robots.txt disallows'] });
+  assert.equal(bots.ClaudeBot.access, 'allowed');
+});
+
+test('aiAccessForUrl applies meta and header directives per bot', () => {
+  const bots = aiAccessForUrl(URL_, {
+    meta: { '*': ['noai'], claudebot: ['noindex'] },
+    headers: parseXRobotsTag('PerplexityBot: none')
+  });
+  assert.deepEqual(bots.GPTBot, { access: 'restricted', reasons: ['meta robots: noai'] });
+  assert.deepEqual(bots.ClaudeBot, { access: 'blocked', reasons: ['meta robots: noai', 'meta robots: noindex'] });
+  assert.deepEqual(bots.PerplexityBot, { access: 'blocked', reasons: ['meta robots: noai', 'X-Robots-Tag: none'] });
+});
+
+test('summarizeAiAccess counts pages and gives a verdict per bot', () => {
+  const rows = [
+    { url: 'https://example.com/', bots: aiAccessForUrl('https://example.com/', { robots: robots('User-agent: GPTBot\nDisallow: /\n') }) },
+    { url: URL_, bots: aiAccessForUrl(URL_, { robots: robots('User-agent: GPTBot\nDisallow: /\n'), meta: { claudebot: ['nosnippet'] } }) }
+  ];
+  const summary = summarizeAiAccess(rows);
+  const byToken = Object.fromEntries(summary.map(s => [s.token, s]));
+  assert.equal(byToken.GPTBot.verdict, 'blocked');
+  assert.equal(byToken.GPTBot.blocked, 2);
+  assert.equal(byToken.ClaudeBot.verdict, 'partial');
+  assert.deepEqual([byToken.ClaudeBot.allowed, byToken.ClaudeBot.restricted, byToken.ClaudeBot.total], [1, 1, 2]);
+  assert.equal(byToken.CCBot.verdict, 'allowed');
+});
+
+test('scoreAiAccess charges full weight for blocked bots and half for partial ones', () => {
+  const summary = [
+    { token: 'GPTBot', weight: 4, verdict: 'blocked', total: 2 },
+    { token: 'CCBot', weight: 2, verdict: 'partial', total: 2 },
+    { token: 'Bytespider', weight: 2, verdict: 'allowed', total: 2 },
+    { token: 'ClaudeBot', weight: 4, verdict: 'blocked', total: 0 }
+  ];
+  assert.deepEqual(scoreAiAccess(summary), { penalty: 5, blocked: ['GPTBot'], partial: ['CCBot'] });
+});
+
+test('scoreAiAccess caps the penalty', () => {
+  const summary = AI_CRAWLERS.map(b => ({ ...b, weight: 10, verdict: 'blocked', total: 1 }));
+  assert.equal(scoreAiAccess(summary).penalty, 25);
+});
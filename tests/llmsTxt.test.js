@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLlmsTxt, scoreLlmsTxt, generateLlmsTxt } from '../utils/llmsTxt.js';
+
+const VALID = `# Example
+
+> Example sells widgets to small businesses.
+
+Some free text about the site.
+
+## Docs
+
+- [Pricing](https://example.com/pricing): plans and limits
+- [About](https://example.com/about): who we are
+
+## Optional
+
+- [Blog](https://example.com/blog): company news
+`;
+
+test('validateLlmsTxt accepts a well-formed file', () => {
+  const result = validateLlmsTxt(VALID, { baseUrl: 'https://www.example.com' });
+  assert.equal(result.title, 'Example');
+  assert.equal(result.summary, 'Example sells widgets to small businesses.');
+  assert.deepEqual(result.sections, [
+    { title: 'Docs', linkCount: 2, optional: false },
+    { title: 'Optional', linkCount: 1, optional: true }
+  ]);
+  assert.deepEqual(result.links[0], { title: 'Pricing', url: 'https://example.com/pricing', notes: 'plans and limits' });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('validateLlmsTxt reports a missing or misplaced title', () => {
+  assert.deepEqual(validateLlmsTxt('').errors, ['The file is empty']);
+  assert.match(validateLlmsTxt('## Docs\n- [A](https://example.com/a): a').errors[0], /Missing the H1 title/);
+  assert.match(validateLlmsTxt('Intro\n# Example').errors[0], /must start with the H1 title/);
+  assert.match(validateLlmsTxt('# One\n# Two').errors[0], /2 H1 headings/);
+});
+
+test('validateLlmsTxt warns about incomplete content', () => {
+  const text = `# Example
+## Empty
+## Links
+- [Relative](/pricing)
+- not a link
+- [Other](https://other.com/page)
+`;
+  const { errors, warnings } = validateLlmsTxt(text, { baseUrl: 'https://example.com' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'No "> summary" blockquote directly after the title',
+    'Section(s) without links: Empty',
+    '1 list item(s) are not "- [name](url): notes" links (line 5)',
+    '1 link(s) are not absolute URLs',
+    '2 of 2 link(s) have no description after the link'
+  ]);
+});
+
+test('validateLlmsTxt warns when no link points to the site', () => {
+  const text = '# Example\n> Summary\n## Links\n- [Other](https://other.com/page): elsewhere\n';
+  assert.deepEqual(validateLlmsTxt(text, { baseUrl: 'https://example.com' }).warnings, ['None of the links point to this site']);
+});
+
+test('scoreLlmsTxt deducts for errors, warnings, broken links and a missing llms-full.txt', () => {
+  const validation = { errors: [], warnings: [] };
+  assert.equal(scoreLlmsTxt({ found: false, validation }), 0);
+  assert.equal(scoreLlmsTxt({ found: true, validation, full: { found: true } }), 100);
+  assert.equal(scoreLlmsTxt({ found: true, validation, full: { found: false } }), 90);
+  assert.equal(scoreLlmsTxt({
+    found: true,
+    validation: { errors: ['e'], warnings: ['a', 'b', 'c', 'd'] },
+    brokenLinks: ['x', 'y'],
+    full: { found: true }
+  }), 30);
+  assert.equal(scoreLlmsTxt({ found: true, validation: { errors: ['a', 'b', 'c', 'd'], warnings: [] } }), 0);
+});
+
+test('generateLlmsTxt builds a valid file from the run pages', () => {
+  const docs = [
+    { url: 'https://example.com/', metaTags: { title: 'Example | Widgets' }, ai: { page_summary: 'Example sells widgets.' } },
+    { url: 'https://example.com/pricing', metaTags: { title: 'Pricing - Example' }, ai: { page_summary: 'Plans and limits.', classification: { page_type: 'core' }, scoring: { page_importance: { score: 5 } } } },
+    { url: 'https://example.com/features', metaTags: {}, ai: { page_summary: 'What the widgets do.', classification: { page_type: 'core' } } },
+    { url: 'https://example.com/terms', metaTags: { title: 'Terms' }, ai: { page_summary: 'Legal terms.', classification: { page_type: 'legal' } } },
+    { url: 'https://example.com/missing', ai: { page_summary: 'Page not found.' } },
+    { url: 'https://example.com/empty', ai: {} }
+  ];
+  const { content, linkCount } = generateLlmsTxt('https://example.com/', docs);
+  assert.equal(linkCount, 3);
+  assert.ok(content.startsWith('# Example\n\n> Example sells widgets.\n'));
+  assert.ok(content.indexOf('[Pricing](https://example.com/pricing)') < content.indexOf('[Features](https://example.com/features)'));
+  assert.ok(content.includes('## Optional\n\n- [Terms](https://example.com/terms): Legal terms.'));
+  assert.ok(!content.includes('/missing') && !content.includes('/empty'));
+
+  const validation = validateLlmsTxt(content, { baseUrl: 'https://example.com/' });
+  assert.deepEqual(validation.errors, []);
+  assert.deepEqual(validation.warnings, []);
+});
+
+test('generateLlmsTxt falls back to the hostname without a home page', () => {
+  const { content, linkCount } = generateLlmsTxt('https://www.example.com/', []);
+  assert.equal(linkCount, 0);
+  assert.ok(content.startsWith('# example.com\n'));
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLANS, MONITORING_PLAN_ID, findPlan, findPlanByPrice, planLimits } from '../utils/pricingCatalog.js';
+
+test('findPlan looks plans up by id', () => {
+  assert.equal(findPlan('full-audit').name, 'AI GEO Visibility Report');
+  assert.equal(findPlan(MONITORING_PLAN_ID).mode, 'subscription');
+  assert.equal(findPlan('enterprise'), null);
+  assert.equal(findPlan(undefined), null);
+});
+
+test('findPlanByPrice maps a configured Stripe Price to its plan', () => {
+  const env = { STRIPE_PRICE_FULL_AUDIT: 'price_full', STRIPE_PRICE_MONITORING: 'price_monthly' };
+  assert.equal(findPlanByPrice('price_full', env).id, 'full-audit');
+  assert.equal(findPlanByPrice('price_monthly', env).id, MONITORING_PLAN_ID);
+  assert.equal(findPlanByPrice('price_unknown', env), null);
+  assert.equal(findPlanByPrice(null, env), null);
+  assert.equal(findPlanByPrice(undefined, {}), null);
+});
+
+test('planLimits returns the plan id with its limits', () => {
+  assert.deepEqual(planLimits('quick-scan-upgrade'), {
+    plan: 'quick-scan-upgrade',
+    maxPages: 10,
+    reports: ['content', 'crawlability', 'meta-tags', 'executive']
+  });
+  assert.equal(planLimits('multi-page-audit').maxPages, 100);
+  assert.equal(planLimits('nope'), null);
+});
+
+test('every plan has a unique id, price variable and limits', () => {
+  assert.equal(new Set(PLANS.map(p => p.id)).size, PLANS.length);
+  assert.equal(new Set(PLANS.map(p => p.priceEnv)).size, PLANS.length);
+  for (const plan of PLANS) {
+    assert.ok(plan.limits.maxPages > 0, plan.id);
+    assert.ok(plan.limits.reports.length > 0, plan.id);
+  }
+});
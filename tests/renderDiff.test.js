@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotFromHtml, diffSnapshots } from '../utils/renderDiff.js';
+
+const URL_ = 'https://example.com/page';
+
+const RAW = `<!doctype html><html><head>
+  <title>Widgets</title>
+  <meta name="description" content="All about widgets">
+  <script>window.app = {}</script>
+</head><body>
+  <div id="root"><h1>Widgets</h1><a href="/about#team">About</a></div>
+</body></html>`;
+
+const RENDERED = `<!doctype html><html><head>
+  <title>Widgets</title>
+  <meta name="description" content="All about widgets">
+  <meta property="og:title" content="Widgets for everyone">
+  <script type="application/ld+json">{"@context":"https://schema.org","@type":"Product","name":"Widget"}</script>
+</head><body>
+  <div id="root"><h1>Widgets</h1><a href="/about#team">About</a>
+    <h2>Pricing</h2>
+    <p>Every widget ships with a lifetime warranty and free support.</p>
+    <a href="https://example.com/pricing">Pricing</a>
+    <a href="mailto:sales@example.com">Mail</a>
+  </div>
+</body></html>`;
+
+test('snapshotFromHtml reads text, headings, links, meta tags and JSON-LD', () => {
+  const snapshot = snapshotFromHtml(RENDERED, URL_);
+  assert.deepEqual(snapshot.headings, [{ level: 1, text: 'Widgets' }, { level: 2, text: 'Pricing' }]);
+  assert.deepEqual(snapshot.links, ['https://example.com/about', 'https://example.com/pricing']);
+  assert.equal(snapshot.metaTags.title, 'Widgets');
+  assert.equal(snapshot.metaTags.ogTitle, 'Widgets for everyone');
+  assert.equal(snapshot.metaTags.canonical, null);
+  assert.deepEqual(snapshot.jsonLd, [{ '@context': 'https://schema.org', '@type': 'Product', name: 'Widget' }]);
+  assert.deepEqual(snapshot.blocks, ['Every widget ships with a lifetime warranty and free support.']);
+  assert.ok(!snapshot.text.includes('window.app'));
+});
+
+test('snapshotFromHtml skips invalid JSON-LD and handles empty input', () => {
+  const snapshot = snapshotFromHtml('<script type="application/ld+json">{oops</script>', URL_);
+  assert.deepEqual(snapshot.jsonLd, []);
+  assert.deepEqual(snapshotFromHtml(null, URL_).headings, []);
+});
+
+test('diffSnapshots reports what only exists after rendering', () => {
+  const diff = diffSnapshots(snapshotFromHtml(RAW, URL_), snapshotFromHtml(RENDERED, URL_));
+  assert.deepEqual(diff.headings.samples, [{ level: 2, text: 'Pricing' }]);
+  assert.deepEqual(diff.links.samples, ['https://example.com/pricing']);
+  assert.deepEqual(diff.metaTags, [{ name: 'ogTitle', raw: null, rendered: 'Widgets for everyone' }]);
+  assert.deepEqual(diff.jsonLd.types, ['Product']);
+  assert.deepEqual(diff.text.samples, ['Every widget ships with a lifetime warranty and free support.']);
+  assert.ok(diff.text.renderedOnlyWords > 0);
+  assert.ok(diff.jsDependency > 0 && diff.jsDependency <= 100);
+});
+
+test('diffSnapshots finds no JS dependency when both sides match', () => {
+  const snapshot = snapshotFromHtml(RENDERED, URL_);
+  const diff = diffSnapshots(snapshot, snapshotFromHtml(RENDERED, URL_));
+  assert.equal(diff.jsDependency, 0);
+  assert.equal(diff.text.renderedOnlyWords, 0);
+  assert.deepEqual(diff.metaTags, []);
+});
+
+test('diffSnapshots scores a page that is empty without JS as fully dependent', () => {
+  const diff = diffSnapshots(snapshotFromHtml('<html><body><div id="root"></div></body></html>', URL_), snapshotFromHtml(RENDERED, URL_));
+  assert.equal(diff.jsDependency, 100);
+  assert.equal(diff.text.renderedOnlyPercent, 100);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { domainKey, snapshotFromAnalysis, diffSnapshots } from '../utils/scoreHistory.js';
+
+function page(url, overallScore, extra = {}) {
+  return { url, overallScore, metaTagsScore: null, structuredDataScore: null, claimsScore: null, ...extra };
+}
+
+test('domainKey ignores protocol, case and www', () => {
+  assert.equal(domainKey('https://WWW.Example.com/pricing'), 'example.com');
+  assert.equal(domainKey('www.example.com/pricing'), 'example.com');
+});
+
+test('snapshotFromAnalysis keeps page scores and their averages', () => {
+  const analysis = {
+    crawl: { score: 72, isFallbackReport: false },
+    pages: [
+      { url: 'https://example.com/', ai: { scoring: { overall_score: 0.8, meta_tags: { score: 0.5 } } } },
+      { url: 'https://example.com/pricing', ai: { scoring: { overall_score: 0.6 } } },
+      { ai: { scoring: { overall_score: 0.1 } } }
+    ]
+  };
+  const components = { aiVisibility: 70, crawlability: 72, content: 65 };
+  const snapshot = snapshotFromAnalysis(analysis, { overall: 69, components });
+  assert.equal(snapshot.overallScore, 69);
+  assert.equal(snapshot.crawlabilityScore, 72);
+  assert.equal(snapshot.pages.length, 2);
+  assert.equal(snapshot.averages.pageScore, 0.7);
+  assert.equal(snapshot.averages.metaTags, 0.5);
+  assert.equal(snapshot.averages.claims, null);
+});
+
+test('snapshotFromAnalysis stores no crawlability score for a fallback crawl', () => {
+  const analysis = { crawl: { score: 50, isFallbackReport: true }, pages: [] };
+  const snapshot = snapshotFromAnalysis(analysis, { overall: 40, components: { crawlability: null } });
+  assert.equal(snapshot.crawlabilityScore, null);
+  assert.equal(snapshotFromAnalysis({ pages: [] }, { overall: 40, components: {} }).crawlabilityScore, null);
+});
+
+test('diffSnapshots compares headline, pillar and average scores', () => {
+  const from = { taskId: 'a', overallScore: 60, components: { aiVisibility: 50, crawlability: null }, crawlabilityScore: 70, averages: { pageScore: 0.5 }, pages: [] };
+  const to = { taskId: 'b', domain: 'example.com', overallScore: 65, components: { aiVisibility: 55, crawlability: 80 }, crawlabilityScore: 75, averages: { pageScore: 0.55 }, pages: [] };
+  const diff = diffSnapshots(from, to);
+  assert.equal(diff.domain, 'example.com');
+  assert.deepEqual(diff.overallScore, { from: 60, to: 65, change: 5 });
+  assert.deepEqual(diff.components.aiVisibility, { from: 50, to: 55, change: 5 });
+  assert.deepEqual(diff.components.crawlability, { from: null, to: 80, change: null });
+  assert.deepEqual(diff.averages.pageScore, { from: 0.5, to: 0.55, change: 0.05 });
+  assert.equal(diff.from.taskId, 'a');
+  assert.equal(diff.to.taskId, 'b');
+});
+
+test('diffSnapshots matches pages across URL variants and sorts their movement', () => {
+  const from = {
+    pages: [
+      page('https://example.com/', 0.5),
+      page('https://example.com/pricing', 0.8),
+      page('https://example.com/about', 0.6),
+      page('https://example.com/blog', 0.4),
+      page('https://example.com/old', 0.3)
+    ]
+  };
+  const to = {
+    pages: [
+      page('http://www.example.com', 0.9),
+      page('https://example.com/pricing/', 0.5),
+      page('https://example.com/about', 0.61),
+      page('https://example.com/blog', 0.5),
+      page('https://example.com/new', 0.7)
+    ]
+  };
+  const { pages } = diffSnapshots(from, to);
+  assert.deepEqual(pages.improved.map(p => [p.url, p.change]), [['http://www.example.com', 0.4], ['https://example.com/blog', 0.1]]);
+  assert.deepEqual(pages.declined.map(p => [p.url, p.change]), [['https://example.com/pricing/', -0.3]]);
+  assert.equal(pages.unchangedCount, 1);
+  assert.deepEqual(pages.added, ['https://example.com/new']);
+  assert.deepEqual(pages.removed, ['https://example.com/old']);
+});
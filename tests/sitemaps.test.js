@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSitemap, rankSitemapEntries } from '../utils/sitemaps.js';
+
+test('parseSitemap reads a sitemap index', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+      <sitemap><loc> https://example.com/sitemap-blog.xml </loc><lastmod>2024-01-01</lastmod></sitemap>
+      <sitemap><lastmod>2024-01-01</lastmod></sitemap>
+    </sitemapindex>`;
+  assert.deepEqual(parseSitemap(xml), {
+    kind: 'index',
+    sitemaps: ['https://example.com/sitemap-pages.xml', 'https://example.com/sitemap-blog.xml']
+  });
+});
+
+test('parseSitemap reads URL entries and normalizes lastmod and priority', () => {
+  const xml = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>https://example.com/pricing</loc><lastmod>2024-05-01</lastmod><priority>0.8</priority><changefreq>weekly</changefreq></url>
+      <url><loc>https://example.com/about</loc><lastmod>not a date</lastmod><priority>3</priority></url>
+      <url><loc>https://example.com/blog</loc><priority>high</priority></url>
+      <url><lastmod>2024-05-01</lastmod></url>
+    </urlset>`;
+  const { kind, entries } = parseSitemap(xml);
+  assert.equal(kind, 'urlset');
+  assert.equal(entries.length, 3);
+  assert.equal(entries[0].loc, 'https://example.com/pricing');
+  assert.equal(entries[0].lastmod.toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(entries[0].priority, 0.8);
+  assert.equal(entries[0].changefreq, 'weekly');
+  assert.equal(entries[1].lastmod, null);
+  assert.equal(entries[1].priority, 1);
+  assert.equal(entries[2].priority, null);
+  assert.equal(entries[2].changefreq, null);
+});
+
+test('parseSitemap rejects documents that are not sitemaps', () => {
+  assert.deepEqual(parseSitemap('<!doctype html><html><body>Not found</body></html>'), { kind: null });
+  assert.deepEqual(parseSitemap(''), { kind: null });
+});
+
+test('rankSitemapEntries keeps crawlable pages of the target site only', () => {
+  const entries = [
+    { loc: 'https://example.com/' },
+    { loc: 'https://www.example.com/pricing' },
+    { loc: 'https://example.com/pricing/' },
+    { loc: 'https://other.com/pricing' },
+    { loc: 'https://example.com/brochure.pdf' },
+    { loc: 'ftp://example.com/files' },
+    { loc: 'not a url' }
+  ];
+  const ranked = rankSitemapEntries(entries, 'https://example.com');
+  assert.deepEqual(ranked.map(e => e.url), ['https://example.com/pricing']);
+});
+
+test('rankSitemapEntries orders by priority, then lastmod, then path depth', () => {
+  const entries = [
+    { loc: 'https://example.com/a/b/deep', priority: null, lastmod: null },
+    { loc: 'https://example.com/shallow', priority: null, lastmod: null },
+    { loc: 'https://example.com/old', priority: 0.5, lastmod: new Date('2020-01-01') },
+    { loc: 'https://example.com/new', priority: 0.5, lastmod: new Date('2024-01-01') },
+    { loc: 'https://example.com/top', priority: 0.9, lastmod: null },
+    { loc: 'https://example.com/low', priority: 0.1, lastmod: new Date('2024-06-01') }
+  ];
+  const ranked = rankSitemapEntries(entries, 'https://www.example.com/');
+  assert.deepEqual(ranked.map(e => new URL(e.url).pathname), ['/top', '/new', '/old', '/shallow', '/a/b/deep', '/low']);
+  assert.ok(ranked.every(e => e.url.startsWith('https://www.example.com/')));
+  assert.equal(ranked.find(e => e.url.endsWith('/a/b/deep')).depth, 3);
+});
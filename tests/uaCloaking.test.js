@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareResponses, textSimilarity, detectChallenge } from '../utils/uaCloaking.js';
+
+const TEXT = 'Widgets for small businesses with a lifetime warranty and free support from our team';
+
+function response(overrides = {}) {
+  return { status: 200, finalUrl: 'https://example.com/page', length: 1000, text: TEXT, challenge: null, error: null, ...overrides };
+}
+
+test('textSimilarity compares word frequencies', () => {
+  assert.equal(textSimilarity('', ''), 1);
+  assert.equal(textSimilarity('widgets', ''), 0);
+  assert.equal(textSimilarity('Widgets, widgets!', 'widgets WIDGETS'), 1);
+  assert.equal(textSimilarity('red green', 'blue yellow'), 0);
+  const partial = textSimilarity('red green blue', 'red green yellow');
+  assert.ok(partial > 0.6 && partial < 0.7);
+});
+
+test('detectChallenge recognizes the cf-mitigated header', () => {
+  assert.equal(detectChallenge({ status: 403, headers: { 'cf-mitigated': 'Challenge' } }), 'Cloudflare');
+});
+
+test('detectChallenge recognizes interstitial pages', () => {
+  const body = '<html><head><title>Just a moment...</title></head><body>Checking your browser</body></html>';
+  assert.equal(detectChallenge({ status: 403, body }), 'Cloudflare');
+  assert.equal(detectChallenge({ status: 200, body }), 'Cloudflare');
+  assert.equal(detectChallenge({ status: 403, body: '<script src="https://ct.captcha-delivery.com/c.js"></script>' }), 'DataDome');
+});
+
+test('detectChallenge ignores provider scripts on real pages', () => {
+  const body = `<html><body><script src="/cdn-cgi/challenge-platform/scripts/main.js"></script><main><p>${'Real content. '.repeat(60)}</p></main></body></html>`;
+  assert.equal(detectChallenge({ status: 200, body }), null);
+  assert.equal(detectChallenge({ status: 200, body: '<html><body>Hello</body></html>' }), null);
+});
+
+test('compareResponses is inconclusive when browsers do not get the page', () => {
+  assert.equal(compareResponses(response({ status: 500 }), response()).verdict, 'inconclusive');
+  const challenged = compareResponses(response({ status: 403, challenge: 'Cloudflare' }), response());
+  assert.equal(challenged.verdict, 'inconclusive');
+  assert.match(challenged.detail, /Browsers get a Cloudflare challenge too/);
+});
+
+test('compareResponses flags challenges, errors and blocks for the bot', () => {
+  assert.equal(compareResponses(response(), response({ status: 403, challenge: 'Cloudflare' })).verdict, 'challenge');
+  assert.equal(compareResponses(response(), response({ status: null, error: 'ECONNRESET' })).verdict, 'error');
+  const blocked = compareResponses(response(), response({ status: 403 }));
+  assert.equal(blocked.verdict, 'blocked');
+  assert.equal(blocked.severity, 'high');
+});
+
+test('compareResponses flags redirects to another page', () => {
+  const result = compareResponses(response(), response({ finalUrl: 'https://example.com/blocked' }));
+  assert.equal(result.verdict, 'redirected');
+  assert.equal(compareResponses(response(), response({ finalUrl: 'https://www.example.com/page/' })).verdict, 'same');
+});
+
+test('compareResponses grades content differences by similarity and size', () => {
+  assert.deepEqual(compareResponses(response(), response()), { verdict: 'same', severity: null, detail: null, similarity: 1, lengthRatio: 1 });
+  assert.equal(compareResponses(response(), response({ text: 'Access to this content is not available for automated agents' })).verdict, 'cloaking');
+  assert.equal(compareResponses(response(), response({ length: 300 })).verdict, 'different');
+});
+
+test('compareResponses allows for pages that vary between browser fetches', () => {
+  const bot = response({ text: 'Widgets for small businesses with a lifetime warranty today only' });
+  const strict = compareResponses(response(), bot);
+  const lenient = compareResponses(response(), bot, 0.5);
+  assert.notEqual(strict.verdict, 'same');
+  assert.equal(lenient.verdict, 'same');
+});
@@ -0,0 +1,141 @@
+// Which AI crawlers may use a page, from robots.txt, meta robots tags and X-Robots-Tag headers.
+// Shared by the crawlability report (Crawlability_report.js) and LLM_CRAWLABILITY.js.
+
+/**
+ * The AI user agents we check. `token` is the robots.txt user-agent token (also used as a
+ * bot-specific meta/X-Robots-Tag name); `weight` is the crawlability-score penalty when
+ * the bot is blocked from every page. Training-only crawlers weigh less than the ones
+ * that feed AI answers. `userAgent` is the header the bot sends (null for robots.txt-only
+ * tokens, which reuse the Googlebot/Applebot crawl).
+ */
+export const AI_CRAWLERS = [
+  { token: 'GPTBot', operator: 'OpenAI', weight: 4, userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.1; +https://openai.com/gptbot)' },
+  { token: 'ClaudeBot', operator: 'Anthropic', weight: 4, userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)' },
+  { token: 'PerplexityBot', operator: 'Perplexity', weight: 4, userAgent: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)' },
+  { token: 'Google-Extended', operator: 'Google (Gemini)', weight: 4, userAgent: null },
+  { token: 'Applebot-Extended', operator: 'Apple Intelligence', weight: 3, userAgent: null },
+  { token: 'CCBot', operator: 'Common Crawl', weight: 2, userAgent: 'CCBot/2.0 (https://commoncrawl.org/faq/)' },
+  { token: 'Bytespider', operator: 'ByteDance', weight: 2, userAgent: 'Mozilla/5.0 (Linux; Android 5.0) AppleWebKit/537.36 (KHTML, like Gecko) Mobile Safari/537.36 (compatible; Bytespider; spider-feedback@bytedance.com)' }
+];
+
+// Directives that take a value after a colon, which is not a user-agent prefix
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+// Page is kept out of the index (and so out of AI answers)
+const BLOCKING_DIRECTIVES = ['noindex', 'none'];
+// Page is indexed but opted out of AI use
+const RESTRICTING_DIRECTIVES = ['noai', 'noimageai', 'nosnippet'];
+
+function splitDirectives(content) {
+  return String(content || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parse X-Robots-Tag header values into { '*': [...], '<bot lowercase>': [...] }.
+ * "GPTBot: noindex, nofollow" applies both directives to GPTBot; unprefixed ones apply to all.
+ */
+export function parseXRobotsTag(values) {
+  const byAgent = {};
+  for (const value of [].concat(values || [])) {
+    let agent = '*';
+    for (const part of String(value).split(',')) {
+      let directive = part.trim();
+      const prefixed = directive.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/i);
+      if (prefixed && !VALUED_DIRECTIVES.includes(prefixed[1].toLowerCase())) {
+        agent = prefixed[1].toLowerCase();
+        directive = prefixed[2];
+      }
+      directive = directive.trim().toLowerCase();
+      if (!directive) continue;
+      (byAgent[agent] ||= []).push(directive);
+    }
+  }
+  return byAgent;
+}
+
+/**
+ * Meta robots tags of a page as { '*': [...], '<bot lowercase>': [...] }: `<meta name="robots">`
+ * applies to every crawler, `<meta name="GPTBot">` only to that one.
+ */
+export function metaRobotsByAgent(doc) {
+  const byAgent = {};
+  const botNames = new Set(AI_CRAWLERS.map(b => b.token.toLowerCase()));
+  for (const meta of doc.querySelectorAll('meta[name][content]')) {
+    const name = meta.getAttribute('name').trim().toLowerCase();
+    const agent = name === 'robots' ? '*' : (botNames.has(name) ? name : null);
+    if (!agent) continue;
+    (byAgent[agent] ||= []).push(...splitDirectives(meta.getAttribute('content')));
+  }
+  return byAgent;
+}
+
+/**
+ * Access of every AI crawler to one URL. `robots` is a robots-parser instance (null when the
+ * site has none); `meta` and `headers` come from metaRobotsByAgent/parseXRobotsTag and are
+ * null when the page was not fetched.
+ * Each bot gets { access: 'allowed' | 'restricted' | 'blocked', reasons: [...] }.
+ */
+export function aiAccessForUrl(url, { robots = null, meta = null, headers = null } = {}) {
+  const bots = {};
+  for (const { token } of AI_CRAWLERS) {
+    const agent = token.toLowerCase();
+    const reasons = [];
+    let access = 'allowed';
+    if (robots && robots.isAllowed(url, token) === false) {
+      access = 'blocked';
+      reasons.push('robots.txt disallows');
+    }
+    const sources = [['meta robots', meta], ['X-Robots-Tag', headers]];
+    for (const [label, byAgent] of sources) {
+      if (!byAgent) continue;
+      const directives = new Set([...(byAgent['*'] || []), ...(byAgent[agent] || [])]);
+      for (const directive of directives) {
+        if (BLOCKING_DIRECTIVES.includes(directive)) {
+          access = 'blocked';
+          reasons.push(`${label}: ${directive}`);
+        } else if (RESTRICTING_DIRECTIVES.includes(directive)) {
+          if (access === 'allowed') access = 'restricted';
+          reasons.push(`${label}: ${directive}`);
+        }
+      }
+    }
+    bots[token] = { access, reasons };
+  }
+  return bots;
+}
+
+/**
+ * Site-wide view of the per-URL matrix: per bot the number of allowed/restricted/blocked URLs
+ * and a verdict ('allowed' everywhere, 'blocked' everywhere, or 'partial').
+ */
+export function summarizeAiAccess(rows) {
+  return AI_CRAWLERS.map(({ token, operator, weight }) => {
+    const counts = { allowed: 0, restricted: 0, blocked: 0 };
+    for (const row of rows) counts[row.bots[token].access]++;
+    const total = rows.length;
+    let verdict = 'allowed';
+    if (total && counts.blocked === total) verdict = 'blocked';
+    else if (counts.blocked || counts.restricted) verdict = 'partial';
+    return { token, operator, weight, verdict, ...counts, total };
+  });
+}
+
+/**
+ * Crawlability-score penalty and findings for AI crawler access. Blocking a bot everywhere
+ * costs its full weight; partial blocks or AI opt-outs (noai etc.) cost half.
+ */
+export function scoreAiAccess(summary) {
+  let penalty = 0;
+  const blocked = [];
+  const partial = [];
+  for (const bot of summary) {
+    if (!bot.total) continue;
+    if (bot.verdict === 'blocked') {
+      penalty += bot.weight;
+      blocked.push(bot.token);
+    } else if (bot.verdict === 'partial') {
+      penalty += bot.weight / 2;
+      partial.push(bot.token);
+    }
+  }
+  return { penalty: Math.min(25, Math.round(penalty)), blocked, partial };
+}
@@ -0,0 +1,79 @@
+// In-process progress bus for running analyses.
+// The pipeline and the analyzers report what they are doing for a taskId; SSE clients and the
+// queue (which persists a throttled copy on the AnalysisRecord for other instances) subscribe here.
+
+import { EventEmitter } from 'events';
+
+// Share of the overall run each stage accounts for, as [start%, end%]
+export const PROGRESS_STAGES = {
+  queued: [0, 0],
+  website: [0, 35],
+  metaTags: [35, 50],
+  structuredData: [50, 60],
+  scoring: [60, 70],
+  riskClaims: [70, 80],
+  reports: [80, 100],
+  finished: [100, 100]
+};
+
+class AnalysisProgress extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE stream, so there is no sensible fixed cap
+    this.setMaxListeners(0);
+    this.latest = new Map();
+  }
+
+  /**
+   * Record a progress event for a task and notify subscribers.
+   * `event` = { stage, message, current?, total?, url? }; current/total refine the
+   * percentage inside the stage's range.
+   */
+  report(taskId, event = {}) {
+    if (!taskId) return null;
+    const [start, end] = PROGRESS_STAGES[event.stage] || PROGRESS_STAGES.queued;
+    const fraction = event.total > 0 ? Math.min(1, Math.max(0, (event.current || 0) / event.total)) : 0;
+    const snapshot = {
+      taskId,
+      stage: event.stage || 'queued',
+      message: event.message || null,
+      current: event.current ?? null,
+      total: event.total ?? null,
+      url: event.url || null,
+      percent: Math.round(start + (end - start) * fraction),
+      at: Date.now()
+    };
+    this.latest.set(taskId, snapshot);
+    this.emit(`progress:${taskId}`, snapshot);
+    this.emit('progress', snapshot);
+    return snapshot;
+  }
+
+  // Callback handed to analyzers as `onProgress`; never lets a listener break the pipeline
+  forTask(taskId) {
+    return (event) => {
+      try {
+        this.report(taskId, event);
+      } catch (e) {
+        console.warn(`⚠️ Progress listener failed for ${taskId}:`, e.message);
+      }
+    };
+  }
+
+  get(taskId) {
+    return this.latest.get(taskId) || null;
+  }
+
+  subscribe(taskId, listener) {
+    this.on(`progress:${taskId}`, listener);
+    return () => this.off(`progress:${taskId}`, listener);
+  }
+
+  clear(taskId) {
+    this.latest.delete(taskId);
+  }
+}
+
+export const analysisProgress = new AnalysisProgress();
+
+export default analysisProgress;
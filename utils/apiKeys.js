@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import ApiKeyUsage from '../models/ApiKeyUsage.js';
+
+export const API_KEY_SCOPES = ['quick-scan', 'analyze', 'read'];
+// Keys look like bp_<48 hex chars>; the prefix tells them apart from login JWTs
+export const API_KEY_PREFIX = 'bp_';
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60', 10);
+const MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT_PER_MINUTE || '120', 10);
+export const MAX_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || '10', 10);
+
+// Invalid key settings; routes answer 400
+export class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// The key from `X-API-Key`, or from `Authorization: Bearer bp_...`
+export function extractApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const auth = req.get('authorization') || '';
+  if (auth.startsWith(`Bearer ${API_KEY_PREFIX}`)) return auth.slice(7).trim();
+  return null;
+}
+
+function sanitizeSettings({ name, scopes, rateLimitPerMinute, monthlyQuota } = {}) {
+  const cleanName = String(name || '').trim().slice(0, 80);
+  if (!cleanName) throw new ApiKeyError('name is required');
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+    throw new ApiKeyError(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const rate = rateLimitPerMinute == null ? DEFAULT_RATE_LIMIT : Number(rateLimitPerMinute);
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_RATE_LIMIT) {
+    throw new ApiKeyError(`rateLimitPerMinute must be a whole number between 1 and ${MAX_RATE_LIMIT}`);
+  }
+  const quota = monthlyQuota == null || monthlyQuota === '' ? null : Number(monthlyQuota);
+  if (quota !== null && (!Number.isInteger(quota) || quota < 1)) {
+    throw new ApiKeyError('monthlyQuota must be a positive whole number or null');
+  }
+  return { name: cleanName, scopes: [...new Set(scopes)], rateLimitPerMinute: rate, monthlyQuota: quota };
+}
+
+/**
+ * Create a key for the user. Returns the stored document and the key itself, which is
+ * never retrievable again.
+ */
+export async function createApiKey(userId, settings) {
+  const fields = sanitizeSettings(settings);
+  const active = await ApiKey.countDocuments({ user: userId, status: 'active' });
+  if (active >= MAX_KEYS_PER_USER) throw new ApiKeyError(`At most ${MAX_KEYS_PER_USER} active API keys per account`);
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    ...fields,
+    user: userId,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6)
+  });
+  return { apiKey, key };
+}
+
+export async function revokeApiKey(userId, keyId) {
+  return ApiKey.findOneAndUpdate(
+    { _id: keyId, user: userId, status: 'active' },
+    { $set: { status: 'revoked', revokedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+export async function findActiveKey(key) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+  return ApiKey.findOne({ keyHash: hashApiKey(key), status: 'active' }).lean();
+}
+
+const WINDOW_ID = { rateWindow: 'start', quotaWindow: 'month' };
+
+/**
+ * Count one request against a fixed window of the key. Continues the current window while it
+ * has room (always, without a limit) or starts the next one; null when the window is full.
+ * The second round covers a concurrent request that started the same window first.
+ */
+async function takeFromWindow(keyId, window, id, limit) {
+  const idPath = `${window}.${WINDOW_ID[window]}`;
+  const countPath = `${window}.count`;
+  for (let round = 0; round < 2; round++) {
+    const current = await ApiKey.findOneAndUpdate(
+      { _id: keyId, [idPath]: id, ...(limit ? { [countPath]: { $lt: limit } } : {}) },
+      { $inc: { [countPath]: 1 } },
+      { new: true }
+    ).select(window).lean();
+    if (current) return current[window].count;
+    const started = await ApiKey.findOneAndUpdate(
+      { _id: keyId, $or: [{ [idPath]: null }, { [idPath]: { $lt: id } }] },
+      { $set: { [idPath]: id, [countPath]: 1 } },
+      { new: true }
+    ).select(window).lean();
+    if (started) return 1;
+  }
+  return null;
+}
+
+/**
+ * Admit one request of the key: per-minute rate limit first, then the monthly quota.
+ * Returns { allowed, limit, remaining, resetAt } plus `reason` ('rate' | 'quota') when refused.
+ */
+export async function admitRequest(apiKey, now = new Date()) {
+  const windowStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
+  const resetAt = new Date(windowStart.getTime() + 60000);
+  const limit = apiKey.rateLimitPerMinute;
+  const used = await takeFromWindow(apiKey._id, 'rateWindow', windowStart, limit);
+  if (used === null) return { allowed: false, reason: 'rate', limit, remaining: 0, resetAt };
+
+  const month = now.toISOString().slice(0, 7);
+  const monthlyUsed = await takeFromWindow(apiKey._id, 'quotaWindow', month, apiKey.monthlyQuota);
+  if (monthlyUsed === null) {
+    const [year, m] = month.split('-').map(Number);
+    return { allowed: false, reason: 'quota', limit, remaining: limit - used, resetAt: new Date(Date.UTC(year, m, 1)) };
+  }
+  return { allowed: true, limit, remaining: limit - used, resetAt };
+}
+
+// Usage meter: one document per key and UTC day
+export async function meterRequest(apiKey, scope, { rejected = false, now = new Date() } = {}) {
+  const inc = rejected ? { rejected: 1 } : { requests: 1, [`counts.${scope}`]: 1 };
+  await Promise.all([
+    ApiKeyUsage.updateOne(
+      { apiKey: apiKey._id, day: now.toISOString().slice(0, 10) },
+      { $inc: inc, $set: { updatedAt: now }, $setOnInsert: { user: apiKey.user } },
+      { upsert: true }
+    ),
+    rejected ? null : ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+  ]);
+}
+
+// Daily usage of the last `days` days, newest first
+export async function usageFor(keyId, days = 30) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return ApiKeyUsage.find({ apiKey: keyId, day: { $gte: since } }).sort({ day: -1 }).lean();
+}
+
+export function toPublicApiKey(apiKey) {
+  const month = new Date().toISOString().slice(0, 7);
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    monthlyQuota: apiKey.monthlyQuota,
+    usedThisMonth: apiKey.quotaWindow?.month === month ? apiKey.quotaWindow.count : 0,
+    status: apiKey.status,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import AuditSchedule from '../models/AuditSchedule.js';
+import AnalysisRecord from '../models/AnalysisRecord.js';
+import User from '../models/User.js';
+import { compareWithPrevious } from './scoreHistory.js';
+import { MONITORING_PLAN_ID } from './pricingCatalog.js';
+import { sendRegressionDigestEmail } from '../email.js';
+import { brandForOrganization } from './branding.js';
+import { activeSubscription } from './subscriptions.js';
+
+export const SCHEDULE_FREQUENCIES = ['weekly', 'monthly'];
+
+// The run after `from` for a frequency. Monthly keeps the day of month where possible.
+export function nextOccurrence(from, frequency) {
+  const next = new Date(from);
+  if (frequency === 'monthly') {
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, daysInMonth));
+  } else {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+}
+
+// First occurrence strictly in the future, skipping runs missed while the server was down or paused
+export function nextRunAfter(from, frequency, now = new Date()) {
+  let next = nextOccurrence(from, frequency);
+  while (next <= now) next = nextOccurrence(next, frequency);
+  return next;
+}
+
+// Scheduled audits run on the monitoring plan, so they need that subscription (admins excepted)
+export async function canSchedule(userId) {
+  const user = await User.findById(userId).select('role').lean();
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return !!(await activeSubscription(userId, MONITORING_PLAN_ID));
+}
+
+/**
+ * Enqueues scheduled re-audits into the AnalysisQueue. Every instance may run a scheduler:
+ * a due schedule is claimed by atomically moving its nextRunAt forward, so only one
+ * instance enqueues each occurrence.
+ */
+export class AuditScheduler {
+  constructor(analysisQueue, options = {}) {
+    this.queue = analysisQueue;
+    this.pollMs = options.pollMs || 60000;
+    this.batchSize = options.batchSize || 20;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    console.log(`🗓️ Audit scheduler started (poll ${this.pollMs}ms)`);
+    const tick = async () => {
+      if (this.ticking || mongoose.connection.readyState !== 1) return;
+      this.ticking = true;
+      try {
+        await this.enqueueDue();
+      } catch (e) {
+        console.warn('⚠️ Audit scheduler tick failed:', e.message);
+      } finally {
+        this.ticking = false;
+      }
+    };
+    this.timer = setInterval(tick, this.pollMs);
+    setImmediate(tick);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueueDue(now = new Date()) {
+    const due = await AuditSchedule.find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(this.batchSize)
+      .lean();
+    let enqueued = 0;
+    for (const schedule of due) {
+      if (await this.runSchedule(schedule, now)) enqueued++;
+    }
+    return enqueued;
+  }
+
+  async runSchedule(schedule, now = new Date()) {
+    if (!(await canSchedule(schedule.user))) {
+      const paused = await AuditSchedule.updateOne(
+        { _id: schedule._id, status: 'active' },
+        { $set: { status: 'paused', pausedAt: now, pauseReason: 'subscription', updatedAt: new Date() } }
+      );
+      if (paused.modifiedCount) console.log(`⏸️ Schedule ${schedule._id} paused: no active monitoring subscription`);
+      return false;
+    }
+
+    const claimed = await AuditSchedule.findOneAndUpdate(
+      { _id: schedule._id, status: 'active', nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: nextRunAfter(schedule.nextRunAt, schedule.frequency, now), updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!claimed) return false; // another instance got it, or it was paused meanwhile
+
+    // Never stack a second run on top of one that is still waiting or running
+    if (schedule.lastTaskId) {
+      const previous = await AnalysisRecord.findOne({ taskId: schedule.lastTaskId }).select('status').lean();
+      if (previous && ['queued', 'processing'].includes(previous.status)) {
+        console.log(`⏭️ Schedule ${schedule._id}: previous run ${schedule.lastTaskId} still ${previous.status}, skipping this occurrence`);
+        return false;
+      }
+    }
+
+    let taskId;
+    try {
+      ({ taskId } = await this.queue.addTask(schedule.email, schedule.url, null, { schedule: schedule._id, user: schedule.user, plan: MONITORING_PLAN_ID }));
+    } catch (e) {
+      // Hand the occurrence back so the next tick retries it
+      await AuditSchedule.updateOne({ _id: schedule._id, nextRunAt: claimed.nextRunAt }, { $set: { nextRunAt: schedule.nextRunAt } });
+      throw e;
+    }
+    await AuditSchedule.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: now, lastTaskId: taskId, updatedAt: new Date() }, $inc: { runCount: 1 } }
+    );
+    console.log(`🗓️ Scheduled ${schedule.frequency} audit of ${schedule.url} enqueued as ${taskId} (next: ${claimed.nextRunAt.toISOString()})`);
+    return true;
+  }
+
+  /**
+   * Called once a scheduled run has finished: mail the regression digest comparing it with
+   * the previous run of the same site. First runs have nothing to compare and send nothing.
+   */
+  async sendDigest(taskId) {
+    const record = await AnalysisRecord.findOne({ taskId }).select('schedule email url organization').lean();
+    if (!record?.schedule) return null;
+    const schedule = await AuditSchedule.findById(record.schedule).lean();
+    if (!schedule || schedule.status === 'cancelled') return null;
+
+    const comparison = await compareWithPrevious(taskId);
+    if (!comparison) {
+      console.log(`ℹ️ No earlier run of ${record.url} to compare with; skipping regression digest`);
+      return null;
+    }
+    await sendRegressionDigestEmail({
+      to: schedule.email || record.email,
+      url: record.url,
+      frequency: schedule.frequency,
+      nextRunAt: schedule.status === 'active' ? schedule.nextRunAt : null,
+      comparison,
+      brand: await brandForOrganization(record.organization)
+    });
+    return comparison;
+  }
+}
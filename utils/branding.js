@@ -0,0 +1,107 @@
+import fetch from 'node-fetch';
+import Organization from '../models/Organization.js';
+
+// House style, used whenever an analysis has no organization or the organization has no branding
+export const DEFAULT_BRAND = {
+  name: 'BePrompted.io',
+  logoUrl: null,
+  primaryColor: '#2563eb',
+  accentColor: '#6366f1',
+  footerText: 'AI Visibility & GEO Audit',
+  senderName: 'BePrompted.io',
+  supportEmail: 'support@beprompted.io'
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const LOGO_TIMEOUT_MS = 5000;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Validate an organization's branding update. Returns the fields to store; an empty string
+ * or null clears a field (back to the house style). Throws with a user-facing message.
+ */
+export function sanitizeBranding(input = {}) {
+  const fields = {};
+  const text = (key, max) => {
+    if (input[key] === undefined) return;
+    const value = input[key] === null ? '' : String(input[key]).trim();
+    if (value.length > max) throw new Error(`${key} must be at most ${max} characters`);
+    fields[key] = value || null;
+  };
+  text('companyName', 80);
+  text('footerText', 200);
+  text('senderName', 80);
+  text('supportEmail', 120);
+  text('logoUrl', 500);
+  text('primaryColor', 7);
+  text('accentColor', 7);
+
+  for (const key of ['primaryColor', 'accentColor']) {
+    if (fields[key] && !HEX_COLOR.test(fields[key])) throw new Error(`${key} must be a hex color like #1a2b3c`);
+  }
+  if (fields.logoUrl) {
+    let parsed;
+    try { parsed = new URL(fields.logoUrl); } catch { parsed = null; }
+    if (!parsed || parsed.protocol !== 'https:') throw new Error('logoUrl must be an https URL');
+  }
+  if (fields.supportEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.supportEmail)) {
+    throw new Error('supportEmail must be an email address');
+  }
+  // Goes into the From header of report emails
+  if (fields.senderName && /[<>"\r\n]/.test(fields.senderName)) throw new Error('senderName contains invalid characters');
+  return fields;
+}
+
+// The brand the reports and emails use for an organization's stored branding
+export function brandFrom(branding) {
+  if (!branding) return { ...DEFAULT_BRAND };
+  const brand = { ...DEFAULT_BRAND };
+  if (branding.companyName) {
+    brand.name = branding.companyName;
+    brand.senderName = branding.companyName;
+    // The house tagline and support address would give the reseller away
+    brand.footerText = `Prepared by ${branding.companyName}`;
+    brand.supportEmail = null;
+  }
+  for (const key of ['logoUrl', 'primaryColor', 'accentColor', 'footerText', 'senderName', 'supportEmail']) {
+    if (branding[key]) brand[key] = branding[key];
+  }
+  return brand;
+}
+
+export async function brandForOrganization(organizationId) {
+  if (!organizationId) return { ...DEFAULT_BRAND };
+  const org = await Organization.findById(organizationId).select('branding').lean();
+  return brandFrom(org?.branding);
+}
+
+/**
+ * The logo as an image buffer for PDFKit, which cannot load URLs itself. Only PNG and JPEG
+ * are supported there; anything else (or a slow/unreachable host) means no logo, not a failed report.
+ */
+export async function loadLogo(brand) {
+  if (!brand?.logoUrl) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LOGO_TIMEOUT_MS);
+  try {
+    const res = await fetch(brand.logoUrl, { signal: controller.signal });
+    const type = res.headers.get('content-type') || '';
+    if (!res.ok || !/image\/(png|jpe?g)/i.test(type)) return null;
+    const buffer = Buffer.from(await res.arrayBuffer());
+    return buffer.length <= LOGO_MAX_BYTES ? buffer : null;
+  } catch (e) {
+    console.warn(`⚠️ Could not load brand logo ${brand.logoUrl}:`, e.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,123 @@
+import User from '../models/User.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { PLANS } from './pricingCatalog.js';
+
+// Thrown when a balance would go below zero; routes answer 402 (consume) or 409 (revoke)
+export class InsufficientCreditsError extends Error {
+  constructor(plan, balances = {}) {
+    super(plan ? `No '${plan}' credits left` : 'No analysis credits left');
+    this.name = 'InsufficientCreditsError';
+    this.plan = plan;
+    this.balances = balances;
+  }
+}
+
+function isDuplicateKey(err) {
+  return err?.code === 11000;
+}
+
+function toBalances(credits) {
+  const balances = {};
+  for (const [plan, value] of Object.entries(credits instanceof Map ? Object.fromEntries(credits) : (credits || {}))) {
+    if (value > 0) balances[plan] = value;
+  }
+  return balances;
+}
+
+export async function getBalances(userId) {
+  const user = await User.findById(userId).select('credits').lean();
+  return toBalances(user?.credits);
+}
+
+// Apply a signed change to one plan's balance. Decreases only succeed while the balance covers them.
+async function changeBalance(userId, plan, amount) {
+  const path = `credits.${plan}`;
+  const filter = { _id: userId };
+  if (amount < 0) filter[path] = { $gte: -amount };
+  const user = await User.findOneAndUpdate(filter, { $inc: { [path]: amount } }, { new: true }).select('credits').lean();
+  return user ? toBalances(user.credits)[plan] || 0 : null;
+}
+
+async function record(entry) {
+  return CreditTransaction.create({ ...entry, createdAt: new Date() });
+}
+
+/**
+ * Credit the plan's balance for a paid order. The ledger entry is written first so a
+ * redelivered webhook (same order) is rejected by the unique index before the balance moves.
+ * An entry without `balanceAfter` was recorded by a delivery that died before the balance
+ * moved; the redelivery applies it instead of dropping the order.
+ */
+export async function purchaseCredits(userId, plan, amount, { order } = {}) {
+  let tx;
+  try {
+    tx = await record({ user: userId, plan, type: 'purchase', amount, order });
+  } catch (e) {
+    if (!isDuplicateKey(e)) throw e;
+    tx = await CreditTransaction.findOne({ order, type: 'purchase' });
+    if (!tx || tx.balanceAfter != null) return null;
+    console.log(`💳 Applying purchase ${order} left unapplied by an earlier delivery`);
+  }
+  tx.balanceAfter = await changeBalance(tx.user, tx.plan, tx.amount);
+  await tx.save();
+  return tx;
+}
+
+// The plan to charge when /analyze does not name one: the first catalog plan with credits left
+export function pickPlan(balances, requested = null) {
+  if (requested) return requested;
+  return PLANS.map(p => p.id).find(id => (balances[id] || 0) > 0) || null;
+}
+
+/**
+ * Take one credit for an analysis. Returns the ledger entry; attach the taskId with
+ * `attachTask` once the run is enqueued, or give the credit back with `refundCredit`.
+ */
+export async function consumeCredit(userId, plan) {
+  const balanceAfter = await changeBalance(userId, plan, -1);
+  if (balanceAfter === null) throw new InsufficientCreditsError(plan, await getBalances(userId));
+  return record({ user: userId, plan, type: 'consume', amount: -1, balanceAfter });
+}
+
+export async function attachTask(tx, taskId) {
+  await CreditTransaction.updateOne({ _id: tx._id }, { $set: { taskId } });
+}
+
+// Give back the credit of a consume entry (a run that failed, or one that was never enqueued)
+export async function refundCredit(consumeTx, reason) {
+  let tx;
+  try {
+    tx = await record({ user: consumeTx.user, plan: consumeTx.plan, type: 'refund', amount: 1, taskId: consumeTx.taskId || null, reason });
+  } catch (e) {
+    if (isDuplicateKey(e)) return null; // already refunded
+    throw e;
+  }
+  tx.balanceAfter = await changeBalance(consumeTx.user, consumeTx.plan, 1);
+  await tx.save();
+  return tx;
+}
+
+// Refund the credit a run consumed, if it consumed one. Safe to call more than once.
+export async function refundRun(taskId, reason = 'Analysis failed') {
+  const consumed = await CreditTransaction.findOne({ taskId, type: 'consume' }).lean();
+  if (!consumed) return null;
+  const tx = await refundCredit(consumed, reason);
+  if (tx) console.log(`💳 Refunded 1 '${consumed.plan}' credit for failed run ${taskId}`);
+  return tx;
+}
+
+export async function grantCredits(userId, plan, amount, { actor, reason } = {}) {
+  const balanceAfter = await changeBalance(userId, plan, amount);
+  if (balanceAfter === null) return null; // no such user
+  return record({ user: userId, plan, type: 'grant', amount, balanceAfter, actor, reason });
+}
+
+export async function revokeCredits(userId, plan, amount, { actor, reason } = {}) {
+  const balanceAfter = await changeBalance(userId, plan, -amount);
+  if (balanceAfter === null) throw new InsufficientCreditsError(plan, await getBalances(userId));
+  return record({ user: userId, plan, type: 'revoke', amount: -amount, balanceAfter, actor, reason });
+}
+
+export async function listTransactions(userId, limit = 50) {
+  return CreditTransaction.find({ user: userId }).sort({ createdAt: -1 }).limit(limit).lean();
+}
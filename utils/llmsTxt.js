@@ -0,0 +1,266 @@
+// llms.txt checks for the crawlability step (format: https://llmstxt.org).
+// An llms.txt is markdown: one H1 with the site name, an optional "> summary" blockquote,
+// optional free text, then H2 sections whose lists link to the pages worth reading:
+//   - [Pricing](https://example.com/pricing): plans and limits
+// The "Optional" H2 section holds links an LLM may skip when its context is short.
+
+import axios from 'axios';
+import { probeStatus } from './sitemaps.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; BePromptedBot/1.0; +https://beprompted.io)';
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_LINK_PROBES = 20;
+const SUMMARY_MAX_CHARS = 200;
+const LINK_PATTERN = /^[-*+]\s+\[([^\]]+)\]\(([^)\s]+)\)(?::\s*(.*))?$/;
+
+// Generated file: H2 section per ai.classification.page_type, in this order
+const SECTIONS = [
+  { title: 'Main pages', types: ['core'] },
+  { title: 'Products', types: ['product'] },
+  { title: 'Services', types: ['service'] },
+  { title: 'FAQ', types: ['faq'] },
+  { title: 'About', types: ['about'] },
+  { title: 'Contact', types: ['contact'] },
+  { title: 'Blog', types: ['blog'] },
+  { title: 'Optional', types: ['legal', 'other'] }
+];
+
+async function fetchText(url) {
+  const res = await axios.get(url, {
+    responseType: 'text',
+    transformResponse: data => data,
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_BYTES,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/markdown,text/plain,*/*' },
+    validateStatus: () => true
+  });
+  return { status: res.status, contentType: res.headers['content-type'] || null, text: String(res.data ?? '') };
+}
+
+// Single-page apps often answer every path with their index.html and a 200
+function looksLikeHtml(text, contentType) {
+  return /text\/html/i.test(contentType || '') || /^\s*(<!doctype html|<html)/i.test(text);
+}
+
+/**
+ * Check one llms.txt document against the format. Returns the parsed structure plus
+ * `errors` (the file is not usable) and `warnings` (usable, but incomplete).
+ */
+export function validateLlmsTxt(text, { baseUrl = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const content = lines.map((line, i) => ({ line: line.trim(), number: i + 1 })).filter(l => l.line);
+
+  const h1s = content.filter(l => /^#\s+\S/.test(l.line));
+  const title = h1s.length ? h1s[0].line.replace(/^#\s+/, '') : null;
+  if (!content.length) errors.push('The file is empty');
+  else if (!h1s.length) errors.push('Missing the H1 title ("# Site name") the format requires');
+  else if (content[0] !== h1s[0]) errors.push(`The file must start with the H1 title (found "${content[0].line.slice(0, 60)}" first)`);
+  if (h1s.length > 1) errors.push(`${h1s.length} H1 headings; the format allows exactly one`);
+
+  const afterTitle = h1s.length ? content.filter(l => l.number > h1s[0].number) : [];
+  const firstBody = afterTitle[0];
+  const summary = firstBody && firstBody.line.startsWith('>') ? firstBody.line.replace(/^>\s*/, '') : null;
+  if (content.length && !summary) warnings.push('No "> summary" blockquote directly after the title');
+
+  const sections = [];
+  const badItems = [];
+  for (const { line, number } of afterTitle) {
+    if (/^##\s+\S/.test(line)) {
+      sections.push({ title: line.replace(/^##\s+/, ''), links: [] });
+      continue;
+    }
+    const current = sections[sections.length - 1];
+    if (!current || !/^[-*+]\s/.test(line)) continue;
+    const match = line.match(LINK_PATTERN);
+    if (!match) {
+      badItems.push(number);
+      continue;
+    }
+    current.links.push({ title: match[1], url: match[2], notes: match[3] || null });
+  }
+
+  if (content.length && !sections.length) warnings.push('No "## Section" with links to the site\'s key pages');
+  const emptySections = sections.filter(s => !s.links.length);
+  if (emptySections.length) warnings.push(`Section(s) without links: ${emptySections.map(s => s.title).join(', ')}`);
+  if (badItems.length) warnings.push(`${badItems.length} list item(s) are not "- [name](url): notes" links (line ${badItems.slice(0, 5).join(', ')})`);
+
+  const links = sections.flatMap(s => s.links);
+  const relative = links.filter(l => !/^https?:\/\//i.test(l.url));
+  if (relative.length) warnings.push(`${relative.length} link(s) are not absolute URLs`);
+  const withoutNotes = links.filter(l => !l.notes).length;
+  if (links.length && withoutNotes / links.length > 0.5) warnings.push(`${withoutNotes} of ${links.length} link(s) have no description after the link`);
+
+  if (baseUrl && links.length) {
+    const host = new URL(baseUrl).hostname.replace(/^www\./i, '');
+    const onSite = links.filter(l => {
+      try {
+        return new URL(l.url, baseUrl).hostname.replace(/^www\./i, '') === host;
+      } catch {
+        return false;
+      }
+    });
+    if (!onSite.length) warnings.push('None of the links point to this site');
+  }
+
+  return {
+    title,
+    summary,
+    sections: sections.map(s => ({ title: s.title, linkCount: s.links.length, optional: /^optional$/i.test(s.title) })),
+    links,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Score (0-100) of an existing llms.txt: nothing found scores 0; format errors cost 30 each,
+ * warnings 10, broken links up to 20, and a missing llms-full.txt 10.
+ */
+export function scoreLlmsTxt({ found, validation, brokenLinks = [], full }) {
+  if (!found || !validation) return 0;
+  let score = 100;
+  score -= validation.errors.length * 30;
+  score -= Math.min(30, validation.warnings.length * 10);
+  score -= Math.min(20, brokenLinks.length * 5);
+  if (!full?.found) score -= 10;
+  return Math.max(0, score);
+}
+
+/**
+ * Look for /llms.txt and /llms-full.txt at the site root, validate llms.txt and check
+ * that (a sample of) its links answer. Network failures are reported, never thrown.
+ */
+export async function checkLlmsTxt(targetUrl) {
+  const { origin } = new URL(targetUrl);
+  const result = {
+    url: `${origin}/llms.txt`,
+    found: false,
+    status: null,
+    contentType: null,
+    size: 0,
+    validation: null,
+    checkedLinks: 0,
+    brokenLinks: [],
+    full: { url: `${origin}/llms-full.txt`, found: false, status: null, size: 0, error: null },
+    error: null,
+    score: 0,
+    issues: []
+  };
+
+  try {
+    const { status, contentType, text } = await fetchText(result.url);
+    Object.assign(result, { status, contentType, size: Buffer.byteLength(text) });
+    if (status !== 200) {
+      result.error = `HTTP ${status}`;
+    } else if (looksLikeHtml(text, contentType)) {
+      result.error = 'The URL answers with an HTML page, not a markdown file';
+    } else {
+      result.found = true;
+      result.validation = validateLlmsTxt(text, { baseUrl: origin });
+    }
+  } catch (e) {
+    result.error = e.message;
+  }
+
+  try {
+    const { status, contentType, text } = await fetchText(result.full.url);
+    Object.assign(result.full, { status, size: Buffer.byteLength(text) });
+    if (status !== 200) result.full.error = `HTTP ${status}`;
+    else if (looksLikeHtml(text, contentType)) result.full.error = 'The URL answers with an HTML page, not a markdown file';
+    else result.full.found = text.trim().length > 0;
+  } catch (e) {
+    result.full.error = e.message;
+  }
+
+  if (result.validation) {
+    const probes = [];
+    const urls = [...new Set(result.validation.links.map(l => {
+      try {
+        return new URL(l.url, origin).href;
+      } catch {
+        return null;
+      }
+    }).filter(Boolean))].slice(0, MAX_LINK_PROBES);
+    for (const url of urls) probes.push({ url, ...(await probeStatus(url)) });
+    result.checkedLinks = probes.length;
+    result.brokenLinks = probes.filter(p => !p.status || p.status >= 400).map(p => ({ url: p.url, status: p.status, error: p.error || null }));
+  }
+
+  if (!result.found) {
+    result.issues.push(result.status === 200 ? `/llms.txt is not a usable file: ${result.error}` : 'No llms.txt at the site root');
+  } else {
+    result.issues.push(...result.validation.errors, ...result.validation.warnings);
+    if (result.brokenLinks.length) result.issues.push(`${result.brokenLinks.length} of ${result.checkedLinks} checked link(s) are broken`);
+    if (!result.full.found) result.issues.push('No llms-full.txt with the full text of the key pages');
+  }
+  result.score = scoreLlmsTxt(result);
+  return result;
+}
+
+function oneLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// First sentence(s) of a summary, up to SUMMARY_MAX_CHARS
+function shorten(text, max = SUMMARY_MAX_CHARS) {
+  const clean = oneLine(text);
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return sentenceEnd > max / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.slice(0, cut.lastIndexOf(' ')).trim()}…`;
+}
+
+function pageTitle(doc) {
+  const raw = oneLine(doc.metaTags?.ogTitle || doc.metaTags?.title);
+  if (raw) return raw.split(/\s+[|–—-]\s+/)[0].replace(/[[\]]/g, '');
+  const { pathname } = new URL(doc.url);
+  const last = pathname.split('/').filter(Boolean).pop();
+  return last ? last.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : 'Home';
+}
+
+function isHome(url) {
+  return new URL(url).pathname.replace(/\/+$/, '') === '';
+}
+
+/**
+ * Recommended llms.txt for the site, built from the run's page documents: the home page gives
+ * the title and summary, every other page with an `ai.page_summary` becomes a link in the
+ * section of its `ai.classification.page_type`, most important pages first.
+ */
+export function generateLlmsTxt(targetUrl, docs) {
+  const { hostname } = new URL(targetUrl);
+  const pages = docs.filter(d => {
+    const summary = oneLine(d.ai?.page_summary);
+    if (!summary || /page not found/i.test(summary)) return false;
+    try {
+      return /^https?:$/.test(new URL(d.url).protocol);
+    } catch {
+      return false;
+    }
+  });
+  const home = pages.find(d => isHome(d.url)) || null;
+  const siteName = home && (home.metaTags?.ogTitle || home.metaTags?.title) ? pageTitle(home) : hostname.replace(/^www\./i, '');
+  const summary = home?.ai?.page_summary ? shorten(home.ai.page_summary, 300) : null;
+
+  const lines = [`# ${siteName}`, ''];
+  if (summary) lines.push(`> ${summary}`, '');
+  lines.push(`Key pages of ${hostname.replace(/^www\./i, '')}, grouped by topic. Each link is followed by a short description of the page.`, '');
+
+  let linkCount = 0;
+  const importance = d => d.ai?.scoring?.page_importance?.score ?? 3;
+  for (const section of SECTIONS) {
+    const entries = pages
+      .filter(d => d !== home && section.types.includes(d.ai?.classification?.page_type || 'other'))
+      .sort((a, b) => importance(b) - importance(a) || a.url.length - b.url.length);
+    if (!entries.length) continue;
+    lines.push(`## ${section.title}`, '');
+    for (const doc of entries) lines.push(`- [${pageTitle(doc)}](${doc.url}): ${shorten(doc.ai.page_summary)}`);
+    lines.push('');
+    linkCount += entries.length;
+  }
+
+  return { content: `${lines.join('\n').trim()}\n`, linkCount };
+}
@@ -0,0 +1,57 @@
+// Process-wide OpenAI request budget.
+// Every analyzer acquires a slot here before calling the API, so concurrent queue
+// workers share one sliding-window limit instead of each assuming it owns the quota.
+
+class OpenAIRateBudget {
+  constructor(maxCalls = 40, windowMs = 10000) {
+    this.maxCalls = maxCalls;
+    this.windowMs = windowMs;
+    this.calls = [];
+    this.waiting = 0;
+    // Callers are served one at a time so a freed slot is never handed out twice
+    this.tail = Promise.resolve();
+  }
+
+  configure({ maxCalls, windowMs } = {}) {
+    if (maxCalls > 0) this.maxCalls = maxCalls;
+    if (windowMs > 0) this.windowMs = windowMs;
+  }
+
+  acquire(label = 'openai') {
+    this.waiting++;
+    const turn = this.tail.then(() => this.waitForSlot(label));
+    this.tail = turn.catch(() => {});
+    return turn.finally(() => { this.waiting--; });
+  }
+
+  async waitForSlot(label) {
+    for (;;) {
+      const now = Date.now();
+      this.calls = this.calls.filter(ts => now - ts < this.windowMs);
+      if (this.calls.length < this.maxCalls) {
+        this.calls.push(now);
+        return;
+      }
+      const waitMs = this.windowMs - (now - this.calls[0]) + 50;
+      console.log(`⏳ Shared OpenAI budget exhausted (${this.maxCalls}/${this.windowMs}ms) - ${label} waiting ${Math.ceil(waitMs / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    return {
+      maxCalls: this.maxCalls,
+      windowMs: this.windowMs,
+      usedInWindow: this.calls.filter(ts => now - ts < this.windowMs).length,
+      waiting: this.waiting
+    };
+  }
+}
+
+export const openaiRateBudget = new OpenAIRateBudget(
+  parseInt(process.env.OPENAI_MAX_CALLS || '40', 10),
+  parseInt(process.env.OPENAI_WINDOW_MS || '10000', 10)
+);
+
+export default openaiRateBudget;
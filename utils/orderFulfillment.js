@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import AnalysisRecord from '../models/AnalysisRecord.js';
+import User from '../models/User.js';
+import { findPlan } from './pricingCatalog.js';
+import { purchaseCredits, consumeCredit, attachTask, refundCredit, InsufficientCreditsError } from './credits.js';
+
+// A claim older than this is assumed to belong to a crashed process and may be taken over
+const FULFILLING_STALE_MS = 5 * 60 * 1000;
+
+const PAID_STATUSES = ['paid', 'no_payment_required'];
+
+export function isSessionPaid(session) {
+  return PAID_STATUSES.includes(session?.payment_status);
+}
+
+/**
+ * Create or update the Order of a Checkout Session from the session itself. The email/url
+ * to analyze come from the session metadata set in /create-checkout-session.
+ */
+export async function recordCheckoutSession(session) {
+  const metadata = session.metadata || {};
+  const email = metadata.email || session.customer_details?.email || session.customer_email;
+  // No url: the order only buys credits
+  const url = metadata.url || null;
+  if (!email) {
+    throw new Error(`Checkout session ${session.id} has no email`);
+  }
+
+  const paid = isSessionPaid(session);
+  const $set = {
+    email,
+    url,
+    amount: session.amount_total ?? undefined,
+    currency: session.currency ?? undefined,
+    paymentStatus: session.payment_status,
+    paymentIntent: typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id,
+    updatedAt: new Date()
+  };
+  if (metadata.plan) $set.plan = metadata.plan;
+  if (metadata.quantity) $set.quantity = Math.max(1, parseInt(metadata.quantity, 10) || 1);
+  if (metadata.userId && mongoose.isValidObjectId(metadata.userId)) $set.user = metadata.userId;
+
+  const order = await Order.findOneAndUpdate(
+    { sessionId: session.id },
+    { $set, $setOnInsert: { createdAt: new Date(), status: 'pending' } },
+    { upsert: true, new: true }
+  );
+  // Only move forward: a late or replayed event never downgrades a fulfilled order
+  if (paid && ['pending', 'failed'].includes(order.status)) {
+    return Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      { $set: { status: 'paid', paidAt: new Date(), failureReason: null, updatedAt: new Date() } },
+      { new: true }
+    ).then(updated => updated || Order.findById(order._id));
+  }
+  return order;
+}
+
+/**
+ * Fulfil a paid order exactly once: credit the buyer's ledger and, when the order names a
+ * site, spend one of those credits on its analysis right away. Whoever wins the atomic
+ * paid -> fulfilling transition does the work; everyone else gets the order as it stands.
+ */
+export async function fulfillOrder(sessionId, analysisQueue) {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      sessionId,
+      taskId: null,
+      $or: [
+        { status: 'paid' },
+        { status: 'fulfilling', updatedAt: { $lt: new Date(Date.now() - FULFILLING_STALE_MS) } }
+      ]
+    },
+    { $set: { status: 'fulfilling', updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return Order.findOne({ sessionId });
+
+  try {
+    const plan = findPlan(claimed.plan);
+    let userId = claimed.user || null;
+    if (!userId) {
+      const user = await User.findOne({ email: claimed.email }).select('_id').lean();
+      userId = user?._id || null;
+    }
+    // One-off plans buy credits; subscriptions are handled by their own lifecycle
+    const ledgered = !!(userId && plan && plan.mode === 'payment');
+    if (ledgered) await purchaseCredits(userId, plan.id, claimed.quantity || 1, { order: sessionId });
+
+    let taskId = null;
+    if (claimed.url) {
+      // A crashed earlier claim may have enqueued already; reuse that run instead of a second one
+      const existing = await AnalysisRecord.findOne({ order: sessionId }).select('taskId').lean();
+      taskId = existing?.taskId || null;
+      if (!taskId) {
+        let consumed = null;
+        if (ledgered) {
+          consumed = await consumeCredit(userId, plan.id).catch(e => {
+            // The order paid for this run either way; only the ledger entry is missing
+            if (!(e instanceof InsufficientCreditsError)) throw e;
+            console.warn(`⚠️ Order ${sessionId}: no credit left to record for its analysis`);
+            return null;
+          });
+        }
+        try {
+          ({ taskId } = await analysisQueue.addTask(claimed.email, claimed.url, null, { user: userId, order: sessionId, plan: claimed.plan }));
+        } catch (e) {
+          if (consumed) await refundCredit(consumed, 'Analysis could not be queued');
+          throw e;
+        }
+        if (consumed) await attachTask(consumed, taskId);
+      }
+    }
+
+    const order = await Order.findOneAndUpdate(
+      { _id: claimed._id },
+      { $set: { status: 'fulfilled', taskId, fulfilledAt: new Date(), failureReason: null, updatedAt: new Date() } },
+      { new: true }
+    );
+    console.log(`🧾 Order ${sessionId} fulfilled: ${taskId ? `analysis ${taskId} queued for ${claimed.url}` : `${claimed.quantity || 1} '${claimed.plan}' credit(s) added`}`);
+    return order;
+  } catch (e) {
+    await Order.updateOne({ _id: claimed._id }, { $set: { status: 'paid', failureReason: e.message, updatedAt: new Date() } });
+    throw e;
+  }
+}
+
+export async function fulfillCheckoutSession(session, analysisQueue) {
+  const order = await recordCheckoutSession(session);
+  if (order.status !== 'paid' && order.status !== 'fulfilling') return order;
+  return fulfillOrder(session.id, analysisQueue);
+}
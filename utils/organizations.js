@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+
+export const ORG_ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// True when `role` grants at least `required`
+export function roleAtLeast(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+export function memberRole(org, userId) {
+  const member = org?.members?.find(m => m.user.toString() === String(userId));
+  return member ? member.role : null;
+}
+
+// { <organizationId>: role } for every organization the user belongs to
+export async function membershipsOf(userId) {
+  if (!userId || !mongoose.isValidObjectId(userId)) return {};
+  const orgs = await Organization.find({ 'members.user': userId }).select('members').lean();
+  const roles = {};
+  for (const org of orgs) roles[org._id.toString()] = memberRole(org, userId);
+  return roles;
+}
+
+/**
+ * Analyses a user may see: their own (linked, or unlinked under their email) and every analysis
+ * owned by one of their organizations. `organization` narrows it to one organization.
+ */
+export function analysisAccessFilter(user, memberships, { organization = null } = {}) {
+  if (organization) return { organization };
+  const orgIds = Object.keys(memberships);
+  return {
+    $or: [
+      { user: user.id, organization: null },
+      { user: null, organization: null, email: user.email },
+      ...(orgIds.length ? [{ organization: { $in: orgIds } }] : [])
+    ]
+  };
+}
+
+/**
+ * The user's role on an analysis: 'owner' for their own, their membership role for an
+ * organization's, null when they have no access. Admins are owners of everything.
+ */
+export function roleForRecord(record, user, memberships) {
+  if (!record || !user) return null;
+  if (user.role === 'admin') return 'owner';
+  if (record.organization) return memberships[record.organization.toString()] || null;
+  if (record.user) return record.user.toString() === user.id ? 'owner' : null;
+  return record.email === user.email ? 'owner' : null;
+}
@@ -0,0 +1,100 @@
+// Server-owned product catalog. Checkout prices and the limits a paid analysis runs with
+// come from here, never from the request body.
+//
+// Each plan maps to a Stripe Price through its `priceEnv` variable. Without one configured,
+// checkout falls back to an inline price built from `unitAmount` (handy in test mode).
+// Keep `unitAmount` in line with the Stripe Price: it is what the pricing page shows.
+// `limits.reports` lists the REPORT_FILES keys (utils/reportFiles.js) the plan produces.
+
+const ALL_REPORTS = ['content', 'crawlability', 'faq', 'structured-data', 'meta-tags', 'executive'];
+
+export const PLANS = [
+  {
+    id: 'quick-scan-upgrade',
+    name: 'Quick Scan Upgrade',
+    description: 'Turn your free quick scan into a focused audit of your key pages',
+    mode: 'payment',
+    priceEnv: 'STRIPE_PRICE_QUICK_SCAN_UPGRADE',
+    unitAmount: 4900,
+    currency: 'usd',
+    limits: { maxPages: 10, reports: ['content', 'crawlability', 'meta-tags', 'executive'] }
+  },
+  {
+    id: 'full-audit',
+    name: 'AI GEO Visibility Report',
+    description: 'Complete audit with all reports',
+    mode: 'payment',
+    priceEnv: 'STRIPE_PRICE_FULL_AUDIT',
+    unitAmount: 9900,
+    currency: 'usd',
+    limits: { maxPages: 25, reports: ALL_REPORTS }
+  },
+  {
+    id: 'multi-page-audit',
+    name: 'Multi-page AI GEO Audit',
+    description: 'Complete audit covering up to 100 pages',
+    mode: 'payment',
+    priceEnv: 'STRIPE_PRICE_MULTI_PAGE_AUDIT',
+    unitAmount: 24900,
+    currency: 'usd',
+    limits: { maxPages: 100, reports: ALL_REPORTS }
+  },
+  {
+    id: 'monitoring',
+    name: 'AI Visibility Monitoring',
+    description: 'Monthly subscription with recurring audits and regression alerts',
+    mode: 'subscription',
+    priceEnv: 'STRIPE_PRICE_MONITORING',
+    unitAmount: 19900,
+    currency: 'usd',
+    interval: 'month',
+    limits: { maxPages: 25, reports: ALL_REPORTS }
+  }
+];
+
+// Limits of scheduled re-audits (recurring monitoring)
+export const MONITORING_PLAN_ID = 'monitoring';
+
+export function findPlan(planId) {
+  return PLANS.find(p => p.id === planId) || null;
+}
+
+// Which plan a Stripe Price belongs to (subscription items only carry the price id)
+export function findPlanByPrice(priceId, env = process.env) {
+  if (!priceId) return null;
+  return PLANS.find(p => env[p.priceEnv] === priceId) || null;
+}
+
+export function planLimits(planId) {
+  const plan = findPlan(planId);
+  return plan ? { plan: plan.id, ...plan.limits } : null;
+}
+
+// The line item for a Checkout Session: the configured Stripe Price, or an inline price
+export function checkoutLineItem(plan, quantity = 1, env = process.env) {
+  const price = env[plan.priceEnv];
+  if (price) return { price, quantity };
+  return {
+    price_data: {
+      currency: plan.currency,
+      product_data: { name: plan.name, description: plan.description },
+      unit_amount: plan.unitAmount,
+      ...(plan.mode === 'subscription' ? { recurring: { interval: plan.interval } } : {})
+    },
+    quantity
+  };
+}
+
+// Public view for the pricing page
+export function publicPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    description: plan.description,
+    mode: plan.mode,
+    amount: plan.unitAmount,
+    currency: plan.currency,
+    interval: plan.interval || null,
+    limits: plan.limits
+  };
+}
@@ -0,0 +1,136 @@
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import User from '../models/User.js';
+import { stripe } from './stripe.js';
+
+// The plan the "first full audit free after a quick scan" offer grants one credit of
+export const TRIAL_PLAN_ID = 'full-audit';
+
+// A code the buyer cannot use (unknown, expired, used up, wrong plan). Routes answer 400.
+export class PromoCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromoCodeError';
+  }
+}
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Why `promo` cannot be used for `plan` right now, or null when it can
+export function unusableReason(promo, plan, now = new Date()) {
+  if (!promo.active) return 'This promo code is no longer active';
+  if (promo.startsAt && promo.startsAt > now) return 'This promo code is not active yet';
+  if (promo.expiresAt && promo.expiresAt <= now) return 'This promo code has expired';
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) return 'This promo code has reached its usage limit';
+  if (promo.plans?.length && !promo.plans.includes(plan.id)) return `This promo code does not apply to ${plan.name}`;
+  if (promo.amountOff && promo.currency !== plan.currency) return `This promo code does not apply to ${plan.name}`;
+  return null;
+}
+
+// Discount in the smallest currency unit for a checkout total
+export function discountFor(promo, amount) {
+  if (promo.percentOff) return Math.round(amount * promo.percentOff / 100);
+  return Math.min(promo.amountOff || 0, amount);
+}
+
+export async function findUsablePromo(code, plan, now = new Date()) {
+  const promo = await PromoCode.findOne({ code: normalizeCode(code) }).lean();
+  if (!promo) throw new PromoCodeError('Unknown promo code');
+  const reason = unusableReason(promo, plan, now);
+  if (reason) throw new PromoCodeError(reason);
+  return promo;
+}
+
+/**
+ * Hold one use of the code for a checkout. The counter only moves while the code is still
+ * under its limit and unexpired, so concurrent checkouts cannot overshoot it.
+ */
+export async function reservePromo(promo, { user, email, plan, discountAmount }, now = new Date()) {
+  const held = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      active: true,
+      $and: [
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+      ]
+    },
+    { $inc: { redemptionCount: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!held) throw new PromoCodeError('This promo code has reached its usage limit');
+  return PromoRedemption.create({ promo: promo._id, code: promo.code, user: user || null, email, plan, discountAmount });
+}
+
+export async function attachPromoOrder(redemption, sessionId) {
+  await PromoRedemption.updateOne({ _id: redemption._id }, { $set: { order: sessionId, updatedAt: new Date() } });
+}
+
+// Give a held use back (checkout expired, payment failed, session never created). Idempotent.
+export async function releasePromo({ order, redemptionId }) {
+  const filter = redemptionId ? { _id: redemptionId } : { order };
+  const released = await PromoRedemption.findOneAndUpdate(
+    { ...filter, status: 'reserved' },
+    { $set: { status: 'released', updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!released) return null;
+  await PromoCode.updateOne({ _id: released.promo, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+  return released;
+}
+
+export async function redeemPromo(order) {
+  return PromoRedemption.findOneAndUpdate(
+    { order, status: 'reserved' },
+    { $set: { status: 'redeemed', updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Stripe coupon carrying the code's discount, created the first time the code is used.
+ * The id is derived from the code and its discount, so an edited discount gets a new coupon
+ * and a retry after a crash finds the one it already created.
+ */
+export async function stripeCouponFor(promo) {
+  if (promo.stripeCouponId) return promo.stripeCouponId;
+  const id = `promo_${promo._id}_${promo.percentOff ? `p${promo.percentOff}` : `a${promo.amountOff}${promo.currency}`}`;
+  try {
+    await stripe.coupons.create({
+      id,
+      name: promo.code,
+      duration: 'once',
+      ...(promo.percentOff ? { percent_off: promo.percentOff } : { amount_off: promo.amountOff, currency: promo.currency })
+    });
+  } catch (e) {
+    if (e.code !== 'resource_already_exists') throw e;
+  }
+  await PromoCode.updateOne({ _id: promo._id, stripeCouponId: null }, { $set: { stripeCouponId: id } });
+  return id;
+}
+
+export async function trialEligibility(userId) {
+  const user = await User.findById(userId).select('lastQuickScanAt trialUsedAt').lean();
+  if (!user) return { eligible: false, reason: 'User not found' };
+  if (user.trialUsedAt) return { eligible: false, reason: 'The free audit has already been used' };
+  if (!user.lastQuickScanAt) return { eligible: false, reason: 'Run a quick scan first to unlock a free full audit' };
+  return { eligible: true, plan: TRIAL_PLAN_ID };
+}
+
+// Mark the free audit as used; false when the user is not (or no longer) eligible
+export async function claimTrial(userId) {
+  const claimed = await User.findOneAndUpdate(
+    { _id: userId, lastQuickScanAt: { $ne: null }, trialUsedAt: null },
+    { $set: { trialUsedAt: new Date() } },
+    { new: true }
+  ).select('_id').lean();
+  return !!claimed;
+}
+
+// Quick scans unlock the trial; only scans under a registered user's email count
+export async function recordQuickScan(email) {
+  if (!email) return;
+  await User.updateOne({ email: String(email).toLowerCase() }, { $set: { lastQuickScanAt: new Date() } });
+}
@@ -0,0 +1,163 @@
+// What a crawler that does not run JavaScript misses on a page.
+// Most AI crawlers read the raw HTML response only, so WebsiteAnalyzer takes a snapshot of the
+// raw HTML and of the Puppeteer-rendered DOM and diffs them: visible text, headings, links,
+// meta tags and JSON-LD that only exist after JS execution.
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const cheerio = require('cheerio');
+
+const META_TAGS = {
+  title: null,
+  description: 'meta[name="description"]',
+  robots: 'meta[name="robots"]',
+  canonical: 'link[rel="canonical"]',
+  ogTitle: 'meta[property="og:title"]',
+  ogDescription: 'meta[property="og:description"]',
+  ogImage: 'meta[property="og:image"]'
+};
+const TEXT_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, td, th, blockquote, figcaption, dt, dd';
+// Share of the JS-dependency score per kind of content; text matters most to an LLM
+export const JS_DEPENDENCY_WEIGHTS = { text: 0.5, headings: 0.2, links: 0.1, metaTags: 0.1, jsonLd: 0.1 };
+const MAX_SAMPLES = 10;
+const SAMPLE_CHARS = 160;
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Text of an element with its text nodes joined by spaces (.text() glues "<h1>A</h1><p>B" into "AB")
+function textOf($, el) {
+  const parts = [];
+  const walk = node => {
+    if (node.type === 'text') parts.push(node.data);
+    else for (const child of node.children || []) walk(child);
+  };
+  $(el).each((i, node) => walk(node));
+  return clean(parts.join(' '));
+}
+
+function words(text) {
+  return clean(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Comparable view of one HTML document. Call it on the raw response and on the rendered DOM
+ * (`page.content()`) so both sides are read by the same parser.
+ */
+export function snapshotFromHtml(html, url) {
+  const $ = cheerio.load(html || '');
+  $('script:not([type="application/ld+json"]), style, noscript, template, svg').remove();
+
+  const metaTags = {};
+  for (const [name, selector] of Object.entries(META_TAGS)) {
+    const value = name === 'title'
+      ? $('head title').first().text()
+      : $(selector).first().attr(name === 'canonical' ? 'href' : 'content');
+    metaTags[name] = clean(value) || null;
+  }
+
+  const jsonLd = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const raw = $(el).html()?.trim();
+    if (!raw) return;
+    try {
+      jsonLd.push(JSON.parse(raw));
+    } catch { /* invalid JSON-LD is the structured data report's concern */ }
+  });
+  $('script').remove();
+
+  const headings = $('h1, h2, h3, h4, h5, h6').map((i, el) => ({ level: Number(el.name.slice(1)), text: textOf($, el) })).get()
+    .filter(h => h.text);
+  const links = new Set();
+  $('a[href]').each((i, el) => {
+    try {
+      const link = new URL($(el).attr('href'), url);
+      if (!/^https?:$/.test(link.protocol)) return;
+      link.hash = '';
+      links.add(link.href);
+    } catch { /* not a URL */ }
+  });
+  const blocks = [...new Set($(TEXT_BLOCKS).map((i, el) => textOf($, el)).get().filter(t => t.length >= 20))];
+
+  return { text: textOf($, $('body')), blocks, headings, links: [...links], metaTags, jsonLd };
+}
+
+/**
+ * Main text of an HTML document: <main>/<article> when the page has one, else <body>,
+ * without scripts, styles, navigation, header and footer.
+ */
+export function mainTextFromHtml(html) {
+  const $ = cheerio.load(html || '');
+  $('script, style, noscript, template, svg, nav, header, footer').remove();
+  const main = $('main, article, [role="main"]').first();
+  return textOf($, main.length ? main : $('body'));
+}
+
+// Occurrences in `rendered` beyond those in `raw` (multiset difference of words)
+function extraWordCount(rawWords, renderedWords) {
+  const counts = new Map();
+  for (const w of rawWords) counts.set(w, (counts.get(w) || 0) + 1);
+  let extra = 0;
+  for (const w of renderedWords) {
+    const left = counts.get(w) || 0;
+    if (left > 0) counts.set(w, left - 1);
+    else extra++;
+  }
+  return extra;
+}
+
+function jsonLdTypes(block) {
+  const items = Array.isArray(block) ? block : (block && block['@graph']) || [block];
+  return items.flatMap(item => [].concat(item?.['@type'] || [])).map(String);
+}
+
+/**
+ * Diff of a raw and a rendered snapshot. Everything reported is what exists only after JS ran;
+ * `jsDependency` (0-100) weighs the share of each kind of rendered content that is missing
+ * from the raw HTML with JS_DEPENDENCY_WEIGHTS.
+ */
+export function diffSnapshots(raw, rendered) {
+  const rawWords = words(raw.text);
+  const renderedWords = words(rendered.text);
+  const renderedOnlyWords = extraWordCount(rawWords, renderedWords);
+
+  const rawHeadings = new Set(raw.headings.map(h => `${h.level}:${h.text.toLowerCase()}`));
+  const headings = rendered.headings.filter(h => !rawHeadings.has(`${h.level}:${h.text.toLowerCase()}`));
+  const rawLinks = new Set(raw.links);
+  const links = rendered.links.filter(l => !rawLinks.has(l));
+  const metaTags = Object.keys(META_TAGS)
+    .filter(name => rendered.metaTags[name] && rendered.metaTags[name] !== raw.metaTags[name])
+    .map(name => ({ name, raw: raw.metaTags[name], rendered: rendered.metaTags[name] }));
+  const rawJsonLd = new Set(raw.jsonLd.map(b => JSON.stringify(b)));
+  const jsonLd = rendered.jsonLd.filter(b => !rawJsonLd.has(JSON.stringify(b)));
+  const rawText = raw.text.toLowerCase();
+  const textSamples = rendered.blocks.filter(b => !rawText.includes(b.toLowerCase()));
+
+  const share = (missing, total) => (total > 0 ? missing / total : 0);
+  const renderedMeta = Object.keys(META_TAGS).filter(name => rendered.metaTags[name]).length;
+  const shares = {
+    text: share(renderedOnlyWords, renderedWords.length),
+    headings: share(headings.length, rendered.headings.length),
+    links: share(links.length, rendered.links.length),
+    metaTags: share(metaTags.length, renderedMeta),
+    jsonLd: share(jsonLd.length, rendered.jsonLd.length)
+  };
+  const jsDependency = Math.round(100 * Object.entries(JS_DEPENDENCY_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * shares[key], 0));
+
+  return {
+    jsDependency,
+    text: {
+      rawWords: rawWords.length,
+      renderedWords: renderedWords.length,
+      renderedOnlyWords,
+      renderedOnlyPercent: Math.round(100 * shares.text),
+      samples: textSamples.slice(0, MAX_SAMPLES).map(t => (t.length > SAMPLE_CHARS ? `${t.slice(0, SAMPLE_CHARS - 1)}…` : t))
+    },
+    headings: { raw: raw.headings.length, rendered: rendered.headings.length, renderedOnly: headings.length, samples: headings.slice(0, MAX_SAMPLES * 2) },
+    links: { raw: raw.links.length, rendered: rendered.links.length, renderedOnly: links.length, samples: links.slice(0, MAX_SAMPLES) },
+    metaTags,
+    jsonLd: { raw: raw.jsonLd.length, rendered: rendered.jsonLd.length, renderedOnly: jsonLd.length, types: [...new Set(jsonLd.flatMap(jsonLdTypes))] }
+  };
+}
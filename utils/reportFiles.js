@@ -0,0 +1,23 @@
+// The PDFs a full analysis writes into its report directory.
+// `key` is the public identifier used in download/share URLs, `step` the pipeline step that produces it.
+
+export const REPORT_FILES = [
+  { key: 'content', step: 'professionalReport', filename: 'WebsiteContent_report.pdf', title: 'Professional Content Analysis Report' },
+  { key: 'crawlability', step: 'crawlabilityReport', filename: 'llm_Crawlability_Report.pdf', title: 'Crawlability & Technical Report' },
+  { key: 'faq', step: 'faqReport', filename: 'faq_jsonld_report.pdf', title: 'FAQ Schema Report' },
+  { key: 'structured-data', step: 'structuredDataReport', filename: 'structuredDataAudit_report.pdf', title: 'Structured Data Report' },
+  { key: 'meta-tags', step: 'geoReport', filename: 'metaTags_analysis.pdf', title: 'Meta Tags & GEO Report' },
+  { key: 'executive', step: 'executiveReport', filename: 'executive_report.pdf', title: 'Executive Summary Report' }
+];
+
+// Machine-readable exports written next to the PDFs (schema: docs/analysis-export.md)
+export const EXPORT_FILES = [
+  { key: 'json', filename: 'analysis_export.json', contentType: 'application/json' },
+  { key: 'csv', filename: 'analysis_pages.csv', contentType: 'text/csv; charset=utf-8' },
+  // Recommended llms.txt, generated by the crawlability step (utils/llmsTxt.js)
+  { key: 'llms-txt', filename: 'llms.txt', contentType: 'text/plain; charset=utf-8' }
+];
+
+export function findReportFile(key) {
+  return REPORT_FILES.find(r => r.key === key || r.filename === key) || null;
+}
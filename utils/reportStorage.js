@@ -0,0 +1,306 @@
+// Report storage backends.
+// Generators always render into a local working file (PDFKit/Chromium need a path); once a
+// report is complete they hand that path to `reportStorage.save()`. Everything that later
+// serves or attaches a report goes through the same object, so local disk and S3-compatible
+// object stores (AWS S3, MinIO, R2, ...) are interchangeable via REPORT_STORAGE.
+//
+// Reports are addressed by their local path; the storage key is that path relative to
+// REPORTS_DIR, e.g. `user_example_com/example_com_2025-01-01T10-00-00/metaTags_analysis.pdf`.
+
+import path from 'path';
+import crypto from 'crypto';
+import fs, { promises as fsp } from 'fs';
+import { Readable } from 'stream';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain'
+};
+
+function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+class BaseReportStorage {
+  constructor({ baseDir = './reports' } = {}) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  // Storage key for a local report path ('/'-separated, relative to the reports base directory)
+  keyFor(filePath) {
+    const absolute = path.resolve(filePath);
+    let relative = path.relative(this.baseDir, absolute);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      // Outside REPORTS_DIR (e.g. a custom quick-scan directory): key it from the working directory
+      relative = path.relative(process.cwd(), absolute).replace(/^(\.\.[\\/])+/, '');
+    }
+    return relative.split(path.sep).join('/');
+  }
+
+  async localStat(filePath) {
+    try {
+      const stat = await fsp.stat(filePath);
+      return stat.isFile() && stat.size > 0 ? { size: stat.size, modifiedAt: stat.mtime } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async exists(filePath) {
+    return !!(await this.stat(filePath));
+  }
+}
+
+/**
+ * Reports live on the local disk under REPORTS_DIR. Saving is a no-op because generators
+ * already write there.
+ */
+export class FilesystemReportStorage extends BaseReportStorage {
+  constructor(options = {}) {
+    super(options);
+    this.driver = 'filesystem';
+  }
+
+  async save(filePath) {
+    const stat = await this.localStat(filePath);
+    if (!stat) throw new Error(`Report file missing or empty: ${filePath}`);
+    return { driver: this.driver, key: this.keyFor(filePath), size: stat.size };
+  }
+
+  async stat(filePath) {
+    return this.localStat(filePath);
+  }
+
+  async read(filePath) {
+    return fsp.readFile(filePath);
+  }
+
+  async createReadStream(filePath) {
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(filePath) {
+    await fsp.rm(filePath, { force: true });
+  }
+
+  // Every report of a run, e.g. when the run fails before delivering anything
+  async removeDirectory(directory) {
+    await fsp.rm(directory, { recursive: true, force: true });
+  }
+
+  // Local copies are the only copies here
+  async releaseLocalCopies() {}
+}
+
+/**
+ * Reports are uploaded to an S3-compatible bucket. Requests are signed with AWS Signature V4
+ * directly (no SDK); set S3_FORCE_PATH_STYLE=1 for MinIO and most self-hosted stores.
+ * The local working files are kept until `releaseLocalCopies()` runs after delivery.
+ */
+export class S3ReportStorage extends BaseReportStorage {
+  constructor(options = {}) {
+    super(options);
+    this.driver = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.forcePathStyle = !!options.forcePathStyle;
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.keepLocalCopies = !!options.keepLocalCopies;
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 report storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  objectKey(filePath) {
+    const key = this.keyFor(filePath);
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  objectUrl(objectKey) {
+    const encodedKey = objectKey.split('/').map(encodeS3Segment).join('/');
+    const endpoint = new URL(this.endpoint);
+    if (this.forcePathStyle) {
+      // An empty key addresses the bucket itself (listings)
+      return new URL(`${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${encodeS3Segment(this.bucket)}${encodedKey ? `/${encodedKey}` : ''}`);
+    }
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodedKey}`);
+  }
+
+  async request(method, objectKey, { body = null, contentType = null, query = null } = {}) {
+    const url = this.objectUrl(objectKey);
+    // Canonical query string: parameters sorted by name, names and values RFC 3986-encoded
+    const canonicalQuery = Object.keys(query || {}).sort()
+      .map(name => `${encodeS3Segment(name)}=${encodeS3Segment(String(query[name]))}`)
+      .join('&');
+    url.search = canonicalQuery;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      signedHeaders.map(h => `${h}:${String(headers[h]).trim()}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, this.region);
+    const kService = hmac(kRegion, 's3');
+    const kSigning = hmac(kService, 'aws4_request');
+    const signature = hmac(kSigning, stringToSign).toString('hex');
+
+    const { host, ...sendHeaders } = headers;
+    sendHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    return fetch(url.toString(), { method, headers: sendHeaders, body: body || undefined });
+  }
+
+  async save(filePath) {
+    const body = await fsp.readFile(filePath);
+    if (!body.length) throw new Error(`Report file is empty: ${filePath}`);
+    const key = this.objectKey(filePath);
+    const res = await this.request('PUT', key, { body, contentType: contentTypeFor(filePath) });
+    if (!res.ok) {
+      const detail = (await res.text().catch(() => '')).slice(0, 200);
+      throw new Error(`S3 upload of ${key} failed: ${res.status} ${detail}`);
+    }
+    console.log(`☁️ Uploaded report to s3://${this.bucket}/${key}`);
+    return { driver: this.driver, key, size: body.length };
+  }
+
+  async stat(filePath) {
+    const res = await this.request('HEAD', this.objectKey(filePath));
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`S3 HEAD ${this.objectKey(filePath)} failed: ${res.status}`);
+    const size = parseInt(res.headers.get('content-length') || '0', 10);
+    const lastModified = res.headers.get('last-modified');
+    return size > 0 ? { size, modifiedAt: lastModified ? new Date(lastModified) : null } : null;
+  }
+
+  async getObject(filePath) {
+    const key = this.objectKey(filePath);
+    const res = await this.request('GET', key);
+    if (!res.ok) throw new Error(`S3 download of ${key} failed: ${res.status}`);
+    return res;
+  }
+
+  async read(filePath) {
+    const res = await this.getObject(filePath);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  async createReadStream(filePath) {
+    const res = await this.getObject(filePath);
+    return res.body instanceof Readable ? res.body : Readable.from(res.body);
+  }
+
+  async remove(filePath) {
+    const key = this.objectKey(filePath);
+    const res = await this.request('DELETE', key);
+    if (!res.ok && res.status !== 404) throw new Error(`S3 delete of ${key} failed: ${res.status}`);
+    await fsp.rm(filePath, { force: true });
+  }
+
+  // Keys of every object under a key prefix (ListObjectsV2, following continuation tokens)
+  async listKeys(keyPrefix) {
+    const keys = [];
+    let token = null;
+    do {
+      const query = { 'list-type': 2, prefix: keyPrefix, ...(token ? { 'continuation-token': token } : {}) };
+      const res = await this.request('GET', '', { query });
+      const xml = await res.text();
+      if (!res.ok) throw new Error(`S3 listing of ${keyPrefix} failed: ${res.status} ${xml.slice(0, 200)}`);
+      for (const [, key] of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) keys.push(decodeXml(key));
+      const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+      token = truncated ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)?.[1] || '') || null : null;
+    } while (token);
+    return keys;
+  }
+
+  // Every report of a run, in the bucket and locally, e.g. when the run fails before delivering anything
+  async removeDirectory(directory) {
+    const keyPrefix = `${this.objectKey(directory)}/`;
+    const keys = await this.listKeys(keyPrefix);
+    for (const key of keys) {
+      const res = await this.request('DELETE', key);
+      if (!res.ok && res.status !== 404) throw new Error(`S3 delete of ${key} failed: ${res.status}`);
+    }
+    if (keys.length) console.log(`🧹 Removed ${keys.length} object(s) under s3://${this.bucket}/${keyPrefix}`);
+    await fsp.rm(directory, { recursive: true, force: true });
+  }
+
+  // Drop the local working directory once its reports are safely in the bucket
+  async releaseLocalCopies(directory) {
+    if (this.keepLocalCopies || !directory) return;
+    try {
+      await fsp.rm(directory, { recursive: true, force: true });
+      console.log(`🧹 Removed local report copies in ${directory} (stored in S3)`);
+    } catch (e) {
+      console.warn(`⚠️ Could not remove local report copies in ${directory}:`, e.message);
+    }
+  }
+}
+
+function decodeXml(text) {
+  return text.replace(/&(lt|gt|quot|apos|amp);/g, (m, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it in canonical URIs
+function encodeS3Segment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+export function createReportStorage(env = process.env) {
+  const baseDir = env.REPORTS_DIR || './reports';
+  const driver = (env.REPORT_STORAGE || 'filesystem').toLowerCase();
+  if (driver === 's3') {
+    return new S3ReportStorage({
+      baseDir,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === '1' || env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: env.S3_PREFIX,
+      keepLocalCopies: env.REPORT_STORAGE_KEEP_LOCAL === '1'
+    });
+  }
+  if (driver !== 'filesystem' && driver !== 'fs') {
+    console.warn(`⚠️ Unknown REPORT_STORAGE '${driver}', falling back to filesystem`);
+  }
+  return new FilesystemReportStorage({ baseDir });
+}
+
+export const reportStorage = createReportStorage();
+
+export default reportStorage;
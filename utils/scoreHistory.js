@@ -0,0 +1,164 @@
+import ScoreSnapshot from '../models/ScoreSnapshot.js';
+
+// Page score moves smaller than this (on the 0-1 scale) are reported as unchanged
+const PAGE_CHANGE_THRESHOLD = 0.02;
+const MAX_PAGE_CHANGES = 20;
+
+export function domainKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(url || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+  }
+}
+
+// Same ownership rule as /my-analyses: the user's snapshots, or unlinked ones under their email
+export function ownerFilter(user) {
+  if (user.role === 'admin') return {};
+  return { $or: [{ user: user.id }, { user: null, email: user.email }] };
+}
+
+function toNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+function mean(values) {
+  const numbers = values.filter(v => v !== null);
+  if (!numbers.length) return null;
+  return parseFloat((numbers.reduce((sum, v) => sum + v, 0) / numbers.length).toFixed(3));
+}
+
+// Match pages across runs regardless of protocol, "www." or a trailing slash
+function pageKey(url) {
+  return String(url || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+}
+
+/**
+ * Scores worth keeping from one run, taken from the executive report analysis so the
+ * history and the PDF always show the same numbers.
+ */
+export function snapshotFromAnalysis(analysis, { overall, components }) {
+  const pages = analysis.pages
+    .filter(p => p.url)
+    .map(p => ({
+      url: p.url,
+      overallScore: toNumber(p.ai?.scoring?.overall_score),
+      metaTagsScore: toNumber(p.ai?.scoring?.meta_tags?.score),
+      structuredDataScore: toNumber(p.ai?.scoring?.structured_data?.score),
+      claimsScore: toNumber(p.ai?.claims_evaluation?.overall_analysis?.average_page_score)
+    }));
+  return {
+    overallScore: overall,
+    components,
+    // A fallback crawl carries a placeholder score; keep it out of the history like the component score
+    crawlabilityScore: analysis.crawl && !analysis.crawl.isFallbackReport ? toNumber(analysis.crawl.score) : null,
+    averages: {
+      pageScore: mean(pages.map(p => p.overallScore)),
+      metaTags: mean(pages.map(p => p.metaTagsScore)),
+      structuredData: mean(pages.map(p => p.structuredDataScore)),
+      claims: mean(pages.map(p => p.claimsScore))
+    },
+    pages
+  };
+}
+
+// Upsert by taskId so a resumed run overwrites its own snapshot instead of adding a second one
+export async function recordSnapshot({ taskId, url, user = null, email = null, scores }) {
+  return ScoreSnapshot.findOneAndUpdate(
+    { taskId },
+    {
+      $set: { url, domain: domainKey(url), user: user || null, email, ...scores, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+// The latest earlier run of the same domain by the same owner
+export async function findPreviousSnapshot(snapshot) {
+  if (!snapshot) return null;
+  const owner = snapshot.user ? { user: snapshot.user } : { user: null, email: snapshot.email };
+  return ScoreSnapshot.findOne({
+    ...owner,
+    domain: snapshot.domain,
+    taskId: { $ne: snapshot.taskId },
+    createdAt: { $lt: snapshot.createdAt }
+  }).sort({ createdAt: -1 }).lean();
+}
+
+function delta(from, to) {
+  const a = toNumber(from);
+  const b = toNumber(to);
+  return { from: a, to: b, change: a !== null && b !== null ? parseFloat((b - a).toFixed(3)) : null };
+}
+
+function runSummary(snapshot) {
+  return { taskId: snapshot.taskId, url: snapshot.url, createdAt: snapshot.createdAt, overallScore: snapshot.overallScore };
+}
+
+/**
+ * Compare two runs of the same domain: headline scores, pillar scores, averages and
+ * per-page movement (by `overallScore`), plus pages that appeared or disappeared.
+ */
+export function diffSnapshots(from, to) {
+  const before = new Map((from.pages || []).map(p => [pageKey(p.url), p]));
+  const after = new Map((to.pages || []).map(p => [pageKey(p.url), p]));
+
+  const improved = [];
+  const declined = [];
+  let unchanged = 0;
+  for (const [key, page] of after) {
+    const previous = before.get(key);
+    if (!previous) continue;
+    const change = delta(previous.overallScore, page.overallScore);
+    if (change.change === null || Math.abs(change.change) < PAGE_CHANGE_THRESHOLD) {
+      unchanged++;
+      continue;
+    }
+    const entry = {
+      url: page.url,
+      ...change,
+      metaTags: delta(previous.metaTagsScore, page.metaTagsScore),
+      structuredData: delta(previous.structuredDataScore, page.structuredDataScore),
+      claims: delta(previous.claimsScore, page.claimsScore)
+    };
+    (change.change > 0 ? improved : declined).push(entry);
+  }
+  improved.sort((a, b) => b.change - a.change);
+  declined.sort((a, b) => a.change - b.change);
+
+  return {
+    domain: to.domain,
+    from: runSummary(from),
+    to: runSummary(to),
+    overallScore: delta(from.overallScore, to.overallScore),
+    components: {
+      aiVisibility: delta(from.components?.aiVisibility, to.components?.aiVisibility),
+      crawlability: delta(from.components?.crawlability, to.components?.crawlability),
+      content: delta(from.components?.content, to.components?.content)
+    },
+    crawlabilityScore: delta(from.crawlabilityScore, to.crawlabilityScore),
+    averages: {
+      pageScore: delta(from.averages?.pageScore, to.averages?.pageScore),
+      metaTags: delta(from.averages?.metaTags, to.averages?.metaTags),
+      structuredData: delta(from.averages?.structuredData, to.averages?.structuredData),
+      claims: delta(from.averages?.claims, to.averages?.claims)
+    },
+    pages: {
+      improved: improved.slice(0, MAX_PAGE_CHANGES),
+      declined: declined.slice(0, MAX_PAGE_CHANGES),
+      improvedCount: improved.length,
+      declinedCount: declined.length,
+      unchangedCount: unchanged,
+      added: [...after.keys()].filter(k => !before.has(k)).map(k => after.get(k).url),
+      removed: [...before.keys()].filter(k => !after.has(k)).map(k => before.get(k).url)
+    }
+  };
+}
+
+// Diff of a run against the previous run of its domain, or null for a first audit
+export async function compareWithPrevious(taskId) {
+  const current = await ScoreSnapshot.findOne({ taskId }).lean();
+  const previous = await findPreviousSnapshot(current);
+  return current && previous ? diffSnapshots(previous, current) : null;
+}
@@ -0,0 +1,271 @@
+// Sitemap discovery and health checks for WebsiteAnalyzer.
+// Sitemaps come from robots.txt `Sitemap:` lines, or /sitemap.xml and /sitemap_index.xml when
+// robots.txt names none. Sitemap indexes are followed one level deep and .gz files are unpacked.
+
+import axios from 'axios';
+import zlib from 'zlib';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const cheerio = require('cheerio');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; BePromptedBot/1.0; +https://beprompted.io)';
+const FETCH_TIMEOUT_MS = 10000;
+const PROBE_TIMEOUT_MS = 8000;
+// The sitemap protocol caps a file at 50MB uncompressed and 50,000 URLs
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_SITEMAP_FILES = 25;
+const MAX_SITEMAP_URLS = 10000;
+// How many levels of sitemap indexes are followed; an index listed inside a child index is skipped
+const MAX_INDEX_NESTING = 1;
+export const STALE_AFTER_DAYS = parseInt(process.env.SITEMAP_STALE_DAYS || '365', 10);
+const DEFAULT_PRIORITY = 0.5;
+const ASSET_PATTERN = /\.(css|js|png|jpe?g|gif|svg|webp|ico|pdf|zip|exe|mp4|mp3|xml|txt|json)$/i;
+
+function sameSite(hostA, hostB) {
+  return hostA.replace(/^www\./i, '').toLowerCase() === hostB.replace(/^www\./i, '').toLowerCase();
+}
+
+function pathKey(url) {
+  const u = new URL(url);
+  return `${u.pathname.replace(/\/+$/, '') || '/'}${u.search}`;
+}
+
+async function fetchText(url) {
+  const res = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_SITEMAP_BYTES,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'application/xml,text/xml,text/plain,*/*' },
+    validateStatus: () => true
+  });
+  let body = Buffer.from(res.data || []);
+  // .xml.gz files arrive as gzip bytes (Content-Encoding gzip is already undone by axios)
+  const gzip = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b;
+  if (gzip) body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+  return { status: res.status, text: body.toString('utf8'), gzip };
+}
+
+// Sitemap URLs listed in robots.txt
+export async function sitemapsFromRobots(origin) {
+  try {
+    const { status, text } = await fetchText(`${origin}/robots.txt`);
+    if (status !== 200) return { robotsFound: false, sitemaps: [] };
+    const sitemaps = [];
+    for (const line of text.split(/\r?\n/)) {
+      const match = line.match(/^\s*sitemap\s*:\s*(\S+)/i);
+      if (!match) continue;
+      try {
+        sitemaps.push(new URL(match[1], origin).href);
+      } catch { /* not a URL */ }
+    }
+    return { robotsFound: true, sitemaps: [...new Set(sitemaps)] };
+  } catch (e) {
+    return { robotsFound: false, sitemaps: [], error: e.message };
+  }
+}
+
+/**
+ * Parse one sitemap document. Returns { kind: 'index', sitemaps } for a sitemap index,
+ * { kind: 'urlset', entries } for a URL set, or { kind: null } for anything else.
+ */
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = (el, tag) => $(el).children(tag).first().text().trim() || null;
+  if ($('sitemapindex').length) {
+    return { kind: 'index', sitemaps: $('sitemapindex > sitemap').map((i, el) => text(el, 'loc')).get().filter(Boolean) };
+  }
+  if ($('urlset').length) {
+    const entries = $('urlset > url').map((i, el) => {
+      const priority = parseFloat(text(el, 'priority'));
+      const lastmod = text(el, 'lastmod');
+      const lastmodDate = lastmod ? new Date(lastmod) : null;
+      return {
+        loc: text(el, 'loc'),
+        lastmod: lastmodDate && !Number.isNaN(lastmodDate.getTime()) ? lastmodDate : null,
+        priority: Number.isFinite(priority) ? Math.min(Math.max(priority, 0), 1) : null,
+        changefreq: text(el, 'changefreq')
+      };
+    }).get().filter(e => e.loc);
+    return { kind: 'urlset', entries };
+  }
+  return { kind: null };
+}
+
+/**
+ * Find and read every sitemap of the site. `sources` describes each file that was tried;
+ * `entries` are the URLs of all URL sets, deduplicated.
+ */
+export async function discoverSitemaps(targetUrl) {
+  const { origin } = new URL(targetUrl);
+  const robots = await sitemapsFromRobots(origin);
+  const listedInRobots = robots.sitemaps.length > 0;
+  const queue = (listedInRobots ? robots.sitemaps : [`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`])
+    .map(url => ({ url, via: listedInRobots ? 'robots' : 'default', depth: 0 }));
+
+  const sources = [];
+  const seen = new Set();
+  const entries = new Map();
+  while (queue.length && sources.length < MAX_SITEMAP_FILES) {
+    const { url, via, depth } = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+    const source = { url, via, status: null, kind: null, gzip: false, urlCount: 0, error: null };
+    sources.push(source);
+    try {
+      const { status, text, gzip } = await fetchText(url);
+      Object.assign(source, { status, gzip });
+      if (status !== 200) {
+        source.error = `HTTP ${status}`;
+        continue;
+      }
+      const parsed = parseSitemap(text);
+      source.kind = parsed.kind;
+      if (parsed.kind === 'index') {
+        source.urlCount = parsed.sitemaps.length;
+        if (depth >= MAX_INDEX_NESTING) continue;
+        for (const child of parsed.sitemaps) queue.push({ url: new URL(child, url).href, via: 'index', depth: depth + 1 });
+      } else if (parsed.kind === 'urlset') {
+        source.urlCount = parsed.entries.length;
+        for (const entry of parsed.entries) {
+          if (entries.size >= MAX_SITEMAP_URLS) break;
+          if (!entries.has(entry.loc)) entries.set(entry.loc, entry);
+        }
+      } else {
+        source.error = 'Not a sitemap (no <urlset> or <sitemapindex>)';
+      }
+    } catch (e) {
+      source.error = e.message;
+    }
+  }
+
+  // The default locations are guesses: a missing /sitemap_index.xml next to a working /sitemap.xml is not an error
+  const usable = sources.filter(s => s.kind === 'urlset' || s.kind === 'index');
+  return {
+    robotsFound: robots.robotsFound,
+    listedInRobots,
+    found: usable.length > 0,
+    sources: listedInRobots || !usable.length ? sources : sources.filter(s => s.via !== 'default' || s.kind),
+    entries: [...entries.values()],
+    truncated: entries.size >= MAX_SITEMAP_URLS || queue.length > 0
+  };
+}
+
+/**
+ * Sitemap entries worth crawling, best first: on the target site, not an asset, not the home
+ * page, then by priority (desc), lastmod (newest first) and path depth (shallow first).
+ * URLs are rewritten to the target's origin so www/non-www variants match the rest of the run.
+ */
+export function rankSitemapEntries(entries, targetUrl) {
+  const target = new URL(targetUrl);
+  const seen = new Set();
+  const ranked = [];
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry.loc);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || !sameSite(url.hostname, target.hostname)) continue;
+    if (ASSET_PATTERN.test(url.pathname)) continue;
+    url = new URL(`${url.pathname}${url.search}`, target.origin);
+    const key = pathKey(url.href);
+    if (key === '/' || seen.has(key)) continue;
+    seen.add(key);
+    ranked.push({ ...entry, url: url.href, depth: url.pathname.split('/').filter(Boolean).length });
+  }
+  return ranked.sort((a, b) =>
+    (b.priority ?? DEFAULT_PRIORITY) - (a.priority ?? DEFAULT_PRIORITY) ||
+    (b.lastmod ? b.lastmod.getTime() : 0) - (a.lastmod ? a.lastmod.getTime() : 0) ||
+    a.depth - b.depth
+  );
+}
+
+// HTTP status of a URL without following redirects (HEAD, or GET where HEAD is refused)
+export async function probeStatus(url) {
+  const request = method => axios.request({
+    url,
+    method,
+    timeout: PROBE_TIMEOUT_MS,
+    maxRedirects: 0,
+    headers: { 'User-Agent': USER_AGENT },
+    validateStatus: () => true,
+    ...(method === 'GET' ? { responseType: 'stream' } : {})
+  });
+  try {
+    let res = await request('HEAD');
+    if (res.status === 405 || res.status === 501) {
+      res = await request('GET');
+      res.data.destroy();
+    }
+    return { status: res.status, location: res.headers.location || null };
+  } catch (e) {
+    return { status: null, error: e.code || e.message };
+  }
+}
+
+/**
+ * Health of the site's sitemaps. `probes` are the entries whose status was checked;
+ * `homepageLinks` are the internal links of the home page, which every sitemap should list.
+ */
+export function sitemapHealth(discovery, { targetUrl, probes = [], homepageLinks = [], now = new Date() }) {
+  const target = new URL(targetUrl);
+  const staleBefore = now.getTime() - STALE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  const { entries } = discovery;
+  const listed = new Set();
+  let offSite = 0;
+  for (const entry of entries) {
+    try {
+      const u = new URL(entry.loc);
+      if (sameSite(u.hostname, target.hostname)) listed.add(pathKey(u.href));
+      else offSite++;
+    } catch {
+      offSite++;
+    }
+  }
+  const stale = entries.filter(e => e.lastmod && e.lastmod.getTime() < staleBefore);
+  const withoutLastmod = entries.filter(e => !e.lastmod).length;
+  const nonOk = probes.filter(p => p.status !== 200);
+  const missingImportant = [...new Set(homepageLinks)]
+    .filter(link => {
+      try {
+        const u = new URL(link);
+        return sameSite(u.hostname, target.hostname) && !ASSET_PATTERN.test(u.pathname) && !listed.has(pathKey(u.href));
+      } catch {
+        return false;
+      }
+    });
+  const failedSources = discovery.sources.filter(s => s.error);
+
+  const issues = [];
+  if (!discovery.found) {
+    issues.push('No XML sitemap found (checked robots.txt, /sitemap.xml and /sitemap_index.xml)');
+  } else {
+    if (!discovery.listedInRobots) issues.push('robots.txt does not reference the sitemap with a Sitemap: line');
+    if (failedSources.length) issues.push(`${failedSources.length} sitemap file(s) could not be read`);
+    if (!listed.has('/')) issues.push('The home page is not listed in the sitemap');
+    if (nonOk.length) issues.push(`${nonOk.length} of ${probes.length} checked sitemap URL(s) do not answer 200 OK`);
+    if (stale.length) issues.push(`${stale.length} URL(s) have a lastmod older than ${STALE_AFTER_DAYS} days`);
+    if (entries.length && withoutLastmod / entries.length > 0.5) issues.push(`${withoutLastmod} of ${entries.length} URL(s) have no lastmod date`);
+    if (offSite) issues.push(`${offSite} URL(s) point to another domain`);
+    if (missingImportant.length) issues.push(`${missingImportant.length} page(s) linked from the home page are missing from the sitemap`);
+  }
+
+  return {
+    found: discovery.found,
+    robotsFound: discovery.robotsFound,
+    listedInRobots: discovery.listedInRobots,
+    sources: discovery.sources,
+    totalUrls: entries.length,
+    truncated: discovery.truncated,
+    homepageListed: listed.has('/'),
+    offSiteUrls: offSite,
+    withoutLastmod,
+    staleUrls: { count: stale.length, sample: stale.slice(0, 20).map(e => ({ url: e.loc, lastmod: e.lastmod })) },
+    checkedUrls: probes.length,
+    nonOkUrls: nonOk.slice(0, 50),
+    missingImportantPages: missingImportant.slice(0, 50),
+    issues
+  };
+}
@@ -0,0 +1,6 @@
+import Stripe from 'stripe';
+
+// Single Stripe client shared by the payment routes and order fulfilment
+export const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export default stripe;
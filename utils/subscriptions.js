@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import Invoice from '../models/Invoice.js';
+import { stripe } from './stripe.js';
+import { findPlanByPrice } from './pricingCatalog.js';
+
+// Subscription states that still grant the plan
+export const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+const SUBSCRIPTION_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'customer.subscription.paused',
+  'customer.subscription.resumed'
+];
+const INVOICE_EVENTS = [
+  'invoice.created',
+  'invoice.finalized',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'invoice.voided',
+  'invoice.marked_uncollectible'
+];
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function idOf(ref) {
+  return typeof ref === 'string' ? ref : ref?.id || null;
+}
+
+function isDuplicateKey(err) {
+  return err?.code === 11000;
+}
+
+/**
+ * The user's Stripe customer id, creating the customer on first use. The idempotency key
+ * keeps two concurrent requests from creating two customers for the same user.
+ */
+export async function ensureStripeCustomer(userId) {
+  const user = await User.findById(userId).select('email stripeCustomerId').lean();
+  if (!user) throw new Error('User not found');
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create(
+    { email: user.email, metadata: { userId: String(user._id) } },
+    { idempotencyKey: `customer-${user._id}` }
+  );
+  const linked = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ stripeCustomerId: null }, { stripeCustomerId: { $exists: false } }] },
+    { $set: { stripeCustomerId: customer.id } },
+    { new: true }
+  ).select('stripeCustomerId').lean();
+  if (linked) return linked.stripeCustomerId;
+  return (await User.findById(user._id).select('stripeCustomerId').lean()).stripeCustomerId;
+}
+
+// Remember the customer Checkout created for a signed-in buyer
+export async function linkCheckoutCustomer(session) {
+  const customerId = idOf(session.customer);
+  const userId = session.metadata?.userId;
+  if (!customerId || !userId || !mongoose.isValidObjectId(userId)) return;
+  await User.updateOne(
+    { _id: userId, $or: [{ stripeCustomerId: null }, { stripeCustomerId: { $exists: false } }] },
+    { $set: { stripeCustomerId: customerId } }
+  );
+}
+
+async function resolveUserId(customerId, metadataUserId) {
+  if (metadataUserId && mongoose.isValidObjectId(metadataUserId)) return metadataUserId;
+  const user = await User.findOne({ stripeCustomerId: customerId }).select('_id').lean();
+  return user?._id || null;
+}
+
+/**
+ * Upsert the local copy of a Stripe object unless a newer event already updated it.
+ * A stale redelivery misses the filter, the upsert then collides on the unique id and is dropped.
+ */
+async function applyIfNewer(Model, idField, id, eventAt, $set, $setOnInsert = {}) {
+  try {
+    return await Model.findOneAndUpdate(
+      { [idField]: id, $or: [{ lastEventAt: null }, { lastEventAt: { $lte: eventAt } }] },
+      { $set: { ...$set, lastEventAt: eventAt, updatedAt: new Date() }, $setOnInsert },
+      { upsert: true, new: true }
+    );
+  } catch (e) {
+    if (isDuplicateKey(e)) return null;
+    throw e;
+  }
+}
+
+export async function syncSubscription(subscription, eventAt = new Date()) {
+  const customerId = idOf(subscription.customer);
+  const item = subscription.items?.data?.[0];
+  // Recent API versions moved the billing period from the subscription onto its items
+  const periodStart = item?.current_period_start ?? subscription.current_period_start;
+  const periodEnd = item?.current_period_end ?? subscription.current_period_end;
+  const plan = subscription.metadata?.plan || findPlanByPrice(item?.price?.id)?.id || null;
+  const user = await resolveUserId(customerId, subscription.metadata?.userId);
+
+  const doc = await applyIfNewer(Subscription, 'stripeSubscriptionId', subscription.id, eventAt, {
+    stripeCustomerId: customerId,
+    user,
+    plan,
+    status: subscription.status,
+    currentPeriodStart: fromUnix(periodStart),
+    currentPeriodEnd: fromUnix(periodEnd),
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    canceledAt: fromUnix(subscription.canceled_at),
+    endedAt: fromUnix(subscription.ended_at),
+    latestInvoice: idOf(subscription.latest_invoice)
+  }, { createdAt: fromUnix(subscription.created) || new Date() });
+
+  if (doc && user) {
+    await User.updateOne(
+      { _id: user, $or: [{ stripeCustomerId: null }, { stripeCustomerId: { $exists: false } }] },
+      { $set: { stripeCustomerId: customerId } }
+    );
+  }
+  return doc;
+}
+
+export async function recordInvoice(invoice, eventType, eventAt = new Date()) {
+  const customerId = idOf(invoice.customer);
+  const subscriptionId = idOf(invoice.parent?.subscription_details?.subscription ?? invoice.subscription);
+  const failed = eventType === 'invoice.payment_failed';
+  const paidAt = fromUnix(invoice.status_transitions?.paid_at);
+
+  const doc = await applyIfNewer(Invoice, 'stripeInvoiceId', invoice.id, eventAt, {
+    stripeCustomerId: customerId,
+    stripeSubscriptionId: subscriptionId,
+    user: await resolveUserId(customerId, invoice.metadata?.userId),
+    number: invoice.number || null,
+    status: invoice.status,
+    currency: invoice.currency,
+    amountDue: invoice.amount_due,
+    amountPaid: invoice.amount_paid,
+    periodStart: fromUnix(invoice.period_start),
+    periodEnd: fromUnix(invoice.period_end),
+    hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+    invoicePdf: invoice.invoice_pdf || null,
+    paidAt,
+    lastPaymentError: failed ? (invoice.last_finalization_error?.message || 'Payment failed') : null
+  }, { createdAt: fromUnix(invoice.created) || new Date() });
+
+  // The subscription's own status (past_due, unpaid…) arrives with customer.subscription.updated
+  if (doc && subscriptionId && (failed || eventType === 'invoice.paid')) {
+    await Subscription.updateOne(
+      { stripeSubscriptionId: subscriptionId },
+      { $set: { latestInvoice: invoice.id, lastPaymentError: doc.lastPaymentError, updatedAt: new Date() } }
+    );
+  }
+  return doc;
+}
+
+/**
+ * Apply a subscription or invoice webhook event. Returns false for event types this
+ * module does not handle.
+ */
+export async function handleBillingEvent(event) {
+  const eventAt = fromUnix(event.created) || new Date();
+  const object = event.data.object;
+  if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+    const sub = await syncSubscription(object, eventAt);
+    console.log(`🔁 ${event.type} for ${object.id}: ${sub ? `${sub.status}${sub.cancelAtPeriodEnd ? ' (cancels at period end)' : ''}` : 'stale event ignored'}`);
+    return true;
+  }
+  if (INVOICE_EVENTS.includes(event.type)) {
+    const inv = await recordInvoice(object, event.type, eventAt);
+    console.log(`🧾 ${event.type} for ${object.id}: ${inv ? inv.status : 'stale event ignored'}`);
+    return true;
+  }
+  return false;
+}
+
+export async function listSubscriptions(userId) {
+  return Subscription.find({ user: userId }).sort({ createdAt: -1 }).lean();
+}
+
+export async function listInvoices(userId, limit = 24) {
+  return Invoice.find({ user: userId }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+// The user's subscription that currently grants `plan`, if any
+export async function activeSubscription(userId, plan = null) {
+  const filter = { user: userId, status: { $in: ENTITLED_STATUSES } };
+  if (plan) filter.plan = plan;
+  return Subscription.findOne(filter).sort({ currentPeriodEnd: -1 }).lean();
+}
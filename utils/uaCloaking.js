@@ -0,0 +1,217 @@
+// User-agent cloaking checks for the crawlability step.
+// Key pages are fetched with a browser user agent and with the AI crawlers' own user agents
+// (AI_CRAWLERS); status codes, content length and main-text similarity are compared so that
+// bot-specific 403s, WAF challenges and different content served to AI bots stand out.
+
+import axios from 'axios';
+import { AI_CRAWLERS } from './aiCrawlers.js';
+import { mainTextFromHtml } from './renderDiff.js';
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
+const FETCH_TIMEOUT_MS = 12000;
+// Bot fetches of one page in flight at a time, and the time budget of the whole comparison
+const BOT_CONCURRENCY = 3;
+const DEFAULT_DEADLINE_MS = 60000;
+const DEADLINE_DETAIL = 'Not checked: time limit for the comparison reached';
+const MAX_BYTES = 5 * 1024 * 1024;
+// Below this main-text similarity to the browser version, a bot is served different content
+const CLOAKING_SIMILARITY = 0.6;
+// Between CLOAKING_SIMILARITY and this, the difference is reported but not called cloaking
+const DIFFERENT_SIMILARITY = 0.85;
+
+// Body/header markers of bot-protection interstitials (Cloudflare, Imperva, DataDome, PerimeterX, AWS WAF, Akamai, Sucuri)
+const CHALLENGE_MARKERS = [
+  { provider: 'Cloudflare', pattern: /<title>\s*(just a moment|attention required)|cf-browser-verification|challenge-platform|cf_chl_/i },
+  { provider: 'Imperva', pattern: /_Incapsula_Resource|Incapsula incident/i },
+  { provider: 'DataDome', pattern: /captcha-delivery\.com|datadome/i },
+  { provider: 'PerimeterX', pattern: /px-captcha|_pxAppId|perimeterx/i },
+  { provider: 'AWS WAF', pattern: /aws-waf-token|awswaf/i },
+  { provider: 'Akamai', pattern: /<title>\s*access denied\s*<\/title>[\s\S]*reference\s*#/i },
+  { provider: 'Sucuri', pattern: /sucuri website firewall|sucuri\.net\/.*access denied/i }
+];
+
+/**
+ * Bot-protection interstitial in a response, or null. Cloudflare also says so in the
+ * `cf-mitigated: challenge` header.
+ */
+export function detectChallenge({ status, headers = {}, body = '' }) {
+  if (String(headers['cf-mitigated'] || '').toLowerCase() === 'challenge') return 'Cloudflare';
+  const sample = body.slice(0, 50000);
+  const marker = CHALLENGE_MARKERS.find(m => m.pattern.test(sample));
+  // Markers on a full 200 page are usually just the provider's script, not a challenge
+  if (marker && (status !== 200 || mainTextFromHtml(sample).length < 500)) return marker.provider;
+  return null;
+}
+
+// Cosine similarity of the word frequencies of two texts (1 = same words, 0 = nothing shared)
+export function textSimilarity(a, b) {
+  const counts = text => {
+    const map = new Map();
+    for (const w of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) map.set(w, (map.get(w) || 0) + 1);
+    return map;
+  };
+  const ca = counts(a);
+  const cb = counts(b);
+  if (!ca.size && !cb.size) return 1;
+  if (!ca.size || !cb.size) return 0;
+  let dot = 0;
+  for (const [w, n] of ca) dot += n * (cb.get(w) || 0);
+  const norm = map => Math.sqrt([...map.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (norm(ca) * norm(cb));
+}
+
+async function fetchAs(url, userAgent, timeout = FETCH_TIMEOUT_MS) {
+  try {
+    const res = await axios.get(url, {
+      responseType: 'text',
+      transformResponse: data => data,
+      timeout,
+      maxContentLength: MAX_BYTES,
+      headers: { 'User-Agent': userAgent, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      validateStatus: () => true
+    });
+    const body = String(res.data ?? '');
+    const finalUrl = res.request?.res?.responseUrl || url;
+    return {
+      status: res.status,
+      finalUrl,
+      length: Buffer.byteLength(body),
+      text: mainTextFromHtml(body),
+      challenge: detectChallenge({ status: res.status, headers: res.headers, body }),
+      error: null
+    };
+  } catch (e) {
+    return { status: null, finalUrl: null, length: 0, text: '', challenge: null, error: e.code || e.message };
+  }
+}
+
+function samePage(a, b) {
+  try {
+    const ua = new URL(a);
+    const ub = new URL(b);
+    return ua.hostname.replace(/^www\./i, '') === ub.hostname.replace(/^www\./i, '') && ua.pathname.replace(/\/+$/, '') === ub.pathname.replace(/\/+$/, '');
+  } catch {
+    return a === b;
+  }
+}
+
+/**
+ * Verdict for one bot response against the browser baseline. `browserSimilarity` is the
+ * similarity of two browser fetches, so pages that change on every request (rotating teasers,
+ * timestamps) are not mistaken for cloaking.
+ */
+export function compareResponses(browser, bot, browserSimilarity = 1) {
+  const result = { verdict: 'same', severity: null, detail: null, similarity: null, lengthRatio: null };
+  const browserOk = browser.status >= 200 && browser.status < 300 && !browser.challenge;
+  if (!browserOk) {
+    result.verdict = 'inconclusive';
+    result.detail = browser.challenge
+      ? `Browsers get a ${browser.challenge} challenge too`
+      : `Browser request failed (${browser.status ?? browser.error})`;
+    return result;
+  }
+  if (bot.challenge) {
+    return { ...result, verdict: 'challenge', severity: 'high', detail: `${bot.challenge} challenge page (HTTP ${bot.status}) instead of the content browsers get` };
+  }
+  if (bot.status == null) {
+    return { ...result, verdict: 'error', severity: 'medium', detail: `Request failed (${bot.error}) while browsers get HTTP ${browser.status}` };
+  }
+  if (bot.status >= 400) {
+    return { ...result, verdict: 'blocked', severity: 'high', detail: `HTTP ${bot.status} for the bot, HTTP ${browser.status} for browsers` };
+  }
+
+  result.similarity = Math.round(textSimilarity(browser.text, bot.text) * 100) / 100;
+  result.lengthRatio = browser.length ? Math.round((bot.length / browser.length) * 100) / 100 : null;
+  const cloakingBelow = Math.min(CLOAKING_SIMILARITY, browserSimilarity - 0.2);
+  const differentBelow = Math.min(DIFFERENT_SIMILARITY, browserSimilarity - 0.1);
+  if (!samePage(browser.finalUrl, bot.finalUrl)) {
+    return { ...result, verdict: 'redirected', severity: 'medium', detail: `Redirected to ${bot.finalUrl} (browsers land on ${browser.finalUrl})` };
+  }
+  if (result.similarity < cloakingBelow) {
+    return { ...result, verdict: 'cloaking', severity: 'high', detail: `Main text is only ${Math.round(result.similarity * 100)}% similar to what browsers get` };
+  }
+  if (result.similarity < differentBelow || (result.lengthRatio != null && (result.lengthRatio < 0.5 || result.lengthRatio > 2))) {
+    return { ...result, verdict: 'different', severity: 'medium', detail: `Content differs (${Math.round(result.similarity * 100)}% text similarity, ${Math.round((result.lengthRatio ?? 1) * 100)}% of the browser size)` };
+  }
+  return result;
+}
+
+// Run `worker` over `items` with at most `limit` calls in flight; results keep the input order
+async function mapWithLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i]);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+function inconclusiveBot(token) {
+  return { token, status: null, length: 0, challenge: null, error: null, verdict: 'inconclusive', severity: null, detail: DEADLINE_DETAIL, similarity: null, lengthRatio: null };
+}
+
+/**
+ * Fetch each URL with a browser UA (twice, for the baseline) and with every AI crawler UA,
+ * then compare. Pages are checked one after another, the bot fetches of a page BOT_CONCURRENCY
+ * at a time, and no request outlives `deadlineMs`: what is left when it passes is reported as
+ * inconclusive (`timedOut`). Returns per-page results, the findings worth reporting and their counts.
+ */
+export async function checkUserAgentCloaking(urls, { deadlineMs = DEFAULT_DEADLINE_MS } = {}) {
+  const bots = AI_CRAWLERS.filter(b => b.userAgent);
+  const deadline = Date.now() + deadlineMs;
+  const timeLeft = () => Math.min(FETCH_TIMEOUT_MS, deadline - Date.now());
+  const pages = [];
+  const findings = [];
+  let timedOut = false;
+  for (const url of urls) {
+    if (timeLeft() <= 0) {
+      timedOut = true;
+      pages.push({ url, browser: null, browserSimilarity: null, bots: bots.map(b => inconclusiveBot(b.token)) });
+      continue;
+    }
+    const [browser, again] = await Promise.all([
+      fetchAs(url, BROWSER_USER_AGENT, timeLeft()),
+      fetchAs(url, BROWSER_USER_AGENT, timeLeft())
+    ]);
+    const browserSimilarity = textSimilarity(browser.text, again.text);
+    const page = {
+      url,
+      browser: { status: browser.status, length: browser.length, challenge: browser.challenge, error: browser.error },
+      browserSimilarity: Math.round(browserSimilarity * 100) / 100,
+      bots: []
+    };
+    page.bots = await mapWithLimit(bots, BOT_CONCURRENCY, async bot => {
+      const budget = timeLeft();
+      if (budget <= 0) return inconclusiveBot(bot.token);
+      const response = await fetchAs(url, bot.userAgent, budget);
+      // A request cut short by the deadline says nothing about the site
+      if (response.error && timeLeft() <= 0) return inconclusiveBot(bot.token);
+      return {
+        token: bot.token,
+        status: response.status,
+        length: response.length,
+        challenge: response.challenge,
+        error: response.error,
+        ...compareResponses(browser, response, browserSimilarity)
+      };
+    });
+    if (page.bots.some(b => b.detail === DEADLINE_DETAIL)) timedOut = true;
+    for (const bot of page.bots) {
+      if (bot.severity) findings.push({ url, token: bot.token, type: bot.verdict, severity: bot.severity, detail: bot.detail });
+    }
+    pages.push(page);
+  }
+  return {
+    checkedAt: new Date(),
+    bots: bots.map(b => b.token),
+    pages,
+    timedOut,
+    findings,
+    high: findings.filter(f => f.severity === 'high').length,
+    medium: findings.filter(f => f.severity === 'medium').length
+  };
+}
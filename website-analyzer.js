@@ -6,6 +6,8 @@ import { MongoClient } from 'mongodb';
 import { createRequire } from 'node:module';
 // Use puppeteer-core so we rely on the system / injected Chromium (set via env)
 import puppeteer from 'puppeteer-core';
+import { discoverSitemaps, rankSitemapEntries, probeStatus, sitemapHealth } from './utils/sitemaps.js';
+import { snapshotFromHtml, diffSnapshots } from './utils/renderDiff.js';
 
 
 import dotenv from 'dotenv';
@@ -15,6 +17,9 @@ const cheerio = require('cheerio');
 
 dotenv.config();
 
+// Same UA for the raw fetch and the browser, so the diff only reflects JavaScript
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
+
 export class WebsiteAnalyzer {
   constructor(options = {}) {
     this.config = {
@@ -22,11 +27,20 @@ export class WebsiteAnalyzer {
       mongoOptions: options.mongoOptions || {},
       dbName: options.dbName || 'webdata',
       collectionName: options.collectionName || 'extractions_3',
+      // Tags every document with the analysis run it belongs to (null = legacy, unscoped)
+      runId: options.runId || null,
       jinaApiKey: options.jinaApiKey || process.env.JINA_API_KEY,
 
       minDelayMs: options.minDelayMs || 10000,
       maxIterations: options.maxIterations || 10,
-      maxQueuedLinks: options.maxQueuedLinks || 5 // <-- Added variable
+      maxQueuedLinks: options.maxQueuedLinks || 5, // <-- Added variable
+      // Pages taken from the sitemap(s), best ranked first; each is checked for 200 OK before queueing
+      maxSitemapPages: options.maxSitemapPages || 15,
+      maxSitemapProbes: options.maxSitemapProbes || 30,
+      // Plan limit on pages per run (crawled + queued); null = no cap
+      maxPages: options.maxPages || null,
+      // Optional progress callback: ({ stage, message, current, total, url }) => void
+      onProgress: options.onProgress || null
     };
 
     this.client = new MongoClient(this.config.mongoUri, this.config.mongoOptions);
@@ -89,7 +103,20 @@ export class WebsiteAnalyzer {
     });
   }
 
+  // Raw HTML as a crawler that does not run JavaScript receives it (null when the fetch fails)
+  async fetchRawHtml(url) {
+    try {
+      const response = await axios.get(url, { headers: { 'User-Agent': BROWSER_USER_AGENT }, timeout: 12000, responseType: 'text' });
+      return typeof response.data === 'string' ? response.data : null;
+    } catch (err) {
+      console.warn(`⚠️ Raw HTML fetch failed for ${url}: ${err.message}`);
+      return null;
+    }
+  }
+
   async extractFromHTML(url) {
+    // Fetched before rendering so the diff shows what non-JS crawlers (most AI bots) miss
+    const rawHtml = await this.fetchRawHtml(url);
     try {
       if (process.env.DISABLE_PUPPETEER === 'true') {
         throw new Error('Puppeteer disabled by DISABLE_PUPPETEER env flag');
@@ -112,7 +139,7 @@ export class WebsiteAnalyzer {
         });
         console.log(`🧭 Using Chromium at: ${executablePath}`);
         const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+        await page.setUserAgent(BROWSER_USER_AGENT);
         try {
           await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
         } catch (navErr) {
@@ -156,9 +183,11 @@ export class WebsiteAnalyzer {
             });
           return { jsonLd: jsonLdScripts, metaTags, actualLinks: Array.from(links) };
         });
+        const renderedHtml = await page.content();
+        const renderedUrl = page.url();
         await browser.close();
         console.log('✅ Puppeteer extraction successful');
-        return extractedData;
+        return { ...extractedData, renderDiff: this.buildRenderDiff(rawHtml, url, renderedHtml, renderedUrl) };
       } catch(inner){
         if(browser){ try { await browser.close(); } catch {} }
         throw inner;
@@ -167,8 +196,8 @@ export class WebsiteAnalyzer {
       console.warn('⚠️ Puppeteer extraction failed:', puppeteerError.message);
       console.log('🔄 Falling back to Axios + Cheerio...');
       try {
-        const response = await axios.get(url, { headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' }, timeout: 12000 });
-        const $ = cheerio.load(response.data);
+        const html = rawHtml ?? (await axios.get(url, { headers: { 'User-Agent': BROWSER_USER_AGENT }, timeout: 12000 })).data;
+        const $ = cheerio.load(html);
         const jsonLdScripts = [];
         $('script[type="application/ld+json"]').each((i, el) => {
           const raw = $(el).html()?.trim();
@@ -185,7 +214,7 @@ export class WebsiteAnalyzer {
         };
         const actualLinks = this.extractLinksFromHTML($, url);
         console.log('✅ Axios fallback extraction successful');
-        return { jsonLd: jsonLdScripts, metaTags, actualLinks };
+        return { jsonLd: jsonLdScripts, metaTags, actualLinks, renderDiff: { compared: false, error: 'Page could not be rendered' } };
       } catch(axiosError) {
         console.error('❌ Both Puppeteer and Axios failed');
         console.error('Puppeteer error:', puppeteerError.message);
@@ -194,6 +223,21 @@ export class WebsiteAnalyzer {
       }
     }
   }
+  // Raw-vs-rendered diff (utils/renderDiff.js); `compared: false` when the raw side is missing
+  buildRenderDiff(rawHtml, url, renderedHtml, renderedUrl) {
+    if (rawHtml == null) return { compared: false, error: 'Raw HTML could not be fetched' };
+    try {
+      // Both sides resolve links against the final URL, in case the page redirected
+      const base = renderedUrl || url;
+      const diff = diffSnapshots(snapshotFromHtml(rawHtml, base), snapshotFromHtml(renderedHtml, base));
+      console.log(`🧪 JS dependency: ${diff.jsDependency}% (${diff.text.renderedOnlyWords} of ${diff.text.renderedWords} words only after rendering)`);
+      return { compared: true, comparedAt: new Date(), ...diff };
+    } catch (err) {
+      console.warn(`⚠️ Render diff failed for ${url}: ${err.message}`);
+      return { compared: false, error: err.message };
+    }
+  }
+
   // --- Link Extraction Utilities ---
   extractLinksFromHTML($, baseUrl) {
     const baseUrlObj = new URL(baseUrl);
@@ -293,9 +337,15 @@ export class WebsiteAnalyzer {
   }
 
   // --- Database Operations ---
+  // Restrict a filter (or tag a document) to the current run so concurrent analyses
+  // never see each other's pages.
+  runScope(filterOrDoc = {}) {
+    return this.config.runId ? { ...filterOrDoc, runId: this.config.runId } : filterOrDoc;
+  }
+
   async saveToMongo(payload) {
     try {
-      const result = await this.collection.insertOne(payload);
+      const result = await this.collection.insertOne(this.runScope(payload));
       console.log(`✅ Saved to MongoDB with _id: ${result.insertedId}\n`);
       return result;
     } catch (err) {
@@ -306,7 +356,7 @@ export class WebsiteAnalyzer {
 
   async updateDocument(filter, update, options = {}) {
     try {
-      const result = await this.collection.updateOne(filter, update, { upsert: true, ...options });
+      const result = await this.collection.updateOne(this.runScope(filter), update, { upsert: true, ...options });
       return result;
     } catch (err) {
       console.error('❌ Failed to update document:', err.message);
@@ -316,7 +366,7 @@ export class WebsiteAnalyzer {
 
   async findDocument(filter, options = {}) {
     try {
-      return await this.collection.findOne(filter, options);
+      return await this.collection.findOne(this.runScope(filter), options);
     } catch (err) {
       console.error('❌ Failed to find document:', err.message);
       throw err;
@@ -325,16 +375,22 @@ export class WebsiteAnalyzer {
 
   async countDocuments(filter = {}) {
     try {
-      return await this.collection.countDocuments(filter);
+      return await this.collection.countDocuments(this.runScope(filter));
     } catch (err) {
       console.error('❌ Failed to count documents:', err.message);
       throw err;
     }
   }
 
+  async hasPageBudget() {
+    if (!this.config.maxPages) return true;
+    const pages = await this.countDocuments({ url: { $exists: true }, type: { $ne: 'crawlability_report' } });
+    return pages < this.config.maxPages;
+  }
+
   async findDocuments(filter = {}, options = {}) {
     try {
-      return await this.collection.find(filter, options).toArray();
+      return await this.collection.find(this.runScope(filter), options).toArray();
     } catch (err) {
       console.error('❌ Failed to find documents:', err.message);
       throw err;
@@ -381,6 +437,7 @@ export class WebsiteAnalyzer {
       metaTags: htmlData.metaTags,
       jinaContent: jinaContent || null,
       actualLinks: htmlData.actualLinks || [],
+      renderDiff: htmlData.renderDiff || null,
   status: htmlData.partial ? 'partial' : 'done',
   extractionMode: htmlData.partial ? 'jina_only' : 'browser',
       processedAt: new Date(),
@@ -406,10 +463,14 @@ export class WebsiteAnalyzer {
       
       for (const link of linksToQueue) {
         if (!link || typeof link !== 'string') continue;
+        if (!(await this.hasPageBudget())) {
+          console.log(`🛑 Page limit of ${this.config.maxPages} reached, not queueing more links`);
+          break;
+        }
         
         const exists = await this.findDocument({ url: link });
         if (!exists) {
-          await this.collection.insertOne({
+          await this.collection.insertOne(this.runScope({
             url: link,
             status: 'pending',
             timestamp: new Date(),
@@ -417,7 +478,7 @@ export class WebsiteAnalyzer {
             metaTags: {},
             jinaContent: null,
             actualLinks: [],
-          });
+          }));
           console.log(`✅ Queued: ${link}`);
         } else {
           console.log(`⏭️  Already exists: ${link}`);
@@ -428,6 +489,57 @@ export class WebsiteAnalyzer {
     return { success: true, data: dataToSave };
   }
 
+  /**
+   * Queue the best pages of the site's sitemap(s) (see utils/sitemaps.js) and store a
+   * `sitemap_report` document with the sitemap's health for the reports.
+   */
+  async queueSitemapPages(targetUrl, homepageLinks = []) {
+    let discovery;
+    try {
+      discovery = await discoverSitemaps(targetUrl);
+    } catch (err) {
+      console.warn('⚠️ Sitemap discovery failed:', err.message);
+      return { found: false, queuedCount: 0, error: err.message };
+    }
+    console.log(`🗺️ Sitemaps: ${discovery.sources.length} file(s) checked, ${discovery.entries.length} URL(s) listed`);
+
+    const probes = [];
+    let queuedCount = 0;
+    for (const entry of rankSitemapEntries(discovery.entries, targetUrl)) {
+      if (queuedCount >= this.config.maxSitemapPages || probes.length >= this.config.maxSitemapProbes) break;
+      if (!(await this.hasPageBudget())) {
+        console.log(`🛑 Page limit of ${this.config.maxPages} reached, not queueing more sitemap pages`);
+        break;
+      }
+      if (await this.findDocument({ url: entry.url })) continue;
+
+      const probe = await probeStatus(entry.url);
+      probes.push({ url: entry.url, ...probe });
+      if (probe.status !== 200) {
+        console.log(`⏭️  Sitemap URL answers ${probe.status ?? probe.error}, skipping: ${entry.url}`);
+        continue;
+      }
+      await this.collection.insertOne(this.runScope({
+        url: entry.url,
+        status: 'pending',
+        timestamp: new Date(),
+        source: 'sitemap',
+        sitemap: { priority: entry.priority, lastmod: entry.lastmod, changefreq: entry.changefreq }
+      }));
+      console.log(`🗺️ Queued from sitemap: ${entry.url}`);
+      queuedCount++;
+    }
+
+    const health = sitemapHealth(discovery, { targetUrl, probes, homepageLinks });
+    // No `url` field: page queries (url: { $exists: true }) skip this document
+    await this.updateDocument(
+      { type: 'sitemap_report' },
+      { $set: { ...health, targetUrl, queuedPages: queuedCount, checkedAt: new Date() } }
+    );
+    health.issues.forEach(issue => console.log(`   ⚠️ ${issue}`));
+    return { found: health.found, totalUrls: health.totalUrls, queuedCount, issues: health.issues };
+  }
+
   async inferCommonRoutes(baseUrl) {
     // Define common website routes/pages
     const commonRoutes = [
@@ -457,16 +569,18 @@ export class WebsiteAnalyzer {
     let queuedCount = 0;
     for (const route of commonRoutes) {
       if (queuedCount >= this.config.maxQueuedLinks) break; // <-- Limit queued links
+      if (!(await this.hasPageBudget())) break;
       const fullUrl = `${baseUrlObj.origin}${route}`;
       const exists = await this.findDocument({ url: fullUrl });
       
-      if (!exists) {
-        await this.collection.insertOne({
+      // Guessed routes are only worth crawling when they exist
+      if (!exists && (await probeStatus(fullUrl)).status === 200) {
+        await this.collection.insertOne(this.runScope({
           url: fullUrl,
           status: 'pending',
           timestamp: new Date(),
           source: 'common_routes'
-        });
+        }));
         console.log(`📝 Queued common route: ${fullUrl}`);
         queuedCount++;
       }
@@ -507,8 +621,18 @@ export class WebsiteAnalyzer {
     
     console.log(`📋 Processing ${pendingDocs.length} pending links...`);
     let processed = 0;
+    // Pages finished in earlier iterations count towards "page N of M"
+    const alreadyCrawled = await this.countDocuments({ status: { $in: ['done', 'broken'] } });
+    const totalPages = alreadyCrawled + pendingDocs.length;
     
-    for (const doc of pendingDocs) {
+    for (const [i, doc] of pendingDocs.entries()) {
+      this.reportProgress({
+        stage: 'website',
+        message: `Crawling page ${alreadyCrawled + i + 1} of ${totalPages}`,
+        current: alreadyCrawled + i,
+        total: totalPages,
+        url: doc.url
+      });
       const result = await this.analyzeWebsite(doc.url, false);
       if (result.success) processed++;
       await this.sleep(this.config.minDelayMs);
@@ -517,19 +641,35 @@ export class WebsiteAnalyzer {
     return { processed };
   }
 
+  reportProgress(event) {
+    if (!this.config.onProgress) return;
+    try {
+      this.config.onProgress(event);
+    } catch (err) {
+      console.warn('⚠️ Progress callback failed:', err.message);
+    }
+  }
+
   // --- Main Analysis Method ---
   async analyzeFullWebsite(targetUrl) {
     try {
       await this.connectToMongo();
 
       console.log('🚀 Step 1: Analyzing base URL...');
+      this.reportProgress({ stage: 'website', message: 'Crawling home page', current: 0, total: 1, url: targetUrl });
       const baseResult = await this.analyzeWebsite(targetUrl, true);
       if (!baseResult.success) {
         throw new Error(`Failed to analyze base URL: ${baseResult.error}`);
       }
 
-      console.log('📝 Step 2: Inferring common routes...');
-      await this.processPageFromMongo(targetUrl);
+      console.log('🗺️ Step 2: Discovering pages from sitemaps...');
+      const sitemap = await this.queueSitemapPages(targetUrl, baseResult.data.actualLinks);
+
+      // Guessing common routes is the fallback for sites without a usable sitemap
+      if (!sitemap.queuedCount) {
+        console.log('📝 Step 2b: Inferring common routes...');
+        await this.processPageFromMongo(targetUrl);
+      }
 
       console.log('⚡ Step 3: Processing all pending links...');
       let iteration = 1;
@@ -559,7 +699,8 @@ export class WebsiteAnalyzer {
       return {
         success: true,
         stats: finalStats,
-        totalProcessed
+        totalProcessed,
+        sitemap
       };
       
     } catch (err) {